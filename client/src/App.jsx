@@ -1,6 +1,13 @@
 import React from 'react';
+import { BrowserRouter } from 'react-router-dom';
 import LogViewer from './LogViewer';
 
-const App = () => <LogViewer />;
+// The router only carries the view's deep link in the query string
+// (utils/deepLink.js); vercel.json sends every path to index.html.
+const App = () => (
+  <BrowserRouter>
+    <LogViewer />
+  </BrowserRouter>
+);
 
 export default App;
@@ -0,0 +1,259 @@
+import React, { useState, useMemo, useRef, useEffect } from 'react';
+import { BOOKMARK_COLORS, parseTags, validateBookmarksSidecar } from './utils/bookmarks';
+import { saveTextFile, sanitizeFilename } from './utils/exportLogs';
+import { getLevelBackgroundColor } from './utils/logLevelColors';
+
+const inputClass = 'px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+const footerButtonClass = 'px-3 py-2 text-sm font-medium text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded-md transition-colors disabled:opacity-50';
+
+const sortBookmarks = (a, b) => {
+  if (a.timestamp && b.timestamp) return a.timestamp.localeCompare(b.timestamp);
+  return (a.lineNumber || 0) - (b.lineNumber || 0);
+};
+
+// Color picker: the labels plus "none"
+const ColorPicker = ({ value, onChange }) => (
+  <div className="flex items-center gap-1">
+    <button
+      onClick={() => onChange(null)}
+      className={`w-4 h-4 rounded-full border border-gray-300 dark:border-gray-600 ${!value ? 'ring-2 ring-offset-1 ring-gray-500' : ''}`}
+      title="No color"
+    />
+    {Object.entries(BOOKMARK_COLORS).map(([color, swatch]) => (
+      <button
+        key={color}
+        onClick={() => onChange(color)}
+        className={`w-4 h-4 rounded-full ${swatch} ${value === color ? 'ring-2 ring-offset-1 ring-gray-500' : ''}`}
+        title={color}
+      />
+    ))}
+  </div>
+);
+
+/**
+ * Bookmarks of the current tab (every tab in All Files): sticky logs with a
+ * title, note, color label and tags. Click a bookmark to jump to its row.
+ * Export writes a sidecar JSON keyed by source file, line and raw-line hash;
+ * Import puts a colleague's sidecar onto the matching rows of loaded tabs.
+ */
+const BookmarksPanel = ({ isOpen, onClose, bookmarks, scopeLabel, getSourceLabel = key => key, onJumpToLog, onUpdateBookmark, onRemoveBookmark, onExport, onImport }) => {
+  const [find, setFind] = useState('');
+  const [activeTag, setActiveTag] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [tagsText, setTagsText] = useState('');
+  const [status, setStatus] = useState(null); // { kind: 'info' | 'error', text }
+  const importInputRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) {
+      setFind('');
+      setEditingId(null);
+      setStatus(null);
+    }
+  }, [isOpen]);
+
+  const allTags = useMemo(
+    () => Array.from(new Set(bookmarks.flatMap(b => b.tags || []))).sort(),
+    [bookmarks]
+  );
+
+  const visibleBookmarks = useMemo(() => {
+    const needle = find.trim().toLowerCase();
+    return bookmarks
+      .filter(b => !activeTag || (b.tags || []).includes(activeTag))
+      .filter(b => !needle || [b.title, b.note, b.cleanedMessage, b.message, ...(b.tags || [])]
+        .some(text => text && text.toLowerCase().includes(needle)))
+      .slice()
+      .sort(sortBookmarks);
+  }, [bookmarks, find, activeTag]);
+
+  if (!isOpen) return null;
+
+  const startEditing = (bookmark) => {
+    setEditingId(bookmark.id);
+    setTagsText((bookmark.tags || []).join(', '));
+  };
+
+  const handleExport = () => {
+    const sidecar = onExport();
+    if (sidecar.bookmarks.length === 0) {
+      setStatus({ kind: 'error', text: 'No bookmarks to export.' });
+      return;
+    }
+    saveTextFile(JSON.stringify(sidecar, null, 2), `${sanitizeFilename(`${scopeLabel || 'logs'}_bookmarks`)}.json`, {
+      description: 'Bookmarks JSON',
+      mimeType: 'application/json',
+      extensions: ['.json'],
+    });
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const sidecar = JSON.parse(await file.text());
+      const error = validateBookmarksSidecar(sidecar);
+      if (error) {
+        setStatus({ kind: 'error', text: error });
+        return;
+      }
+      const { added, updated, moved, unmatched } = onImport(sidecar);
+      const parts = [`${added} added`, `${updated} updated`];
+      if (moved) parts.push(`${moved} found on a different line`);
+      if (unmatched) parts.push(`${unmatched} not found — open their files and import again`);
+      setStatus({ kind: unmatched ? 'error' : 'info', text: `Imported ${file.name}: ${parts.join(', ')}.` });
+    } catch (error) {
+      console.error('Failed to import bookmarks:', error);
+      setStatus({ kind: 'error', text: `Could not read ${file.name}: ${error.message}` });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Bookmarks</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {bookmarks.length.toLocaleString()} in {scopeLabel} · add one with Sticky Log Line in a row's context menu
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-3 flex-1 overflow-hidden flex flex-col">
+          <input
+            className={inputClass}
+            value={find}
+            onChange={e => setFind(e.target.value)}
+            placeholder="Find in titles, notes, messages and tags…"
+            autoFocus
+          />
+          {allTags.length > 0 && (
+            <div className="flex flex-wrap gap-1">
+              {allTags.map(tag => (
+                <button
+                  key={tag}
+                  onClick={() => setActiveTag(activeTag === tag ? null : tag)}
+                  className={`px-2 py-0.5 text-xs rounded-full border ${activeTag === tag
+                    ? 'bg-blue-600 border-blue-600 text-white'
+                    : 'border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                >
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div className="flex-1 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-700">
+            {visibleBookmarks.length === 0 && (
+              <p className="px-3 py-2 text-sm text-gray-500 dark:text-gray-400 italic">No bookmarks.</p>
+            )}
+            {visibleBookmarks.map(bookmark => (
+              <div key={`${bookmark.sourceFile || ''}:${bookmark.id}`} className="px-3 py-2">
+                <div className="flex items-start gap-2">
+                  <span className={`mt-1 w-2.5 h-2.5 flex-shrink-0 rounded-full ${bookmark.color ? BOOKMARK_COLORS[bookmark.color] : 'border border-gray-300 dark:border-gray-600'}`} />
+                  <button
+                    onClick={() => { onJumpToLog(bookmark.lineNumber, bookmark.sourceFile || null); onClose(); }}
+                    className="flex-1 min-w-0 text-left"
+                    title="Jump to this row"
+                  >
+                    <div className="flex items-center gap-2">
+                      <span className={`px-1 text-[10px] rounded border ${getLevelBackgroundColor(bookmark.level)}`}>{bookmark.level || '—'}</span>
+                      <span className="text-sm font-medium text-gray-900 dark:text-gray-100 truncate">{bookmark.title || `#${bookmark.lineNumber}`}</span>
+                      <span className="text-xs text-gray-500 dark:text-gray-400 font-mono whitespace-nowrap">
+                        {bookmark.sourceFile ? `${getSourceLabel(bookmark.sourceFile)}:` : 'line '}{bookmark.lineNumber}
+                      </span>
+                    </div>
+                    <p className="text-xs font-mono text-gray-600 dark:text-gray-400 truncate">{bookmark.cleanedMessage || bookmark.message}</p>
+                    {editingId !== bookmark.id && bookmark.note && (
+                      <p className="text-xs text-gray-700 dark:text-gray-300 whitespace-pre-wrap mt-0.5">{bookmark.note}</p>
+                    )}
+                    {editingId !== bookmark.id && (bookmark.tags || []).length > 0 && (
+                      <p className="text-xs text-blue-600 dark:text-blue-400 mt-0.5">{bookmark.tags.map(tag => `#${tag}`).join(' ')}</p>
+                    )}
+                  </button>
+                  <button
+                    onClick={() => (editingId === bookmark.id ? setEditingId(null) : startEditing(bookmark))}
+                    className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                  >
+                    {editingId === bookmark.id ? 'Done' : 'Edit'}
+                  </button>
+                  <button
+                    onClick={() => onRemoveBookmark(bookmark.id)}
+                    className="text-xs text-red-600 dark:text-red-400 hover:underline"
+                  >
+                    Remove
+                  </button>
+                </div>
+
+                {editingId === bookmark.id && (
+                  <div className="mt-2 ml-4 space-y-2">
+                    <div className="flex items-center gap-3">
+                      <input
+                        className={`${inputClass} flex-1`}
+                        value={bookmark.title || ''}
+                        onChange={e => onUpdateBookmark(bookmark.id, { title: e.target.value })}
+                        placeholder={`#${bookmark.lineNumber}`}
+                      />
+                      <ColorPicker value={bookmark.color} onChange={color => onUpdateBookmark(bookmark.id, { color })} />
+                    </div>
+                    <textarea
+                      className={`${inputClass} w-full font-sans`}
+                      rows={3}
+                      value={bookmark.note || ''}
+                      onChange={e => onUpdateBookmark(bookmark.id, { note: e.target.value })}
+                      placeholder="Note"
+                    />
+                    <input
+                      className={`${inputClass} w-full`}
+                      value={tagsText}
+                      onChange={e => setTagsText(e.target.value)}
+                      onBlur={() => onUpdateBookmark(bookmark.id, { tags: parseTags(tagsText) })}
+                      placeholder="Tags, e.g. crash, dns"
+                    />
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {status && (
+            <p className={`text-xs ${status.kind === 'error' ? 'text-red-600 dark:text-red-400' : 'text-green-600 dark:text-green-400'}`}>{status.text}</p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700">
+          <div className="flex gap-2">
+            <button onClick={handleExport} className={footerButtonClass} title="Save every tab's bookmarks as a sidecar JSON">
+              Export…
+            </button>
+            <button onClick={() => importInputRef.current?.click()} className={footerButtonClass} title="Add bookmarks from a sidecar JSON to the loaded tabs">
+              Import…
+            </button>
+            <input ref={importInputRef} type="file" accept=".json,application/json" className="hidden" onChange={handleImportFile} />
+          </div>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BookmarksPanel;
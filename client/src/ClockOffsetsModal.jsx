@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import {
+  formatClockOffset,
+  parseClockOffset,
+  findAnchorTimes,
+  suggestClockOffset,
+} from './utils/clockSkew';
+
+const inputClass = 'px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1';
+
+/**
+ * Per-source clock offsets for merged.log and the "All Files" view. Offsets
+ * are typed by hand or suggested by lining up an anchor event (e.g. the same
+ * connect/disconnect) in each source with a reference source.
+ *
+ * `sources` is [{ key, label, logs }] where logs are the loaded rows of that
+ * source (empty when none of its tabs are loaded).
+ */
+const ClockOffsetsModal = ({ isOpen, onClose, sources, offsets, onChange }) => {
+  const [drafts, setDrafts] = useState({});
+  const [referenceKey, setReferenceKey] = useState('');
+  const [anchor, setAnchor] = useState('');
+  const [suggestions, setSuggestions] = useState(null);
+  const [error, setError] = useState(null);
+
+  // Initialise on open only: `sources` changes whenever a tab's logs do (live
+  // mode), which must not wipe what the user is typing
+  useEffect(() => {
+    if (!isOpen) return;
+    setDrafts(Object.fromEntries(sources.map(s => [s.key, offsets[s.key] ? formatClockOffset(offsets[s.key]) : ''])));
+    setSuggestions(null);
+    setError(null);
+    setReferenceKey(prev => prev || (sources.find(s => s.logs.length) || sources[0] || {}).key || '');
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleSuggest = () => {
+    const reference = sources.find(s => s.key === referenceKey);
+    const referenceTimes = reference ? findAnchorTimes(reference.logs, anchor) : [];
+    if (!referenceTimes.length) {
+      setError('The anchor matches no rows in the reference source');
+      setSuggestions(null);
+      return;
+    }
+    // Offsets are relative to the reference, which keeps its own offset
+    const referenceOffset = parseClockOffset(drafts[referenceKey]) || 0;
+    const next = {};
+    sources.forEach(s => {
+      if (s.key === referenceKey || !s.logs.length) return;
+      const suggestion = suggestClockOffset(referenceTimes, findAnchorTimes(s.logs, anchor));
+      next[s.key] = suggestion && { ...suggestion, offsetMs: suggestion.offsetMs + referenceOffset };
+    });
+    setSuggestions(next);
+    setError(null);
+  };
+
+  const handleSave = () => {
+    const next = {};
+    for (const s of sources) {
+      const ms = parseClockOffset(drafts[s.key]);
+      if (ms === null) {
+        setError(`Invalid offset for ${s.label}: use seconds (1.5) or ±HH:MM[:SS]`);
+        return;
+      }
+      if (ms) next[s.key] = ms;
+    }
+    // Keep offsets of sources that aren't listed right now (e.g. tabs not open)
+    Object.entries(offsets).forEach(([key, ms]) => {
+      if (!sources.some(s => s.key === key)) next[key] = ms;
+    });
+    onChange(next);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60]">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-2xl w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Clock Offsets</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-4 flex-1 overflow-y-auto">
+          <p className="text-sm text-gray-600 dark:text-gray-400">
+            An offset is added to every timestamp of a source before it is interleaved with the others in merged.log
+            and in the "All Files" view. Enter seconds (<code>-1.5</code>) or <code>±HH:MM[:SS]</code> for timezone differences.
+          </p>
+
+          {/* Anchor-based suggestion */}
+          <section className="p-3 rounded-md border border-gray-200 dark:border-gray-700 space-y-2">
+            <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Suggest from an anchor event</h3>
+            <div className="flex items-end gap-2">
+              <div>
+                <label className={labelClass}>Reference</label>
+                <select className={inputClass} value={referenceKey} onChange={e => setReferenceKey(e.target.value)}>
+                  {sources.map(s => (
+                    <option key={s.key} value={s.key} disabled={!s.logs.length}>{s.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex-1">
+                <label className={labelClass}>Anchor (filter syntax)</label>
+                <input
+                  className={`${inputClass} w-full font-mono`}
+                  value={anchor}
+                  onChange={e => setAnchor(e.target.value)}
+                  onKeyDown={e => { if (e.key === 'Enter' && anchor.trim()) handleSuggest(); }}
+                  placeholder="tunnel && connected"
+                />
+              </div>
+              <button
+                onClick={handleSuggest}
+                disabled={!anchor.trim() || !referenceKey}
+                className="px-3 py-1 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors disabled:opacity-50"
+              >
+                Suggest
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              The n-th matching row of each source is paired with the n-th in the reference; the median difference is suggested.
+              Only sources with a loaded tab can be matched.
+            </p>
+          </section>
+
+          {/* Offsets */}
+          <div className="border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-700">
+            {sources.length === 0 && (
+              <p className="px-3 py-2 text-sm text-gray-500 dark:text-gray-400 italic">No sources.</p>
+            )}
+            {sources.map(s => {
+              const suggestion = suggestions && s.key in suggestions ? suggestions[s.key] : undefined;
+              return (
+                <div key={s.key} className="flex items-center gap-3 px-3 py-2">
+                  <div className="min-w-0 flex-1">
+                    <div className="text-sm text-gray-800 dark:text-gray-200 truncate">{s.label}</div>
+                    {!s.logs.length && <div className="text-xs text-gray-400 dark:text-gray-500">no loaded tab</div>}
+                  </div>
+                  {suggestion === null && (
+                    <span className="text-xs text-amber-600 dark:text-amber-400">anchor not found</span>
+                  )}
+                  {suggestion && (
+                    <button
+                      onClick={() => setDrafts(prev => ({ ...prev, [s.key]: formatClockOffset(suggestion.offsetMs) }))}
+                      className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                      title={`Based on ${suggestion.pairs} matching event(s)`}
+                    >
+                      Use {formatClockOffset(suggestion.offsetMs)} ({suggestion.pairs})
+                    </button>
+                  )}
+                  {s.key === referenceKey && suggestions && (
+                    <span className="text-xs text-gray-500 dark:text-gray-400">reference</span>
+                  )}
+                  <input
+                    className={`${inputClass} w-32 font-mono text-right`}
+                    value={drafts[s.key] ?? ''}
+                    onChange={e => setDrafts(prev => ({ ...prev, [s.key]: e.target.value }))}
+                    placeholder="0"
+                  />
+                </div>
+              );
+            })}
+          </div>
+
+          {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700">
+          <button
+            onClick={() => setDrafts(Object.fromEntries(sources.map(s => [s.key, ''])))}
+            className="px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+          >
+            Reset All
+          </button>
+          <div className="flex gap-2">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+            >
+              Save
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ClockOffsetsModal;
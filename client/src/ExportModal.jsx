@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { EXPORT_FORMATS, EXPORT_FIELD_LABELS } from './utils/exportLogs';
+
+const STORAGE_KEY = 'logViewer_exportFormat';
+
+const FORMAT_DESCRIPTIONS = {
+  log: 'The original lines, ready to open again in the viewer.',
+  jsonl: 'One JSON object per row with the parsed fields.',
+  csv: 'The parsed fields as a spreadsheet table.',
+  html: 'A standalone page with the filters, sticky logs and highlight colors — opens in any browser.',
+};
+
+const loadFormat = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    return EXPORT_FORMATS[saved] ? saved : 'log';
+  } catch (error) {
+    console.error('Failed to load export format:', error);
+    return 'log';
+  }
+};
+
+/**
+ * Export the rows the current filter shows, as raw lines, JSON Lines, CSV or
+ * an HTML report. Structured formats hold the fields of the visible columns.
+ */
+const ExportModal = ({ isOpen, onClose, scopeLabel, rowCount, fields, stickyCount = 0, onExport }) => {
+  const [format, setFormat] = useState(loadFormat);
+
+  if (!isOpen) return null;
+
+  const handleExport = () => {
+    try {
+      localStorage.setItem(STORAGE_KEY, format);
+    } catch (error) {
+      console.error('Failed to save export format:', error);
+    }
+    onExport(format);
+    onClose();
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-md w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Export</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {rowCount.toLocaleString()} visible row{rowCount === 1 ? '' : 's'} of {scopeLabel}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-2 flex-1 overflow-y-auto">
+          {Object.entries(EXPORT_FORMATS).map(([key, { label, extensions }]) => (
+            <label
+              key={key}
+              className={`flex items-start gap-3 p-3 rounded-md cursor-pointer border ${format === key
+                ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20'
+                : 'border-transparent bg-gray-50 dark:bg-gray-900 hover:bg-gray-100 dark:hover:bg-gray-800'}`}
+            >
+              <input
+                type="radio"
+                name="export-format"
+                value={key}
+                checked={format === key}
+                onChange={() => setFormat(key)}
+                className="mt-1"
+              />
+              <div>
+                <div className="text-sm font-medium text-gray-900 dark:text-gray-100">
+                  {label} <span className="font-mono text-xs text-gray-500 dark:text-gray-400">{extensions[0]}</span>
+                </div>
+                <p className="text-xs text-gray-600 dark:text-gray-400">{FORMAT_DESCRIPTIONS[key]}</p>
+              </div>
+            </label>
+          ))}
+
+          {format !== 'log' && (
+            <p className="text-xs text-gray-500 dark:text-gray-400 pt-2">
+              Fields: {fields.map(field => EXPORT_FIELD_LABELS[field] || field).join(', ')} — the visible columns, set in Column Settings.
+              {format === 'html' && stickyCount > 0 && ` ${stickyCount} sticky log${stickyCount === 1 ? '' : 's'} are listed at the top.`}
+            </p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end gap-2 p-4 border-t border-gray-200 dark:border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleExport}
+            disabled={rowCount === 0}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+          >
+            Export
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportModal;
@@ -0,0 +1,213 @@
+import React, { useState, useEffect } from 'react';
+import { getHighlightRuleError } from './utils/highlightRules';
+
+const EMPTY_RULE = {
+  name: '',
+  pattern: '',
+  mode: 'text',
+  caseSensitive: false,
+  enabled: true,
+  color: '#166534',
+  background: '#bbf7d0',
+  rowTint: false,
+};
+
+const inputClass = 'w-full px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1';
+const checkboxLabelClass = 'inline-flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400';
+
+// The rule's colors applied to a sample of its pattern
+const HighlightRuleSwatch = ({ rule, children }) => (
+  <span
+    className="px-1 rounded font-mono"
+    style={{ color: rule.color || undefined, backgroundColor: rule.background || undefined }}
+  >
+    {children}
+  </span>
+);
+
+/**
+ * Highlight rules editor. Rules color their matches in every row, whatever
+ * the filter shows; they are saved in localStorage and with filter presets.
+ */
+const HighlightRulesPanel = ({ isOpen, onClose, rules, onRulesChange }) => {
+  const [draft, setDraft] = useState(null); // rule being added/edited
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setDraft(null);
+      setError(null);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleSave = () => {
+    const ruleError = getHighlightRuleError(draft);
+    if (ruleError) {
+      setError(ruleError);
+      return;
+    }
+    const rule = { ...draft, name: draft.name.trim(), id: draft.id || `highlight-${Date.now()}` };
+    onRulesChange(draft.id ? rules.map(r => (r.id === draft.id ? rule : r)) : [...rules, rule]);
+    setDraft(null);
+    setError(null);
+  };
+
+  const handleToggle = (id) => {
+    onRulesChange(rules.map(r => (r.id === id ? { ...r, enabled: r.enabled === false } : r)));
+  };
+
+  const handleDelete = (id) => {
+    onRulesChange(rules.filter(r => r.id !== id));
+  };
+
+  // Earlier rules win where patterns overlap
+  const handleMove = (index, delta) => {
+    const next = rules.slice();
+    const [rule] = next.splice(index, 1);
+    next.splice(index + delta, 0, rule);
+    onRulesChange(next);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Highlight Rules</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-2 flex-1 overflow-y-auto">
+          <div className="flex items-center justify-between">
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Matches are colored in every row without hiding anything. Earlier rules win where patterns overlap.
+            </p>
+            {!draft && (
+              <button onClick={() => setDraft({ ...EMPTY_RULE })} className="text-xs text-blue-600 dark:text-blue-400 hover:underline flex-shrink-0 ml-3">
+                Add rule
+              </button>
+            )}
+          </div>
+
+          {rules.length === 0 && !draft && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 italic">No highlight rules defined.</p>
+          )}
+          {rules.map((rule, index) => (
+            <div
+              key={rule.id}
+              className={`flex items-center justify-between p-3 rounded-md bg-gray-50 dark:bg-gray-900 hover:bg-gray-100 dark:hover:bg-gray-800 ${rule.enabled === false ? 'opacity-60' : ''}`}
+            >
+              <div className="min-w-0">
+                <div className="text-sm font-medium text-gray-700 dark:text-gray-300 truncate">
+                  {rule.name || rule.pattern}
+                  <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">
+                    {rule.rowTint ? 'row tint' : ''}
+                  </span>
+                </div>
+                <div className="text-xs truncate" title={rule.pattern}>
+                  <HighlightRuleSwatch rule={rule}>{rule.mode === 'regex' ? `/${rule.pattern}/` : rule.pattern}</HighlightRuleSwatch>
+                </div>
+              </div>
+              <div className="flex items-center gap-3 flex-shrink-0 ml-3">
+                <button onClick={() => handleMove(index, -1)} disabled={index === 0} className="text-xs text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 disabled:opacity-30" title="Move up">▲</button>
+                <button onClick={() => handleMove(index, 1)} disabled={index === rules.length - 1} className="text-xs text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200 disabled:opacity-30" title="Move down">▼</button>
+                <input
+                  type="checkbox"
+                  checked={rule.enabled !== false}
+                  onChange={() => handleToggle(rule.id)}
+                  title="Enabled"
+                  className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded cursor-pointer dark:bg-gray-700 dark:border-gray-600"
+                />
+                <button onClick={() => { setDraft({ ...EMPTY_RULE, ...rule }); setError(null); }} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">Edit</button>
+                <button onClick={() => handleDelete(rule.id)} className="text-xs text-red-600 dark:text-red-400 hover:underline">Delete</button>
+              </div>
+            </div>
+          ))}
+
+          {draft && (
+            <div className="p-3 rounded-md border border-gray-200 dark:border-gray-700 space-y-2">
+              <div className="grid grid-cols-3 gap-3">
+                <div>
+                  <label className={labelClass}>Name</label>
+                  <input className={inputClass} value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} placeholder="e.g. Tunnel events" />
+                </div>
+                <div className="col-span-2">
+                  <label className={labelClass}>Pattern</label>
+                  <input
+                    className={`${inputClass} font-mono`}
+                    value={draft.pattern}
+                    onChange={e => setDraft({ ...draft, pattern: e.target.value })}
+                    placeholder={draft.mode === 'regex' ? 'DNS (relay )?fail(ed|ure)' : 'tunnel'}
+                  />
+                </div>
+              </div>
+              <div className="flex flex-wrap items-center gap-4">
+                <label className={checkboxLabelClass}>
+                  <input type="checkbox" checked={draft.mode === 'regex'} onChange={e => setDraft({ ...draft, mode: e.target.checked ? 'regex' : 'text' })} />
+                  Regex
+                </label>
+                <label className={checkboxLabelClass}>
+                  <input type="checkbox" checked={draft.caseSensitive} onChange={e => setDraft({ ...draft, caseSensitive: e.target.checked })} />
+                  Case sensitive
+                </label>
+                <label className={checkboxLabelClass}>
+                  Text
+                  <input type="color" value={draft.color || '#000000'} onChange={e => setDraft({ ...draft, color: e.target.value })} className="w-6 h-5 cursor-pointer" />
+                </label>
+                <label className={checkboxLabelClass}>
+                  Background
+                  <input type="color" value={draft.background || '#ffffff'} onChange={e => setDraft({ ...draft, background: e.target.value })} className="w-6 h-5 cursor-pointer" />
+                </label>
+                <label className={checkboxLabelClass}>
+                  <input type="checkbox" checked={draft.rowTint} onChange={e => setDraft({ ...draft, rowTint: e.target.checked })} />
+                  Tint whole row
+                </label>
+                <span className="text-xs">
+                  <HighlightRuleSwatch rule={draft}>{draft.pattern || 'preview'}</HighlightRuleSwatch>
+                </span>
+              </div>
+              {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+              <div className="flex justify-end gap-2">
+                <button
+                  onClick={() => { setDraft(null); setError(null); }}
+                  className="px-3 py-1 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSave}
+                  className="px-3 py-1 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+                >
+                  {draft.id ? 'Save' : 'Add'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end p-4 border-t border-gray-200 dark:border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default HighlightRulesPanel;
@@ -0,0 +1,248 @@
+import React, { useState, useEffect } from 'react';
+import { parseFilterExpression } from './utils/filterExpression';
+
+const EMPTY_RULE = {
+  name: '',
+  expression: '',
+  mode: 'text',
+  caseSensitive: false,
+  enabled: true,
+  notify: true,
+  sticky: false,
+};
+
+const inputClass = 'w-full px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+const labelClass = 'block text-xs font-medium text-gray-600 dark:text-gray-400 mb-1';
+const checkboxLabelClass = 'inline-flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400';
+
+// First invalid regex in the expression, if any
+const findRegexError = (draft) => {
+  if (draft.mode !== 'regex') return null;
+  const { includeGroups, excludeTerms, excludeRegexes } = parseFilterExpression(draft.expression, { mode: 'regex' });
+  for (const group of includeGroups) {
+    const index = group.regexes.indexOf(null);
+    if (index !== -1) return `Invalid regex: ${group.terms[index]}`;
+  }
+  const index = excludeRegexes.indexOf(null);
+  return index !== -1 ? `Invalid regex: ${excludeTerms[index]}` : null;
+};
+
+const formatTime = (ms) => new Date(ms).toLocaleTimeString([], { hour12: false });
+
+/**
+ * Live alert rules editor and the list of hits with jump-to-row.
+ */
+const LiveAlertsPanel = ({ isOpen, onClose, rules, onRulesChange, hits, counts, onClearHits, onJumpToHit }) => {
+  const [draft, setDraft] = useState(null); // rule being added/edited
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setDraft(null);
+      setError(null);
+    }
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const handleSave = () => {
+    if (!draft.name.trim()) {
+      setError('Name is required');
+      return;
+    }
+    if (!draft.expression.trim()) {
+      setError('Expression is required');
+      return;
+    }
+    const regexError = findRegexError(draft);
+    if (regexError) {
+      setError(regexError);
+      return;
+    }
+    const rule = { ...draft, name: draft.name.trim(), id: draft.id || `alert-${Date.now()}` };
+    onRulesChange(draft.id ? rules.map(r => (r.id === draft.id ? rule : r)) : [...rules, rule]);
+    // System notifications need permission once; the in-app toast works regardless
+    if (rule.notify && typeof Notification !== 'undefined' && Notification.permission === 'default') {
+      Notification.requestPermission().catch(() => {});
+    }
+    setDraft(null);
+    setError(null);
+  };
+
+  const handleToggle = (id) => {
+    onRulesChange(rules.map(r => (r.id === id ? { ...r, enabled: r.enabled === false } : r)));
+  };
+
+  const handleDelete = (id) => {
+    onRulesChange(rules.filter(r => r.id !== id));
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Live Alerts</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-4 flex-1 overflow-y-auto">
+          {/* Rules */}
+          <section className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Rules</h3>
+              {!draft && (
+                <button onClick={() => setDraft({ ...EMPTY_RULE })} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">
+                  Add rule
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Rules use the filter syntax (<code>||</code>, <code>&amp;&amp;</code>, <code>!term</code>, <code>"quoted"</code>, regex mode)
+              and are checked against every row that arrives while live.
+            </p>
+
+            {rules.length === 0 && !draft && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 italic">No alert rules defined.</p>
+            )}
+            {rules.map(rule => (
+              <div
+                key={rule.id}
+                className="flex items-center justify-between p-3 rounded-md bg-gray-50 dark:bg-gray-900 hover:bg-gray-100 dark:hover:bg-gray-800"
+              >
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-gray-700 dark:text-gray-300 truncate">
+                    {rule.name}
+                    <span className="ml-2 text-xs font-normal text-gray-500 dark:text-gray-400">
+                      {rule.notify ? 'notify' : ''}{rule.notify && rule.sticky ? ' · ' : ''}{rule.sticky ? 'sticky' : ''}
+                    </span>
+                  </div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 font-mono truncate" title={rule.expression}>
+                    {rule.mode === 'regex' ? `/${rule.expression}/` : rule.expression}
+                  </div>
+                </div>
+                <div className="flex items-center gap-3 flex-shrink-0 ml-3">
+                  <span className="text-xs px-2 py-0.5 rounded-full bg-red-100 dark:bg-red-900/40 text-red-700 dark:text-red-300" title="Hits">
+                    {counts[rule.id] || 0}
+                  </span>
+                  <input
+                    type="checkbox"
+                    checked={rule.enabled !== false}
+                    onChange={() => handleToggle(rule.id)}
+                    title="Enabled"
+                    className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded cursor-pointer dark:bg-gray-700 dark:border-gray-600"
+                  />
+                  <button onClick={() => { setDraft({ ...EMPTY_RULE, ...rule }); setError(null); }} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">Edit</button>
+                  <button onClick={() => handleDelete(rule.id)} className="text-xs text-red-600 dark:text-red-400 hover:underline">Delete</button>
+                </div>
+              </div>
+            ))}
+
+            {draft && (
+              <div className="p-3 rounded-md border border-gray-200 dark:border-gray-700 space-y-2">
+                <div className="grid grid-cols-3 gap-3">
+                  <div>
+                    <label className={labelClass}>Name</label>
+                    <input className={inputClass} value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} placeholder="e.g. Tunnel down" />
+                  </div>
+                  <div className="col-span-2">
+                    <label className={labelClass}>Expression</label>
+                    <input
+                      className={`${inputClass} font-mono`}
+                      value={draft.expression}
+                      onChange={e => setDraft({ ...draft, expression: e.target.value })}
+                      placeholder='tunnel && disconnect || "DNS relay error"'
+                    />
+                  </div>
+                </div>
+                <div className="flex flex-wrap items-center gap-4">
+                  <label className={checkboxLabelClass}>
+                    <input type="checkbox" checked={draft.mode === 'regex'} onChange={e => setDraft({ ...draft, mode: e.target.checked ? 'regex' : 'text' })} />
+                    Regex
+                  </label>
+                  <label className={checkboxLabelClass}>
+                    <input type="checkbox" checked={draft.caseSensitive} onChange={e => setDraft({ ...draft, caseSensitive: e.target.checked })} />
+                    Case sensitive
+                  </label>
+                  <label className={checkboxLabelClass}>
+                    <input type="checkbox" checked={draft.notify} onChange={e => setDraft({ ...draft, notify: e.target.checked })} />
+                    Notify
+                  </label>
+                  <label className={checkboxLabelClass}>
+                    <input type="checkbox" checked={draft.sticky} onChange={e => setDraft({ ...draft, sticky: e.target.checked })} />
+                    Add to sticky logs
+                  </label>
+                </div>
+                {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+                <div className="flex justify-end gap-2">
+                  <button
+                    onClick={() => { setDraft(null); setError(null); }}
+                    className="px-3 py-1 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+                  >
+                    Cancel
+                  </button>
+                  <button
+                    onClick={handleSave}
+                    className="px-3 py-1 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+                  >
+                    {draft.id ? 'Save' : 'Add'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </section>
+
+          {/* Hits */}
+          <section className="space-y-2">
+            <div className="flex items-center justify-between">
+              <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Hits ({hits.length})</h3>
+              {hits.length > 0 && (
+                <button onClick={onClearHits} className="text-xs text-red-600 dark:text-red-400 hover:underline">Clear</button>
+              )}
+            </div>
+            {hits.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400 italic">No alerts yet.</p>
+            ) : (
+              <div className="border border-gray-200 dark:border-gray-700 rounded-md divide-y divide-gray-100 dark:divide-gray-700">
+                {hits.map(hit => (
+                  <div key={hit.id} className="flex items-center gap-3 px-3 py-1.5 text-xs">
+                    <span className="text-gray-500 dark:text-gray-400 font-mono flex-shrink-0">{formatTime(hit.time)}</span>
+                    <span className="font-medium text-red-700 dark:text-red-300 flex-shrink-0">{hit.ruleName}</span>
+                    <span className="text-gray-500 dark:text-gray-400 flex-shrink-0">{hit.tabName}:{hit.lineNumber}</span>
+                    <span className="text-gray-700 dark:text-gray-300 truncate flex-1" title={hit.message}>{hit.message}</span>
+                    <button
+                      onClick={() => onJumpToHit(hit)}
+                      className="text-blue-600 dark:text-blue-400 hover:underline flex-shrink-0"
+                    >
+                      Jump
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </section>
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-end p-4 border-t border-gray-200 dark:border-gray-700">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+          >
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LiveAlertsPanel;
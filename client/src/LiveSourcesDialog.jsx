@@ -0,0 +1,170 @@
+import React, { useState, useEffect } from 'react';
+import { loadLiveSourceSelection, saveLiveSourceSelection, loadLiveBackfillLines, saveLiveBackfillLines } from './utils/useLiveLogs';
+
+const formatSize = (bytes) => {
+  if (!bytes) return 'empty';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+/**
+ * Lets the user pick which sources of the live logs server to stream.
+ * Each picked source becomes one live tab; the choice is remembered.
+ */
+const LiveSourcesDialog = ({ isOpen, server, sources, isLoading, onReload, onConnect, onClose }) => {
+  const [selected, setSelected] = useState(new Set());
+  const [address, setAddress] = useState(server);
+  const [backfillLines, setBackfillLines] = useState(loadLiveBackfillLines);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const saved = loadLiveSourceSelection();
+    const keys = sources.map(s => s.key);
+    const remembered = saved ? keys.filter(key => saved.includes(key)) : [];
+    // First time, or none of the remembered sources exist on this server: pick all
+    setSelected(new Set(remembered.length ? remembered : keys));
+  }, [isOpen, sources]);
+
+  useEffect(() => {
+    setAddress(server);
+  }, [server]);
+
+  if (!isOpen) return null;
+
+  const toggle = (key) => {
+    setSelected(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
+  const handleConnect = () => {
+    // Keep the server's order so tabs open in the order it lists them
+    const keys = sources.map(s => s.key).filter(key => selected.has(key));
+    saveLiveSourceSelection(keys);
+    saveLiveBackfillLines(backfillLines);
+    onConnect(keys);
+  };
+
+  const trimmedAddress = address.trim();
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Live Sources</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-2 flex-1 overflow-y-auto">
+          <div className="flex items-center gap-2 mb-4">
+            <label className="text-sm text-gray-600 dark:text-gray-400 flex-shrink-0">Server</label>
+            <input
+              value={address}
+              onChange={e => setAddress(e.target.value)}
+              onKeyDown={e => { if (e.key === 'Enter' && trimmedAddress) onReload(trimmedAddress); }}
+              placeholder="host:port"
+              className="flex-1 px-2 py-1 text-sm font-mono rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+            />
+            <button
+              onClick={() => onReload(trimmedAddress)}
+              disabled={!trimmedAddress || isLoading}
+              className="px-3 py-1 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors disabled:opacity-50"
+            >
+              {isLoading ? 'Loading…' : 'Reload'}
+            </button>
+          </div>
+
+          {sources.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400 italic">The server has no sources configured.</p>
+          )}
+          {sources.map(src => (
+            <label
+              key={src.key}
+              className="flex items-center gap-3 p-3 rounded-md bg-gray-50 dark:bg-gray-900 hover:bg-gray-100 dark:hover:bg-gray-800 cursor-pointer"
+            >
+              <input
+                type="checkbox"
+                checked={selected.has(src.key)}
+                onChange={() => toggle(src.key)}
+                className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded cursor-pointer dark:bg-gray-700 dark:border-gray-600"
+              />
+              <div className="min-w-0 flex-1">
+                <div className="text-sm font-medium text-gray-700 dark:text-gray-300 truncate">{src.label}</div>
+                {src.path && (
+                  <div className="text-xs text-gray-500 dark:text-gray-400 font-mono truncate" title={src.path}>
+                    {src.type === 'dir' ? `${src.path}/` : src.path}
+                  </div>
+                )}
+              </div>
+              {src.size !== undefined && (
+                <span className="text-xs text-gray-500 dark:text-gray-400 flex-shrink-0">{formatSize(src.size)}</span>
+              )}
+            </label>
+          ))}
+        </div>
+
+        <div className="flex items-center gap-2 px-4 pb-4 text-sm text-gray-600 dark:text-gray-400">
+          <label htmlFor="live-backfill-lines">Load the last</label>
+          <input
+            id="live-backfill-lines"
+            type="number"
+            min={0}
+            step={100}
+            value={backfillLines}
+            onChange={e => setBackfillLines(Math.max(0, parseInt(e.target.value, 10) || 0))}
+            className="w-24 px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+          />
+          <span>lines of each source (0 = only new lines)</span>
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700">
+          <div className="flex gap-2">
+            <button
+              onClick={() => setSelected(new Set(sources.map(s => s.key)))}
+              className="px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+            >
+              All
+            </button>
+            <button
+              onClick={() => setSelected(new Set())}
+              className="px-3 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+            >
+              None
+            </button>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={onClose}
+              className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleConnect}
+              disabled={selected.size === 0 || isLoading}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+            >
+              Connect
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LiveSourcesDialog;
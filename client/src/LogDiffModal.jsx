@@ -0,0 +1,304 @@
+import React, { useState, useMemo, useRef, useEffect, useCallback } from 'react';
+import { Virtuoso } from 'react-virtuoso';
+import { LogItem } from './LogListView';
+import { selectDiffRows, parseWindowTime, diffLogRows, MAX_DIFF_ROWS } from './utils/logDiff';
+import { compileHighlightRules } from './utils/highlightRules';
+
+const inputClass = 'px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+const navButtonClass = 'px-2 py-1 text-xs font-medium text-gray-700 dark:text-gray-300 border border-gray-300 dark:border-gray-600 rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40';
+
+// Time, line, level and message: the row rendering of the main list
+const DIFF_COLUMNS = [
+  { id: 'timestamp', size: 90, isFlex: false, isCollapsed: false },
+  { id: 'lineNumber', size: 60, isFlex: false, isCollapsed: false },
+  { id: 'logLevel', size: 50, isFlex: false, isCollapsed: false },
+  { id: 'message', size: 600, isFlex: true, isCollapsed: false },
+];
+
+const NO_FILTERS = { searchText: '', searchQuery: '' };
+const NO_STICKIES = new Set();
+const noop = () => {};
+
+// Gutter sign and colors per diff status
+const STATUS_STYLES = {
+  same: { sign: '', gutter: 'border-transparent text-gray-400' },
+  missing: { sign: '−', gutter: 'border-red-500 bg-red-50 dark:bg-red-900/30 text-red-700 dark:text-red-300' },
+  inserted: { sign: '+', gutter: 'border-green-500 bg-green-50 dark:bg-green-900/30 text-green-700 dark:text-green-300' },
+  moved: { sign: '↕', gutter: 'border-amber-500 bg-amber-50 dark:bg-amber-900/30 text-amber-700 dark:text-amber-300' },
+};
+
+const STATUS_TITLES = {
+  missing: 'Only on the left',
+  inserted: 'Only on the right',
+};
+
+const firstTimestampMs = (logs) => (logs || []).find(log => log.timestampMs != null)?.timestampMs ?? null;
+
+// One side of the comparison: tab and optional time window
+const SidePicker = ({ label, tabs, value, onChange }) => {
+  const logs = tabs.find(tab => tab.tabId === value.tabId)?.logs || [];
+  const first = logs.find(log => log.timestampMs != null);
+  let last = null;
+  for (let i = logs.length - 1; i >= 0 && !last; i--) {
+    if (logs[i].timestampMs != null) last = logs[i];
+  }
+  return (
+    <div className="flex-1 min-w-0 space-y-1">
+      <div className="text-xs font-medium text-gray-600 dark:text-gray-400">{label}</div>
+      <select className={`${inputClass} w-full`} value={value.tabId} onChange={e => onChange({ ...value, tabId: e.target.value })}>
+        {tabs.map(tab => <option key={tab.tabId} value={tab.tabId}>{tab.tabName}</option>)}
+      </select>
+      <div className="flex items-center gap-2">
+        <input className={`${inputClass} flex-1 min-w-0 font-mono text-xs`} value={value.from} onChange={e => onChange({ ...value, from: e.target.value })} placeholder={first?.timestamp || 'From (start)'} title="From: YYYY-MM-DD HH:MM:SS.mmm, or a time of day" />
+        <span className="text-xs text-gray-500">–</span>
+        <input className={`${inputClass} flex-1 min-w-0 font-mono text-xs`} value={value.to} onChange={e => onChange({ ...value, to: e.target.value })} placeholder={last?.timestamp || 'To (end)'} title="To: YYYY-MM-DD HH:MM:SS.mmm, or a time of day" />
+      </div>
+    </div>
+  );
+};
+
+// A row of one side with its status gutter, or an empty filler
+const DiffCell = ({ entry, sideRows, index, otherLabel, highlightRules, expanded, onToggleExpanded, onOpen }) => {
+  if (!entry) return <div className="h-full min-h-[1.75rem] bg-gray-100 dark:bg-gray-800/60" />;
+  const log = sideRows[entry.index];
+  const style = STATUS_STYLES[entry.status];
+  const title = entry.status === 'moved'
+    ? `Reordered: at line ${entry.partnerLine} on the ${otherLabel}`
+    : STATUS_TITLES[entry.status];
+  return (
+    <div className="flex min-w-0" title={title}>
+      <div className={`w-5 flex-shrink-0 border-l-4 text-xs font-bold text-center pt-1.5 ${style.gutter}`}>{style.sign}</div>
+      <div className="flex-1 min-w-0">
+        <LogItem
+          log={log}
+          onClick={() => onOpen(log)}
+          isHighlighted={false}
+          isSelected={false}
+          filters={NO_FILTERS}
+          index={index}
+          onFiltersChange={noop}
+          previousLog={entry.index > 0 ? sideRows[entry.index - 1] : null}
+          contextMenu={null}
+          setContextMenu={noop}
+          onHover={noop}
+          pivotLog={null}
+          stickyLogsSet={NO_STICKIES}
+          isExpanded={!!expanded[log.id]}
+          onToggleExpanded={onToggleExpanded}
+          columnLayout={DIFF_COLUMNS}
+          highlightRules={highlightRules}
+        />
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Side-by-side diff of two tabs, or two time windows of one tab. Rows are
+ * matched by message template, so times and variable tokens don't count;
+ * missing (left only), inserted (right only) and reordered rows are marked
+ * in the gutter. Click a row to jump to it in its tab.
+ */
+const LogDiffModal = ({ isOpen, onClose, tabs, highlightRules = [], onJumpToRow }) => {
+  const [left, setLeft] = useState({ tabId: '', from: '', to: '' });
+  const [right, setRight] = useState({ tabId: '', from: '', to: '' });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [onlyDifferences, setOnlyDifferences] = useState(false);
+  const [expandedLeft, setExpandedLeft] = useState({});
+  const [expandedRight, setExpandedRight] = useState({});
+  const [changeCursor, setChangeCursor] = useState(-1);
+  const virtuosoRef = useRef(null);
+
+  // Default to the first two tabs (or both sides on the only one)
+  useEffect(() => {
+    if (!isOpen) return;
+    const known = id => tabs.some(tab => tab.tabId === id);
+    setLeft(prev => (known(prev.tabId) ? prev : { tabId: tabs[0]?.tabId || '', from: '', to: '' }));
+    setRight(prev => (known(prev.tabId) ? prev : { tabId: tabs[1]?.tabId || tabs[0]?.tabId || '', from: '', to: '' }));
+  }, [isOpen, tabs]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setResult(null);
+      setError(null);
+    }
+  }, [isOpen]);
+
+  const compiledRules = useMemo(() => compileHighlightRules(highlightRules), [highlightRules]);
+
+  const handleCompare = () => {
+    const sides = [[left, 'Left'], [right, 'Right']].map(([side, label]) => {
+      const tab = tabs.find(t => t.tabId === side.tabId);
+      if (!tab) return { error: `${label}: pick a tab` };
+      const reference = firstTimestampMs(tab.logs);
+      const fromMs = parseWindowTime(side.from, reference);
+      const toMs = parseWindowTime(side.to, reference);
+      if (fromMs === undefined || toMs === undefined) {
+        return { error: `${label}: times look like 2025-07-04 14:19:44.540 or 14:19:44` };
+      }
+      return { tab, ...selectDiffRows(tab.logs, { fromMs, toMs }) };
+    });
+    const failed = sides.find(side => side.error);
+    if (failed) {
+      setError(failed.error);
+      return;
+    }
+    const [leftSide, rightSide] = sides;
+    setError(null);
+    setExpandedLeft({});
+    setExpandedRight({});
+    setChangeCursor(-1);
+    setResult({ left: leftSide, right: rightSide, ...diffLogRows(leftSide.rows, rightSide.rows) });
+  };
+
+  // Rows shown, and where each block of changes starts among them
+  const { visibleRows, changeStarts } = useMemo(() => {
+    if (!result) return { visibleRows: [], changeStarts: [] };
+    const isChange = row => row.left?.status !== 'same' || row.right?.status !== 'same';
+    const shown = [];
+    const starts = [];
+    let previousChanged = false;
+    result.rows.forEach(row => {
+      const changed = isChange(row);
+      if (changed && !previousChanged) starts.push(shown.length);
+      previousChanged = changed;
+      if (changed || !onlyDifferences) shown.push(row);
+    });
+    return { visibleRows: shown, changeStarts: starts };
+  }, [result, onlyDifferences]);
+
+  const goToChange = (delta) => {
+    const next = Math.min(changeStarts.length - 1, Math.max(0, changeCursor + delta));
+    setChangeCursor(next);
+    virtuosoRef.current?.scrollToIndex({ index: changeStarts[next], align: 'start' });
+  };
+
+  const handleOpen = useCallback((side) => (log) => {
+    onJumpToRow({ tabId: side.tab.tabId, tabName: side.tab.tabName, lineNumber: log.lineNumber, sourceFile: log.sourceFile || null });
+    onClose();
+  }, [onJumpToRow, onClose]);
+  const toggleLeft = useCallback(id => setExpandedLeft(prev => ({ ...prev, [id]: !prev[id] })), []);
+  const toggleRight = useCallback(id => setExpandedRight(prev => ({ ...prev, [id]: !prev[id] })), []);
+
+  if (!isOpen) return null;
+
+  const partnerLine = (entry, otherRows) => (entry && entry.status === 'moved' ? { ...entry, partnerLine: otherRows[entry.partner]?.lineNumber } : entry);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl w-full mx-4 max-w-[95vw] h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Compare Logs</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Rows are matched by message with times, ids, addresses and numbers ignored
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-3 flex-1 overflow-hidden flex flex-col">
+          <div className="flex items-end gap-4">
+            <SidePicker label="Left (e.g. the working run)" tabs={tabs} value={left} onChange={setLeft} />
+            <SidePicker label="Right (e.g. the failing run)" tabs={tabs} value={right} onChange={setRight} />
+            <button
+              onClick={handleCompare}
+              className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+            >
+              Compare
+            </button>
+          </div>
+          {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+
+          {result && (
+            <>
+              <div className="flex flex-wrap items-center gap-3 text-xs text-gray-600 dark:text-gray-400">
+                <span>{result.counts.same.toLocaleString()} matching</span>
+                <span className="text-red-700 dark:text-red-300">− {result.counts.missing.toLocaleString()} missing</span>
+                <span className="text-green-700 dark:text-green-300">+ {result.counts.inserted.toLocaleString()} inserted</span>
+                <span className="text-amber-700 dark:text-amber-300">↕ {result.counts.moved.toLocaleString()} reordered</span>
+                {(result.left.truncated || result.right.truncated) && (
+                  <span className="text-red-600 dark:text-red-400">Only the first {MAX_DIFF_ROWS.toLocaleString()} rows of a side are compared — narrow the window</span>
+                )}
+                <span className="flex-1" />
+                <label className="inline-flex items-center gap-1">
+                  <input type="checkbox" checked={onlyDifferences} onChange={e => { setOnlyDifferences(e.target.checked); setChangeCursor(-1); }} />
+                  Only differences
+                </label>
+                <button onClick={() => goToChange(-1)} disabled={changeCursor <= 0} className={navButtonClass}>Previous change</button>
+                <button onClick={() => goToChange(1)} disabled={changeCursor >= changeStarts.length - 1} className={navButtonClass}>Next change</button>
+              </div>
+
+              <div className="grid grid-cols-2 text-xs font-medium text-gray-700 dark:text-gray-300 border-b border-gray-200 dark:border-gray-700">
+                <div className="px-2 py-1 truncate">{result.left.tab.tabName} · {result.left.rows.length.toLocaleString()} rows</div>
+                <div className="px-2 py-1 truncate border-l border-gray-200 dark:border-gray-700">{result.right.tab.tabName} · {result.right.rows.length.toLocaleString()} rows</div>
+              </div>
+              <div className="flex-1 min-h-0">
+                {visibleRows.length === 0 ? (
+                  <p className="px-3 py-2 text-sm text-gray-500 dark:text-gray-400 italic">
+                    {result.rows.length ? 'No differences.' : 'Neither side has rows in the chosen windows.'}
+                  </p>
+                ) : (
+                  <Virtuoso
+                    ref={virtuosoRef}
+                    style={{ height: '100%' }}
+                    data={visibleRows}
+                    itemContent={(index, row) => (
+                      <div className="grid grid-cols-2 divide-x divide-gray-200 dark:divide-gray-700">
+                        <DiffCell
+                          entry={partnerLine(row.left, result.right.rows)}
+                          sideRows={result.left.rows}
+                          index={index}
+                          otherLabel="right"
+                          highlightRules={compiledRules}
+                          expanded={expandedLeft}
+                          onToggleExpanded={toggleLeft}
+                          onOpen={handleOpen(result.left)}
+                        />
+                        <DiffCell
+                          entry={partnerLine(row.right, result.left.rows)}
+                          sideRows={result.right.rows}
+                          index={index}
+                          otherLabel="left"
+                          highlightRules={compiledRules}
+                          expanded={expandedRight}
+                          onToggleExpanded={toggleRight}
+                          onOpen={handleOpen(result.right)}
+                        />
+                      </div>
+                    )}
+                  />
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700">
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Leave a time empty to start at the first row or run to the last. Click a row to jump to it in its tab.
+          </p>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LogDiffModal;
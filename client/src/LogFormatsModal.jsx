@@ -0,0 +1,334 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  FORMAT_FIELDS,
+  NORMALIZED_LEVELS,
+  loadCustomFormats,
+  saveCustomFormats,
+  compileCustomFormat,
+  applyCustomFormat,
+  parseLevelMapText,
+  formatLevelMapText,
+} from './utils/customFormats';
+
+const EMPTY_FORMAT = {
+  name: '',
+  pattern: '^(?<timestamp>\\d{4}-\\d{2}-\\d{2} \\d{2}:\\d{2}:\\d{2}\\.\\d{3}) \\[(?<level>\\w+)\\] \\[(?<module>[^\\]]+)\\] (?<message>.*)$',
+  flags: '',
+  timestampPattern: 'YYYY-MM-DD HH:mm:ss.SSS',
+  levelMapText: 'ERR=error\nWRN=warning\nINF=info\nDBG=debug\nTRC=verbose',
+  fields: {},
+  enabled: true,
+};
+
+const toDraft = (def) => ({
+  ...EMPTY_FORMAT,
+  ...def,
+  levelMapText: formatLevelMapText(def.levelMap),
+  fields: { ...(def.fields || {}) },
+});
+
+const fromDraft = (draft) => {
+  const { levelMapText, ...rest } = draft;
+  const fields = {};
+  Object.entries(draft.fields).forEach(([key, group]) => {
+    if (group) fields[key] = group;
+  });
+  return {
+    ...rest,
+    id: draft.id || `fmt-${Date.now()}`,
+    name: draft.name.trim(),
+    levelMap: parseLevelMapText(levelMapText),
+    fields,
+  };
+};
+
+const LogFormatsModal = ({ isOpen, onClose }) => {
+  const [formats, setFormats] = useState([]);
+  const [editingIndex, setEditingIndex] = useState(null); // null = list view, -1 = new format
+  const [draft, setDraft] = useState(EMPTY_FORMAT);
+  const [sampleText, setSampleText] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setFormats(loadCustomFormats());
+      setEditingIndex(null);
+    }
+  }, [isOpen]);
+
+  // Compile the draft on every change so errors and the preview stay live
+  const { compiled, error } = useMemo(() => {
+    if (editingIndex === null) return { compiled: null, error: null };
+    try {
+      return { compiled: compileCustomFormat(fromDraft(draft)), error: null };
+    } catch (e) {
+      return { compiled: null, error: e.message };
+    }
+  }, [draft, editingIndex]);
+
+  const groupNames = useMemo(
+    () => [...(draft.pattern || '').matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map(m => m[1]),
+    [draft.pattern]
+  );
+
+  const preview = useMemo(() => {
+    if (!compiled) return [];
+    return sampleText
+      .split(/\r?\n/)
+      .filter(line => line.trim())
+      .slice(0, 10)
+      .map(line => ({ line, result: applyCustomFormat(line, compiled) }));
+  }, [compiled, sampleText]);
+
+  if (!isOpen) return null;
+
+  const persist = (next) => {
+    setFormats(next);
+    saveCustomFormats(next);
+  };
+
+  const handleEdit = (index) => {
+    setDraft(index === -1 ? EMPTY_FORMAT : toDraft(formats[index]));
+    setEditingIndex(index);
+  };
+
+  const handleSaveDraft = () => {
+    if (!compiled) return;
+    const def = fromDraft(draft);
+    const duplicate = formats.some((f, i) => i !== editingIndex && f.name === def.name);
+    if (duplicate) {
+      alert(`A format named "${def.name}" already exists.`);
+      return;
+    }
+    const next = [...formats];
+    if (editingIndex === -1) next.push(def);
+    else next[editingIndex] = def;
+    persist(next);
+    setEditingIndex(null);
+  };
+
+  const handleDelete = (index) => {
+    if (!window.confirm(`Delete format "${formats[index].name}"?`)) return;
+    persist(formats.filter((_, i) => i !== index));
+  };
+
+  const handleToggleEnabled = (index) => {
+    persist(formats.map((f, i) => (i === index ? { ...f, enabled: f.enabled === false } : f)));
+  };
+
+  const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+  const labelClass = 'block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            {editingIndex === null ? 'Log Formats' : editingIndex === -1 ? 'New Log Format' : `Edit "${formats[editingIndex]?.name}"`}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        {editingIndex === null ? (
+          <div className="p-4 space-y-2 flex-1 overflow-y-auto">
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Custom formats are tried before the built-in ones when files are opened and grouped.
+              Changes apply to files opened afterwards.
+            </p>
+            {formats.length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 italic">No custom formats defined.</p>
+            )}
+            {formats.map((format, index) => (
+              <div
+                key={format.id || format.name}
+                className="flex items-center justify-between p-3 rounded-md bg-gray-50 dark:bg-gray-900 hover:bg-gray-100 dark:hover:bg-gray-800"
+              >
+                <div className="min-w-0">
+                  <div className="text-sm font-medium text-gray-700 dark:text-gray-300 truncate">{format.name}</div>
+                  <div className="text-xs text-gray-500 dark:text-gray-400 font-mono truncate" title={format.pattern}>{format.pattern}</div>
+                </div>
+                <div className="flex items-center gap-3 flex-shrink-0 ml-3">
+                  <input
+                    type="checkbox"
+                    checked={format.enabled !== false}
+                    onChange={() => handleToggleEnabled(index)}
+                    title="Enabled"
+                    className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded cursor-pointer dark:bg-gray-700 dark:border-gray-600"
+                  />
+                  <button onClick={() => handleEdit(index)} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">Edit</button>
+                  <button onClick={() => handleDelete(index)} className="text-xs text-red-600 dark:text-red-400 hover:underline">Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="p-4 space-y-3 flex-1 overflow-y-auto">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className={labelClass}>Name</label>
+                <input className={inputClass} value={draft.name} onChange={e => setDraft({ ...draft, name: e.target.value })} placeholder="e.g. cato-gateway" />
+              </div>
+              <div>
+                <label className={labelClass}>Timestamp pattern</label>
+                <input
+                  className={`${inputClass} font-mono`}
+                  value={draft.timestampPattern}
+                  onChange={e => setDraft({ ...draft, timestampPattern: e.target.value })}
+                  title="Tokens: YYYY YY MMM MM DD HH mm ss SSS Z, or 'epoch' / 'epoch_ms'"
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className={labelClass}>Regex with named groups</label>
+              <textarea
+                rows={2}
+                className={`${inputClass} font-mono`}
+                value={draft.pattern}
+                onChange={e => setDraft({ ...draft, pattern: e.target.value })}
+              />
+              <label className="inline-flex items-center gap-1 mt-1 text-xs text-gray-600 dark:text-gray-400">
+                <input
+                  type="checkbox"
+                  checked={(draft.flags || '').includes('i')}
+                  onChange={e => setDraft({ ...draft, flags: e.target.checked ? 'i' : '' })}
+                />
+                Case-insensitive
+              </label>
+            </div>
+
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className={labelClass}>Field assignments</label>
+                <div className="space-y-1">
+                  {FORMAT_FIELDS.map(({ key, label, defaultGroup }) => (
+                    <div key={key} className="flex items-center gap-2">
+                      <span className="w-24 text-xs text-gray-600 dark:text-gray-400">{label}</span>
+                      <select
+                        className={inputClass}
+                        value={draft.fields[key] || ''}
+                        onChange={e => setDraft({ ...draft, fields: { ...draft.fields, [key]: e.target.value } })}
+                      >
+                        <option value="">{groupNames.includes(defaultGroup) ? `(auto: ${defaultGroup})` : '(none)'}</option>
+                        {groupNames.map(name => <option key={name} value={name}>{name}</option>)}
+                      </select>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              <div>
+                <label className={labelClass}>Level mappings (RAW=level)</label>
+                <textarea
+                  rows={8}
+                  className={`${inputClass} font-mono`}
+                  value={draft.levelMapText}
+                  onChange={e => setDraft({ ...draft, levelMapText: e.target.value })}
+                />
+                <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Levels: {NORMALIZED_LEVELS.join(', ')}</p>
+              </div>
+            </div>
+
+            <div>
+              <label className={labelClass}>Sample lines</label>
+              <textarea
+                rows={3}
+                className={`${inputClass} font-mono`}
+                value={sampleText}
+                onChange={e => setSampleText(e.target.value)}
+                placeholder="Paste a few log lines to test the format"
+              />
+            </div>
+
+            {error && <div className="text-xs text-red-600 dark:text-red-400">{error}</div>}
+
+            {preview.length > 0 && (
+              <div className="overflow-x-auto border border-gray-200 dark:border-gray-700 rounded">
+                <table className="w-full text-xs font-mono">
+                  <thead className="bg-gray-50 dark:bg-gray-900 text-gray-600 dark:text-gray-400">
+                    <tr>
+                      <th className="px-2 py-1 text-left">Time</th>
+                      <th className="px-2 py-1 text-left">Level</th>
+                      <th className="px-2 py-1 text-left">Module</th>
+                      <th className="px-2 py-1 text-left">Thread</th>
+                      <th className="px-2 py-1 text-left">Message</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {preview.map(({ line, result }, i) => (
+                      <tr key={i} className="border-t border-gray-100 dark:border-gray-800 text-gray-800 dark:text-gray-200">
+                        {result ? (
+                          <>
+                            <td className={`px-2 py-1 whitespace-nowrap ${result.dateTime && !result.timestampInfo ? 'text-red-600 dark:text-red-400' : ''}`}>
+                              {result.timestampInfo ? result.timestampInfo.timestamp : result.dateTime || '—'}
+                            </td>
+                            <td className="px-2 py-1">{result.logLevel || '—'}</td>
+                            <td className="px-2 py-1">{result.moduleName || '—'}</td>
+                            <td className="px-2 py-1">{result.threadId || '—'}</td>
+                            <td className="px-2 py-1 truncate max-w-xs">{result.message}</td>
+                          </>
+                        ) : (
+                          <td colSpan={5} className="px-2 py-1 text-gray-400 dark:text-gray-500 truncate max-w-xs" title={line}>
+                            No match: {line}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Footer */}
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700">
+          {editingIndex === null ? (
+            <>
+              <button
+                onClick={() => handleEdit(-1)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+              >
+                Add Format
+              </button>
+              <button
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+              >
+                Done
+              </button>
+            </>
+          ) : (
+            <>
+              <span />
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setEditingIndex(null)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveDraft}
+                  disabled={!compiled}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+                >
+                  Save Format
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LogFormatsModal;
@@ -13,6 +13,10 @@ import {
 } from './dateTimeUtils';
 import { cleanMessage } from './utils/logLevelColors';
 import { replaceProcessIdWithType } from './utils/processTypeMapper';
+import { getQueryAst, matchesQuery, getQueryHighlightRegexes } from './utils/queryLanguage';
+import { compileHighlightRules, applyHighlightRules, getRowTint } from './utils/highlightRules';
+import { getQueryCandidates, getTermsCandidates, getCandidateIds } from './utils/logIndex';
+import { getAtBottomChange, getNewRowCount, getFollowLabel } from './utils/tailFollow';
 
 // Unified column registry. Each entry can render its own header label and
 // body cell. The whole row is laid out as a single flex container; columns
@@ -465,7 +469,7 @@ const cleanAndCombineFilters = (currentFilter, newFilterType, newFilterValue) =>
 };
 
 // Component definition
-const LogItemComponent = ({ log, onClick, isHighlighted, isSelected, filters, index, onFiltersChange, previousLog, contextMenu, setContextMenu, onHover, pivotLog, stickyLogsSet, isExpanded, onToggleExpanded, hasMergedSources = false, columnLayout = [] }) => {
+const LogItemComponent = ({ log, onClick, isHighlighted, isSelected, filters, index, onFiltersChange, previousLog, contextMenu, setContextMenu, onHover, pivotLog, stickyLogsSet, isExpanded, onToggleExpanded, hasMergedSources = false, columnLayout = [], highlightRules = [], queryHighlights = null }) => {
   // Ref to measure content height
   const contentRef = useRef(null);
 
@@ -531,9 +535,18 @@ const LogItemComponent = ({ log, onClick, isHighlighted, isSelected, filters, in
     let messageHtml = cleanedMessage;
 
     // Helper function to process highlight terms
-    const processHighlights = (searchText, markClass, isRegex, isCaseSensitive) => {
+    const processHighlights = (searchText, markClass, isRegex, isCaseSensitive, queryRegexes) => {
       if (!searchText) return;
 
+      // Field-qualified queries: their plain terms and msg: values, parsed
+      // once by the list
+      if (queryRegexes) {
+        queryRegexes.forEach(regex => {
+          messageHtml = messageHtml.replace(regex, `<mark class="${markClass}">$1</mark>`);
+        });
+        return;
+      }
+
       const terms = searchText
         .split('||')
         .flatMap((part, partIdx, allParts) => {
@@ -575,13 +588,17 @@ const LogItemComponent = ({ log, onClick, isHighlighted, isSelected, filters, in
     };
 
     // Highlight filter terms (blue)
-    processHighlights(filters.searchText, 'bg-blue-200 dark:bg-blue-500', filters.filterMode === 'regex', filters.filterCaseSensitive);
+    processHighlights(filters.searchText, 'bg-blue-200 dark:bg-blue-500', filters.filterMode === 'regex', filters.filterCaseSensitive, queryHighlights?.filter);
 
     // Highlight search query terms (green)
-    processHighlights(filters.searchQuery, 'bg-green-200 dark:bg-green-600 font-bold', filters.searchMode === 'regex', filters.searchCaseSensitive);
+    processHighlights(filters.searchQuery, 'bg-green-200 dark:bg-green-600 font-bold', filters.searchMode === 'regex', filters.searchCaseSensitive, queryHighlights?.search);
+
+    // Highlight rules (their own colors), around the filter and search marks
+    return applyHighlightRules(messageHtml, highlightRules);
+  }, [cleanedMessage, filters.searchQuery, filters.searchText, filters.filterMode, filters.searchMode, filters.filterCaseSensitive, filters.searchCaseSensitive, highlightRules, queryHighlights]);
 
-    return messageHtml;
-  }, [cleanedMessage, filters.searchQuery, filters.searchText, filters.filterMode, filters.searchMode, filters.filterCaseSensitive, filters.searchCaseSensitive]);
+  // Whole-row tint from the first matching row-tint highlight rule
+  const rowTint = useMemo(() => getRowTint(cleanedMessage, highlightRules), [cleanedMessage, highlightRules]);
 
   // Determine log level for styling - use the parsed level field, with fallback to pattern matching
   const logLevel = useMemo(() => {
@@ -635,6 +652,8 @@ const LogItemComponent = ({ log, onClick, isHighlighted, isSelected, filters, in
         // Count menu items dynamically
         const menuItems = [
           'Sticky Log Line',
+          'Trace This Request',
+          'Copy Link to This Row',
           'separator',
           'Set as "From" log line index',
           'Set as "To" log line index',
@@ -741,7 +760,7 @@ const LogItemComponent = ({ log, onClick, isHighlighted, isSelected, filters, in
               ? (isDarkMode ? CATO_COLORS.DARK_HIGHLIGHT_BG : CATO_COLORS.LIGHT_HIGHLIGHT_BG)
               : isSelected
                 ? (isDarkMode ? CATO_COLORS.DARK_BG : CATO_COLORS.LIGHT_BG)
-                : undefined,
+                : rowTint || undefined,
         }}
         onMouseEnter={(e) => {
           if (!isHighlighted && !isSelected && !(pivotLog && pivotLog.id === log.id) && !hasSticky) {
@@ -752,7 +771,7 @@ const LogItemComponent = ({ log, onClick, isHighlighted, isSelected, filters, in
         onMouseLeave={(e) => {
           // Always reset inline styles on mouse leave unless it's a pivot log or sticky log
           if (!(pivotLog && pivotLog.id === log.id) && !hasSticky) {
-            e.currentTarget.style.backgroundColor = '';
+            e.currentTarget.style.backgroundColor = rowTint || '';
           }
           onHover(null);
         }}
@@ -787,12 +806,24 @@ const LogItemComponent = ({ log, onClick, isHighlighted, isSelected, filters, in
   );
 };
 
-// Memoize component for performance
-const LogItem = memo(LogItemComponent);
+// Memoize component for performance. Also renders the rows of the diff view.
+export const LogItem = memo(LogItemComponent);
 
 LogItem.displayName = 'LogItem';
 
-const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogId, filters, onFiltersChange, onSearchMatchUpdate, onHover, pivotLog, onSetPivot, onClearPivot, stickyLogs, onAddStickyLog, highlightLog, visibleColumns = {}, columnOrder = DEFAULT_COLUMN_ORDER, onColumnOrderChange, viewKey = 'default', isLiveMode = false }) => {
+// Full-width row marking where a live connection dropped and resumed
+const GapMarkerRow = memo(({ log }) => (
+  <div className="flex items-center gap-2 px-3 py-1 border-y border-dashed border-amber-400 dark:border-amber-600 bg-amber-50 dark:bg-amber-900/30 text-xs text-amber-800 dark:text-amber-300">
+    <svg className="w-3.5 h-3.5 flex-shrink-0" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01M10.29 3.86L1.82 18a2 2 0 001.71 3h16.94a2 2 0 001.71-3L13.71 3.86a2 2 0 00-3.42 0z" />
+    </svg>
+    <span className="truncate">{log.message}</span>
+  </div>
+));
+
+GapMarkerRow.displayName = 'GapMarkerRow';
+
+const LogListView = ({ logs, allLogs, logIndex = null, onLogClick, highlightedLogId, selectedLogId, filters, onFiltersChange, onSearchMatchUpdate, onHover, pivotLog, onSetPivot, onClearPivot, stickyLogs, onAddStickyLog, onTraceLog, onCopyRowLink, highlightLog, highlightRules = [], visibleColumns = {}, columnOrder = DEFAULT_COLUMN_ORDER, onColumnOrderChange, viewKey = 'default', isLiveMode = false }) => {
   const virtuosoRef = useRef(null);
   // Refs for each item element to allow focus
   const itemRefs = useRef({});
@@ -985,6 +1016,23 @@ const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogI
     });
     return ids;
   }, [stickyLogs]);
+  const compiledHighlightRules = useMemo(() => compileHighlightRules(highlightRules), [highlightRules]);
+  // Field-qualified filter / search queries, parsed once for the whole list
+  // (null for text matched with the plain syntax)
+  const filterQueryAst = useMemo(
+    () => getQueryAst(filters.searchText, { mode: filters.filterMode, caseSensitive: filters.filterCaseSensitive }),
+    [filters.searchText, filters.filterMode, filters.filterCaseSensitive]
+  );
+  const searchQueryAst = useMemo(
+    () => getQueryAst(filters.searchQuery, { mode: filters.searchMode, caseSensitive: filters.searchCaseSensitive }),
+    [filters.searchQuery, filters.searchMode, filters.searchCaseSensitive]
+  );
+  // Their terms as global, capturing regexes for the rows' highlighting
+  const queryHighlights = useMemo(() => {
+    const toGlobal = (ast) => ast && getQueryHighlightRegexes(ast)
+      .map(regex => new RegExp(`(${regex.source})`, `${regex.flags.replace('g', '')}g`));
+    return { filter: toGlobal(filterQueryAst), search: toGlobal(searchQueryAst) };
+  }, [filterQueryAst, searchQueryAst]);
   const [currentStickyDate, setCurrentStickyDate] = useState(null);
   const [targetNavigationDate, setTargetNavigationDate] = useState(null);
   // Search navigation state
@@ -1108,10 +1156,63 @@ const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogI
 
     return items;
   }, [groupedLogs]); // Removed unnecessary filter dependencies
+
+  // ── Live tail-follow ────────────────────────────────────────────────────────
+  // While following, Virtuoso keeps the newest row in view. Leaving the bottom
+  // for any reason other than rows arriving (scrolling up, jumping to a match
+  // or line) stops following; new rows are then counted on a badge.
+  const [isFollowing, setIsFollowing] = useState(true);
+  const [pausedRowCount, setPausedRowCount] = useState(0);
+  const flatLogsLengthRef = useRef(0);
+  const lengthAtBottomRef = useRef(0);
+  flatLogsLengthRef.current = flatLogs.length;
+
+  useEffect(() => {
+    setIsFollowing(true);
+  }, [isLiveMode, viewKey]);
+
+  // Filter changes rebuild the list, so the count restarts from what's visible
+  useEffect(() => {
+    setPausedRowCount(flatLogsLengthRef.current);
+  }, [isFollowing, filters]);
+
+  const handleAtBottomStateChange = useCallback((atBottom) => {
+    const { following, rowCountAtBottom } = getAtBottomChange({
+      atBottom,
+      isLiveMode,
+      rowCount: flatLogsLengthRef.current,
+      rowCountAtBottom: lengthAtBottomRef.current,
+    });
+    lengthAtBottomRef.current = rowCountAtBottom;
+    if (following !== null) setIsFollowing(following);
+  }, [isLiveMode]);
+
+  const jumpToTail = useCallback(() => {
+    setIsFollowing(true);
+    if (flatLogsLengthRef.current > 0) {
+      virtuosoRef.current?.scrollToIndex({ index: flatLogsLengthRef.current - 1, align: 'end' });
+    }
+  }, []);
+
+  const newRowCount = getNewRowCount({ isLiveMode, isFollowing, rowCount: flatLogs.length, pausedRowCount });
   // Compute search match positions based on searchQuery - optimized for performance
   const matchIndices = useMemo(() => {
     if (!filters.searchQuery || !flatLogs.length) return [];
 
+    // Field-qualified query: every row the query matches
+    if (searchQueryAst) {
+      const ast = searchQueryAst;
+      const candidateIds = getCandidateIds(logIndex, getQueryCandidates(logIndex, ast, filters.searchMode));
+      const queryIndices = [];
+      let prevTimestampMs = null;
+      flatLogs.forEach((log, idx) => {
+        const isCandidate = !candidateIds || candidateIds.has(log.id);
+        if (isCandidate && matchesQuery(ast, log, { prevTimestampMs })) queryIndices.push(idx);
+        if (log.timestampMs != null) prevTimestampMs = log.timestampMs;
+      });
+      return queryIndices;
+    }
+
     const unquote = (t) =>
       t.startsWith('"') && t.endsWith('"') && t.length >= 2 ? t.slice(1, -1) : t;
 
@@ -1161,6 +1262,11 @@ const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogI
       return parts.join(' ');
     };
 
+    // Rows the token index rules out can't match a term (gaps match any row)
+    const candidateIds = filters.searchMode !== 'regex' && gapThreshold <= 0
+      ? getCandidateIds(logIndex, getTermsCandidates(logIndex, terms))
+      : null;
+
     const indices = [];
     let prevTimestampMs = null;
     for (let idx = 0; idx < flatLogs.length; idx++) {
@@ -1175,7 +1281,7 @@ const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogI
 
       // Text term matches (OR semantics, like elsewhere)
       let textMatches = false;
-      if (terms.length) {
+      if (terms.length && (!candidateIds || candidateIds.has(log.id))) {
         const searchableText = getSearchableText(log);
         textMatches = terms.some(term => {
           try {
@@ -1200,7 +1306,7 @@ const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogI
     }
 
     return indices;
-  }, [filters.searchQuery, filters.searchMode, filters.searchCaseSensitive, flatLogs]);
+  }, [filters.searchQuery, filters.searchMode, filters.searchCaseSensitive, flatLogs, logIndex, searchQueryAst]);
   // Reset on search query change (not on every matchIndices recalculation)
   useEffect(() => {
     setCurrentMatchIndex(matchIndices.length ? 0 : -1);
@@ -1620,6 +1726,20 @@ const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogI
     setContextMenu(null);
   }, [onAddStickyLog, contextMenu]);
 
+  const handleTraceLog = useCallback(() => {
+    if (onTraceLog && contextMenu?.log) {
+      onTraceLog(contextMenu.log);
+    }
+    setContextMenu(null);
+  }, [onTraceLog, contextMenu]);
+
+  const handleCopyRowLink = useCallback(() => {
+    if (onCopyRowLink && contextMenu?.log) {
+      onCopyRowLink(contextMenu.log);
+    }
+    setContextMenu(null);
+  }, [onCopyRowLink, contextMenu]);
+
   // Validate go to line input
   const validateGoToLineInput = useCallback((value) => {
     if (value === '') return true; // Empty input is considered valid (not an error state)
@@ -1959,11 +2079,12 @@ const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogI
       </div>
 
       {/* React Virtuoso List - NO CUSTOM VIRTUAL SCROLLING! */}
-      <div className="flex-1">
+      <div className="flex-1 relative">
         <Virtuoso
           ref={virtuosoRef}
           data={flatLogs}
-          followOutput={isLiveMode ? (isAtBottom => isAtBottom ? 'smooth' : false) : false}
+          followOutput={isLiveMode && isFollowing ? 'smooth' : false}
+          atBottomStateChange={handleAtBottomStateChange}
           itemContent={(index, log) => {
             const previousLog = index > 0 ? flatLogs[index - 1] : null;
             const showDateSeparator = previousLog && log.date && previousLog.date !== log.date;
@@ -1976,6 +2097,19 @@ const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogI
                 data-log-id={log.id}
                 className="outline-none"
               >
+                {/* Context block separator (like grep's --) */}
+                {log.hiddenRowsBefore > 0 && index > 0 && (
+                  <div className="relative py-0.5" title={`${log.hiddenRowsBefore.toLocaleString()} rows between these context blocks are hidden`}>
+                    <div className="absolute inset-0 flex items-center">
+                      <div className="w-full border-t border-dashed border-gray-300 dark:border-gray-600"></div>
+                    </div>
+                    <div className="relative flex justify-center text-[10px]">
+                      <span className="bg-white dark:bg-gray-900 px-2 text-gray-400 dark:text-gray-500 font-mono">
+                        ⋯ {log.hiddenRowsBefore.toLocaleString()} hidden
+                      </span>
+                    </div>
+                  </div>
+                )}
                 {/* Date Separator */}
                 {showDateSeparator && (
                   <div className="relative my-2">
@@ -1989,7 +2123,7 @@ const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogI
                     </div>
                   </div>
                 )}
-                <LogItem
+                {log.isGapMarker ? <GapMarkerRow log={log} /> : <LogItem
                   log={log}
                   onClick={onLogClick}
                   isHighlighted={highlightedLogId === log.id}
@@ -2007,13 +2141,35 @@ const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogI
                   onToggleExpanded={toggleLogExpanded}
                   hasMergedSources={hasMergedSources}
                   columnLayout={columnLayout}
-                />
+                  highlightRules={compiledHighlightRules}
+                  queryHighlights={queryHighlights}
+                />}
               </div>
             );
           }}
           rangeChanged={handleRangeChanged}
           style={{ height: '100%' }}
         />
+
+        {/* Tail-follow toggle / new rows badge (live mode) */}
+        {isLiveMode && (
+          <button
+            onClick={isFollowing ? () => setIsFollowing(false) : jumpToTail}
+            title={isFollowing ? 'Following new rows — click to stop' : 'Jump to the newest row and follow'}
+            className={`absolute bottom-4 right-6 z-10 flex items-center gap-1.5 px-3 py-1.5 rounded-full shadow-lg text-xs font-medium transition-colors ${
+              isFollowing
+                ? 'bg-green-600 hover:bg-green-700 text-white'
+                : newRowCount > 0
+                  ? 'bg-blue-600 hover:bg-blue-700 text-white'
+                  : 'bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300'
+            }`}
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M19 14l-7 7m0 0l-7-7m7 7V3" />
+            </svg>
+            {getFollowLabel(isFollowing, newRowCount)}
+          </button>
+        )}
       </div>
 
       {/* Context Menu */}
@@ -2029,6 +2185,24 @@ const LogListView = ({ logs, allLogs, onLogClick, highlightedLogId, selectedLogI
           >
             Sticky Log Line
           </button>
+          {onTraceLog && (
+            <button
+              onClick={handleTraceLog}
+              className="w-full px-2 py-1 text-left text-xs hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300"
+              title="Follow this row's session / request / tunnel ids through every loaded tab"
+            >
+              Trace This Request
+            </button>
+          )}
+          {onCopyRowLink && (
+            <button
+              onClick={handleCopyRowLink}
+              className="w-full px-2 py-1 text-left text-xs hover:bg-gray-100 dark:hover:bg-gray-700 text-gray-700 dark:text-gray-300"
+              title="Copy a link that opens this view with this row selected, once the same files are loaded"
+            >
+              Copy Link to This Row
+            </button>
+          )}
 
           {/* Separator */}
           <div className="border-t border-gray-200 dark:border-gray-600 my-1"></div>
@@ -6,6 +6,7 @@ import {
 } from './dateTimeUtils.js';
 import { LOG_LEVEL_MATRIX } from './constants.js';
 import { getProcessTypeFromModule } from './utils/processTypeMapper.js';
+import { matchCustomFormat } from './utils/customFormats.js';
 
 /**
  * Log parsing utilities - handles parsing of different log formats including iOS and Windows
@@ -416,14 +417,17 @@ export const normalizeTimestamp = (timestamp) => {
  * @param {number} lineNumber - The line number in the file
  * @param {number} logId - The unique ID for this log entry
  * @param {string} dateFormat - The date format detected from file (MM/DD/YY or DD/MM/YY)
+ * @param {Object|null} [customMatch] - matchCustomFormat(line), when the caller already has it
  * @returns {Object} - Parsed log object with all extracted information
  */
-export const parseLogLine = (line, lineNumber, logId, dateFormat = 'DD/MM/YY') => {
-  const timestamp = extractTimestamp(line);
-  
+export const parseLogLine = (line, lineNumber, logId, dateFormat = 'DD/MM/YY', customMatch) => {
   // Use parseLogFormat to get properly extracted message and other fields
-  const parsedFormat = parseLogFormat(line);
+  const parsedFormat = parseLogFormat(line, customMatch);
   const cleanMessage = parsedFormat?.message || line; // Fallback to full line if parsing fails
+
+  // User-defined formats carry their own timestamp pattern
+  const customTimestamp = parsedFormat?.timestampInfo;
+  const timestamp = customTimestamp ? customTimestamp.timestamp : extractTimestamp(line);
   
   // Create display-ready timestamp, date and time at parse time
   // Also create numeric timestamp for sorting/comparisons
@@ -431,7 +435,11 @@ export const parseLogLine = (line, lineNumber, logId, dateFormat = 'DD/MM/YY') =
   let displayTime = null;
   let timestampMs = null;
   
-  if (timestamp) {
+  if (customTimestamp) {
+    timestampMs = customTimestamp.timestampMs;
+    displayDate = formatDateWithMonthName(customTimestamp.isoDate);
+    displayTime = customTimestamp.time;
+  } else if (timestamp) {
     // Handle slash format like "01/06/25 07:48:11.989"
     const slashMatch = timestamp.match(/(\d{2})\/(\d{2})\/(\d{2})\s+(\d{2}):(\d{2}):(\d{2})[:.](\d{3})/);
     if (slashMatch) {
@@ -499,53 +507,13 @@ export const parseLogLine = (line, lineNumber, logId, dateFormat = 'DD/MM/YY') =
 };
 
 /**
- * Parse log file content and group lines by timestamp
- * @param {string} content - The raw log file content
- * @param {Array} headerLines - Array of line numbers that are headers (to skip)
- * @param {string} dateFormat - The date format detected from file (MM/DD/YY or DD/MM/YY)
- * @returns {Array} - Array of parsed log objects
+ * Fill in processName for every log: the first module seen for a process ID
+ * that maps to a known process type names that process everywhere.
+ * @param {Array} logs - Parsed logs (mutated in place)
+ * @returns {Array} - The same array
  */
-export const parseLogContent = (content, headerLines = [], dateFormat = 'DD/MM/YY') => {
-  const allLines = content.split('\n'); // Keep all lines including empty ones
-  const logs = [];
-  let currentLog = null;
-  let lastLogWithTimestamp = null;
-
-  // First pass: parse all logs
-  allLines.forEach((line, idx) => {
-    if (!line.trim() || headerLines.includes(idx)) return;
-
-    // If the line starts with whitespace (space/tab/newline) or with '{' or
-    // '}', treat it as a continuation of the previous record even if a
-    // timestamp happens to appear later in the line. This keeps indented
-    // blocks (e.g. JSON payloads emitted under a parent log) attached to
-    // their parent row.
-    const isContinuationLine = /^[\s{}]/.test(line);
-    const hasTimestamp = !isContinuationLine && extractTimestamp(line);
-    
-    if (hasTimestamp) {
-      // Start a new log entry
-      if (currentLog) logs.push(currentLog);
-      currentLog = parseLogLine(line, idx + 1, logs.length, dateFormat);
-      lastLogWithTimestamp = currentLog;
-    } else if (currentLog) {
-      // Append continuation line to the current log's message/raw so the
-      // whole multiline block (e.g. an indented JSON payload) renders as
-      // a single record instead of a separate row per line.
-      currentLog.raw = (currentLog.raw || '') + '\n' + line;
-      currentLog.message = (currentLog.message || '') + '\n' + line;
-      if (!currentLog.originalLineNumbers) currentLog.originalLineNumbers = [currentLog.lineNumber];
-      currentLog.originalLineNumbers.push(idx + 1);
-    } else {
-      // If the first line(s) have no timestamp, treat as a log
-      if (currentLog) logs.push(currentLog);
-      currentLog = parseLogLine(line, idx + 1, logs.length, dateFormat);
-    }
-  });
-  
-  if (currentLog) logs.push(currentLog);
-
-  // Second pass: build process ID to process type mapping
+export const assignProcessNames = (logs) => {
+  // First pass: build process ID to process type mapping
   const processIdToTypeMap = new Map();
   
   logs.forEach(log => {
@@ -557,7 +525,7 @@ export const parseLogContent = (content, headerLines = [], dateFormat = 'DD/MM/Y
     }
   });
 
-  // Third pass: update all logs with processName
+  // Second pass: update all logs with processName
   logs.forEach(log => {
     if (log.process) {
       log.processName = processIdToTypeMap.get(log.process) || log.process;
@@ -569,12 +537,120 @@ export const parseLogContent = (content, headerLines = [], dateFormat = 'DD/MM/Y
   return logs;
 };
 
+/**
+ * Create an incremental parser that accepts text in arbitrary chunks and
+ * returns log entries as soon as they are complete. Multi-line stitching
+ * state (the record still collecting continuation lines and any partial
+ * trailing line) is kept between chunks, so feeding a file piece by piece
+ * yields exactly what parseLogContent returns for the whole text.
+ *
+ * processName is assigned from the process types seen so far; run
+ * assignProcessNames over the full result to apply mappings learned later.
+ *
+ * @param {Object} options
+ * @param {Array} options.headerLines - 0-based line indexes to skip
+ * @param {string} options.dateFormat - MM/DD/YY or DD/MM/YY
+ * @param {number} options.startLine - 0-based index of the first line fed in
+ * @param {number} options.startId - ID for the first emitted log
+ * @returns {{push: Function, flush: Function, peek: Function}}
+ */
+export const createLogStreamParser = ({ headerLines = [], dateFormat = 'DD/MM/YY', startLine = 0, startId = 0 } = {}) => {
+  const skipLines = new Set(headerLines);
+  const processIdToTypeMap = new Map();
+  let remainder = '';
+  let lineIndex = startLine;
+  let nextId = startId;
+  let currentLog = null;
+
+  const emit = (log, out) => {
+    if (log.process && log.module && !processIdToTypeMap.has(log.process)) {
+      const processType = getProcessTypeFromModule(log.module);
+      if (processType) processIdToTypeMap.set(log.process, processType);
+    }
+    log.processName = log.process ? (processIdToTypeMap.get(log.process) || log.process) : '';
+    out.push(log);
+    nextId++;
+  };
+
+  const processLine = (line, out) => {
+    const idx = lineIndex++;
+    if (!line.trim() || skipLines.has(idx)) return;
+
+    // If the line starts with whitespace (space/tab/newline) or with '{' or
+    // '}', treat it as a continuation of the previous record even if a
+    // timestamp happens to appear later in the line. This keeps indented
+    // blocks (e.g. JSON payloads emitted under a parent log) attached to
+    // their parent row.
+    const isContinuationLine = /^[\s{}]/.test(line);
+    // Matched once here and handed to parseLogLine
+    const customMatch = isContinuationLine ? undefined : matchCustomFormat(line);
+    const hasTimestamp = !isContinuationLine && (extractTimestamp(line) || customMatch?.timestampInfo);
+
+    if (hasTimestamp || !currentLog) {
+      // Start a new log entry (lines before the first timestamp are logs too)
+      if (currentLog) emit(currentLog, out);
+      currentLog = parseLogLine(line, idx + 1, nextId, dateFormat, customMatch);
+    } else {
+      // Append continuation line to the current log's message/raw so the
+      // whole multiline block (e.g. an indented JSON payload) renders as
+      // a single record instead of a separate row per line.
+      currentLog.raw = (currentLog.raw || '') + '\n' + line;
+      currentLog.message = (currentLog.message || '') + '\n' + line;
+      if (!currentLog.originalLineNumbers) currentLog.originalLineNumbers = [currentLog.lineNumber];
+      currentLog.originalLineNumbers.push(idx + 1);
+    }
+  };
+
+  return {
+    // Feed a chunk of text; returns the logs completed by it
+    push(text) {
+      const out = [];
+      const lines = (remainder + text).split('\n');
+      remainder = lines.pop();
+      lines.forEach(line => processLine(line, out));
+      return out;
+    },
+    // End of input: returns the trailing partial line and pending record
+    flush() {
+      const out = [];
+      if (remainder) processLine(remainder, out);
+      remainder = '';
+      if (currentLog) emit(currentLog, out);
+      currentLog = null;
+      return out;
+    },
+    // The record still collecting continuation lines, if any
+    peek() {
+      return currentLog;
+    },
+  };
+};
+
+/**
+ * Parse log file content and group lines by timestamp
+ * @param {string} content - The raw log file content
+ * @param {Array} headerLines - Array of line numbers that are headers (to skip)
+ * @param {string} dateFormat - The date format detected from file (MM/DD/YY or DD/MM/YY)
+ * @returns {Array} - Array of parsed log objects
+ */
+export const parseLogContent = (content, headerLines = [], dateFormat = 'DD/MM/YY') => {
+  const parser = createLogStreamParser({ headerLines, dateFormat });
+  const logs = parser.push(content);
+  logs.push(...parser.flush());
+  return assignProcessNames(logs);
+};
+
 /**
  * Parse different log format variations for detailed component extraction
  * @param {string} line - The log line to parse
+ * @param {Object|null} [customMatch] - matchCustomFormat(line), when the caller already has it
  * @returns {Object|null} - Parsed components or null if not a recognized format
  */
-export const parseLogFormat = (line) => {
+export const parseLogFormat = (line, customMatch = matchCustomFormat(line)) => {
+  // User-defined formats (see utils/customFormats.js) take precedence so a
+  // team can override how a known-looking line is split up.
+  if (customMatch) return customMatch;
+
   // Cato socket format (Linux daemon, pipe-separated):
   //   2026-05-11T08:49:19.3907Z<ANSI>? [thread] function:line|LEVEL|MODULE|aux|[state|]?message<ANSI>?
   // Example:
@@ -1,7 +1,7 @@
 import React, { useMemo } from 'react';
 import { getFileDisplayName, getFileFullName } from './useLogsModel';
 
-const LogTabs = ({ files, activeFileIndex, onFileSelect, onFileClose, showingCombinedView, onCombinedViewSelect, allFileLogs = {}, isFileLoading, onCloseAll, onExportActive, onExportFile, isLiveMode = false, onFromNow }) => {
+const LogTabs = ({ files, activeFileIndex, onFileSelect, onFileClose, showingCombinedView, onCombinedViewSelect, allFileLogs = {}, isFileLoading, getFileLoadProgress, onCloseAll, onExportActive, onExportFile, isLiveMode = false, onFromNow }) => {
     const renderExportButton = (label) => (
         <button
             onClick={(e) => {
@@ -52,6 +52,7 @@ const LogTabs = ({ files, activeFileIndex, onFileSelect, onFileClose, showingCom
                 <div className="flex overflow-x-auto flex-1">
                     {sortedTabs.map(({ file, originalIndex, label }) => {
                         const loading = isFileLoading ? isFileLoading(file.id) : false;
+                        const progress = loading && getFileLoadProgress ? getFileLoadProgress(file.id) : null;
                         const isActive = activeFileIndex === originalIndex && !showingCombinedView;
                         const tabLabel = label;
                         return (
@@ -64,9 +65,9 @@ const LogTabs = ({ files, activeFileIndex, onFileSelect, onFileClose, showingCom
                                 onClick={() => {
                                     onFileSelect(originalIndex);
                                 }}
-                                title={getFileFullName(file.id)}
+                                title={file.isReference ? `${getFileFullName(file.id)} — open this file again to load it` : getFileFullName(file.id)}
                             >
-                                <span className={`text-xs flex items-center ${file.isLive ? 'text-green-500 dark:text-green-400 font-medium' : ''}`}>
+                                <span className={`text-xs flex items-center ${file.isLive ? 'text-green-500 dark:text-green-400 font-medium' : ''} ${file.isReference ? 'italic text-gray-400 dark:text-gray-500' : ''}`}>
                                     {tabLabel}
                                     {loading && (
                                         <svg className="ml-2 animate-spin h-4 w-4 text-blue-400" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -74,6 +75,11 @@ const LogTabs = ({ files, activeFileIndex, onFileSelect, onFileClose, showingCom
                                             <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z"></path>
                                         </svg>
                                     )}
+                                    {progress && progress.total > 0 && (
+                                        <span className="ml-1 text-[10px] font-mono text-blue-400" title={`${progress.rows.toLocaleString()} rows parsed`}>
+                                            {Math.floor((progress.loaded / progress.total) * 100)}%
+                                        </span>
+                                    )}
                                 </span>
                                 {file.isLive && !loading && renderLiveDownloadButton(file.id, tabLabel)}
                                 {!file.isLive && isActive && !loading && renderExportButton(tabLabel)}
@@ -1,4 +1,5 @@
 import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import LogListView from './LogListView';
 import LogModal from './LogModal';
 import LogViewerHeader from './LogViewerHeader';
@@ -11,9 +12,44 @@ import { getFileDisplayName } from './utils/fileLoader';
 import { saveSession, loadSession, clearSession } from './utils/sessionStorage';
 import { groupFilesByPrefix, groupFilesByDirectory, groupFilesByDirectoryAndFormat, naturalSort, hasValidLogExtension } from './utils/fileGrouping';
 import { isArchiveFile, expandArchivesInList } from './utils/archiveExtractor';
-import { exportLogsToFile } from './utils/exportLogs';
+import { exportLogsToFile, getExportFields, saveTextFile, sanitizeFilename } from './utils/exportLogs';
 import { AVAILABLE_COLUMNS } from './ColumnSettings';
-import useLiveLogs from './utils/useLiveLogs';
+import useLiveLogs, { loadLiveServer, saveLiveServer, fetchLiveSources, getLiveServerPort, loadLiveBackfillLines } from './utils/useLiveLogs';
+import LiveSourcesDialog from './LiveSourcesDialog';
+import useLiveAlerts from './utils/useLiveAlerts';
+import LiveAlertsPanel from './LiveAlertsPanel';
+import MergeSourcesModal from './MergeSourcesModal';
+import { getMergeSources, loadCustomMergeSources, saveCustomMergeSources } from './utils/mergeSources';
+import ClockOffsetsModal from './ClockOffsetsModal';
+import { loadClockOffsets, saveClockOffsets, getTabClockKey } from './utils/clockSkew';
+import { getQueryAst, matchesQuery } from './utils/queryLanguage';
+import { getQueryCandidates, getTermsCandidates, getCandidateIds } from './utils/logIndex';
+import MessageTemplatesModal from './MessageTemplatesModal';
+import StatisticsModal from './StatisticsModal';
+import BookmarksPanel from './BookmarksPanel';
+import HighlightRulesPanel from './HighlightRulesPanel';
+import TraceModal from './TraceModal';
+import LogDiffModal from './LogDiffModal';
+import ExportModal from './ExportModal';
+import WorkspaceModal from './WorkspaceModal';
+import SessionManagerModal from './SessionManagerModal';
+import {
+  BUNDLE_EXTENSION,
+  buildWorkspaceBundle,
+  validateWorkspaceBundle,
+  getBundleTabs,
+  encodeWorkspaceBundle,
+  decodeWorkspaceBundle,
+  readStoredLayout,
+  writeStoredLayout,
+  readStoredFilterPresets,
+  mergeFilterPresets,
+} from './utils/workspaceBundle';
+import { loadHighlightRules, saveHighlightRules } from './utils/highlightRules';
+import { getTemplateQuery, addTemplateExclusion } from './utils/messageTemplates';
+import TimelineHistogram from './TimelineHistogram';
+import { setDateRangeInFilter, removeDateRangeFromFilter } from './utils/timeline';
+import { getDeepLinkRow, buildDeepLinkParams, parseDeepLink, findDeepLinkTab, findDeepLinkRow } from './utils/deepLink';
 
 // Turn a raw folder name like "2387341752-260422074919 (1)" into the short
 // label we want in the page title.
@@ -44,6 +80,7 @@ function cleanFolderLabel(name) {
 const LogViewer = () => {
   const {
     logs,
+    logIndex,
     filteredLogs,
     moduleOptions,
     selectedLog,
@@ -51,10 +88,14 @@ const LogViewer = () => {
     highlightedLogId,
     logFileHeaders,
     allFileLogs,
+    allFileFilters,
+    allFileStickyLogs,
     stickyLogs,
     loadLogs,
     requestFileLoad,
     isFileLoading,
+    getFileLoadProgress,
+    blockingLoadProgress,
     isAnyFileLoading,
     setSelectedLog,
     updateFilters,
@@ -63,15 +104,21 @@ const LogViewer = () => {
     clearHighlight,
     getCurrentFileHeaders,
     setLogsForFile,
-    updateLogsBackground,
+    appendLogsForFile,
     setLogFileHeaders,
     switchToFile,
     removeLogsForFile,
     addStickyLog,
+    addStickyLogForFile,
     removeStickyLog,
     clearAllStickyLogs,
     updateStickyLogTitle,
+    updateStickyLog,
+    exportBookmarks,
+    importBookmarks,
+    restoreFileState,
     scrollToLog,
+    currentFileName,
     resetModel
   } = useLogsModel();
 
@@ -260,10 +307,74 @@ const LogViewer = () => {
   const endPreparingFiles = useCallback(() => setPrepareFilesCount(c => Math.max(0, c - 1)), []);
   const [isDownloadingMerged, setIsDownloadingMerged] = useState(false);
   const [isMergeDialogOpen, setIsMergeDialogOpen] = useState(false);
+  const [showMergeSources, setShowMergeSources] = useState(false);
+  const [customMergeSources, setCustomMergeSources] = useState(loadCustomMergeSources);
+  const mergeSources = useMemo(() => getMergeSources(customMergeSources), [customMergeSources]);
+
+  const handleMergeSourcesChange = useCallback((next) => {
+    setCustomMergeSources(next);
+    saveCustomMergeSources(next);
+  }, []);
+
+  // Per-source clock offsets (ms), applied to merged.log and the "All Files" view
+  const [showClockOffsets, setShowClockOffsets] = useState(false);
+  const [clockOffsets, setClockOffsets] = useState(loadClockOffsets);
+
+  const handleClockOffsetsChange = useCallback((next) => {
+    setClockOffsets(next);
+    saveClockOffsets(next);
+  }, []);
+
+  // "Group Similar Lines": filter to / exclude a message template
+  const [showMessageTemplates, setShowMessageTemplates] = useState(false);
+  const [showStatistics, setShowStatistics] = useState(false);
+  const [showBookmarks, setShowBookmarks] = useState(false);
+  const [showHighlightRules, setShowHighlightRules] = useState(false);
+  const [showLogDiff, setShowLogDiff] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const [showWorkspace, setShowWorkspace] = useState(false);
+  const [showSessionManager, setShowSessionManager] = useState(false);
+  // Remounts the filter bar so it re-reads saved filter presets
+  const [filtersPanelKey, setFiltersPanelKey] = useState(0);
+  // Filter / search modes a deep link opens the remounted filter bar with
+  const [linkFilterModes, setLinkFilterModes] = useState(null);
+  const [highlightRules, setHighlightRules] = useState(loadHighlightRules);
+  const updateHighlightRules = useCallback((next) => {
+    setHighlightRules(next);
+    saveHighlightRules(next);
+  }, []);
+  const handleShowTemplate = useCallback((template) => {
+    updateFilters({ searchText: getTemplateQuery(template) });
+  }, [updateFilters]);
+  const handleExcludeTemplate = useCallback((template) => {
+    updateFilters({ searchText: addTemplateExclusion(filters.searchText, template) });
+  }, [updateFilters, filters.searchText]);
+
+  // Timeline: brushing sets the date range, clicking a bar jumps to its first row
+  const handleTimelineRange = useCallback((fromMs, toMs) => {
+    updateFilters({ searchText: setDateRangeInFilter(filters.searchText, fromMs, toMs) });
+  }, [updateFilters, filters.searchText]);
+  const handleTimelineRangeClear = useCallback(() => {
+    updateFilters({ searchText: removeDateRangeFromFilter(filters.searchText) });
+  }, [updateFilters, filters.searchText]);
+  const handleTimelineBucketClick = useCallback((startMs) => {
+    const target = filteredLogs.find(log => !log.isContinuation && log.timestampMs != null && log.timestampMs >= startMs);
+    if (target) scrollToLog(target.lineNumber, target.sourceFile || null);
+  }, [filteredLogs, scrollToLog]);
 
   // Compute number of search matches
   const searchMatchCount = useMemo(() => {
     if (!filters.searchQuery) return 0;
+    const ast = getQueryAst(filters.searchQuery, { mode: filters.searchMode, caseSensitive: filters.searchCaseSensitive });
+    if (ast) {
+      const candidateIds = getCandidateIds(logIndex, getQueryCandidates(logIndex, ast, filters.searchMode));
+      let prevTimestampMs = null;
+      return filteredLogs.reduce((cnt, log) => {
+        const matched = (!candidateIds || candidateIds.has(log.id)) && matchesQuery(ast, log, { prevTimestampMs });
+        if (log.timestampMs != null) prevTimestampMs = log.timestampMs;
+        return matched ? cnt + 1 : cnt;
+      }, 0);
+    }
     const unquote = (t) =>
       t.startsWith('"') && t.endsWith('"') && t.length >= 2 ? t.slice(1, -1) : t;
     const terms = filters.searchQuery
@@ -281,14 +392,16 @@ const LogViewer = () => {
       .filter(t => t.trim())
       .map(t => t.toLowerCase());
     if (!terms.length) return 0;
+    const candidateIds = getCandidateIds(logIndex, getTermsCandidates(logIndex, terms));
     return filteredLogs.reduce((cnt, log) => {
+      if (candidateIds && !candidateIds.has(log.id)) return cnt;
       const msg = (log.message || '');
       const compare = filters.searchCaseSensitive
         ? (haystack, needle) => haystack.includes(needle)
         : (haystack, needle) => haystack.toLowerCase().includes(needle.toLowerCase());
       return terms.some(term => compare(msg, term)) ? cnt + 1 : cnt;
     }, 0);
-  }, [filters.searchQuery, filters.searchCaseSensitive, filteredLogs]);
+  }, [filters.searchQuery, filters.searchMode, filters.searchCaseSensitive, filteredLogs, logIndex]);
   
   // Multi-file support
   const [files, setFiles] = useState([]);
@@ -298,14 +411,15 @@ const LogViewer = () => {
   const [isRestoringSession, setIsRestoringSession] = useState(false);
   const [pendingActiveFileId, setPendingActiveFileId] = useState(null);
 
-  // Watch for when logs are restored and switch to the pending active file
+  // Watch for when logs are restored (or fully parsed, for a workspace
+  // bundle's file) and switch to the pending active file
   useEffect(() => {
-    if (pendingActiveFileId && allFileLogs[pendingActiveFileId]) {
+    if (pendingActiveFileId && allFileLogs[pendingActiveFileId] && !isFileLoading(pendingActiveFileId)) {
       switchToFile(pendingActiveFileId);
       setPendingActiveFileId(null);
       setIsRestoringSession(false);
     }
-  }, [allFileLogs, pendingActiveFileId, switchToFile]);
+  }, [allFileLogs, pendingActiveFileId, switchToFile, isFileLoading]);
 
   // Restore session on mount
   useEffect(() => {
@@ -400,7 +514,41 @@ const LogViewer = () => {
   const [isLiveMode, setIsLiveMode] = useState(false);
   const liveTabIdsRef = useRef(new Set());
 
-  const handleLiveSourceUpdate = useCallback(({ sourceKey, label, logs: parsedLogs, isInitial }) => {
+  // Live alert rules are checked against every batch of incoming rows
+  const {
+    rules: alertRules,
+    updateRules: updateAlertRules,
+    hits: alertHits,
+    counts: alertCounts,
+    checkLogs: checkAlerts,
+    resetTab: resetAlertTab,
+    clearHits: clearAlertHits,
+  } = useLiveAlerts();
+  const [showAlertsPanel, setShowAlertsPanel] = useState(false);
+  const [pendingAlertJump, setPendingAlertJump] = useState(null);
+
+  const handleAlertMatches = useCallback((tabId, label, matches) => {
+    matches.forEach(({ rule, log }) => {
+      if (rule.sticky) addStickyLogForFile(tabId, log);
+    });
+
+    const notifying = matches.filter(({ rule }) => rule.notify);
+    if (!notifying.length) return;
+    const { rule, log } = notifying[0];
+    const firstLine = (log.message || '').split('\n')[0].slice(0, 120);
+    const more = notifying.length > 1 ? ` (+${notifying.length - 1} more)` : '';
+    setNotification({ lineNumber: log.lineNumber, message: `Alert "${rule.name}" in ${label}: ${firstLine}${more}` });
+    setTimeout(() => setNotification(null), 5000);
+    if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+      try {
+        new Notification(`Alert: ${rule.name}`, { body: `${label}:${log.lineNumber} ${firstLine}`, tag: rule.id });
+      } catch (error) {
+        console.error('Failed to show alert notification:', error);
+      }
+    }
+  }, [addStickyLogForFile]);
+
+  const handleLiveSourceUpdate = useCallback(({ sourceKey, label, logs: parsedLogs, isInitial, replaceLast }) => {
     const tabId = `live:${sourceKey}`;
     if (isInitial) {
       setFiles(prev => {
@@ -414,11 +562,15 @@ const LogViewer = () => {
         return newFiles;
       });
       setLogsForFile(tabId, parsedLogs);
+      resetAlertTab(tabId);
     } else {
-      updateLogsBackground(tabId, parsedLogs);
+      appendLogsForFile(tabId, parsedLogs, replaceLast);
+      // Backfilled history (initial/reset) isn't checked — only rows as they arrive
+      const matches = checkAlerts(tabId, label, parsedLogs);
+      if (matches.length) handleAlertMatches(tabId, label, matches);
     }
     setHasUserInteracted(true);
-  }, [setLogsForFile, updateLogsBackground]);
+  }, [setLogsForFile, appendLogsForFile, checkAlerts, resetAlertTab, handleAlertMatches]);
 
   const [showServerDialog, setShowServerDialog] = useState(false);
 
@@ -428,28 +580,66 @@ const LogViewer = () => {
     setIsLiveMode(true);
   }, [handleClearTabs]);
 
-  const { isConnected: isLiveConnected, connect: liveConnect, disconnect: liveDisconnect } =
-    useLiveLogs({ onSourceUpdate: handleLiveSourceUpdate, onConnected: handleLiveConnected, onError: () => setShowServerDialog(true) });
+  const {
+    isConnected: isLiveConnected,
+    isReconnecting: isLiveReconnecting,
+    connect: liveConnect,
+    disconnect: liveDisconnect,
+    unsubscribe: liveUnsubscribe,
+    pause: livePause,
+    resume: liveResume,
+    pausedKeys: livePausedKeys,
+  } = useLiveLogs({ onSourceUpdate: handleLiveSourceUpdate, onConnected: handleLiveConnected, onError: () => setShowServerDialog(true) });
 
   const [isLiveChecking, setIsLiveChecking] = useState(false);
-
-  const handleLiveToggle = useCallback(async () => {
-    if (isLiveConnected) {
-      liveDisconnect();
-      setIsLiveMode(false);
-      return;
-    }
+  const [liveServer, setLiveServer] = useState(loadLiveServer);
+  const [serverAddressDraft, setServerAddressDraft] = useState(liveServer);
+  const [liveSources, setLiveSources] = useState([]);
+  const [showSourcesDialog, setShowSourcesDialog] = useState(false);
+
+  // Ask the server which sources it offers, then let the user pick
+  const openLiveSources = useCallback(async (server) => {
+    setLiveServer(server);
+    setServerAddressDraft(server);
+    saveLiveServer(server);
     setIsLiveChecking(true);
     try {
-      const res = await fetch('http://localhost:4000/health', { signal: AbortSignal.timeout(1500) });
-      if (!res.ok) throw new Error('not ok');
-      liveConnect();
+      const sources = await fetchLiveSources(server);
+      setLiveSources(Array.isArray(sources) ? sources : []);
+      setShowServerDialog(false);
+      setShowSourcesDialog(true);
     } catch {
+      setShowSourcesDialog(false);
       setShowServerDialog(true);
     } finally {
       setIsLiveChecking(false);
     }
-  }, [isLiveConnected, liveConnect, liveDisconnect]);
+  }, []);
+
+  const handleLiveToggle = useCallback(() => {
+    if (isLiveConnected || isLiveReconnecting) {
+      liveDisconnect();
+      setIsLiveMode(false);
+      return;
+    }
+    openLiveSources(liveServer);
+  }, [isLiveConnected, isLiveReconnecting, liveDisconnect, openLiveSources, liveServer]);
+
+  const handleLiveSourcesConnect = useCallback((sourceKeys) => {
+    setShowSourcesDialog(false);
+    const backfillLines = loadLiveBackfillLines();
+    liveConnect({
+      server: liveServer,
+      sourceKeys,
+      backfill: backfillLines > 0 ? { lines: backfillLines } : undefined,
+    });
+  }, [liveConnect, liveServer]);
+
+  const isLivePaused = isLiveConnected && livePausedKeys.length > 0;
+  const handleLivePauseToggle = useCallback(() => {
+    if (isLivePaused) liveResume();
+    else livePause();
+  }, [isLivePaused, livePause, liveResume]);
 
   const handleFileLoad = useCallback((fileOrFiles, clearTabsFirst = false, groupPrefix = null) => {
     // Support both single file and array of files (for grouped Windows logs)
@@ -482,6 +672,20 @@ const LogViewer = () => {
       ? (fileOrFiles.length > 1 ? `${groupPrefix} (${fileOrFiles.length})` : groupPrefix)
       : getFileIdentifier(firstFile);
     
+    // A tab restored from a workspace bundle without its rows: the reopened
+    // file keeps the tab's id, so its filters and sticky logs still apply
+    const referenceIndex = files.findIndex(f => f.isReference && (f.id === fileId || (!isFileArray && f.name === firstFile.name)));
+    if (referenceIndex >= 0) {
+      const reference = files[referenceIndex];
+      setFiles(prev => prev.map(f => (f.id === reference.id ? { ...f, fileObj: fileOrFiles, isReference: false } : f)));
+      setActiveFileIndex(referenceIndex);
+      setShowingCombinedView(false);
+      requestFileLoad(reference.id, fileOrFiles);
+      switchToFile(reference.id);
+      setHasUserInteracted(true);
+      return;
+    }
+
     // Check if file/group already exists
     const existingIndex = files.findIndex(f => f.id === fileId);
     if (existingIndex >= 0) {
@@ -681,13 +885,66 @@ const LogViewer = () => {
     wasLoadingRef.current = isLoading;
   }, [isAnyFileLoading, prepareFilesCount, files, showingCombinedView, isRestoringSession, activeFileIndex, handleFileSelect]);
 
+  // Jump to a row of another tab (alert hits, trace steps): switch to its tab,
+  // then scroll once that tab's rows are shown. False when the tab is gone.
+  const jumpToTabRow = useCallback(({ tabId, tabName, lineNumber, sourceFile = null }) => {
+    const index = files.findIndex(f => f.id === tabId);
+    if (index === -1) {
+      setNotification({ lineNumber, message: `Tab "${tabName}" is no longer open.` });
+      setTimeout(() => setNotification(null), 3000);
+      return false;
+    }
+    if (showingCombinedView || index !== activeFileIndex) handleFileSelect(index);
+    setPendingAlertJump({ tabId, lineNumber, sourceFile });
+    return true;
+  }, [files, showingCombinedView, activeFileIndex, handleFileSelect]);
+
+  const handleJumpToAlertHit = useCallback((hit) => {
+    if (jumpToTabRow(hit)) setShowAlertsPanel(false);
+  }, [jumpToTabRow]);
+
+  useEffect(() => {
+    if (!pendingAlertJump || currentFileName !== pendingAlertJump.tabId) return;
+    scrollToLog(pendingAlertJump.lineNumber, pendingAlertJump.sourceFile);
+    setPendingAlertJump(null);
+  }, [pendingAlertJump, currentFileName, filteredLogs, scrollToLog]);
+
+  // "Trace This Request": the clicked row, traced through every loaded tab
+  const [traceOriginLog, setTraceOriginLog] = useState(null);
+  const traceTabs = useMemo(() => {
+    if (!traceOriginLog) return [];
+    return files
+      .filter(file => allFileLogs[file.id])
+      .map(file => ({
+        tabId: file.id,
+        tabName: file.name,
+        logs: allFileLogs[file.id],
+        offsetMs: clockOffsets[getTabClockKey(file, mergeSources)] || 0,
+      }));
+  }, [traceOriginLog, files, allFileLogs, clockOffsets, mergeSources]);
+  // Loaded tabs to pick from in "Compare Logs"
+  const diffTabs = useMemo(() => {
+    if (!showLogDiff) return [];
+    return files
+      .filter(file => allFileLogs[file.id])
+      .map(file => ({ tabId: file.id, tabName: file.name, logs: allFileLogs[file.id] }));
+  }, [showLogDiff, files, allFileLogs]);
+
+  const handleJumpToTraceStep = useCallback((step) => {
+    jumpToTabRow({ tabId: step.tabId, tabName: step.tabName, lineNumber: step.log.lineNumber, sourceFile: step.log.sourceFile || null });
+  }, [jumpToTabRow]);
+
   const handleFileClose = useCallback((index) => {
     const fileToClose = files[index];
 
     // Clean up stored logs for the closed file first
     if (fileToClose) {
       removeLogsForFile(fileToClose.id);
-
+      // Stop the server streaming a closed live tab
+      if (fileToClose.isLive) {
+        liveUnsubscribe([fileToClose.id.slice('live:'.length)]);
+        liveTabIdsRef.current.delete(fileToClose.id);
+      }
     }
 
     setFiles(prev => {
@@ -753,7 +1010,7 @@ const LogViewer = () => {
 
       return newFiles;
     });
-  }, [activeFileIndex, files, switchToFile, showingCombinedView, removeLogsForFile, allFileLogs, saveSession]);
+  }, [activeFileIndex, files, switchToFile, showingCombinedView, removeLogsForFile, allFileLogs, saveSession, liveUnsubscribe]);
 
   const handleCloseAll = useCallback(() => {
     // Wipe the entire model (logs, sticky notes, headers, current file, etc.)
@@ -779,8 +1036,9 @@ const LogViewer = () => {
   // Export visible records of the active tab. Uses filteredLogs which already
   // reflects all active filters (text/regex search, level, module, date range,
   // line ranges, etc.) and works for both single-file tabs and the combined
-  // "All Files" view.
-  const handleExportActive = useCallback(() => {
+  // "All Files" view. Structured formats follow the visible columns.
+  const exportFields = useMemo(() => getExportFields(visibleColumns, rightColumnOrder), [visibleColumns, rightColumnOrder]);
+  const handleExportActive = useCallback((format) => {
     let suggestedName;
     let tagSourceFile = false;
     if (showingCombinedView) {
@@ -791,8 +1049,139 @@ const LogViewer = () => {
     } else {
       suggestedName = 'logs_filtered';
     }
-    exportLogsToFile(filteredLogs, suggestedName, { tagSourceFile, header: headerState });
-  }, [showingCombinedView, files, activeFileIndex, filteredLogs, headerState]);
+    exportLogsToFile(filteredLogs, suggestedName, {
+      format,
+      tagSourceFile,
+      header: headerState,
+      fields: exportFields,
+      title: showingCombinedView ? 'All Files' : (files[activeFileIndex]?.name || 'logs'),
+      filters,
+      stickyLogs,
+      highlightRules,
+    });
+  }, [showingCombinedView, files, activeFileIndex, filteredLogs, headerState, exportFields, filters, stickyLogs, highlightRules]);
+
+  // ── Workspace bundles (utils/workspaceBundle.js) ─────────────────────────
+  const workspaceRowCount = useMemo(
+    () => files.reduce((sum, file) => sum + (allFileLogs[file.id]?.length || 0), 0),
+    [files, allFileLogs]
+  );
+
+  const buildCurrentWorkspace = useCallback(({ includeLogs }) => buildWorkspaceBundle({
+    files,
+    activeFileIndex,
+    showingCombinedView,
+    allFileLogs,
+    logFileHeaders,
+    allFileFilters,
+    allFileStickyLogs,
+    pivotLog,
+    layout: readStoredLayout(),
+    filterPresets: readStoredFilterPresets(),
+    highlightRules,
+    clockOffsets,
+    includeLogs,
+  }), [files, activeFileIndex, showingCombinedView, allFileLogs, logFileHeaders, allFileFilters, allFileStickyLogs, pivotLog, highlightRules, clockOffsets]);
+
+  const workspaceName = currentFolderName || files[0]?.name || 'logs';
+  const handleSaveWorkspace = useCallback(async ({ includeLogs }) => {
+    const name = sanitizeFilename(`${workspaceName}_workspace`);
+    await saveTextFile(await encodeWorkspaceBundle(buildCurrentWorkspace({ includeLogs })), `${name}${BUNDLE_EXTENSION}`, {
+      description: 'Workspace bundle',
+      mimeType: 'application/gzip',
+      extensions: [BUNDLE_EXTENSION],
+    });
+  }, [buildCurrentWorkspace, workspaceName]);
+
+  // The pivot row of an opened bundle, set once its view shows it
+  const [pendingBundlePivot, setPendingBundlePivot] = useState(null);
+  // Tab (or the All Files view) of an opened bundle whose files to parse
+  const [pendingBundleLoad, setPendingBundleLoad] = useState(null);
+  useEffect(() => {
+    if (!pendingBundlePivot) return;
+    const found = filteredLogs.find(log => log.id === pendingBundlePivot.id);
+    if (found) {
+      setPivotTime(found);
+      setPendingBundlePivot(null);
+    }
+  }, [pendingBundlePivot, filteredLogs, setPivotTime]);
+
+  // Replace the open tabs with a bundle's workspace, restored the way a
+  // session is (see restoreSession above)
+  const applyWorkspaceBundle = useCallback((bundle) => {
+    const error = validateWorkspaceBundle(bundle);
+    if (error) throw new Error(error);
+
+    handleCloseAll();
+
+    const layout = bundle.layout || {};
+    writeStoredLayout(layout);
+    handleColumnsChange(layout.visibleColumns || Object.fromEntries(AVAILABLE_COLUMNS.map(col => [col.id, col.defaultVisible])));
+    const order = Array.isArray(layout.columnOrder) ? layout.columnOrder.filter(id => DEFAULT_COLUMN_ORDER.includes(id)) : [];
+    DEFAULT_COLUMN_ORDER.forEach(id => { if (!order.includes(id)) order.push(id); });
+    setRightColumnOrder(order);
+    setColumnResetKey(prev => prev + 1);
+    mergeFilterPresets(bundle.filterPresets);
+    setLinkFilterModes(null);
+    setFiltersPanelKey(prev => prev + 1);
+    if (Array.isArray(bundle.highlightRules)) updateHighlightRules(bundle.highlightRules);
+    if (bundle.clockOffsets) handleClockOffsetsChange({ ...clockOffsets, ...bundle.clockOffsets });
+
+    const tabs = getBundleTabs(bundle);
+    restoreFileState({ filtersByFile: bundle.filters || {}, stickyLogsByFile: bundle.stickyLogs || {} });
+    setFiles(tabs);
+    const activeIndex = Math.max(0, tabs.findIndex(tab => tab.id === bundle.activeTabId));
+    setActiveFileIndex(activeIndex);
+    setHasUserInteracted(true);
+    // Version 1 bundles hold parsed rows; tabs with files are parsed once
+    // they are the open tabs (see pendingBundleLoad)
+    tabs.forEach(tab => {
+      if (!tab.fileObj && Array.isArray(bundle.logs?.[tab.id])) setLogsForFile(tab.id, bundle.logs[tab.id]);
+    });
+    setLogFileHeaders(bundle.headers || {});
+    setPendingBundlePivot(bundle.pivot || null);
+
+    const activeTab = tabs[activeIndex];
+    if (bundle.showingCombinedView && tabs.length > 1) {
+      setShowingCombinedView(true);
+      lastBuiltSignatureRef.current = null;
+      if (tabs.some(tab => tab.fileObj)) setPendingBundleLoad({ combined: true });
+    } else if (activeTab && !activeTab.isReference) {
+      setIsRestoringSession(true);
+      setPendingActiveFileId(activeTab.id);
+      if (activeTab.fileObj) setPendingBundleLoad({ tabId: activeTab.id });
+    } else if (activeTab) {
+      switchToFile(activeTab.id);
+    }
+
+    return {
+      tabs: tabs.length,
+      references: tabs.filter(tab => tab.isReference).map(tab => (tab.sources.length ? tab.sources.join(', ') : tab.name)),
+    };
+  }, [handleCloseAll, handleColumnsChange, updateHighlightRules, handleClockOffsetsChange, clockOffsets, restoreFileState, setLogsForFile, setLogFileHeaders, switchToFile]);
+
+  const handleOpenWorkspace = useCallback(
+    async (file) => applyWorkspaceBundle(await decodeWorkspaceBundle(file)),
+    [applyWorkspaceBundle]
+  );
+
+  // Rows of the clock offsets dialog: every merge source, then open tabs that
+  // belong to none of them. Built only while the dialog is open.
+  const clockOffsetSources = useMemo(() => {
+    if (!showClockOffsets) return [];
+    const rows = mergeSources.map(src => ({ key: src.key, label: `${src.tag} — ${src.folderName}`, logs: [] }));
+    files.forEach(file => {
+      if (file.isLive) return;
+      const key = getTabClockKey(file, mergeSources);
+      let row = rows.find(r => r.key === key);
+      if (!row) {
+        row = { key, label: file.name.replace(/\s*\(\d+\)\s*$/, ''), logs: [] };
+        rows.push(row);
+      }
+      row.logs = row.logs.concat(allFileLogs[file.id] || []);
+    });
+    return rows;
+  }, [showClockOffsets, mergeSources, files, allFileLogs]);
 
   // Build (or rebuild) the combined "All Files" model from currently-loaded
   // per-tab logs. Wrapped in useCallback so a useEffect can re-invoke it
@@ -803,6 +1192,9 @@ const LogViewer = () => {
     // Combine all existing models from all tabs (no re-parsing!)
     const allCombinedLogs = files.flatMap((file, fileIndex) => {
       const fileLogs = allFileLogs[file.id] || [];
+      // Clock-skew correction: shift the tab's times before interleaving.
+      // The displayed timestamp text stays as written in the file.
+      const clockOffset = clockOffsets[getTabClockKey(file, mergeSources)] || 0;
       return fileLogs.map((log, logIndex) => {
         const newLog = {
           ...log,
@@ -813,6 +1205,7 @@ const LogViewer = () => {
           originalLogIndex: logIndex,
           originalLogId: log.id
         };
+        if (clockOffset && log.timestampMs) newLog.timestampMs = log.timestampMs + clockOffset;
         if (log.isContinuation && log.parentLogId !== undefined) {
           newLog.parentLogId = `${file.id}-${log.parentLogId}`;
           newLog.originalParentLogId = log.parentLogId;
@@ -855,7 +1248,7 @@ const LogViewer = () => {
     });
 
     setLogsForFile('Combined Files', combinedLogs);
-  }, [files, allFileLogs, setLogsForFile]);
+  }, [files, allFileLogs, setLogsForFile, clockOffsets, mergeSources]);
 
   const handleCombinedViewSelect = useCallback(() => {
     setShowingCombinedView(true);
@@ -879,6 +1272,19 @@ const LogViewer = () => {
     switchToFile('Combined Files');
   }, [files, allFileLogs, requestFileLoad, buildCombinedView, switchToFile]);
 
+  // Parse an opened bundle's files once its tabs are the open ones: until
+  // then the model still holds the rows of the tabs it replaced
+  useEffect(() => {
+    if (!pendingBundleLoad) return;
+    setPendingBundleLoad(null);
+    if (pendingBundleLoad.combined) {
+      handleCombinedViewSelect();
+      return;
+    }
+    const tab = files.find(f => f.id === pendingBundleLoad.tabId);
+    if (tab?.fileObj) requestFileLoad(tab.id, tab.fileObj);
+  }, [pendingBundleLoad, files, handleCombinedViewSelect, requestFileLoad]);
+
   // While the combined view is active, rebuild it whenever a tab finishes
   // loading (one of its per-file log arrays appears/changes) or the set of
   // tabs changes. We deliberately key off the per-file entries only —
@@ -887,7 +1293,8 @@ const LogViewer = () => {
   // loop (and tank scroll performance).
   const combinedSourceSignature = useMemo(() => (
     files.map(f => `${f.id}:${(allFileLogs[f.id] || []).length}`).join('|')
-  ), [files, allFileLogs]);
+    + `|offsets:${JSON.stringify(clockOffsets)}`
+  ), [files, allFileLogs, clockOffsets]);
   const lastBuiltSignatureRef = React.useRef(null);
   useEffect(() => {
     if (!showingCombinedView) return;
@@ -897,6 +1304,110 @@ const LogViewer = () => {
     buildCombinedView();
   }, [showingCombinedView, files.length, combinedSourceSignature, buildCombinedView]);
 
+  // ===== DEEP LINKS =====
+  // The URL's query string mirrors the view (tab, filters, selected row). A
+  // link the page was opened with waits until a tab it names is open and
+  // loaded, then applies its filters and selects its row.
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [pendingDeepLink, setPendingDeepLink] = useState(() => parseDeepLink(searchParams));
+  const [pendingLinkRow, setPendingLinkRow] = useState(null);
+
+  // A link whose tab is not open, or is empty, once loading settles is
+  // dropped, so the URL follows the view again
+  const dropDeepLink = useCallback((message) => {
+    setPendingDeepLink(null);
+    setNotification({ lineNumber: null, message });
+    setTimeout(() => setNotification(null), 4000);
+  }, []);
+
+  useEffect(() => {
+    if (!pendingDeepLink || isRestoringSession || files.length === 0) return;
+    if (isAnyFileLoading || prepareFilesCount > 0) return;
+
+    const combined = pendingDeepLink.combined && files.length > 1;
+    // A link without a tab applies to the tab that is open
+    const index = combined ? -1 : (pendingDeepLink.tab ? findDeepLinkTab(files, pendingDeepLink.tab) : activeFileIndex);
+    if (!combined && index === -1) {
+      dropDeepLink(`The link's tab "${pendingDeepLink.tab}" is not open.`);
+      return;
+    }
+    const sources = combined ? files : [files[index]];
+    if (sources.every(file => allFileLogs[file.id]?.length === 0)) {
+      dropDeepLink(combined ? 'The link\'s tabs have no rows.' : `The link's tab "${files[index].name}" has no rows.`);
+      return;
+    }
+    const targetId = combined ? 'Combined Files' : files[index].id;
+    if (currentFileName !== targetId) {
+      if (combined) handleCombinedViewSelect();
+      else handleFileSelect(index);
+      return;
+    }
+    if (logs.length === 0) return;
+
+    // The filter / search modes are kept by the filters panel; remount it
+    // with the link's modes, leaving the saved ones as they are
+    const { filters: linkFilters } = pendingDeepLink;
+    updateFilters(linkFilters);
+    setLinkFilterModes({
+      filterMode: linkFilters.filterMode,
+      searchMode: linkFilters.searchMode,
+      filterCaseSensitive: linkFilters.filterCaseSensitive,
+      searchCaseSensitive: linkFilters.searchCaseSensitive,
+    });
+    setFiltersPanelKey(prev => prev + 1);
+    setPendingLinkRow(pendingDeepLink.row);
+    setPendingDeepLink(null);
+  }, [pendingDeepLink, isRestoringSession, files, allFileLogs, activeFileIndex, isAnyFileLoading, prepareFilesCount, currentFileName, logs.length, handleCombinedViewSelect, handleFileSelect, updateFilters, dropDeepLink]);
+
+  // The filters panel reads the link's modes once, when it mounts
+  useEffect(() => {
+    if (linkFilterModes && hasUserInteracted && logs.length > 0) setLinkFilterModes(null);
+  }, [linkFilterModes, hasUserInteracted, logs.length]);
+
+  // Select the link's row once the filtered view shows it
+  useEffect(() => {
+    if (!pendingLinkRow) return;
+    const index = findDeepLinkRow(filteredLogs, pendingLinkRow, currentFileName);
+    if (index === -1) return;
+    const log = filteredLogs[index];
+    setSelectedLog({ ...log, lineIndex: index + 1 });
+    setPendingLinkRow(null);
+    setTimeout(() => {
+      window.dispatchEvent(new CustomEvent('scrollToLogIndex', {
+        detail: { index, logId: log.id, shouldHighlight: true }
+      }));
+    }, 100);
+  }, [pendingLinkRow, filteredLogs, currentFileName, setSelectedLog]);
+
+  const getDeepLinkParams = useCallback((row) => {
+    if (files.length === 0) return new URLSearchParams();
+    return buildDeepLinkParams({
+      tab: files[activeFileIndex]?.name,
+      combined: showingCombinedView,
+      filters,
+      row: row ? getDeepLinkRow(row, currentFileName) : null,
+    });
+  }, [files, activeFileIndex, showingCombinedView, filters, currentFileName]);
+
+  // Keep the URL on the current view, unless a link is still to be applied
+  useEffect(() => {
+    if (pendingDeepLink) return;
+    const next = getDeepLinkParams(selectedLog);
+    if (next.toString() !== searchParams.toString()) setSearchParams(next, { replace: true });
+  }, [pendingDeepLink, getDeepLinkParams, selectedLog, searchParams, setSearchParams]);
+
+  const handleCopyRowLink = useCallback(async (log) => {
+    const url = `${window.location.origin}${window.location.pathname}?${getDeepLinkParams(log)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setNotification({ lineNumber: log.lineNumber, message: `Link to line ${log.lineNumber} copied` });
+    } catch (error) {
+      console.error('Failed to copy the row link:', error);
+      setNotification({ lineNumber: log.lineNumber, message: `Could not copy the link: ${url}` });
+    }
+    setTimeout(() => setNotification(null), 3000);
+  }, [getDeepLinkParams]);
+
   // Only treat a drag as a file-drop when the OS is actually dragging files.
   // Internal drags (e.g. column reorder in the Column Settings modal) use
   // the 'text/plain' type and must not trigger the file-drop overlay.
@@ -998,7 +1509,7 @@ const LogViewer = () => {
 
     beginPreparingFiles();
     try {
-      // Expand any dropped .zip / .tar.xz archives in place.
+      // Expand any dropped archives (zip, tar, gz, xz, bz2; nested too) in place.
       const hasArchive = droppedFiles.some(isArchiveFile);
       let allFiles;
       try {
@@ -1052,7 +1563,7 @@ const LogViewer = () => {
   }, [files, isLiveMode, allFileLogs]);
 
   // Run the JS port of mergeLogs.py against the selected tabs
-  const handleConfirmMerge = useCallback(async (selectedIds) => {
+  const handleConfirmMerge = useCallback(async (selectedIds, mergeSelected) => {
     setIsMergeDialogOpen(false);
 
     // Collect raw File objects only from selected tabs
@@ -1078,7 +1589,7 @@ const LogViewer = () => {
       const { mergeLogsToZip } = await import('./utils/mergeLogsScript');
       const folderLeaf = (currentFolderName || '').split('/').pop();
       const outputFolderName = folderLeaf ? `${folderLeaf}_merged` : undefined;
-      const { blob, fileName, log } = await mergeLogsToZip(rawFiles, { outputFolderName });
+      const { blob, fileName, log } = await mergeLogsToZip(rawFiles, { outputFolderName, mergeSelected, sources: mergeSources, clockOffsets });
       if (log && log.length) console.log('[merge-logs]\n' + log.join('\n'));
 
       const url = URL.createObjectURL(blob);
@@ -1095,7 +1606,7 @@ const LogViewer = () => {
     } finally {
       setIsDownloadingMerged(false);
     }
-  }, [files, currentFolderName]);
+  }, [files, currentFolderName, mergeSources, clockOffsets]);
 
 
   // Toggle log selection - if same log is clicked, close it; if different log, open it
@@ -1181,6 +1692,7 @@ const LogViewer = () => {
         key={columnResetKey}
         logs={filteredLogs}
         allLogs={logs}
+        logIndex={logIndex}
         onLogClick={handleLogClick}
         highlightedLogId={highlightedLogId}
         selectedLogId={selectedLog?.id || null}
@@ -1196,7 +1708,10 @@ const LogViewer = () => {
         onClearPivot={clearPivotTime}
         stickyLogs={stickyLogs}
         onAddStickyLog={addStickyLog}
+        onTraceLog={setTraceOriginLog}
+        onCopyRowLink={handleCopyRowLink}
         highlightLog={highlightLog}
+        highlightRules={highlightRules}
         visibleColumns={visibleColumns}
         columnOrder={rightColumnOrder}
         onColumnOrderChange={handleRightColumnOrderChange}
@@ -1204,7 +1719,7 @@ const LogViewer = () => {
         isLiveMode={isLiveMode}
       />
     );
-  }, [hasUserInteracted, files, activeFileIndex, showingCombinedView, filteredLogs, handleLogClick, highlightedLogId, filters, pivotLog, setPivotTime, clearPivotTime, stickyLogs, addStickyLog, highlightLog, setSearchPos, setSearchTotal, updateFilters, setHoveredLog, visibleColumns, columnVersion, rightColumnOrder, handleRightColumnOrderChange, columnResetKey, isLiveMode]);
+  }, [hasUserInteracted, files, activeFileIndex, showingCombinedView, filteredLogs, handleLogClick, highlightedLogId, filters, pivotLog, setPivotTime, clearPivotTime, stickyLogs, addStickyLog, highlightLog, highlightRules, setSearchPos, setSearchTotal, updateFilters, setHoveredLog, visibleColumns, columnVersion, rightColumnOrder, handleRightColumnOrderChange, columnResetKey, isLiveMode, handleCopyRowLink]);
 
   // Remove old currentFileHeaders logic - now using headerState
 
@@ -1220,6 +1735,96 @@ const LogViewer = () => {
         onClose={() => setIsMergeDialogOpen(false)}
         files={files}
         onConfirm={handleConfirmMerge}
+        mergeSources={mergeSources}
+        onEditMergeSources={() => setShowMergeSources(true)}
+        onEditClockOffsets={() => setShowClockOffsets(true)}
+      />
+      <MergeSourcesModal
+        isOpen={showMergeSources}
+        onClose={() => setShowMergeSources(false)}
+        customSources={customMergeSources}
+        onChange={handleMergeSourcesChange}
+      />
+      <ClockOffsetsModal
+        isOpen={showClockOffsets}
+        onClose={() => setShowClockOffsets(false)}
+        sources={clockOffsetSources}
+        offsets={clockOffsets}
+        onChange={handleClockOffsetsChange}
+      />
+      <MessageTemplatesModal
+        isOpen={showMessageTemplates}
+        onClose={() => setShowMessageTemplates(false)}
+        logs={logs}
+        searchText={filters.searchText}
+        onShowTemplate={handleShowTemplate}
+        onExcludeTemplate={handleExcludeTemplate}
+      />
+      <StatisticsModal
+        isOpen={showStatistics}
+        onClose={() => setShowStatistics(false)}
+        logs={filteredLogs}
+        scopeLabel={showingCombinedView ? 'All Files' : (files[activeFileIndex]?.name || 'logs')}
+        getSourceLabel={showingCombinedView ? getFileDisplayName : undefined}
+        onJumpToLog={scrollToLog}
+      />
+      <BookmarksPanel
+        isOpen={showBookmarks}
+        onClose={() => setShowBookmarks(false)}
+        bookmarks={stickyLogs}
+        scopeLabel={showingCombinedView ? 'All Files' : (files[activeFileIndex]?.name || 'logs')}
+        getSourceLabel={getFileDisplayName}
+        onJumpToLog={scrollToLog}
+        onUpdateBookmark={updateStickyLog}
+        onRemoveBookmark={removeStickyLog}
+        onExport={exportBookmarks}
+        onImport={importBookmarks}
+      />
+      <HighlightRulesPanel
+        isOpen={showHighlightRules}
+        onClose={() => setShowHighlightRules(false)}
+        rules={highlightRules}
+        onRulesChange={updateHighlightRules}
+      />
+      <TraceModal
+        isOpen={!!traceOriginLog}
+        onClose={() => setTraceOriginLog(null)}
+        originLog={traceOriginLog}
+        tabs={traceTabs}
+        getSourceLabel={getFileDisplayName}
+        onJumpToStep={handleJumpToTraceStep}
+      />
+      <LogDiffModal
+        isOpen={showLogDiff}
+        onClose={() => setShowLogDiff(false)}
+        tabs={diffTabs}
+        highlightRules={highlightRules}
+        onJumpToRow={jumpToTabRow}
+      />
+      <WorkspaceModal
+        isOpen={showWorkspace}
+        onClose={() => setShowWorkspace(false)}
+        tabCount={files.length}
+        rowCount={workspaceRowCount}
+        onSave={handleSaveWorkspace}
+        onOpen={handleOpenWorkspace}
+      />
+      <SessionManagerModal
+        isOpen={showSessionManager}
+        onClose={() => setShowSessionManager(false)}
+        canSave={files.length > 0}
+        defaultName={files.length > 0 ? workspaceName : ''}
+        getCurrentBundle={buildCurrentWorkspace}
+        onOpenBundle={applyWorkspaceBundle}
+      />
+      <ExportModal
+        isOpen={showExport}
+        onClose={() => setShowExport(false)}
+        scopeLabel={showingCombinedView ? 'All Files' : (files[activeFileIndex]?.name || 'logs')}
+        rowCount={filteredLogs.length}
+        fields={exportFields}
+        stickyCount={stickyLogs.length}
+        onExport={handleExportActive}
       />
       <LogViewerHeader
         onClearTabs={handleClearTabs}
@@ -1239,7 +1844,20 @@ const LogViewer = () => {
         isLiveMode={isLiveMode}
         isLiveConnected={isLiveConnected}
         isLiveChecking={isLiveChecking}
+        isLiveReconnecting={isLiveReconnecting}
         onLiveToggle={handleLiveToggle}
+        isLivePaused={isLivePaused}
+        onLivePauseToggle={handleLivePauseToggle}
+        alertHitCount={alertHits.length}
+        onShowAlerts={() => setShowAlertsPanel(true)}
+        onShowClockOffsets={() => setShowClockOffsets(true)}
+        onShowMessageTemplates={() => setShowMessageTemplates(true)}
+        onShowStatistics={() => setShowStatistics(true)}
+        onShowBookmarks={() => setShowBookmarks(true)}
+        onShowLogDiff={() => setShowLogDiff(true)}
+        onShowHighlightRules={() => setShowHighlightRules(true)}
+        onShowWorkspace={() => setShowWorkspace(true)}
+        onShowSessionManager={() => setShowSessionManager(true)}
       />
 
       {/* Main content area */}
@@ -1256,8 +1874,9 @@ const LogViewer = () => {
                 onCombinedViewSelect={handleCombinedViewSelect}
                 allFileLogs={allFileLogs}
                 isFileLoading={isFileLoading}
+                getFileLoadProgress={getFileLoadProgress}
                 onCloseAll={handleCloseAll}
-                onExportActive={handleExportActive}
+                onExportActive={() => setShowExport(true)}
                 onExportFile={handleExportFile}
                 isLiveMode={isLiveMode}
                 onFromNow={() => {
@@ -1281,7 +1900,9 @@ const LogViewer = () => {
             {hasUserInteracted && logs.length > 0 ? (
               <div className="flex-1 mt-2 mb-2 ml-2 mr-2 bg-white dark:bg-gray-800 rounded-lg border border-gray-200 dark:border-gray-700 shadow-sm overflow-hidden flex flex-col pb-0">
                 <LogViewerFilters
+                  key={filtersPanelKey}
                   filters={filters}
+                  initialModes={linkFilterModes}
                   onFiltersChange={updateFilters}
                   moduleOptions={moduleOptions}
                   logsCount={logs.length}
@@ -1296,6 +1917,18 @@ const LogViewer = () => {
                   onUpdateStickyLogTitle={updateStickyLogTitle}
                   onScrollToLog={scrollToLog}
                   activeFileIndex={activeFileIndex}
+                  highlightRules={highlightRules}
+                  onHighlightRulesChange={updateHighlightRules}
+                  onEditHighlightRules={() => setShowHighlightRules(true)}
+                />
+                <TimelineHistogram
+                  logs={filteredLogs}
+                  searchText={filters.searchText}
+                  onRangeSelect={handleTimelineRange}
+                  onRangeClear={handleTimelineRangeClear}
+                  onBucketClick={handleTimelineBucketClick}
+                  showLanes={showingCombinedView}
+                  getLaneLabel={getFileDisplayName}
                 />
                 <div className="flex-1 overflow-hidden">
                   {memoizedContent}
@@ -1321,8 +1954,8 @@ const LogViewer = () => {
         />
       )}
 
-      {/* Loading overlay shown while any file is being parsed or prepared */}
-      {(isAnyFileLoading || prepareFilesCount > 0) && (
+      {/* Loading overlay shown while a file has no parsed rows yet or files are being prepared */}
+      {(blockingLoadProgress || prepareFilesCount > 0) && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 dark:bg-black/60">
           <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl px-6 py-5 flex items-center gap-3 border border-gray-200 dark:border-gray-700">
             <svg className="animate-spin h-6 w-6 text-blue-500" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
@@ -1331,6 +1964,11 @@ const LogViewer = () => {
             </svg>
             <div className="text-sm text-gray-800 dark:text-gray-100">
               Loading log files…
+              {blockingLoadProgress?.total > 0 && (
+                <span className="ml-2 font-mono text-gray-500 dark:text-gray-400">
+                  {Math.floor((blockingLoadProgress.loaded / blockingLoadProgress.total) * 100)}%
+                </span>
+              )}
             </div>
           </div>
         </div>
@@ -1374,6 +2012,27 @@ const LogViewer = () => {
         </div>
       )}
 
+      <LiveAlertsPanel
+        isOpen={showAlertsPanel}
+        onClose={() => setShowAlertsPanel(false)}
+        rules={alertRules}
+        onRulesChange={updateAlertRules}
+        hits={alertHits}
+        counts={alertCounts}
+        onClearHits={clearAlertHits}
+        onJumpToHit={handleJumpToAlertHit}
+      />
+
+      <LiveSourcesDialog
+        isOpen={showSourcesDialog}
+        server={liveServer}
+        sources={liveSources}
+        isLoading={isLiveChecking}
+        onReload={openLiveSources}
+        onConnect={handleLiveSourcesConnect}
+        onClose={() => setShowSourcesDialog(false)}
+      />
+
       {/* Live server not running dialog */}
       {showServerDialog && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 dark:bg-black/70" onClick={() => setShowServerDialog(false)}>
@@ -1387,6 +2046,7 @@ const LogViewer = () => {
               <div>
                 <h3 className="text-base font-semibold text-gray-900 dark:text-gray-100">Live Logs Server Not Running</h3>
                 <p className="mt-1 text-sm text-gray-600 dark:text-gray-400">
+                  No live logs server answered at <code className="bg-gray-100 dark:bg-gray-700 px-1 rounded">{liveServer}</code>.
                   A small local server must run on your Mac to stream logs. Paste this into a terminal:
                 </p>
               </div>
@@ -1394,7 +2054,9 @@ const LogViewer = () => {
 
             {/* Single combined command */}
             {(() => {
-              const cmd = `sudo kill $(sudo lsof -ti:4000) 2>/dev/null; curl -o ~/live-logs-server.js ${window.location.origin}/live-logs-server.js && cd ~ && npm install ws && sudo node ~/live-logs-server.js`;
+              const port = getLiveServerPort(liveServer);
+              const portArg = port === 4000 ? '' : ` --port ${port}`;
+              const cmd = `sudo kill $(sudo lsof -ti:${port}) 2>/dev/null; curl -o ~/live-logs-server.js ${window.location.origin}/live-logs-server.js && cd ~ && npm install ws && sudo node ~/live-logs-server.js${portArg}`;
               return (
                 <div className="bg-gray-900 dark:bg-gray-950 rounded-lg px-4 py-3 mb-5">
                   <div className="font-mono text-sm text-green-400 break-all mb-3 select-all leading-relaxed">
@@ -1418,9 +2080,28 @@ const LogViewer = () => {
             <p className="text-xs text-gray-500 dark:text-gray-400 mb-5">
               Downloads the script, installs the <code className="bg-gray-100 dark:bg-gray-700 px-1 rounded">ws</code> dependency, and starts the server.{' '}
               <code className="bg-gray-100 dark:bg-gray-700 px-1 rounded">sudo</code> is required to read protected log directories.
+              Run it with <code className="bg-gray-100 dark:bg-gray-700 px-1 rounded">--help</code> to choose other log directories, files or a config file.
             </p>
 
-            <div className="flex justify-end">
+            <div className="flex items-center gap-2 mb-5">
+              <label className="text-sm text-gray-600 dark:text-gray-400 flex-shrink-0">Server address</label>
+              <input
+                value={serverAddressDraft}
+                onChange={e => setServerAddressDraft(e.target.value)}
+                onKeyDown={e => { if (e.key === 'Enter' && serverAddressDraft.trim()) openLiveSources(serverAddressDraft.trim()); }}
+                placeholder="host:port"
+                className="flex-1 px-2 py-1 text-sm font-mono rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100"
+              />
+            </div>
+
+            <div className="flex justify-end gap-2">
+              <button
+                onClick={() => openLiveSources(serverAddressDraft.trim())}
+                disabled={!serverAddressDraft.trim() || isLiveChecking}
+                className="px-4 py-2 rounded-md text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors disabled:opacity-50"
+              >
+                {isLiveChecking ? 'Checking…' : 'Retry'}
+              </button>
               <button
                 onClick={() => setShowServerDialog(false)}
                 className="px-4 py-2 rounded-md bg-blue-600 hover:bg-blue-700 text-white text-sm font-medium transition-colors"
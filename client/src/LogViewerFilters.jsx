@@ -1,6 +1,8 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useMemo } from 'react';
 import ReactDOM from 'react-dom';
 import { getLevelBackgroundColor } from './utils/logLevelColors';
+import { isQueryExpression, parseQuery } from './utils/queryLanguage';
+import { BOOKMARK_COLORS } from './utils/bookmarks';
 
 // Extract tooltip text to avoid inline strings
 const FILTER_TOOLTIP = `Advanced Filtering Guide:
@@ -33,9 +35,43 @@ const FILTER_TOOLTIP = `Advanced Filtering Guide:
   !debug || #100 :: #500 — exclude debug in rows 100-500
   #gap=3 || error — records with 3+ second gaps OR containing 'error'
 
+• Field queries (also in the Search box):
+  level:error  module:Tunnel*  thread:12  process:Extn
+  file:AppLogs  msg:retry  msg:/time(d)?out/
+  gap>5s  gap<=200ms  line>=415
+  level:error timeout — a space after a field term means &&
+
 • Works with log level and context line filters`;
 
-const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCount, filteredLogsCount, searchMatchCount, searchMatchPos, pivotGap, pivotLineNumber, stickyLogs, onRemoveStickyLog, onClearAllStickyLogs, onScrollToLog, onUpdateStickyLogTitle, activeFileIndex = 0 }) => {
+// Syntax error of a field-qualified query, or null
+const useQueryError = (text, mode, caseSensitive) => useMemo(() => {
+  if (!isQueryExpression(text)) return null;
+  return parseQuery(text, { mode, caseSensitive }).error;
+}, [text, mode, caseSensitive]);
+
+// The query with the offending range marked, shown under the input. Text
+// that only mentions a field ("open file: foo") is matched as plain text, so
+// it gets a quiet note instead
+const QueryErrorHint = ({ text, error }) => (error.afterField ? (
+  <div className="absolute left-0 right-0 top-full mt-1 z-20 px-2 py-1 rounded-md border border-red-300 dark:border-red-700 bg-red-50 dark:bg-red-900/60 text-xs shadow">
+    <div className="font-mono whitespace-pre overflow-hidden text-ellipsis text-gray-800 dark:text-gray-200">
+      {text.slice(0, error.start)}
+      <mark className="bg-red-300 dark:bg-red-600 text-inherit underline decoration-wavy decoration-red-600 dark:decoration-red-300">
+        {text.slice(error.start, error.end) || ' '}
+      </mark>
+      {text.slice(error.end)}
+    </div>
+    <div className="text-red-700 dark:text-red-300">
+      {error.message} (at {error.start + 1})
+    </div>
+  </div>
+) : (
+  <div className="absolute left-0 right-0 top-full mt-1 z-20 px-2 py-1 rounded-md border border-gray-200 dark:border-gray-600 bg-gray-50 dark:bg-gray-700 text-xs text-gray-500 dark:text-gray-400 shadow">
+    Treated as plain text — not a field query: {error.message} (at {error.start + 1})
+  </div>
+));
+
+const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCount, filteredLogsCount, searchMatchCount, searchMatchPos, pivotGap, pivotLineNumber, stickyLogs, onRemoveStickyLog, onClearAllStickyLogs, onScrollToLog, onUpdateStickyLogTitle, activeFileIndex = 0, highlightRules = [], onHighlightRulesChange, onEditHighlightRules, initialModes = null }) => {
   const [isLevelDropdownOpen, setIsLevelDropdownOpen] = useState(false);
   const [isFilterHistoryOpen, setIsFilterHistoryOpen] = useState(false);
   const [isSearchHistoryOpen, setIsSearchHistoryOpen] = useState(false);
@@ -52,22 +88,37 @@ const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCo
     const saved = localStorage.getItem('logViewer_searchHistory');
     return saved ? JSON.parse(saved) : [];
   });
+  // A deep link opens the bar with its own modes; they are not saved over
+  // the user's until changed here
+  const linkModesRef = useRef(initialModes ? { ...initialModes } : null);
   const [filterMode, setFilterMode] = useState(() => {
+    if (initialModes?.filterMode) return initialModes.filterMode;
     // Load filter mode from localStorage
     const saved = localStorage.getItem('logViewer_filterMode');
     return saved || 'text';
   });
   const [searchMode, setSearchMode] = useState(() => {
+    if (initialModes?.searchMode) return initialModes.searchMode;
     // Load search mode from localStorage
     const saved = localStorage.getItem('logViewer_searchMode');
     return saved || 'text';
   });
   const [filterCaseSensitive, setFilterCaseSensitive] = useState(() => {
+    if (typeof initialModes?.filterCaseSensitive === 'boolean') return initialModes.filterCaseSensitive;
     return localStorage.getItem('logViewer_filterCaseSensitive') === 'true';
   });
   const [searchCaseSensitive, setSearchCaseSensitive] = useState(() => {
+    if (typeof initialModes?.searchCaseSensitive === 'boolean') return initialModes.searchCaseSensitive;
     return localStorage.getItem('logViewer_searchCaseSensitive') === 'true';
   });
+  const saveMode = (key, value) => {
+    const linkModes = linkModesRef.current;
+    if (linkModes && key in linkModes) {
+      if (linkModes[key] === value) return;
+      delete linkModes[key];
+    }
+    localStorage.setItem(`logViewer_${key}`, value);
+  };
 
   // === Saved filters ===
   const SAVED_FILTERS_KEY = 'logViewer_savedFilters';
@@ -88,6 +139,8 @@ const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCo
   const dropdownRef = useRef(null);
   const portalRef = useRef(null);
   const filterInputRef = useRef(null);
+  const filterQueryError = useQueryError(filters.searchText, filterMode, filterCaseSensitive);
+  const searchQueryError = useQueryError(filters.searchQuery, searchMode, searchCaseSensitive);
   const filterHistoryRef = useRef(null);
   const searchInputRef = useRef(null);
   const searchHistoryRef = useRef(null);
@@ -101,24 +154,24 @@ const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCo
 
   // Save filter mode to localStorage and propagate to parent
   useEffect(() => {
-    localStorage.setItem('logViewer_filterMode', filterMode);
+    saveMode('filterMode', filterMode);
     onFiltersChange({ filterMode });
   }, [filterMode]);
 
   // Save search mode to localStorage and propagate to parent
   useEffect(() => {
-    localStorage.setItem('logViewer_searchMode', searchMode);
+    saveMode('searchMode', searchMode);
     onFiltersChange({ searchMode });
   }, [searchMode]);
 
   // Save case-sensitive flags to localStorage and propagate to parent
   useEffect(() => {
-    localStorage.setItem('logViewer_filterCaseSensitive', filterCaseSensitive);
+    saveMode('filterCaseSensitive', filterCaseSensitive);
     onFiltersChange({ filterCaseSensitive });
   }, [filterCaseSensitive]);
 
   useEffect(() => {
-    localStorage.setItem('logViewer_searchCaseSensitive', searchCaseSensitive);
+    saveMode('searchCaseSensitive', searchCaseSensitive);
     onFiltersChange({ searchCaseSensitive });
   }, [searchCaseSensitive]);
 
@@ -391,7 +444,8 @@ const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCo
   const renderSearchNavigationInput = () => (
     <div className="flex-1 min-w-64 flex items-center">
       <label className="text-xs font-medium text-gray-700 dark:text-gray-300 mr-2">Search:</label>
-      <div className="relative w-full flex border border-gray-300 dark:border-gray-600 rounded-md focus-within:ring-2 focus-within:ring-green-500 focus-within:border-green-500 bg-white dark:bg-gray-700">
+      <div className={`relative w-full flex border rounded-md focus-within:ring-2 focus-within:ring-green-500 focus-within:border-green-500 bg-white dark:bg-gray-700 ${searchQueryError?.afterField ? 'border-red-500 dark:border-red-500' : 'border-gray-300 dark:border-gray-600'}`}>
+        {searchQueryError && <QueryErrorHint text={filters.searchQuery} error={searchQueryError} />}
         {/* Search Mode Dropdown */}
         <select
           value={searchMode}
@@ -523,7 +577,8 @@ const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCo
       <div className="flex-1 min-w-64 flex flex-col items-start">
         <div className="flex items-center w-full">
           <label className="text-xs font-medium text-gray-700 dark:text-gray-300 mr-2">Filter:</label>
-          <div className="relative w-full flex border border-gray-300 dark:border-gray-600 rounded-md focus-within:ring-2 focus-within:ring-blue-500 focus-within:border-blue-500 bg-white dark:bg-gray-700">
+          <div className={`relative w-full flex border rounded-md focus-within:ring-2 focus-within:ring-blue-500 focus-within:border-blue-500 bg-white dark:bg-gray-700 ${filterQueryError?.afterField ? 'border-red-500 dark:border-red-500' : 'border-gray-300 dark:border-gray-600'}`}>
+            {filterQueryError && <QueryErrorHint text={filters.searchText} error={filterQueryError} />}
             {/* Filter Mode Dropdown */}
             <select
               value={filterMode}
@@ -682,7 +737,7 @@ const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCo
 
 
   const renderContextLines = () => (
-    <div className="flex items-center gap-1">
+    <div className="flex items-center gap-1" title="Also show N rows before and after each filter match (like grep -C). Context rows are dimmed; a dashed separator marks skipped rows between blocks.">
       <label className="text-xs font-medium text-gray-700 dark:text-gray-300">Context:</label>
       <input
         type="number"
@@ -728,6 +783,7 @@ const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCo
     searchMode,
     filterCaseSensitive,
     searchCaseSensitive,
+    highlightRules,
   });
 
   const saveFilterWithName = (name) => {
@@ -744,7 +800,11 @@ const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCo
   };
 
   const applyFilterData = (filterData, name, handle) => {
-    onFiltersChange(filterData);
+    // Highlight rules are app-wide, not per-tab filter fields; presets saved
+    // before they existed leave the current rules alone
+    const { highlightRules: presetHighlightRules, ...filterFields } = filterData;
+    onFiltersChange(filterFields);
+    if (Array.isArray(presetHighlightRules) && onHighlightRulesChange) onHighlightRulesChange(presetHighlightRules);
     if (filterData.filterMode !== undefined) setFilterMode(filterData.filterMode);
     if (filterData.searchMode !== undefined) setSearchMode(filterData.searchMode);
     if (filterData.filterCaseSensitive !== undefined) setFilterCaseSensitive(filterData.filterCaseSensitive);
@@ -1002,6 +1062,36 @@ const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCo
         </span>
       )}
 
+      {/* Highlight Rules Zone: click a rule to turn it on or off */}
+      {highlightRules.length > 0 && (
+        <div className="flex items-center gap-2">
+          <span className="text-gray-400 dark:text-gray-500 opacity-75">
+            Highlights:
+          </span>
+          <div className="flex flex-wrap items-center gap-1">
+            {highlightRules.map(rule => (
+              <button
+                key={rule.id}
+                onClick={() => onHighlightRulesChange(highlightRules.map(r => (r.id === rule.id ? { ...r, enabled: r.enabled === false } : r)))}
+                className={`px-2 py-0.5 text-xs rounded border border-gray-300 dark:border-gray-600 font-mono ${rule.enabled === false ? 'opacity-40 line-through' : ''}`}
+                style={{ color: rule.color || undefined, backgroundColor: rule.background || undefined }}
+                title={`${rule.mode === 'regex' ? `/${rule.pattern}/` : rule.pattern}${rule.rowTint ? ' (row tint)' : ''}\nClick to turn ${rule.enabled === false ? 'on' : 'off'}`}
+              >
+                {rule.name || rule.pattern}
+              </button>
+            ))}
+            {onEditHighlightRules && (
+              <button
+                onClick={onEditHighlightRules}
+                className="text-xs text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                Edit
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
       {/* Sticky Logs Zone */}
       {stickyLogs && stickyLogs.length > 0 && (
         <div className="flex items-center gap-2">
@@ -1024,6 +1114,9 @@ const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCo
                   key={sticky.id}
                   className={`inline-flex items-center gap-1 px-2 py-1 text-xs rounded border transition-colors ${getLevelBackgroundColor(sticky.level)}`}
                 >
+                  {sticky.color && BOOKMARK_COLORS[sticky.color] && (
+                    <span className={`w-2 h-2 rounded-full ${BOOKMARK_COLORS[sticky.color]}`} />
+                  )}
                   {/* Scroll to log button - editable on double-click */}
                   {editingStickyId === sticky.id ? (
                     <input
@@ -1041,7 +1134,7 @@ const LogViewerFilters = ({ filters, onFiltersChange, moduleOptions = [], logsCo
                       onClick={() => onScrollToLog(sticky.lineNumber, sticky.sourceFile)}
                       onDoubleClick={() => handleStickyDoubleClick(sticky)}
                       className="hover:opacity-75"
-                      title={sticky.sourceFile ? `[${sticky.sourceFile}] Line ${sticky.lineNumber}${sticky.title ? ` - ${sticky.title}` : ''}\nDouble-click to edit title` : `Line ${sticky.lineNumber}${sticky.title ? ` - ${sticky.title}` : ''}\nDouble-click to edit title`}
+                      title={`${sticky.sourceFile ? `[${sticky.sourceFile}] ` : ''}Line ${sticky.lineNumber}${sticky.title ? ` - ${sticky.title}` : ''}${sticky.tags && sticky.tags.length ? `\n${sticky.tags.map(tag => `#${tag}`).join(' ')}` : ''}${sticky.note ? `\n\n${sticky.note}` : ''}\nDouble-click to edit title`}
                     >
                       {sticky.title || `#${sticky.lineNumber}`}
                     </button>
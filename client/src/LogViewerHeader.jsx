@@ -1,6 +1,7 @@
 import React, { useRef, useState, useEffect, useCallback } from 'react';
 import AboutModal from './AboutModal';
 import ColumnSettings, { AVAILABLE_COLUMNS } from './ColumnSettings';
+import LogFormatsModal from './LogFormatsModal';
 import SelectionFilesDialog from './SelectionFilesDialog';
 import { CATO_COLORS } from './constants';
 import { clearSession } from './utils/sessionStorage';
@@ -10,12 +11,13 @@ import { isArchiveFile, expandArchivesInList } from './utils/archiveExtractor';
 // localStorage key for persisting which group names the user selected last time
 const FOLDER_SELECTION_KEY = 'logViewer_folderGroupNames';
 
-const LogViewerHeader = ({ onFileLoad, hasLogs, currentFileHeaders, onClearTabs, visibleColumns, onColumnsChange, onResetColumnDefaults, rightColumnOrder, onRightColumnOrderChange, logDuration, folderName, onPrepareFilesStart, onPrepareFilesEnd, onDownloadMerged, isDownloadingMerged, onClearFilters, isLiveMode = false, isLiveConnected = false, isLiveChecking = false, onLiveToggle }) => {
+const LogViewerHeader = ({ onFileLoad, hasLogs, currentFileHeaders, onClearTabs, visibleColumns, onColumnsChange, onResetColumnDefaults, rightColumnOrder, onRightColumnOrderChange, logDuration, folderName, onPrepareFilesStart, onPrepareFilesEnd, onDownloadMerged, isDownloadingMerged, onClearFilters, isLiveMode = false, isLiveConnected = false, isLiveChecking = false, isLiveReconnecting = false, onLiveToggle, isLivePaused = false, onLivePauseToggle, alertHitCount = 0, onShowAlerts, onShowClockOffsets, onShowMessageTemplates, onShowStatistics, onShowBookmarks, onShowLogDiff, onShowHighlightRules, onShowWorkspace, onShowSessionManager }) => {
   const fileInputRef = useRef(null);
   const directoryInputRef = useRef(null);
   const [showFileDropdown, setShowFileDropdown] = useState(false);
   const [showAbout, setShowAbout] = useState(false);
   const [showColumnSettings, setShowColumnSettings] = useState(false);
+  const [showLogFormats, setShowLogFormats] = useState(false);
   const [showDropdown, setShowDropdown] = useState(false);
   // State for the folder-file-selection dialog
   const [pendingFolderItems, setPendingFolderItems] = useState(null); // null | array of { id, name, fileObj }
@@ -202,6 +204,11 @@ const LogViewerHeader = ({ onFileLoad, hasLogs, currentFileHeaders, onClearTabs,
     setShowDropdown(false);
   };
 
+  const handleLogFormatsClick = () => {
+    setShowLogFormats(true);
+    setShowDropdown(false);
+  };
+
   const handleThemeToggle = () => {
     setIsDarkMode(!isDarkMode);
     setShowDropdown(false);
@@ -320,13 +327,15 @@ const LogViewerHeader = ({ onFileLoad, hasLogs, currentFileHeaders, onClearTabs,
           <button
             onClick={onLiveToggle}
             disabled={isLiveChecking}
-            title={isLiveConnected ? 'Disconnect live logs' : 'Connect to live logs'}
+            title={isLiveConnected ? 'Disconnect live logs' : isLiveReconnecting ? 'Connection lost — retrying. Click to stop.' : 'Connect to live logs'}
             className={`flex items-center gap-1.5 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
               isLiveConnected
                 ? 'bg-green-600 hover:bg-green-700 text-white'
-                : isLiveChecking
-                  ? 'bg-blue-500 text-white cursor-wait'
-                  : 'bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300'
+                : isLiveReconnecting
+                  ? 'bg-amber-500 hover:bg-amber-600 text-white'
+                  : isLiveChecking
+                    ? 'bg-blue-500 text-white cursor-wait'
+                    : 'bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300'
             }`}
           >
             {isLiveChecking ? (
@@ -337,6 +346,14 @@ const LogViewerHeader = ({ onFileLoad, hasLogs, currentFileHeaders, onClearTabs,
                 </svg>
                 Connecting…
               </>
+            ) : isLiveReconnecting ? (
+              <>
+                <svg className="w-3.5 h-3.5 animate-spin" fill="none" viewBox="0 0 24 24">
+                  <circle cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4" className="opacity-25" />
+                  <path fill="currentColor" d="M4 12a8 8 0 018-8v4a4 4 0 00-4 4H4z" className="opacity-75" />
+                </svg>
+                Reconnecting…
+              </>
             ) : (
               <>
                 <span className={`inline-block w-2 h-2 rounded-full ${isLiveConnected ? 'bg-white animate-pulse' : 'bg-gray-400 dark:bg-gray-500'}`} />
@@ -345,6 +362,39 @@ const LogViewerHeader = ({ onFileLoad, hasLogs, currentFileHeaders, onClearTabs,
             )}
           </button>
         )}
+        {isLiveConnected && onLivePauseToggle && (
+          <button
+            onClick={onLivePauseToggle}
+            title={isLivePaused ? 'Resume streaming — updates held by the server arrive at once' : 'Pause streaming without disconnecting'}
+            className={`flex items-center gap-1.5 px-3 py-2 rounded-md text-sm font-medium transition-colors ${
+              isLivePaused
+                ? 'bg-amber-500 hover:bg-amber-600 text-white'
+                : 'bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300'
+            }`}
+          >
+            {isLivePaused ? (
+              <svg className="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 24 24"><path d="M8 5v14l11-7z" /></svg>
+            ) : (
+              <svg className="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 24 24"><path d="M6 5h4v14H6zM14 5h4v14h-4z" /></svg>
+            )}
+            {isLivePaused ? 'Resume' : 'Pause'}
+          </button>
+        )}
+        {(isLiveMode || alertHitCount > 0) && onShowAlerts && (
+          <button
+            onClick={onShowAlerts}
+            title="Live alert rules and hits"
+            className="relative flex items-center gap-1.5 px-3 py-2 rounded-md text-sm font-medium transition-colors bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-300"
+          >
+            <svg className="w-3.5 h-3.5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 17h5l-1.405-1.405A2.032 2.032 0 0118 14.158V11a6.002 6.002 0 00-4-5.659V5a2 2 0 10-4 0v.341C7.67 6.165 6 8.388 6 11v3.159c0 .538-.214 1.055-.595 1.436L4 17h5m6 0v1a3 3 0 11-6 0v-1m6 0H9" />
+            </svg>
+            Alerts
+            {alertHitCount > 0 && (
+              <span className="ml-0.5 px-1.5 rounded-full bg-red-600 text-white text-xs leading-5">{alertHitCount}</span>
+            )}
+          </button>
+        )}
         {onDownloadMerged && (
           <button
             onClick={onDownloadMerged}
@@ -450,6 +500,103 @@ const LogViewerHeader = ({ onFileLoad, hasLogs, currentFileHeaders, onClearTabs,
                     </svg>
                     Column Settings
                   </button>
+                  <button
+                    onClick={handleLogFormatsClick}
+                    className="flex items-center w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                  >
+                    <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 12h10M4 18h7" />
+                    </svg>
+                    Log Formats
+                  </button>
+                  {onShowClockOffsets && (
+                    <button
+                      onClick={() => { onShowClockOffsets(); setShowDropdown(false); }}
+                      className="flex items-center w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                    >
+                      <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
+                      </svg>
+                      Clock Offsets
+                    </button>
+                  )}
+                  {onShowMessageTemplates && hasLogs && (
+                    <button
+                      onClick={() => { onShowMessageTemplates(); setShowDropdown(false); }}
+                      className="flex items-center w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                    >
+                      <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 6h16M4 10h16M4 14h10M4 18h10" />
+                      </svg>
+                      Group Similar Lines
+                    </button>
+                  )}
+                  {onShowStatistics && hasLogs && (
+                    <button
+                      onClick={() => { onShowStatistics(); setShowDropdown(false); }}
+                      className="flex items-center w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                    >
+                      <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+                      </svg>
+                      Statistics
+                    </button>
+                  )}
+                  {onShowBookmarks && hasLogs && (
+                    <button
+                      onClick={() => { onShowBookmarks(); setShowDropdown(false); }}
+                      className="flex items-center w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                    >
+                      <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z" />
+                      </svg>
+                      Bookmarks
+                    </button>
+                  )}
+                  {onShowLogDiff && hasLogs && (
+                    <button
+                      onClick={() => { onShowLogDiff(); setShowDropdown(false); }}
+                      className="flex items-center w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                    >
+                      <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 17V7m0 10a2 2 0 01-2 2H5a2 2 0 01-2-2V7a2 2 0 012-2h2a2 2 0 012 2m0 10a2 2 0 002 2h2a2 2 0 002-2M9 7a2 2 0 012-2h2a2 2 0 012 2m0 10V7m0 10a2 2 0 002 2h2a2 2 0 002-2V7a2 2 0 00-2-2h-2a2 2 0 00-2 2" />
+                      </svg>
+                      Compare Logs
+                    </button>
+                  )}
+                  {onShowHighlightRules && (
+                    <button
+                      onClick={() => { onShowHighlightRules(); setShowDropdown(false); }}
+                      className="flex items-center w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                    >
+                      <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M7 21a4 4 0 01-4-4V5a2 2 0 012-2h4a2 2 0 012 2v12a4 4 0 01-4 4zm0 0h12a2 2 0 002-2v-4a2 2 0 00-2-2h-2.343M11 7.343l1.657-1.657a2 2 0 012.828 0l2.829 2.829a2 2 0 010 2.828l-8.486 8.485M7 17h.01" />
+                      </svg>
+                      Highlight Rules
+                    </button>
+                  )}
+                  {onShowSessionManager && (
+                    <button
+                      onClick={() => { onShowSessionManager(); setShowDropdown(false); }}
+                      className="flex items-center w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                    >
+                      <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4 7v10c0 2.21 3.582 4 8 4s8-1.79 8-4V7M4 7c0 2.21 3.582 4 8 4s8-1.79 8-4M4 7c0-2.21 3.582-4 8-4s8 1.79 8 4m0 5c0 2.21-3.582 4-8 4s-8-1.79-8-4" />
+                      </svg>
+                      Workspaces
+                    </button>
+                  )}
+                  {onShowWorkspace && (
+                    <button
+                      onClick={() => { onShowWorkspace(); setShowDropdown(false); }}
+                      className="flex items-center w-full text-left px-4 py-2 text-sm text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+                    >
+                      <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" />
+                      </svg>
+                      Workspace Bundle
+                    </button>
+                  )}
                   {onClearFilters && (
                     <button
                       onClick={() => { onClearFilters(); setShowDropdown(false); }}
@@ -486,7 +633,7 @@ const LogViewerHeader = ({ onFileLoad, hasLogs, currentFileHeaders, onClearTabs,
         ref={fileInputRef}
         type="file"
         multiple
-        accept=".txt,.log,.ips,.zip,.xz,.txz"
+        accept=".txt,.log,.ips,.zip,.tar,.gz,.tgz,.xz,.txz,.bz2,.tbz2"
         onChange={handleFilesSelected}
         style={{ display: 'none' }}
       />
@@ -509,6 +656,9 @@ const LogViewerHeader = ({ onFileLoad, hasLogs, currentFileHeaders, onClearTabs,
         onColumnsChange={onColumnsChange}
         onResetDefaults={onResetColumnDefaults}
       />
+
+      {/* Custom Log Formats Modal */}
+      <LogFormatsModal isOpen={showLogFormats} onClose={() => setShowLogFormats(false)} />
     </header>
   );
 };
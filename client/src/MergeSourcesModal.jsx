@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  BUILT_IN_MERGE_SOURCES,
+  CUSTOM_MERGE_SOURCE_PREFIX,
+  TIMESTAMP_PARSERS,
+  resolveMergeSource,
+  validateMergeSource,
+} from './utils/mergeSources';
+
+const PATTERN_PARSER = 'pattern';
+
+const EMPTY_SOURCE = {
+  label: '',
+  folderName: '',
+  outputFilename: '',
+  tag: '',
+  parser: PATTERN_PARSER,
+  timestampPattern: 'YYYY-MM-DD HH:mm:ss.SSS',
+  loosePattern: '',
+  enabled: true,
+};
+
+const toDraft = (def) => ({
+  ...EMPTY_SOURCE,
+  ...def,
+  parser: def.timestampPattern ? PATTERN_PARSER : def.parser,
+});
+
+const fromDraft = (draft) => {
+  const { parser, timestampPattern, ...rest } = draft;
+  const def = {
+    ...rest,
+    key: draft.key || `${CUSTOM_MERGE_SOURCE_PREFIX}${Date.now()}`,
+    label: draft.label.trim() || draft.tag.trim(),
+    folderName: draft.folderName.trim(),
+    outputFilename: draft.outputFilename.trim(),
+    tag: draft.tag.trim(),
+    loosePattern: draft.loosePattern.trim(),
+  };
+  if (parser === PATTERN_PARSER) def.timestampPattern = timestampPattern.trim();
+  else def.parser = parser;
+  return def;
+};
+
+const formatMs = (ms) => new Date(ms).toISOString().replace('T', ' ').replace('Z', '');
+
+/**
+ * Editor for the merge source registry: lists the built-in sources and lets
+ * users add, edit, disable and delete their own.
+ */
+const MergeSourcesModal = ({ isOpen, onClose, customSources, onChange }) => {
+  const [editingIndex, setEditingIndex] = useState(null); // null = list view, -1 = new source
+  const [draft, setDraft] = useState(EMPTY_SOURCE);
+  const [sampleText, setSampleText] = useState('');
+
+  useEffect(() => {
+    if (isOpen) setEditingIndex(null);
+  }, [isOpen]);
+
+  // Validate the draft on every change so errors and the preview stay live
+  const { resolved, error } = useMemo(() => {
+    if (editingIndex === null) return { resolved: null, error: null };
+    const def = fromDraft(draft);
+    const others = [
+      ...BUILT_IN_MERGE_SOURCES,
+      ...customSources.filter((_, i) => i !== editingIndex),
+    ];
+    const message = validateMergeSource(def, others);
+    return message ? { resolved: null, error: message } : { resolved: resolveMergeSource(def), error: null };
+  }, [draft, editingIndex, customSources]);
+
+  const preview = useMemo(() => {
+    if (!resolved) return [];
+    return sampleText
+      .split(/\r?\n/)
+      .filter(line => line.trim())
+      .slice(0, 10)
+      .map(line => ({ line, ts: resolved.parseTs(line) }));
+  }, [resolved, sampleText]);
+
+  if (!isOpen) return null;
+
+  const handleEdit = (index) => {
+    setDraft(index === -1 ? EMPTY_SOURCE : toDraft(customSources[index]));
+    setEditingIndex(index);
+  };
+
+  const handleSaveDraft = () => {
+    if (!resolved) return;
+    const def = fromDraft(draft);
+    const next = [...customSources];
+    if (editingIndex === -1) next.push(def);
+    else next[editingIndex] = def;
+    onChange(next);
+    setEditingIndex(null);
+  };
+
+  const handleDelete = (index) => {
+    if (!window.confirm(`Delete merge source "${customSources[index].label}"?`)) return;
+    onChange(customSources.filter((_, i) => i !== index));
+  };
+
+  const handleToggleEnabled = (index) => {
+    onChange(customSources.map((s, i) => (i === index ? { ...s, enabled: s.enabled === false } : s)));
+  };
+
+  const inputClass = 'w-full px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-1 focus:ring-blue-500';
+  const labelClass = 'block text-xs font-medium text-gray-700 dark:text-gray-300 mb-1';
+
+  const renderSourceSummary = (source) => (
+    <div className="min-w-0">
+      <div className="text-sm font-medium text-gray-700 dark:text-gray-300 truncate">
+        {source.label || source.tag}
+        <span className="ml-2 text-xs font-mono font-normal text-gray-500 dark:text-gray-400">[{source.tag}]</span>
+      </div>
+      <div className="text-xs text-gray-500 dark:text-gray-400 font-mono truncate">
+        {source.folderName} → {source.outputFilename} · {source.timestampPattern || source.parser}
+      </div>
+    </div>
+  );
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60]">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-3xl w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+            {editingIndex === null ? 'Merge Sources' : editingIndex === -1 ? 'New Merge Source' : `Edit "${customSources[editingIndex]?.label}"`}
+          </h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        {editingIndex === null ? (
+          <div className="p-4 space-y-2 flex-1 overflow-y-auto">
+            <p className="text-sm text-gray-600 dark:text-gray-400 mb-4">
+              Each source is a folder (or a single file) in the logs bundle. Its files are sorted into one output
+              file and, when selected, merged into merged.log with its [TAG].
+            </p>
+            <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300">Built-in</h3>
+            {BUILT_IN_MERGE_SOURCES.map(source => (
+              <div key={source.key} className="flex items-center justify-between p-3 rounded-md bg-gray-50 dark:bg-gray-900">
+                {renderSourceSummary(source)}
+              </div>
+            ))}
+            <h3 className="text-sm font-semibold text-gray-700 dark:text-gray-300 pt-2">Custom</h3>
+            {customSources.length === 0 && (
+              <p className="text-sm text-gray-500 dark:text-gray-400 italic">No custom merge sources defined.</p>
+            )}
+            {customSources.map((source, index) => (
+              <div
+                key={source.key}
+                className="flex items-center justify-between p-3 rounded-md bg-gray-50 dark:bg-gray-900 hover:bg-gray-100 dark:hover:bg-gray-800"
+              >
+                {renderSourceSummary(source)}
+                <div className="flex items-center gap-3 flex-shrink-0 ml-3">
+                  <input
+                    type="checkbox"
+                    checked={source.enabled !== false}
+                    onChange={() => handleToggleEnabled(index)}
+                    title="Enabled"
+                    className="w-4 h-4 text-blue-600 bg-gray-100 border-gray-300 rounded cursor-pointer dark:bg-gray-700 dark:border-gray-600"
+                  />
+                  <button onClick={() => handleEdit(index)} className="text-xs text-blue-600 dark:text-blue-400 hover:underline">Edit</button>
+                  <button onClick={() => handleDelete(index)} className="text-xs text-red-600 dark:text-red-400 hover:underline">Delete</button>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="p-4 space-y-3 flex-1 overflow-y-auto">
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className={labelClass}>Name</label>
+                <input className={inputClass} value={draft.label} onChange={e => setDraft({ ...draft, label: e.target.value })} placeholder="e.g. Windows service" />
+              </div>
+              <div>
+                <label className={labelClass}>Tag in merged.log</label>
+                <input className={`${inputClass} font-mono`} value={draft.tag} onChange={e => setDraft({ ...draft, tag: e.target.value })} placeholder="e.g. SVC" />
+              </div>
+              <div>
+                <label className={labelClass}>Folder (or single file) in the bundle</label>
+                <input className={`${inputClass} font-mono`} value={draft.folderName} onChange={e => setDraft({ ...draft, folderName: e.target.value })} placeholder="e.g. ServiceLogs" />
+              </div>
+              <div>
+                <label className={labelClass}>Output filename</label>
+                <input className={`${inputClass} font-mono`} value={draft.outputFilename} onChange={e => setDraft({ ...draft, outputFilename: e.target.value })} placeholder="e.g. ServiceLogs.log" />
+              </div>
+              <div>
+                <label className={labelClass}>Timestamp parser</label>
+                <select className={inputClass} value={draft.parser} onChange={e => setDraft({ ...draft, parser: e.target.value })}>
+                  {Object.entries(TIMESTAMP_PARSERS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                  <option value={PATTERN_PARSER}>Custom pattern</option>
+                </select>
+              </div>
+              <div>
+                <label className={labelClass}>Timestamp pattern</label>
+                <input
+                  className={`${inputClass} font-mono`}
+                  value={draft.timestampPattern}
+                  onChange={e => setDraft({ ...draft, timestampPattern: e.target.value })}
+                  disabled={draft.parser !== PATTERN_PARSER}
+                  title="Tokens: YYYY YY MMM MM DD HH mm ss SSS Z, or 'epoch' / 'epoch_ms'. The timestamp must start the line, optionally in [brackets]."
+                />
+              </div>
+            </div>
+
+            <div>
+              <label className={labelClass}>Loose file pattern (optional regex for matching files at the bundle root)</label>
+              <input
+                className={`${inputClass} font-mono`}
+                value={draft.loosePattern}
+                onChange={e => setDraft({ ...draft, loosePattern: e.target.value })}
+                placeholder="e.g. ^CatoService.*\.log$"
+              />
+            </div>
+
+            <div>
+              <label className={labelClass}>Sample lines</label>
+              <textarea
+                rows={3}
+                className={`${inputClass} font-mono`}
+                value={sampleText}
+                onChange={e => setSampleText(e.target.value)}
+                placeholder="Paste a few log lines to test the timestamp parser"
+              />
+            </div>
+
+            {error && <div className="text-xs text-red-600 dark:text-red-400">{error}</div>}
+
+            {preview.length > 0 && (
+              <div className="border border-gray-200 dark:border-gray-700 rounded divide-y divide-gray-100 dark:divide-gray-800 text-xs font-mono">
+                {preview.map(({ line, ts }, i) => (
+                  <div key={i} className="flex gap-3 px-2 py-1 text-gray-800 dark:text-gray-200">
+                    <span className={`flex-shrink-0 ${ts === null ? 'text-gray-400 dark:text-gray-500' : ''}`}>
+                      {ts === null ? 'continuation' : formatMs(ts)}
+                    </span>
+                    <span className="truncate" title={line}>{line}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Footer */}
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700">
+          {editingIndex === null ? (
+            <>
+              <button
+                onClick={() => handleEdit(-1)}
+                className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+              >
+                Add Source
+              </button>
+              <button
+                onClick={onClose}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+              >
+                Done
+              </button>
+            </>
+          ) : (
+            <>
+              <span />
+              <div className="flex gap-2">
+                <button
+                  onClick={() => setEditingIndex(null)}
+                  className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveDraft}
+                  disabled={!resolved}
+                  className="px-4 py-2 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed rounded-md transition-colors"
+                >
+                  Save Source
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MergeSourcesModal;
@@ -0,0 +1,173 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { groupLogsByTemplate, isTemplateExcluded } from './utils/messageTemplates';
+import { getLevelBackgroundColor } from './utils/logLevelColors';
+
+const inputClass = 'px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+
+// Templates rendered at once; the search narrows the rest
+const MAX_VISIBLE_TEMPLATES = 300;
+
+const LEVEL_ORDER = ['error', 'warning', 'info', 'debug', 'verbose', 'other'];
+const LEVEL_SHORT = { error: 'E', warning: 'W', info: 'I', debug: 'D', verbose: 'V', other: '?' };
+
+const formatSeen = (log) => log.displayTime || log.timestamp || '—';
+const describeSeen = (log) => [log.timestamp, log.lineNumber != null && `line ${log.lineNumber}`].filter(Boolean).join(', ');
+
+// Template text with its <PLACEHOLDERS> set apart
+const TemplateText = ({ template }) => (
+  <>
+    {template.split(/(<(?:UUID|IP|HEX|NUM)>)/).map((part, i) => (
+      i % 2
+        ? <span key={i} className="px-0.5 rounded bg-purple-100 dark:bg-purple-900/50 text-purple-700 dark:text-purple-300">{part}</span>
+        : <span key={i}>{part}</span>
+    ))}
+  </>
+);
+
+/**
+ * "Group Similar Lines": the tab's messages collapsed into templates with
+ * counts, first / last seen and a per-level breakdown. Show filters the list
+ * to a template's rows; Exclude adds it to the current filter as !msg:/.../.
+ */
+const MessageTemplatesModal = ({ isOpen, onClose, logs, searchText, onShowTemplate, onExcludeTemplate }) => {
+  const [find, setFind] = useState('');
+
+  useEffect(() => {
+    if (isOpen) setFind('');
+  }, [isOpen]);
+
+  const groups = useMemo(() => (isOpen ? groupLogsByTemplate(logs) : []), [isOpen, logs]);
+
+  const matchingGroups = useMemo(() => {
+    const needle = find.trim().toLowerCase();
+    return needle ? groups.filter(g => g.template.toLowerCase().includes(needle)) : groups;
+  }, [groups, find]);
+
+  if (!isOpen) return null;
+
+  const rowCount = groups.reduce((sum, g) => sum + g.count, 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-6xl w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Group Similar Lines</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {groups.length.toLocaleString()} templates from {rowCount.toLocaleString()} rows of this tab
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-3 flex-1 overflow-hidden flex flex-col">
+          <div className="flex items-center gap-3">
+            <input
+              className={`${inputClass} flex-1`}
+              value={find}
+              onChange={e => setFind(e.target.value)}
+              placeholder="Find template…"
+              autoFocus
+            />
+            <span className="text-xs text-gray-500 dark:text-gray-400 whitespace-nowrap">
+              IPs, UUIDs, hex ids and numbers are collapsed into placeholders
+            </span>
+          </div>
+
+          <div className="flex-1 overflow-y-auto border border-gray-200 dark:border-gray-700 rounded-md">
+            <table className="w-full text-xs">
+              <thead className="sticky top-0 bg-gray-50 dark:bg-gray-900 text-gray-600 dark:text-gray-400">
+                <tr>
+                  <th className="px-2 py-1.5 text-right font-semibold">Count</th>
+                  <th className="px-2 py-1.5 text-left font-semibold">Template</th>
+                  <th className="px-2 py-1.5 text-left font-semibold">Levels</th>
+                  <th className="px-2 py-1.5 text-left font-semibold">First seen</th>
+                  <th className="px-2 py-1.5 text-left font-semibold">Last seen</th>
+                  <th className="px-2 py-1.5"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+                {matchingGroups.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-3 py-2 text-sm text-gray-500 dark:text-gray-400 italic">No templates.</td>
+                  </tr>
+                )}
+                {matchingGroups.slice(0, MAX_VISIBLE_TEMPLATES).map(group => {
+                  const excluded = isTemplateExcluded(searchText, group.template);
+                  return (
+                    <tr
+                      key={group.template}
+                      onClick={() => { onShowTemplate(group.template); onClose(); }}
+                      className={`cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700/50 ${excluded ? 'opacity-50' : ''}`}
+                      title={`Show the ${group.count.toLocaleString()} rows of this template\nExample: ${group.sample}`}
+                    >
+                      <td className="px-2 py-1 text-right font-mono text-gray-700 dark:text-gray-300 align-top">{group.count.toLocaleString()}</td>
+                      <td className={`px-2 py-1 font-mono text-gray-800 dark:text-gray-200 break-all ${excluded ? 'line-through' : ''}`}>
+                        <TemplateText template={group.template || '(empty)'} />
+                      </td>
+                      <td className="px-2 py-1 align-top whitespace-nowrap">
+                        {LEVEL_ORDER.filter(level => group.levels[level]).map(level => (
+                          <span
+                            key={level}
+                            className={`inline-block mr-1 px-1 rounded border ${getLevelBackgroundColor(level)}`}
+                            title={`${group.levels[level].toLocaleString()} ${level}`}
+                          >
+                            {LEVEL_SHORT[level]} {group.levels[level].toLocaleString()}
+                          </span>
+                        ))}
+                      </td>
+                      <td className="px-2 py-1 font-mono text-gray-600 dark:text-gray-400 align-top whitespace-nowrap" title={describeSeen(group.firstLog)}>
+                        {formatSeen(group.firstLog)}
+                      </td>
+                      <td className="px-2 py-1 font-mono text-gray-600 dark:text-gray-400 align-top whitespace-nowrap" title={describeSeen(group.lastLog)}>
+                        {formatSeen(group.lastLog)}
+                      </td>
+                      <td className="px-2 py-1 align-top text-right whitespace-nowrap">
+                        <button
+                          onClick={(e) => { e.stopPropagation(); onExcludeTemplate(group.template); }}
+                          disabled={excluded}
+                          className="text-xs text-red-600 dark:text-red-400 hover:underline disabled:no-underline disabled:text-gray-400 dark:disabled:text-gray-500"
+                          title="Add !msg:/…/ for this template to the filter"
+                        >
+                          {excluded ? 'Excluded' : 'Exclude'}
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {matchingGroups.length > MAX_VISIBLE_TEMPLATES && (
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              Showing the {MAX_VISIBLE_TEMPLATES} most frequent of {matchingGroups.length.toLocaleString()} templates; use the search to find the rest.
+            </p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700">
+          <p className="text-xs text-gray-500 dark:text-gray-400">Click a template to filter the list to its rows.</p>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MessageTemplatesModal;
@@ -25,9 +25,13 @@ const SelectionFilesDialog = ({
   description = 'Select which tabs to include in the merged output:',
   confirmLabel = 'Merge',
   getDefaultChecked = null,   // optional: (fileItem) => boolean
+  mergeSources = null,        // optional: resolved merge sources to pick for merged.log
+  onEditMergeSources = null,  // optional: opens the merge source editor
+  onEditClockOffsets = null,  // optional: opens the per-source clock offsets
 }) => {
   const modalRef = useRef(null);
   const [selected, setSelected] = useState({});
+  const [selectedSources, setSelectedSources] = useState(new Set());
 
   // (Re)initialise checkboxes whenever the dialog opens or the file list changes
   useEffect(() => {
@@ -46,6 +50,12 @@ const SelectionFilesDialog = ({
     setSelected(initial);
   }, [isOpen, files, getDefaultChecked]);
 
+  // Every source goes into merged.log unless unticked (same default as mergeLogsToZip)
+  useEffect(() => {
+    if (!isOpen || !mergeSources) return;
+    setSelectedSources(new Set(mergeSources.map(s => s.key)));
+  }, [isOpen, mergeSources]);
+
   // Escape to close
   useEffect(() => {
     if (!isOpen) return;
@@ -60,10 +70,24 @@ const SelectionFilesDialog = ({
 
   const toggle = (id) => setSelected(prev => ({ ...prev, [id]: !prev[id] }));
 
+  const toggleSource = (key) => {
+    setSelectedSources(prev => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  };
+
   const handleMerge = () => {
     const selectedIds = Object.keys(selected).filter(id => selected[id]);
     if (!selectedIds.length) return;
-    onConfirm(selectedIds);
+    if (mergeSources) {
+      // Keep the registry order so merged.log lists its sources consistently
+      onConfirm(selectedIds, mergeSources.map(s => s.key).filter(key => selectedSources.has(key)));
+    } else {
+      onConfirm(selectedIds);
+    }
   };
 
   const selectedCount = Object.values(selected).filter(Boolean).length;
@@ -184,6 +208,53 @@ const SelectionFilesDialog = ({
           ))}
         </ul>
 
+        {/* Sources included in merged.log */}
+        {mergeSources && (
+          <div className="mb-5 shrink-0">
+            <div className="flex items-center justify-between mb-2">
+              <p className="text-sm text-gray-500 dark:text-gray-400">Sources in merged.log:</p>
+              <div className="flex gap-2 ml-4">
+                {onEditClockOffsets && (
+                  <button
+                    onClick={onEditClockOffsets}
+                    className="text-xs px-2 py-1 rounded border border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                  >
+                    Clock Offsets…
+                  </button>
+                )}
+                {onEditMergeSources && (
+                  <button
+                    onClick={onEditMergeSources}
+                    className="text-xs px-2 py-1 rounded border border-gray-300 dark:border-gray-600 text-gray-600 dark:text-gray-400 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                  >
+                    Edit Sources…
+                  </button>
+                )}
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-x-4 gap-y-2">
+              {mergeSources.map(src => (
+                <label
+                  key={src.key}
+                  className="inline-flex items-center gap-2 text-sm text-gray-800 dark:text-gray-200 cursor-pointer select-none"
+                  title={`${src.folderName} → ${src.outputFilename}`}
+                >
+                  <input
+                    type="checkbox"
+                    checked={selectedSources.has(src.key)}
+                    onChange={() => toggleSource(src.key)}
+                    className="w-4 h-4 accent-emerald-600"
+                  />
+                  <span className="font-mono">{src.tag}</span>
+                  {!src.builtIn && (
+                    <span className="text-xs px-1.5 rounded bg-emerald-100 dark:bg-emerald-900/40 text-emerald-700 dark:text-emerald-300">custom</span>
+                  )}
+                </label>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Actions */}
         <div className="flex justify-end gap-2 shrink-0">
           <button
@@ -194,7 +265,7 @@ const SelectionFilesDialog = ({
           </button>
           <button
             onClick={handleMerge}
-            disabled={selectedCount === 0}
+            disabled={selectedCount === 0 || (mergeSources && selectedSources.size === 0)}
             className="px-4 py-2 rounded-md text-sm font-medium text-white bg-emerald-600 hover:bg-emerald-700 disabled:bg-gray-300 dark:disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
           >
             <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
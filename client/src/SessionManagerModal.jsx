@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  RETENTION_OPTIONS,
+  listWorkspaces,
+  saveWorkspace,
+  openWorkspace,
+  getWorkspaceFile,
+  updateWorkspace,
+  duplicateWorkspace,
+  deleteWorkspace,
+  getStorageEstimate,
+} from './utils/workspaceStore';
+import { BUNDLE_EXTENSION } from './utils/workspaceBundle';
+import { saveTextFile, sanitizeFilename } from './utils/exportLogs';
+
+const inputClass = 'px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+const rowButtonClass = 'px-2 py-0.5 text-xs rounded text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 disabled:opacity-50';
+
+const formatSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+};
+
+const MAX_LISTED_FILES = 3;
+
+/**
+ * Named workspaces kept in IndexedDB for every browser tab: save the current
+ * tabs under a name, then open, rename, duplicate, export or delete them.
+ * Each workspace can be given a retention period after its last opening.
+ */
+const SessionManagerModal = ({ isOpen, onClose, canSave, defaultName = '', getCurrentBundle, onOpenBundle }) => {
+  const [workspaces, setWorkspaces] = useState([]);
+  const [estimate, setEstimate] = useState(null);
+  const [name, setName] = useState('');
+  const [includeLogs, setIncludeLogs] = useState(true);
+  const [renaming, setRenaming] = useState(null); // { id, name }
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const refresh = useCallback(async () => {
+    setWorkspaces(await listWorkspaces());
+    setEstimate(await getStorageEstimate());
+  }, []);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setName(defaultName);
+    setRenaming(null);
+    setError(null);
+    refresh();
+  }, [isOpen, defaultName, refresh]);
+
+  if (!isOpen) return null;
+
+  const run = async (action, failure) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error(`${failure}:`, err);
+      setError(`${failure}: ${err.message}`);
+    } finally {
+      setBusy(false);
+      refresh();
+    }
+  };
+
+  const trimmedName = name.trim();
+  const handleSave = () => {
+    if (!trimmedName) return;
+    if (workspaces.some(workspace => workspace.name === trimmedName)
+      && !window.confirm(`Replace the saved workspace "${trimmedName}" with the current tabs?`)) return;
+    run(() => saveWorkspace(trimmedName, getCurrentBundle({ includeLogs })), 'Failed to save the workspace');
+  };
+
+  const handleOpen = (workspace) => run(async () => {
+    await onOpenBundle(await openWorkspace(workspace.id));
+    onClose();
+  }, `Failed to open "${workspace.name}"`);
+
+  const handleRename = () => {
+    if (!renaming) return;
+    const newName = renaming.name.trim();
+    const { id } = renaming;
+    setRenaming(null);
+    if (!newName || workspaces.some(workspace => workspace.id === id && workspace.name === newName)) return;
+    if (workspaces.some(workspace => workspace.id !== id && workspace.name === newName)) {
+      setError(`A workspace named "${newName}" already exists`);
+      return;
+    }
+    run(() => updateWorkspace(id, { name: newName }), 'Failed to rename the workspace');
+  };
+
+  const handleExport = (workspace) => run(async () => {
+    const file = await getWorkspaceFile(workspace.id);
+    await saveTextFile(file, `${sanitizeFilename(workspace.name)}${BUNDLE_EXTENSION}`, {
+      description: 'Workspace bundle',
+      mimeType: 'application/gzip',
+      extensions: [BUNDLE_EXTENSION],
+    });
+  }, `Failed to export "${workspace.name}"`);
+
+  const handleDelete = (workspace) => {
+    if (!window.confirm(`Delete the workspace "${workspace.name}"?`)) return;
+    run(() => deleteWorkspace(workspace.id), 'Failed to delete the workspace');
+  };
+
+  const totalSize = workspaces.reduce((sum, workspace) => sum + (workspace.size || 0), 0);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-5xl w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Workspaces</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {workspaces.length} saved · {formatSize(totalSize)} — shared by every browser tab
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-3 flex-1 overflow-hidden flex flex-col">
+          <div className="flex flex-wrap items-center gap-2">
+            <input
+              className={`${inputClass} w-64`}
+              value={name}
+              onChange={e => setName(e.target.value)}
+              onKeyDown={e => { if (e.key === 'Enter' && canSave) handleSave(); }}
+              placeholder="Workspace name…"
+              disabled={!canSave}
+            />
+            <label className="flex items-center gap-1 text-xs text-gray-600 dark:text-gray-400 cursor-pointer">
+              <input type="checkbox" checked={includeLogs} onChange={e => setIncludeLogs(e.target.checked)} disabled={!canSave} />
+              Include log contents
+            </label>
+            <button
+              onClick={handleSave}
+              disabled={busy || !canSave || !trimmedName}
+              className="px-3 py-1 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors disabled:opacity-50"
+            >
+              Save Current Tabs
+            </button>
+            {!canSave && <span className="text-xs text-gray-500 dark:text-gray-400 italic">Open some files to save them as a workspace.</span>}
+          </div>
+
+          {error && <p className="text-xs text-red-600 dark:text-red-400">{error}</p>}
+
+          <div className="flex-1 overflow-auto border border-gray-200 dark:border-gray-700 rounded-md">
+            {workspaces.length === 0 ? (
+              <p className="px-3 py-2 text-sm text-gray-500 dark:text-gray-400 italic">No saved workspaces.</p>
+            ) : (
+              <table className="w-full text-xs">
+                <thead className="sticky top-0 bg-gray-50 dark:bg-gray-900 text-gray-600 dark:text-gray-400">
+                  <tr className="text-left">
+                    <th className="px-2 py-1 font-medium">Name</th>
+                    <th className="px-2 py-1 font-medium whitespace-nowrap">Last opened</th>
+                    <th className="px-2 py-1 font-medium">Files</th>
+                    <th className="px-2 py-1 font-medium text-right">Size</th>
+                    <th className="px-2 py-1 font-medium">Keep</th>
+                    <th className="px-2 py-1" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {workspaces.map(workspace => (
+                    <tr key={workspace.id} className="border-t border-gray-100 dark:border-gray-700 align-top">
+                      <td className="px-2 py-1 font-medium text-gray-900 dark:text-gray-100">
+                        {renaming?.id === workspace.id ? (
+                          <input
+                            autoFocus
+                            className={`${inputClass} w-full text-xs`}
+                            value={renaming.name}
+                            onChange={e => setRenaming({ ...renaming, name: e.target.value })}
+                            onBlur={handleRename}
+                            onKeyDown={e => {
+                              if (e.key === 'Enter') handleRename();
+                              if (e.key === 'Escape') setRenaming(null);
+                            }}
+                          />
+                        ) : (
+                          <button
+                            onClick={() => setRenaming({ id: workspace.id, name: workspace.name })}
+                            className="text-left hover:underline"
+                            title="Rename"
+                          >
+                            {workspace.name}
+                          </button>
+                        )}
+                      </td>
+                      <td className="px-2 py-1 whitespace-nowrap text-gray-600 dark:text-gray-400">
+                        {new Date(workspace.lastOpenedAt).toLocaleString()}
+                      </td>
+                      <td className="px-2 py-1 text-gray-600 dark:text-gray-400" title={workspace.files.join('\n')}>
+                        <span className="font-mono">{workspace.files.slice(0, MAX_LISTED_FILES).join(', ')}</span>
+                        {workspace.files.length > MAX_LISTED_FILES && ` +${workspace.files.length - MAX_LISTED_FILES} more`}
+                        <span className="block text-[10px] text-gray-400 dark:text-gray-500">
+                          {workspace.hasLogs ? `${workspace.rowCount.toLocaleString()} rows` : 'file references only'}
+                        </span>
+                      </td>
+                      <td className="px-2 py-1 whitespace-nowrap text-right font-mono text-gray-600 dark:text-gray-400">{formatSize(workspace.size || 0)}</td>
+                      <td className="px-2 py-1">
+                        <select
+                          className={`${inputClass} text-xs`}
+                          value={workspace.retentionDays ?? ''}
+                          onChange={e => run(
+                            () => updateWorkspace(workspace.id, { retentionDays: e.target.value ? Number(e.target.value) : null }),
+                            'Failed to change the retention'
+                          )}
+                          title="Deleted this long after it was last opened"
+                        >
+                          {RETENTION_OPTIONS.map(option => (
+                            <option key={option.label} value={option.days ?? ''}>{option.label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="px-2 py-1 whitespace-nowrap text-right">
+                        <button onClick={() => handleOpen(workspace)} disabled={busy} className={rowButtonClass}>Open</button>
+                        <button onClick={() => run(() => duplicateWorkspace(workspace.id), 'Failed to duplicate the workspace')} disabled={busy} className={rowButtonClass}>Duplicate</button>
+                        <button onClick={() => handleExport(workspace)} disabled={busy} className={rowButtonClass} title={`Save as a ${BUNDLE_EXTENSION} file`}>Export</button>
+                        <button onClick={() => handleDelete(workspace)} disabled={busy} className="px-2 py-0.5 text-xs rounded text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 disabled:opacity-50">Delete</button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700">
+          <div className="text-xs text-gray-500 dark:text-gray-400">
+            {estimate && estimate.quota ? (
+              <div className="flex items-center gap-2">
+                <div className="w-40 h-2 bg-gray-100 dark:bg-gray-700 rounded">
+                  <div className="h-2 bg-blue-400 rounded" style={{ width: `${Math.min(100, (estimate.usage / estimate.quota) * 100)}%` }} />
+                </div>
+                Browser storage: {formatSize(estimate.usage)} of {formatSize(estimate.quota)} ({((estimate.usage / estimate.quota) * 100).toFixed(1)}%)
+              </div>
+            ) : 'Browser storage usage is not available.'}
+          </div>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionManagerModal;
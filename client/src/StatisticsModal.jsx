@@ -0,0 +1,190 @@
+import React, { useMemo } from 'react';
+import { computeLogStatistics, statisticsToCSV } from './utils/logStatistics';
+import { formatBucketSize, formatFilterTimestamp } from './utils/timeline';
+import { saveTextFile, sanitizeFilename } from './utils/exportLogs';
+import { formatTimeGap } from './dateTimeUtils';
+
+// Entries listed per count table; exports always hold all of them
+const MAX_LISTED = 15;
+
+const footerButtonClass = 'px-3 py-2 text-sm font-medium text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded-md transition-colors disabled:opacity-50';
+
+const Section = ({ title, children }) => (
+  <div className="border border-gray-200 dark:border-gray-700 rounded-md p-3 min-w-0">
+    <h3 className="text-xs font-semibold uppercase tracking-wide text-gray-500 dark:text-gray-400 mb-2">{title}</h3>
+    {children}
+  </div>
+);
+
+// Key / count rows with a bar relative to the largest count
+const CountList = ({ counts, total, labelOf = key => key }) => {
+  if (counts.length === 0) return <p className="text-xs text-gray-400 italic">No rows.</p>;
+  const max = counts[0].count;
+  return (
+    <div className="space-y-0.5">
+      {counts.slice(0, MAX_LISTED).map(({ key, count }) => (
+        <div key={key} className="flex items-center gap-2 text-xs" title={`${labelOf(key)}: ${count.toLocaleString()} (${((count / total) * 100).toFixed(1)}%)`}>
+          <span className="w-32 truncate font-mono text-gray-700 dark:text-gray-300">{labelOf(key)}</span>
+          <div className="flex-1 h-2 bg-gray-100 dark:bg-gray-700 rounded">
+            <div className="h-2 bg-blue-400 rounded" style={{ width: `${(count / max) * 100}%` }} />
+          </div>
+          <span className="w-16 text-right font-mono text-gray-600 dark:text-gray-400">{count.toLocaleString()}</span>
+        </div>
+      ))}
+      {counts.length > MAX_LISTED && (
+        <p className="text-[10px] text-gray-400 dark:text-gray-500">+{(counts.length - MAX_LISTED).toLocaleString()} more in the export</p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Statistics of the rows the current filter shows: counts by level, module,
+ * process type, thread and source file, the error rate over time, the
+ * noisiest modules and the largest time gaps. Exports as CSV or JSON.
+ */
+const StatisticsModal = ({ isOpen, onClose, logs, scopeLabel, getSourceLabel = key => key, onJumpToLog }) => {
+  const stats = useMemo(
+    () => (isOpen ? computeLogStatistics(logs, { sourceOf: log => log.sourceFile || scopeLabel }) : null),
+    [isOpen, logs, scopeLabel]
+  );
+
+  if (!isOpen || !stats) return null;
+
+  const exportName = sanitizeFilename(`${scopeLabel || 'logs'}_statistics`);
+  const handleExportCSV = () => {
+    saveTextFile(statisticsToCSV(stats), `${exportName}.csv`, { description: 'CSV file', mimeType: 'text/csv', extensions: ['.csv'] });
+  };
+  const handleExportJSON = () => {
+    const json = JSON.stringify({ scope: scopeLabel, generatedAt: new Date().toISOString(), ...stats }, null, 2);
+    saveTextFile(json, `${exportName}.json`, { description: 'JSON file', mimeType: 'application/json', extensions: ['.json'] });
+  };
+
+  const maxRate = Math.max(0, ...stats.errorRate.buckets.map(b => b.rate));
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-6xl w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Statistics</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {stats.total.toLocaleString()} rows of {scopeLabel} matching the current filter
+              {stats.startMs != null && ` · ${formatFilterTimestamp(stats.startMs)} – ${formatFilterTimestamp(stats.endMs)}`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 flex-1 overflow-y-auto grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
+          <Section title="Levels">
+            <CountList counts={stats.byLevel} total={stats.total} />
+          </Section>
+          <Section title="Process types">
+            <CountList counts={stats.byProcessType} total={stats.total} />
+          </Section>
+          <Section title="Source files">
+            <CountList counts={stats.bySource} total={stats.total} labelOf={getSourceLabel} />
+          </Section>
+          <Section title="Modules">
+            <CountList counts={stats.byModule} total={stats.total} />
+          </Section>
+          <Section title="Threads">
+            <CountList counts={stats.byThread} total={stats.total} />
+          </Section>
+
+          <Section title={`Error rate${stats.errorRate.bucketMs ? ` (per ${formatBucketSize(stats.errorRate.bucketMs)})` : ''}`}>
+            {stats.errorRate.buckets.length === 0 ? (
+              <p className="text-xs text-gray-400 italic">No timestamps.</p>
+            ) : (
+              <>
+                <div className="flex items-end h-20 gap-px">
+                  {stats.errorRate.buckets.map(bucket => (
+                    <div
+                      key={bucket.startMs}
+                      className="flex-1 min-w-0 h-full flex flex-col justify-end hover:bg-gray-100 dark:hover:bg-gray-700"
+                      title={`${formatFilterTimestamp(bucket.startMs)}\n${bucket.errors.toLocaleString()} of ${bucket.total.toLocaleString()} rows are errors (${(bucket.rate * 100).toFixed(1)}%)`}
+                    >
+                      <div className="bg-red-500" style={{ height: maxRate ? `${(bucket.rate / maxRate) * 100}%` : 0 }} />
+                    </div>
+                  ))}
+                </div>
+                <p className="text-[10px] text-gray-400 dark:text-gray-500 mt-1">
+                  Peak {(maxRate * 100).toFixed(1)}% of rows
+                </p>
+              </>
+            )}
+          </Section>
+
+          <Section title="Noisiest modules">
+            <table className="w-full text-xs">
+              <thead className="text-gray-500 dark:text-gray-400">
+                <tr>
+                  <th className="text-left font-semibold">Module</th>
+                  <th className="text-right font-semibold">Rows</th>
+                  <th className="text-right font-semibold">Errors</th>
+                  <th className="text-right font-semibold">Warnings</th>
+                </tr>
+              </thead>
+              <tbody className="font-mono text-gray-700 dark:text-gray-300">
+                {stats.noisiestModules.map(entry => (
+                  <tr key={entry.key}>
+                    <td className="truncate max-w-[10rem]" title={entry.key}>{entry.key}</td>
+                    <td className="text-right">{entry.count.toLocaleString()}</td>
+                    <td className="text-right text-red-600 dark:text-red-400">{entry.errors ? entry.errors.toLocaleString() : ''}</td>
+                    <td className="text-right text-yellow-600 dark:text-yellow-400">{entry.warnings ? entry.warnings.toLocaleString() : ''}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Section>
+
+          <Section title="Largest time gaps">
+            {stats.largestGaps.length === 0 ? (
+              <p className="text-xs text-gray-400 italic">No gaps.</p>
+            ) : (
+              <div className="space-y-0.5">
+                {stats.largestGaps.map(gap => (
+                  <button
+                    key={`${gap.sourceFile}:${gap.fromLine}:${gap.toLine}`}
+                    onClick={() => { onJumpToLog(gap.toLine, gap.sourceFile); onClose(); }}
+                    className="flex w-full items-center gap-2 text-xs text-left hover:bg-gray-50 dark:hover:bg-gray-700/50 rounded px-1"
+                    title={`Jump to line ${gap.toLine}${gap.sourceFile ? ` of ${getSourceLabel(gap.sourceFile)}` : ''}`}
+                  >
+                    <span className="w-24 font-mono font-semibold text-gray-800 dark:text-gray-200">{formatTimeGap(gap.gapMs / 1000)}</span>
+                    <span className="flex-1 truncate font-mono text-gray-500 dark:text-gray-400">{gap.from} → {gap.to}</span>
+                  </button>
+                ))}
+              </div>
+            )}
+          </Section>
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700">
+          <div className="flex gap-2">
+            <button onClick={handleExportCSV} disabled={stats.total === 0} className={footerButtonClass}>Export CSV</button>
+            <button onClick={handleExportJSON} disabled={stats.total === 0} className={footerButtonClass}>Export JSON</button>
+          </div>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StatisticsModal;
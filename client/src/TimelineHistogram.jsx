@@ -0,0 +1,225 @@
+import React, { useState, useMemo, useRef, useCallback } from 'react';
+import {
+  TIMELINE_LEVELS,
+  buildTimeline,
+  formatBucketSize,
+  formatFilterTimestamp,
+  getDateRangeFromFilter,
+} from './utils/timeline';
+
+const STORAGE_KEY = 'logViewer_showTimeline';
+const MAX_LANES = 12;
+
+const LEVEL_BAR_CLASSES = {
+  error: 'bg-red-500',
+  warning: 'bg-yellow-400',
+  info: 'bg-blue-400',
+  debug: 'bg-green-500',
+  verbose: 'bg-gray-400',
+  other: 'bg-gray-300 dark:bg-gray-500',
+};
+
+const loadShowTimeline = () => {
+  try {
+    return localStorage.getItem(STORAGE_KEY) !== 'false';
+  } catch (error) {
+    console.error('Failed to load timeline visibility:', error);
+    return true;
+  }
+};
+
+// "HH:MM:SS.mmm", with the date when the range spans days
+const formatTick = (ms, withDate) => {
+  const text = formatFilterTimestamp(ms).replace(/:(\d{3})$/, '.$1');
+  return withDate ? text : text.slice(11);
+};
+
+/**
+ * Time histogram of the rows in view, stacked by level, above the log list.
+ * Dragging across bars sets the #date :: #date range of the filter; clicking
+ * a bar scrolls to its first row. In the combined view every source file gets
+ * a lane so quiet periods of one process stand out.
+ */
+const TimelineHistogram = ({ logs, searchText, onRangeSelect, onRangeClear, onBucketClick, getLaneLabel, showLanes = false }) => {
+  const [isVisible, setIsVisible] = useState(loadShowTimeline);
+  const [drag, setDrag] = useState(null); // { from, to } bucket indices while brushing
+  const barsRef = useRef(null);
+
+  const timeline = useMemo(
+    () => (isVisible ? buildTimeline(logs, { laneKey: showLanes ? (log => log.sourceFile || null) : null }) : null),
+    [isVisible, logs, showLanes]
+  );
+
+  const toggleVisible = () => {
+    setIsVisible(prev => {
+      try {
+        localStorage.setItem(STORAGE_KEY, String(!prev));
+      } catch (error) {
+        console.error('Failed to save timeline visibility:', error);
+      }
+      return !prev;
+    });
+  };
+
+  const bucketAt = useCallback((clientX) => {
+    const rect = barsRef.current.getBoundingClientRect();
+    const ratio = Math.min(0.9999, Math.max(0, (clientX - rect.left) / rect.width));
+    return Math.floor(ratio * timeline.buckets.length);
+  }, [timeline]);
+
+  const handleMouseDown = (e) => {
+    if (e.button !== 0 || !timeline) return;
+    e.preventDefault();
+    const start = bucketAt(e.clientX);
+    setDrag({ from: start, to: start });
+
+    const handleMove = (moveEvent) => {
+      const to = bucketAt(moveEvent.clientX);
+      setDrag(prev => (prev && prev.to !== to ? { ...prev, to } : prev));
+    };
+    const handleUp = (upEvent) => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+      const end = bucketAt(upEvent.clientX);
+      setDrag(null);
+      if (end === start) {
+        onBucketClick(timeline.buckets[start].startMs);
+      } else {
+        const first = Math.min(start, end);
+        const last = Math.max(start, end);
+        onRangeSelect(timeline.buckets[first].startMs, timeline.buckets[last].startMs + timeline.bucketMs - 1);
+      }
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+  };
+
+  // The filter's range, as bucket positions (may reach past the data)
+  const activeRange = getDateRangeFromFilter(searchText);
+  const rangeStyle = useMemo(() => {
+    if (!timeline || !activeRange) return null;
+    const span = timeline.endMs - timeline.startMs;
+    const left = activeRange.fromMs == null ? 0 : (activeRange.fromMs - timeline.startMs) / span;
+    const right = activeRange.toMs == null ? 1 : (activeRange.toMs + 1 - timeline.startMs) / span;
+    const clampedLeft = Math.max(0, Math.min(1, left));
+    const clampedRight = Math.max(clampedLeft, Math.min(1, right));
+    return { left: `${clampedLeft * 100}%`, width: `${(clampedRight - clampedLeft) * 100}%` };
+  }, [timeline, activeRange?.fromMs, activeRange?.toMs]);
+
+  if (!isVisible) {
+    return (
+      <div className="px-3 py-0.5 border-b border-gray-200 dark:border-gray-700">
+        <button onClick={toggleVisible} className="text-[10px] text-gray-500 dark:text-gray-400 hover:text-gray-700 dark:hover:text-gray-200">
+          ▸ Timeline
+        </button>
+      </div>
+    );
+  }
+
+  const buckets = timeline ? timeline.buckets : [];
+  const spansDays = timeline && timeline.endMs - timeline.startMs > 24 * 60 * 60 * 1000;
+  const dragRange = drag && { first: Math.min(drag.from, drag.to), last: Math.max(drag.from, drag.to) };
+  const lanes = timeline ? timeline.lanes.slice(0, MAX_LANES) : [];
+  // Keeps the bars lined up with the lanes, which start after their labels
+  const laneLabelSpacer = lanes.length > 0 ? <div className="w-32 flex-shrink-0" /> : null;
+
+  return (
+    <div className="px-3 pt-1 pb-2 border-b border-gray-200 dark:border-gray-700 select-none">
+      <div className="flex items-center gap-3 text-[10px] text-gray-500 dark:text-gray-400 mb-1">
+        <button onClick={toggleVisible} className="hover:text-gray-700 dark:hover:text-gray-200">▾ Timeline</button>
+        {timeline ? (
+          <>
+            <span>{formatBucketSize(timeline.bucketMs)} per bar · drag to filter a time range, click to jump</span>
+            {dragRange && (
+              <span className="text-blue-600 dark:text-blue-400 font-mono">
+                {formatTick(buckets[dragRange.first].startMs, spansDays)} – {formatTick(buckets[dragRange.last].startMs + timeline.bucketMs - 1, spansDays)}
+              </span>
+            )}
+          </>
+        ) : (
+          <span>No timestamps in view</span>
+        )}
+        {activeRange && (
+          <button onClick={onRangeClear} className="ml-auto text-blue-600 dark:text-blue-400 hover:underline">
+            Clear time range
+          </button>
+        )}
+      </div>
+
+      {timeline && (
+        <>
+          <div className="flex gap-2">
+            {laneLabelSpacer}
+            <div
+              ref={barsRef}
+              onMouseDown={handleMouseDown}
+              className="relative flex-1 min-w-0 flex items-end h-12 gap-px cursor-crosshair"
+            >
+              {rangeStyle && (
+                <div className="absolute inset-y-0 bg-blue-500/10 border-x border-blue-400 pointer-events-none" style={rangeStyle} />
+              )}
+              {buckets.map((bucket, i) => {
+                const inDrag = dragRange && i >= dragRange.first && i <= dragRange.last;
+                return (
+                  <div
+                    key={bucket.startMs}
+                    className={`flex-1 min-w-0 h-full flex flex-col-reverse ${inDrag ? 'bg-blue-200/60 dark:bg-blue-800/50' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+                    title={`${formatTick(bucket.startMs, true)}  ${bucket.total.toLocaleString()} rows${TIMELINE_LEVELS.filter(l => bucket.counts[l]).map(l => `\n${l}: ${bucket.counts[l].toLocaleString()}`).join('')}`}
+                  >
+                    {TIMELINE_LEVELS.filter(level => bucket.counts[level]).map(level => (
+                      <div
+                        key={level}
+                        className={LEVEL_BAR_CLASSES[level]}
+                        style={{ height: `${(bucket.counts[level] / timeline.maxTotal) * 100}%` }}
+                      />
+                    ))}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            {laneLabelSpacer}
+            <div className="flex-1 flex justify-between text-[10px] font-mono text-gray-400 dark:text-gray-500 mt-0.5">
+              <span>{formatTick(timeline.startMs, spansDays)}</span>
+              <span>{formatTick(timeline.endMs - 1, spansDays)}</span>
+            </div>
+          </div>
+
+          {lanes.length > 0 && (
+            <div className="mt-1 space-y-px">
+              {lanes.map(lane => {
+                const laneMax = Math.max(...lane.counts);
+                return (
+                  <div key={lane.key} className="flex items-center gap-2">
+                    <span className="w-32 truncate text-[10px] text-gray-500 dark:text-gray-400" title={getLaneLabel(lane.key)}>
+                      {getLaneLabel(lane.key)}
+                    </span>
+                    <div className="flex-1 flex h-2 gap-px">
+                      {lane.counts.map((n, i) => (
+                        <div
+                          key={i}
+                          className={`flex-1 min-w-0 ${n ? 'bg-teal-500' : 'bg-gray-100 dark:bg-gray-700'}`}
+                          style={n ? { opacity: 0.3 + 0.7 * (n / laneMax) } : undefined}
+                          title={`${getLaneLabel(lane.key)}: ${n.toLocaleString()} rows at ${formatTick(buckets[i].startMs, true)}`}
+                        />
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+              {timeline.lanes.length > MAX_LANES && (
+                <p className="text-[10px] text-gray-400 dark:text-gray-500">
+                  +{timeline.lanes.length - MAX_LANES} more sources
+                </p>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TimelineHistogram;
@@ -0,0 +1,171 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { extractTraceIds, buildTrace, formatTraceDuration } from './utils/trace';
+import { getLevelBackgroundColor } from './utils/logLevelColors';
+
+const inputClass = 'px-2 py-1 text-sm rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100';
+
+/**
+ * Trace of a request through every loaded tab: the ids found in the clicked
+ * row (toggle them, or add one by hand) and all rows mentioning any of them,
+ * in clock-corrected time order. A row starting in a different process than
+ * the one before it is a hop; its +Δ is the hop's duration.
+ */
+const TraceModal = ({ isOpen, onClose, originLog, tabs, getSourceLabel = key => key, onJumpToStep }) => {
+  const [ids, setIds] = useState([]); // [{ value, kind, enabled }]
+  const [customId, setCustomId] = useState('');
+
+  useEffect(() => {
+    if (isOpen) {
+      setIds(extractTraceIds(originLog?.message).map(id => ({ ...id, enabled: true })));
+      setCustomId('');
+    }
+  }, [isOpen, originLog]);
+
+  const trace = useMemo(() => {
+    if (!isOpen) return { steps: [], truncated: false };
+    return buildTrace(ids.filter(id => id.enabled).map(id => id.value), tabs);
+  }, [isOpen, ids, tabs]);
+
+  const processCount = useMemo(() => new Set(trace.steps.map(step => step.process)).size, [trace]);
+  const hopCount = trace.steps.filter(step => step.isHop).length;
+  const lastTimed = [...trace.steps].reverse().find(step => step.elapsedMs != null);
+
+  if (!isOpen) return null;
+
+  const handleAddId = () => {
+    const value = customId.trim();
+    if (!value) return;
+    if (!ids.some(id => id.value.toLowerCase() === value.toLowerCase())) {
+      setIds([...ids, { value, kind: 'custom', enabled: true }]);
+    }
+    setCustomId('');
+  };
+
+  const isOrigin = (step) => originLog && step.log.raw === originLog.raw && step.log.lineNumber === originLog.lineNumber;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-6xl w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Trace</h2>
+            <p className="text-xs text-gray-500 dark:text-gray-400">
+              {trace.steps.length.toLocaleString()} rows in {tabs.length} tab{tabs.length === 1 ? '' : 's'}
+              {trace.steps.length > 0 && ` · ${processCount} process${processCount === 1 ? '' : 'es'} · ${hopCount} hop${hopCount === 1 ? '' : 's'}`}
+              {lastTimed && ` · ${formatTraceDuration(lastTimed.elapsedMs)} end to end`}
+            </p>
+          </div>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-3 flex-1 overflow-hidden flex flex-col">
+          <div className="flex flex-wrap items-center gap-1">
+            <span className="text-xs text-gray-500 dark:text-gray-400 mr-1">Identifiers:</span>
+            {ids.length === 0 && (
+              <span className="text-xs text-gray-500 dark:text-gray-400 italic mr-2">none found in this row</span>
+            )}
+            {ids.map(id => (
+              <button
+                key={id.value}
+                onClick={() => setIds(ids.map(other => (other === id ? { ...other, enabled: !other.enabled } : other)))}
+                className={`px-2 py-0.5 text-xs rounded-full border font-mono ${id.enabled
+                  ? 'bg-blue-600 border-blue-600 text-white'
+                  : 'border-gray-300 dark:border-gray-600 text-gray-500 dark:text-gray-400 line-through'}`}
+                title={`${id.kind} — click to ${id.enabled ? 'leave out of' : 'add to'} the trace`}
+              >
+                {id.value}
+              </button>
+            ))}
+            <input
+              className={`${inputClass} ml-2 w-48 font-mono text-xs`}
+              value={customId}
+              onChange={e => setCustomId(e.target.value)}
+              onKeyDown={e => { if (e.key === 'Enter') handleAddId(); }}
+              placeholder="Add an id…"
+            />
+          </div>
+
+          <div className="flex-1 overflow-auto border border-gray-200 dark:border-gray-700 rounded-md">
+            {trace.steps.length === 0 ? (
+              <p className="px-3 py-2 text-sm text-gray-500 dark:text-gray-400 italic">
+                {ids.some(id => id.enabled) ? 'No rows mention these identifiers.' : 'Pick or add an identifier to trace.'}
+              </p>
+            ) : (
+              <table className="w-full text-xs">
+                <thead className="sticky top-0 bg-gray-50 dark:bg-gray-900 text-gray-600 dark:text-gray-400">
+                  <tr className="text-left">
+                    <th className="px-2 py-1 font-medium whitespace-nowrap">Elapsed</th>
+                    <th className="px-2 py-1 font-medium whitespace-nowrap">+Δ</th>
+                    <th className="px-2 py-1 font-medium whitespace-nowrap">Time</th>
+                    <th className="px-2 py-1 font-medium">Process</th>
+                    <th className="px-2 py-1 font-medium">Thread</th>
+                    <th className="px-2 py-1 font-medium">Module</th>
+                    <th className="px-2 py-1 font-medium">File</th>
+                    <th className="px-2 py-1 font-medium">Message</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {trace.steps.map((step, index) => {
+                    const file = step.log.sourceFile ? getSourceLabel(step.log.sourceFile) : step.tabName;
+                    return (
+                      <tr
+                        key={`${step.tabId}:${step.log.id}`}
+                        onClick={() => { onJumpToStep(step); onClose(); }}
+                        className={`cursor-pointer hover:bg-gray-100 dark:hover:bg-gray-700 ${step.isHop ? 'border-t-2 border-blue-300 dark:border-blue-700' : (index ? 'border-t border-gray-100 dark:border-gray-700' : '')} ${isOrigin(step) ? 'bg-yellow-50 dark:bg-yellow-900/20' : ''}`}
+                        title="Jump to this row"
+                      >
+                        <td className="px-2 py-1 font-mono whitespace-nowrap text-gray-500 dark:text-gray-400">{formatTraceDuration(step.elapsedMs)}</td>
+                        <td className={`px-2 py-1 font-mono whitespace-nowrap ${step.isHop ? 'font-semibold text-blue-700 dark:text-blue-300' : 'text-gray-500 dark:text-gray-400'}`}>
+                          {step.deltaMs != null ? `+${formatTraceDuration(step.deltaMs)}` : ''}
+                        </td>
+                        <td className="px-2 py-1 font-mono whitespace-nowrap text-gray-700 dark:text-gray-300">{step.log.displayTime || step.log.timestamp || '—'}</td>
+                        <td className="px-2 py-1 whitespace-nowrap font-medium text-gray-900 dark:text-gray-100">{step.process || '—'}</td>
+                        <td className="px-2 py-1 whitespace-nowrap font-mono text-gray-600 dark:text-gray-400">{step.thread}</td>
+                        <td className="px-2 py-1 whitespace-nowrap text-gray-600 dark:text-gray-400">{step.module}</td>
+                        <td className="px-2 py-1 whitespace-nowrap font-mono text-gray-600 dark:text-gray-400">{file}:{step.log.lineNumber}</td>
+                        <td className="px-2 py-1 font-mono text-gray-800 dark:text-gray-200">
+                          <span className={`px-1 mr-1 text-[10px] rounded border ${getLevelBackgroundColor(step.log.level)}`}>{step.log.level || '—'}</span>
+                          <span className="break-all">{step.log.message}</span>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {trace.truncated && (
+            <p className="text-xs text-red-600 dark:text-red-400">
+              Only the first {trace.steps.length.toLocaleString()} matching rows are shown — leave out the broader identifiers to narrow the trace.
+            </p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700">
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Times include the clock offsets of each tab. Click a row to jump to it.
+          </p>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TraceModal;
@@ -0,0 +1,121 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { BUNDLE_EXTENSION } from './utils/workspaceBundle';
+
+const footerButtonClass = 'px-3 py-2 text-sm font-medium text-blue-600 dark:text-blue-400 hover:bg-blue-50 dark:hover:bg-blue-900/30 rounded-md transition-colors disabled:opacity-50';
+
+/**
+ * Save the workspace as a bundle file, or open one: the tabs (with their rows
+ * or as references to their files), per-tab filters and sticky logs, pivot
+ * time, column layout, filter presets, highlight rules and clock offsets.
+ */
+const WorkspaceModal = ({ isOpen, onClose, tabCount, rowCount, onSave, onOpen }) => {
+  const [includeLogs, setIncludeLogs] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [status, setStatus] = useState(null); // { kind: 'info' | 'error', text }
+  const openInputRef = useRef(null);
+
+  useEffect(() => {
+    if (isOpen) setStatus(null);
+  }, [isOpen]);
+
+  if (!isOpen) return null;
+
+  const run = async (action, failure) => {
+    setBusy(true);
+    setStatus(null);
+    try {
+      const text = await action();
+      if (text) setStatus({ kind: 'info', text });
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      setStatus({ kind: 'error', text: `${failure}: ${error.message}` });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = () => run(async () => {
+    await onSave({ includeLogs });
+    return null;
+  }, 'Failed to save the workspace');
+
+  const handleOpenFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    run(async () => {
+      const { tabs, references } = await onOpen(file);
+      if (!references.length) {
+        onClose();
+        return null;
+      }
+      return `Opened ${tabs} tab${tabs === 1 ? '' : 's'}. Open these files again to load their rows: ${references.join(', ')}.`;
+    }, `Failed to open ${file.name}`);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-xl max-w-lg w-full mx-4 max-h-[90vh] flex flex-col">
+        {/* Header */}
+        <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Workspace</h2>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 dark:text-gray-400 dark:hover:text-gray-200"
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-4 space-y-4 flex-1 overflow-y-auto text-sm text-gray-700 dark:text-gray-300">
+          <p>
+            A bundle holds the open tabs with their filters and sticky logs, the pivot time, the column
+            layout, saved filter presets, highlight rules and clock offsets. Opening it in another browser
+            restores the same workspace, replacing the tabs open there.
+          </p>
+          <label className="flex items-start gap-2 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={includeLogs}
+              onChange={e => setIncludeLogs(e.target.checked)}
+              className="mt-1"
+            />
+            <span>
+              Include log contents
+              <span className="block text-xs text-gray-500 dark:text-gray-400">
+                {includeLogs
+                  ? `${rowCount.toLocaleString()} rows of ${tabCount} tab${tabCount === 1 ? '' : 's'} — the bundle opens without the original files.`
+                  : 'Only the file names are kept; whoever opens the bundle opens the same files again to load them.'}
+              </span>
+            </span>
+          </label>
+          {status && (
+            <p className={`text-xs ${status.kind === 'error' ? 'text-red-600 dark:text-red-400' : 'text-gray-600 dark:text-gray-400'}`}>
+              {status.text}
+            </p>
+          )}
+        </div>
+
+        {/* Footer */}
+        <div className="flex items-center justify-between p-4 border-t border-gray-200 dark:border-gray-700">
+          <div className="flex gap-2">
+            <button onClick={handleSave} disabled={busy || tabCount === 0} className={footerButtonClass}>Save Bundle…</button>
+            <button onClick={() => openInputRef.current && openInputRef.current.click()} disabled={busy} className={footerButtonClass}>Open Bundle…</button>
+            <input ref={openInputRef} type="file" accept={`${BUNDLE_EXTENSION},.json`} className="hidden" onChange={handleOpenFile} />
+          </div>
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 rounded-md transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WorkspaceModal;
@@ -0,0 +1,86 @@
+// @vitest-environment node
+// Node has the File / Blob streams and (De)CompressionStream that jsdom lacks
+import { describe, test, expect } from 'vitest';
+import JSZip from 'jszip';
+import { bunzip2 } from '../utils/bunzip2.js';
+import { isArchiveFile, expandArchivesInList, MAX_ARCHIVE_DEPTH } from '../utils/archiveExtractor.js';
+
+// bundle/AppLogs/app.log and bundle/DaemonLogs/cato.log, "tar | bzip2 -9"
+const TAR_BZ2 = 'QlpoOTFBWSZTWdEbb0oAASx/kcqUAEBAAf+AJRUgIH6n3gAEAACAAAgwAPjQY00GgBk0BkaaGJowZRqPUjJhMEyYjTATJoIpKm9TInpNMMoD0meqD0yNTPIShY7N7FSaTXAjFais93HhFSSNDITFOKbW3TYmtFIQZ/d2hGRDhiYxkTSD2NQil/KlKWJySFd0CVjqgvg8EulvSfqJJODykOK6QhDJ1qaGh8dSoCAoQx09HkfDSEYquH4CC60iQGFDvfVzTrSZnE41gdkxeYybEtf46M3NO7trMgzcBKhLk2PYhOic07BsSoTqmnNM0vUD/F3JFOFCQ0RtvSg=';
+// Two bzip2 streams back to back ("cat s1.bz2 s2.bz2")
+const MULTI_STREAM_BZ2 = 'QlpoOTFBWSZTWdIbacYAAARxACAQAAJAADpEoAAxANNNA0DQ0HsyHY012hpQ4DxdyRThQkNIbacYQlpoOTFBWSZTWYRSkJQAAAXRgAAQQAAuA5wAIAAiANDQQNA0BQS9OE8eHi7kinChIQilISg=';
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+const gzip = async (text) => new Uint8Array(await new Response(
+  new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'))
+).arrayBuffer());
+const listing = async (files) => Promise.all(files.map(async f => [f.webkitRelativePath || f.name, await f.text()]));
+
+describe('bunzip2', () => {
+  test('decodes concatenated streams with runs', () => {
+    expect(new TextDecoder().decode(bunzip2(fromBase64(MULTI_STREAM_BZ2))))
+      .toBe('aaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaabbbbbc\nhello hello\nsecond stream\n');
+  });
+
+  test('rejects other data', () => {
+    expect(() => bunzip2(new TextEncoder().encode('plain text'))).toThrow(/not a bzip2 stream/);
+  });
+
+  test('rejects a block whose CRC does not match its bytes', () => {
+    const bytes = fromBase64(MULTI_STREAM_BZ2);
+    // "BZh9", the 48-bit block magic, then the block CRC
+    bytes[10] ^= 0x01;
+    expect(() => bunzip2(bytes)).toThrow(/block CRC mismatch/);
+  });
+});
+
+describe('Archive extraction', () => {
+  test('recognises archive extensions', () => {
+    ['a.zip', 'a.tar', 'a.tar.gz', 'a.tgz', 'app.log.gz', 'a.tar.xz', 'a.txz', 'a.tar.bz2', 'a.tbz2', 'app.log.bz2']
+      .forEach(name => expect(isArchiveFile({ name })).toBe(true));
+    expect(isArchiveFile({ name: 'app.log' })).toBe(false);
+  });
+
+  test('unpacks a tar.bz2 under the archive name', async () => {
+    const files = await expandArchivesInList([new File([fromBase64(TAR_BZ2)], 'case-42.tar.bz2')]);
+    expect((await listing(files)).sort()).toEqual([
+      ['case-42/bundle/AppLogs/app.log', 'app line 1\napp line 2\n'],
+      ['case-42/bundle/DaemonLogs/cato.log', 'daemon line\n'],
+    ]);
+  });
+
+  test('expands nested zips and gzipped logs, keeping their folders', async () => {
+    const inner = new JSZip();
+    inner.file('AppExtensionLogs/ext.log', 'ext line\n');
+    const outer = new JSZip();
+    outer.file('bundle/inner.zip', await inner.generateAsync({ type: 'uint8array' }));
+    outer.file('bundle/AppLogs/app.log.gz', await gzip('gz line\n'));
+    outer.file('bundle/notes.txt', 'notes\n');
+    const zipFile = new File([await outer.generateAsync({ type: 'uint8array' })], 'customer.zip');
+
+    const files = await expandArchivesInList([zipFile, new File(['plain\n'], 'other.log')]);
+    expect((await listing(files)).sort()).toEqual([
+      ['customer/bundle/AppLogs/app.log', 'gz line\n'],
+      ['customer/bundle/inner/AppExtensionLogs/ext.log', 'ext line\n'],
+      ['customer/bundle/notes.txt', 'notes\n'],
+      ['other.log', 'plain\n'],
+    ]);
+  });
+
+  test('a single gzipped log keeps its name', async () => {
+    const files = await expandArchivesInList([new File([await gzip('one\n')], 'cato.log.gz')]);
+    expect(await listing(files)).toEqual([['cato.log', 'one\n']]);
+  });
+
+  test('stops at the nesting limit', async () => {
+    let bytes = new TextEncoder().encode('deep\n');
+    let name = 'deep.log';
+    for (let level = 0; level <= MAX_ARCHIVE_DEPTH; level++) {
+      const zip = new JSZip();
+      zip.file(name, bytes);
+      bytes = await zip.generateAsync({ type: 'uint8array' });
+      name = `level${level}.zip`;
+    }
+    expect(await expandArchivesInList([new File([bytes], name)])).toEqual([]);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, test, expect } from 'vitest';
+import {
+  hashLogLine,
+  parseTags,
+  getBookmarkFileKey,
+  buildBookmarksSidecar,
+  validateBookmarksSidecar,
+  resolveSidecarBookmarks,
+} from '../utils/bookmarks.js';
+
+const row = (id, lineNumber, raw, extra = {}) => ({ id, lineNumber, raw, message: raw, ...extra });
+
+describe('Bookmarks', () => {
+  test('hashes the raw first line only', () => {
+    expect(hashLogLine({ raw: 'a\nb' })).toBe(hashLogLine({ raw: 'a\r\nc' }));
+    expect(hashLogLine({ raw: 'a' })).not.toBe(hashLogLine({ raw: 'b' }));
+    expect(hashLogLine({ raw: '' })).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  test('parses tags and file keys', () => {
+    expect(parseTags('crash, #dns  crash')).toEqual(['crash', 'dns']);
+    expect(getBookmarkFileKey('client.log_2048_1720000000000')).toBe('client.log');
+    expect(getBookmarkFileKey('bundle/logs/client.log')).toBe('bundle/logs/client.log');
+  });
+
+  test('round-trips a sidecar onto the same rows', () => {
+    const logs = [row(0, 1, 'start'), row(1, 2, 'boom'), row(2, 3, 'end')];
+    const sidecar = buildBookmarksSidecar({
+      'client.log_2048_1720000000000': [{ id: 1, lineNumber: 2, rawHash: hashLogLine(logs[1]), note: 'crash here', tags: ['crash'], color: 'red' }],
+    });
+    expect(validateBookmarksSidecar(sidecar)).toBeNull();
+    expect(sidecar.bookmarks[0]).toMatchObject({ file: 'client.log', lineNumber: 2, note: 'crash here', color: 'red' });
+
+    // A colleague's copy of the file has another modified time
+    const { matches, unmatched } = resolveSidecarBookmarks(sidecar.bookmarks, { 'client.log_2048_1730000000000': logs });
+    expect(unmatched).toEqual([]);
+    expect(matches[0]).toMatchObject({ tabId: 'client.log_2048_1730000000000', log: logs[1], moved: false });
+  });
+
+  test('finds rows that moved by their hash, and grouped rows by source file', () => {
+    const bookmark = { file: 'logs/b.log', lineNumber: 2, rawHash: hashLogLine({ raw: 'boom' }) };
+    const group = [
+      row(0, 1, 'boom', { sourceFile: 'logs/a.log' }),
+      row(1, 1, 'header', { sourceFile: 'logs/b.log' }),
+      row(2, 2, 'inserted', { sourceFile: 'logs/b.log' }),
+      row(3, 3, 'boom', { sourceFile: 'logs/b.log' }),
+    ];
+    const { matches } = resolveSidecarBookmarks([bookmark], { group });
+    expect(matches[0]).toMatchObject({ tabId: 'group', log: group[3], moved: true });
+
+    const { unmatched } = resolveSidecarBookmarks([{ ...bookmark, file: 'other.log' }], { group });
+    expect(unmatched).toHaveLength(1);
+    expect(validateBookmarksSidecar({ filters: [] })).toBe('Not a bookmarks file');
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, test, expect } from 'vitest';
+import {
+  formatClockOffset,
+  parseClockOffset,
+  getTabClockKey,
+  findAnchorTimes,
+  suggestClockOffset,
+} from '../utils/clockSkew.js';
+import { getMergeSources } from '../utils/mergeSources.js';
+
+describe('Clock skew', () => {
+  test('offsets round-trip through their text form', () => {
+    expect(parseClockOffset('1.5')).toBe(1500);
+    expect(parseClockOffset('-02:00')).toBe(-7200000);
+    expect(parseClockOffset('+01:00:30.250')).toBe(3630250);
+    expect(parseClockOffset('')).toBe(0);
+    expect(parseClockOffset('soon')).toBeNull();
+    [1500, -42, 7200000, -3630250].forEach(ms => expect(parseClockOffset(formatClockOffset(ms))).toBe(ms));
+  });
+
+  test('tabs share the offset of their merge source', () => {
+    const sources = getMergeSources([]);
+    expect(getTabClockKey({ name: 'AppLogs (3)' }, sources)).toBe('app');
+    expect(getTabClockKey({ name: 'bundle/DemLogs' }, sources)).toBe('dem');
+    expect(getTabClockKey({ name: 'system.log' }, sources)).toBe('tab:system.log');
+  });
+
+  test('anchor events suggest the median offset', () => {
+    const rows = (times) => times.map((t, i) => ({ timestampMs: t, message: i % 2 ? 'tunnel connected' : 'noise' }));
+    const reference = findAnchorTimes(rows([0, 10000, 0, 20000, 0, 30000]), 'tunnel && connected');
+    expect(reference).toEqual([10000, 20000, 30000]);
+    expect(suggestClockOffset(reference, [12000, 22000, 32500])).toEqual({ offsetMs: -2000, pairs: 3 });
+    expect(suggestClockOffset(reference, [])).toBeNull();
+  });
+
+  test('sources that start at different times still line up', () => {
+    // The source's log rotated later: it lacks the reference's first event
+    expect(suggestClockOffset([0, 100000, 200000, 300000], [100005, 200005, 300005])).toEqual({ offsetMs: -5, pairs: 3 });
+    // An extra early event in the source, and a clock two hours ahead
+    const hours = 2 * 3600000;
+    expect(suggestClockOffset([50000, 90000, 140000], [hours + 1000, hours + 50200, hours + 90100, hours + 140300]))
+      .toEqual({ offsetMs: -hours - 200, pairs: 3 });
+  });
+});
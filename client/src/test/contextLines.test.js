@@ -0,0 +1,23 @@
+import { describe, test, expect } from 'vitest';
+import { expandContextLines } from '../utils/contextLines.js';
+
+const logs = Array.from({ length: 20 }, (_, i) => ({ id: i, lineNumber: i + 1 }));
+
+const summarize = (rows) => rows.map(r => `${r.id}${r.isContextLine ? '~' : ''}${r.hiddenRowsBefore ? `(+${r.hiddenRowsBefore})` : ''}`);
+
+describe('Context lines', () => {
+  test('adds N rows around each match and marks gaps between blocks', () => {
+    expect(summarize(expandContextLines(logs, [1, 10, 12, 19], 1))).toEqual([
+      '0~', '1', '2~',
+      '9~(+6)', '10', '11~', '12', '13~',
+      '18~(+4)', '19',
+    ]);
+  });
+
+  test('live gap markers get no context of their own', () => {
+    const withMarker = logs.map((log, i) => (i === 5 ? { ...log, isGapMarker: true } : log));
+    expect(summarize(expandContextLines(withMarker, [5, 15], 2))).toEqual([
+      '5', '13~(+7)', '14~', '15', '16~', '17~',
+    ]);
+  });
+});
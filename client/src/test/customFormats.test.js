@@ -0,0 +1,55 @@
+import { describe, test, expect, beforeEach } from 'vitest';
+import { saveCustomFormats, compileCustomFormat, applyCustomFormat } from '../utils/customFormats.js';
+import { parseLogFormat, parseLogContent } from '../LogParser.js';
+
+const GATEWAY_FORMAT = {
+  id: 'fmt-gw',
+  name: 'gateway',
+  pattern: '^(?<ts>\\d{4}-\\d{2}-\\d{2} \\d{2}:\\d{2}:\\d{2}\\.\\d{3}) <(?<lvl>\\w+)> (?<module>\\w+)#(?<thread>\\d+): (?<message>.*)$',
+  timestampPattern: 'YYYY-MM-DD HH:mm:ss.SSS',
+  levelMap: { ERR: 'error', INF: 'info' },
+  fields: { dateTime: 'ts', logLevel: 'lvl' },
+};
+
+describe('Custom log formats', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    saveCustomFormats([]);
+  });
+
+  test('applies named groups, field assignments and level mappings', () => {
+    const compiled = compileCustomFormat(GATEWAY_FORMAT);
+    const result = applyCustomFormat('2026-03-01 10:20:30.456 <ERR> Tunnel#12: link down', compiled);
+    expect(result).toMatchObject({
+      format: 'custom:gateway',
+      logLevel: 'error',
+      moduleName: 'Tunnel',
+      threadId: '12',
+      message: 'link down',
+    });
+    expect(result.timestampInfo.timestamp).toBe('2026-03-01 10:20:30:456');
+  });
+
+  test('rejects invalid definitions', () => {
+    expect(() => compileCustomFormat({ ...GATEWAY_FORMAT, pattern: '^(.*)$' })).toThrow(/named group/);
+    expect(() => compileCustomFormat({ ...GATEWAY_FORMAT, fields: { logLevel: 'nope' } })).toThrow(/unknown group/);
+    expect(() => compileCustomFormat({ ...GATEWAY_FORMAT, levelMap: { ERR: 'fatal' } })).toThrow(/must map/);
+  });
+
+  test('saved formats are used by parseLogFormat and parseLogContent', () => {
+    expect(parseLogFormat('2026-03-01 10:20:30.456 <INF> Core#1: hello')).toBeNull();
+    saveCustomFormats([GATEWAY_FORMAT]);
+    expect(parseLogFormat('2026-03-01 10:20:30.456 <INF> Core#1: hello').format).toBe('custom:gateway');
+
+    const logs = parseLogContent('2026-03-01 10:20:30.456 <INF> Core#1: hello\nwrapped\n2026-03-01 10:20:31.000 <ERR> Core#2: bye');
+    expect(logs).toHaveLength(2);
+    expect(logs[0].message).toBe('hello\nwrapped');
+    expect(logs[1].level).toBe('error');
+    expect(logs[1].timestampMs - logs[0].timestampMs).toBe(544);
+  });
+
+  test('disabled formats are ignored', () => {
+    saveCustomFormats([{ ...GATEWAY_FORMAT, enabled: false }]);
+    expect(parseLogFormat('2026-03-01 10:20:30.456 <INF> Core#1: hello')).toBeNull();
+  });
+});
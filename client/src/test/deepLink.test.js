@@ -0,0 +1,55 @@
+import { describe, test, expect } from 'vitest';
+import {
+  DEFAULT_LINK_FILTERS,
+  getDeepLinkRow,
+  buildDeepLinkParams,
+  parseDeepLink,
+  findDeepLinkTab,
+  findDeepLinkRow,
+} from '../utils/deepLink.js';
+
+describe('Deep links', () => {
+  test('leave default filters out of the URL', () => {
+    expect(buildDeepLinkParams({ tab: 'client.log', filters: DEFAULT_LINK_FILTERS }).toString()).toBe('tab=client.log');
+    expect(buildDeepLinkParams({ tab: 'client.log', combined: true }).toString()).toBe('view=combined');
+    expect(parseDeepLink('')).toBeNull();
+    expect(parseDeepLink('?utm_source=chat')).toBeNull();
+  });
+
+  test('round-trip a view', () => {
+    const view = {
+      tab: 'service (2)',
+      filters: {
+        searchText: 'timeout|refused',
+        filterMode: 'regex',
+        filterCaseSensitive: true,
+        searchQuery: 'dns',
+        searchMode: 'text',
+        searchCaseSensitive: false,
+        logLevel: ['error', 'warn'],
+        selectedModule: 'vpn',
+        contextLines: 3,
+      },
+      row: { lineNumber: 1042, file: 'logs/a.log' },
+    };
+    const params = buildDeepLinkParams(view);
+    expect(params.get('level')).toBe('error,warn');
+    expect(parseDeepLink(`?${params}`)).toEqual({ ...view, combined: false });
+  });
+
+  test('find the linked tab and row in another load of the same files', () => {
+    const files = [{ id: 'client.log_2048_1730000000000', name: 'client.log' }, { id: 'logs/vpn (2)', name: 'vpn (2)' }];
+    expect(findDeepLinkTab(files, 'vpn (2)')).toBe(1);
+    expect(findDeepLinkTab(files, 'missing.log')).toBe(-1);
+
+    const row = getDeepLinkRow({ lineNumber: 7 }, 'client.log_2048_1720000000000');
+    expect(row).toEqual({ lineNumber: 7, file: 'client.log' });
+    const rows = [
+      { lineNumber: 7, sourceFile: 'logs/a.log' },
+      { lineNumber: 7, isContinuation: true, sourceFile: files[0].id },
+      { lineNumber: 7, sourceFile: files[0].id },
+    ];
+    expect(findDeepLinkRow(rows, row, 'Combined Files')).toBe(2);
+    expect(findDeepLinkRow(rows, { lineNumber: 8, file: 'client.log' }, 'Combined Files')).toBe(-1);
+  });
+});
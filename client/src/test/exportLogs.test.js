@@ -0,0 +1,84 @@
+import { describe, test, expect } from 'vitest';
+import { getExportFields, buildJsonLines, buildCsv, buildHtmlReport, csvCell, MAX_REPORT_ROWS } from '../utils/exportLogs.js';
+
+const logs = [
+  { id: 1, timestamp: '2025-07-04 13:00:00:000', level: 'I', module: 'Tunnel', process: '4242', processName: 'Service', thread: 't1', lineNumber: 1, message: 'Connected to relay' },
+  { id: 2, timestamp: '2025-07-04 13:00:01:000', level: 'E', module: 'Dns', process: '4242', thread: 't2', lineNumber: 2, message: 'Lookup failed, "host" <unknown>', sourceFile: 'a.log', baseId: 7 },
+  { id: 'gap:x:1', isGapMarker: true, message: 'Live connection lost', level: '', module: '' },
+];
+
+describe('Export fields', () => {
+  test('follow the visible columns in column order', () => {
+    const visible = { timestamp: true, lineNumber: false, logLevel: true, module: true, sourceFile: false, processThread: true, timeGap: true };
+    expect(getExportFields(visible, ['logLevel', 'timestamp', 'message', 'module', 'timeGap', 'processThread', 'lineNumber', 'sourceFile']))
+      .toEqual(['level', 'timestamp', 'message', 'module', 'process', 'thread']);
+  });
+
+  test('always include the message', () => {
+    expect(getExportFields({ message: false }, ['timestamp'])).toEqual(['timestamp', 'message']);
+  });
+});
+
+describe('Structured exports', () => {
+  const fields = ['timestamp', 'level', 'process', 'lineNumber', 'message'];
+
+  test('JSON Lines has one object per row and skips gap markers', () => {
+    const lines = buildJsonLines(logs, fields).trimEnd().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toEqual({ timestamp: '2025-07-04 13:00:00:000', level: 'I', process: 'Service', lineNumber: 1, message: 'Connected to relay' });
+    expect(lines[1].process).toBe('4242');
+  });
+
+  test('CSV quotes cells holding commas and quotes', () => {
+    expect(buildCsv(logs, fields).split('\n')).toEqual([
+      'timestamp,level,process,lineNumber,message',
+      '2025-07-04 13:00:00:000,I,Service,1,Connected to relay',
+      '2025-07-04 13:00:01:000,E,4242,2,"Lookup failed, ""host"" <unknown>"',
+      '',
+    ]);
+  });
+
+  test('CSV keeps cells a spreadsheet would run as formulas as text', () => {
+    expect(csvCell('=HYPERLINK("http://x","y")')).toBe('"\'=HYPERLINK(""http://x"",""y"")"');
+    expect(csvCell('+1 retry')).toBe("'+1 retry");
+    expect(csvCell('-rf /tmp')).toBe("'-rf /tmp");
+    expect(csvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+    expect(csvCell('\tindented')).toBe("'\tindented");
+    expect(csvCell(-5)).toBe('-5');
+    expect(csvCell('a=b')).toBe('a=b');
+  });
+});
+
+describe('HTML report', () => {
+  const html = buildHtmlReport(logs, {
+    fields: ['timestamp', 'level', 'message'],
+    title: 'client.log',
+    filters: { searchText: 'relay OR Dns', logLevel: ['E', 'I'], selectedModule: 'all', contextLines: 0 },
+    stickyLogs: [{ id: 7, sourceFile: 'a.log', lineNumber: 2, timestamp: '13:00:01', message: 'Lookup failed', note: 'root cause' }],
+    highlightRules: [{ id: 'r1', name: 'Relay', pattern: 'relay', mode: 'text', background: '#ffcc00', rowTint: true }],
+    generatedAt: new Date(Date.UTC(2025, 6, 4)),
+  });
+
+  test('lists the filters and links sticky logs to their rows', () => {
+    expect(html).toContain('<dt>Filter</dt><dd>relay OR Dns</dd>');
+    expect(html).toContain('<dt>Levels</dt><dd>E, I</dd>');
+    expect(html).not.toContain('<dt>Module</dt>');
+    expect(html).toContain('<a href="#row-1">13:00:01 · line 2</a> Lookup failed <span class="note">— root cause</span>');
+    expect(html).toMatch(/<tr id="row-1" class="sticky">/);
+  });
+
+  test('escapes messages and applies highlight rules and row tints', () => {
+    expect(html).toContain('Lookup failed, &quot;host&quot; &lt;unknown&gt;');
+    expect(html).toContain('<tr id="row-0" style="background-color:#ffcc0040">');
+    expect(html).toContain('Connected to <mark data-rule style="background-color:#ffcc00">relay</mark>');
+    expect(html).not.toContain('Live connection lost');
+  });
+
+  test('caps the rows it holds', () => {
+    const many = Array.from({ length: MAX_REPORT_ROWS + 5 }, (_, i) => ({ id: i, lineNumber: i + 1, message: `row ${i}` }));
+    const report = buildHtmlReport(many, { fields: ['message'] });
+    expect(report).toContain(`id="row-${MAX_REPORT_ROWS - 1}"`);
+    expect(report).not.toContain(`id="row-${MAX_REPORT_ROWS}"`);
+    expect(report).toContain('Only the first');
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, test, expect } from 'vitest';
+import { parseFilterExpression, matchesFilterExpression, getSearchableText } from '../utils/filterExpression.js';
+import { compileAlertRules, findAlertMatches } from '../utils/liveAlerts.js';
+
+const matches = (expression, text, options) =>
+  matchesFilterExpression(parseFilterExpression(expression, options), text);
+
+describe('Filter expressions', () => {
+  test('combines || and && with exclusions', () => {
+    expect(matches('tunnel && down', 'Tunnel is down')).toBe(true);
+    expect(matches('tunnel && down', 'Tunnel is up')).toBe(false);
+    expect(matches('dns || tunnel', 'DNS relay error')).toBe(true);
+    expect(matches('(tunnel && down) || dns', 'tunnel is up')).toBe(false);
+    expect(matches('tunnel && !retry', 'tunnel down, retry in 5s')).toBe(false);
+    expect(matches('!retry', 'tunnel down')).toBe(true);
+  });
+
+  test('quoted terms keep their spaces', () => {
+    expect(matches('"app "', 'App success')).toBe(true);
+    expect(matches('"app "', 'sendAppIsRegister')).toBe(false);
+  });
+
+  test('honours regex mode and case sensitivity', () => {
+    expect(matches('err(or)?\\s+\\d+', 'ERROR 42', { mode: 'regex' })).toBe(true);
+    expect(matches('err(or)?\\s+\\d+', 'ERROR 42', { mode: 'regex', caseSensitive: true })).toBe(false);
+    expect(matches('a.c', 'abc')).toBe(false); // text mode escapes regex characters
+  });
+});
+
+describe('Live alert rules', () => {
+  test('match rows of a batch against enabled rules only', () => {
+    const rules = compileAlertRules([
+      { id: 'r1', name: 'Tunnel', expression: 'tunnel && disconnect' },
+      { id: 'r2', name: 'Off', expression: 'dns', enabled: false },
+      { id: 'r3', name: 'Empty', expression: '  ' },
+    ]);
+    const logs = [
+      { id: 1, message: 'Tunnel disconnected', module: 'Tunnel' },
+      { id: 2, message: 'DNS relay error' },
+      { id: 3, isGapMarker: true, message: 'tunnel disconnect' },
+    ];
+    const hits = findAlertMatches(rules, logs);
+    expect(hits).toHaveLength(1);
+    expect(hits[0].rule.id).toBe('r1');
+    expect(hits[0].log.id).toBe(1);
+  });
+
+  test('searchable text includes the structured fields', () => {
+    expect(getSearchableText({ message: 'm', level: 'ERROR', module: 'Core', lineNumber: 7 })).toContain('ERROR');
+  });
+});
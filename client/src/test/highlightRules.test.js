@@ -0,0 +1,49 @@
+import { describe, test, expect } from 'vitest';
+import { compileHighlightRules, applyHighlightRules, getRowTint, getHighlightRuleError } from '../utils/highlightRules.js';
+
+const rule = (extra) => ({ id: 'r', pattern: 'tunnel', mode: 'text', color: '#166534', background: '#bbf7d0', enabled: true, ...extra });
+
+describe('Highlight rules', () => {
+  test('validates patterns and colors', () => {
+    expect(getHighlightRuleError(rule())).toBeNull();
+    expect(getHighlightRuleError(rule({ pattern: '' }))).toBe('Pattern is required');
+    expect(getHighlightRuleError(rule({ pattern: '(', mode: 'regex' }))).toMatch(/^Invalid regex/);
+    expect(getHighlightRuleError(rule({ color: 'red' }))).toBe('Colors must be #rrggbb');
+  });
+
+  test('skips disabled and invalid rules', () => {
+    const compiled = compileHighlightRules([rule({ enabled: false }), rule({ id: 'x', pattern: '[', mode: 'regex' }), rule({ id: 'ok' })]);
+    expect(compiled.map(c => c.rule.id)).toEqual(['ok']);
+  });
+
+  test('marks text between tags only, first rule wins', () => {
+    const compiled = compileHighlightRules([
+      rule({ pattern: 'Tunnel up' }),
+      rule({ id: 'b', pattern: 'mark|up', mode: 'regex', color: '#991b1b', background: '' }),
+    ]);
+    const html = applyHighlightRules('Tunnel up, <mark class="bg-blue-200">mark</mark> up', compiled);
+    expect(html).toBe(
+      '<mark data-rule style="color:#166534;background-color:#bbf7d0">Tunnel up</mark>, '
+      + '<mark class="bg-blue-200"><mark data-rule style="color:#991b1b;background-color:transparent">mark</mark></mark> '
+      + '<mark data-rule style="color:#991b1b;background-color:transparent">up</mark>'
+    );
+    expect(applyHighlightRules('no match', compiled)).toBe('no match');
+  });
+
+  test('match escaped text as the characters it stands for', () => {
+    const style = 'color:#166534;background-color:#bbf7d0';
+    // "lt" inside &lt; isn't a match; "<b>" is, with its entities kept whole
+    expect(applyHighlightRules('a &lt;b&gt; lt', compileHighlightRules([rule({ pattern: 'lt' })])))
+      .toBe(`a &lt;b&gt; <mark data-rule style="${style}">lt</mark>`);
+    expect(applyHighlightRules('a &lt;b&gt; &amp; c', compileHighlightRules([rule({ pattern: '<b>' })])))
+      .toBe(`a <mark data-rule style="${style}">&lt;b&gt;</mark> &amp; c`);
+    expect(applyHighlightRules('x&amp;y &quot;q&quot;', compileHighlightRules([rule({ pattern: '[a-z]+', mode: 'regex' })])))
+      .toBe(`<mark data-rule style="${style}">x</mark>&amp;<mark data-rule style="${style}">y</mark> &quot;<mark data-rule style="${style}">q</mark>&quot;`);
+  });
+
+  test('tints rows of row-tint rules only', () => {
+    const compiled = compileHighlightRules([rule(), rule({ id: 't', pattern: 'dns', rowTint: true, background: '#fecaca' })]);
+    expect(getRowTint('DNS failure', compiled)).toBe('#fecaca40');
+    expect(getRowTint('tunnel up', compiled)).toBeNull();
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { createLogStreamParser } from '../LogParser.js';
+import useLiveLogs, { parseIncrement, createGapMarker, RECONNECT_BASE_MS, RECONNECT_MAX_MS } from '../utils/useLiveLogs.js';
+
+const newSource = () => ({ parser: createLogStreamParser(), shownPending: null, lastLog: null });
+
+describe('Live log increments', () => {
+  test('hold back a partial trailing line until it completes', () => {
+    const state = newSource();
+    const first = parseIncrement(state, '2025-08-02 23:54:57:514 first\n2025-08-02 23:54:58:0');
+    expect(first.logs).toHaveLength(1);
+    expect(first.logs[0].message).toContain('first');
+    expect(first.replaceLast).toBe(false);
+
+    const second = parseIncrement(state, '00 second\n');
+    expect(second.replaceLast).toBe(true);
+    expect(second.logs.map(log => log.id)).toEqual([0, 1]);
+    expect(second.logs[1].message).toContain('second');
+    expect(state.lastLog.timestamp).toBe('2025-08-02 23:54:58:000');
+  });
+
+  test('replace the open record as continuation lines arrive in later chunks', () => {
+    const state = newSource();
+    parseIncrement(state, '2025-08-02 23:54:57:514 start\n');
+    const grown = parseIncrement(state, '  more detail\n  and ');
+    expect(grown.replaceLast).toBe(true);
+    expect(grown.logs).toHaveLength(1);
+    expect(grown.logs[0].message).toContain('more detail');
+
+    const done = parseIncrement(state, 'the end\n2025-08-02 23:54:59:000 next\n');
+    expect(done.replaceLast).toBe(true);
+    expect(done.logs[0].message).toContain('and the end');
+    expect(done.logs[0].originalLineNumbers).toEqual([1, 2, 3]);
+    expect(done.logs[1]).toMatchObject({ id: 1, lineNumber: 4 });
+  });
+
+  test('show the open record as a fresh copy each time', () => {
+    const state = newSource();
+    const a = parseIncrement(state, '2025-08-02 23:54:57:514 start\n');
+    const b = parseIncrement(state, '  more\n');
+    expect(b.logs[0]).not.toBe(a.logs[0]);
+    expect(b.logs[0].id).toBe(a.logs[0].id);
+  });
+
+  test('continue ids and line numbers from one message to the next', () => {
+    const state = newSource();
+    const first = parseIncrement(state, '2025-08-02 23:54:57:514 one\n2025-08-02 23:54:58:000 two\n');
+    expect(first.replaceLast).toBe(false);
+    expect(first.logs.map(log => [log.id, log.lineNumber])).toEqual([[0, 1], [1, 2]]);
+    const later = parseIncrement(state, '2025-08-02 23:54:59:000 three\n');
+    expect(later.replaceLast).toBe(true);
+    expect(later.logs.map(log => [log.id, log.lineNumber])).toEqual([[1, 2], [2, 3]]);
+  });
+});
+
+describe('Live gap markers', () => {
+  test('span the outage and take the last received timestamp', () => {
+    const lastLog = { timestamp: '2025-08-02 23:54:57:514', timestampMs: 1754178897514, displayDate: '02-Aug-2025' };
+    const marker = createGapMarker('daemon', { lastLog }, 1000, 91000);
+    expect(marker).toMatchObject({
+      id: 'gap:daemon:91000',
+      isGapMarker: true,
+      gapStart: 1000,
+      gapEnd: 91000,
+      timestamp: lastLog.timestamp,
+      timestampMs: lastLog.timestampMs,
+      displayDate: lastLog.displayDate,
+    });
+    expect(marker.message).toMatch(/^Live connection lost .+ \(90s\) — lines may be missing here$/);
+    expect(marker.raw).toBe(`--- ${marker.message} ---`);
+    expect(createGapMarker('daemon', { lastLog: null }, 0, 0).timestamp).toBe('');
+  });
+});
+
+// Just enough of a WebSocket to open, drop and feed a connection by hand
+class FakeSocket {
+  static OPEN = 1;
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeSocket.instances.push(this);
+  }
+
+  send(data) { this.sent.push(JSON.parse(data)); }
+  close() { this.drop(); }
+  accept() { this.readyState = FakeSocket.OPEN; this.onopen(); }
+  drop() { this.readyState = 3; this.onclose(); }
+  receive(message) { this.onmessage({ data: JSON.stringify(message) }); }
+}
+
+describe('Live reconnection', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(Date.UTC(2025, 7, 2, 12));
+    FakeSocket.instances = [];
+    vi.stubGlobal('WebSocket', FakeSocket);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.useRealTimers();
+  });
+
+  test('back off exponentially up to the cap, then mark the gap and resume', () => {
+    const onSourceUpdate = vi.fn();
+    const onReconnected = vi.fn();
+    const { result, unmount } = renderHook(() => useLiveLogs({ onSourceUpdate, onReconnected }));
+    const sockets = FakeSocket.instances;
+
+    act(() => result.current.connect({ server: 'host:4000', sourceKeys: ['daemon'] }));
+    act(() => sockets[0].accept());
+    act(() => sockets[0].receive({ type: 'initial', sourceKey: 'daemon', label: 'daemon.log', content: '2025-08-02 23:54:57:514 one\n', offset: 0, end: 28 }));
+    const droppedAt = Date.now();
+    act(() => sockets[0].drop());
+    expect(result.current.isReconnecting).toBe(true);
+
+    // Each failed attempt doubles the wait until it reaches the cap
+    const delays = [1, 2, 4, 8, 16].map(n => n * RECONNECT_BASE_MS).concat(RECONNECT_MAX_MS, RECONNECT_MAX_MS);
+    delays.forEach((delay, attempt) => {
+      act(() => vi.advanceTimersByTime(delay - 1));
+      expect(sockets).toHaveLength(attempt + 1);
+      act(() => vi.advanceTimersByTime(1));
+      expect(sockets).toHaveLength(attempt + 2);
+      if (attempt < delays.length - 1) act(() => sockets[attempt + 1].drop());
+    });
+
+    const resumed = sockets[sockets.length - 1];
+    expect(resumed.url).toBe('ws://host:4000/?sources=');
+    onSourceUpdate.mockClear();
+    act(() => resumed.accept());
+
+    expect(onReconnected).toHaveBeenCalledTimes(1);
+    expect(result.current.isReconnecting).toBe(false);
+    const [{ sourceKey, logs, isInitial }] = onSourceUpdate.mock.calls[0];
+    expect([sourceKey, isInitial]).toEqual(['daemon', false]);
+    expect(logs[0]).toMatchObject({ isGapMarker: true, gapStart: droppedAt, gapEnd: Date.now() });
+    expect(resumed.sent).toEqual([{ type: 'subscribe', sourceKeys: ['daemon'], offsets: { daemon: 28 } }]);
+    unmount();
+  });
+});
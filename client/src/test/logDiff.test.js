@@ -0,0 +1,75 @@
+import { describe, test, expect } from 'vitest';
+import { diffLogRows, selectDiffRows, parseWindowTime, getDiffKey } from '../utils/logDiff.js';
+
+const rows = (...messages) => messages.map((message, i) => ({ id: i + 1, lineNumber: i + 1, message }));
+const view = ({ rows: diffRows }) => diffRows.map(({ left, right }) => [
+  left ? `${left.status}:${left.index}` : '',
+  right ? `${right.status}:${right.index}` : '',
+]);
+
+describe('Log diff', () => {
+  test('compares messages with variable tokens normalized', () => {
+    expect(getDiffKey({ message: 'Connected to 10.0.0.1 in 35 ms' })).toBe(getDiffKey({ message: 'Connected to 10.0.0.7 in 120 ms' }));
+    const { counts } = diffLogRows(rows('start 1', 'session 0a1b2c3d4e5f'), rows('start 2', 'session ffee00112233'));
+    expect(counts).toEqual({ same: 2, missing: 0, inserted: 0, moved: 0 });
+  });
+
+  test('lines up missing and inserted rows side by side', () => {
+    const result = diffLogRows(rows('a', 'b', 'c', 'd'), rows('a', 'x', 'c', 'd', 'e'));
+    expect(view(result)).toEqual([
+      ['same:0', 'same:0'],
+      ['missing:1', 'inserted:1'],
+      ['same:2', 'same:2'],
+      ['same:3', 'same:3'],
+      ['', 'inserted:4'],
+    ]);
+    expect(result.counts).toEqual({ same: 3, missing: 1, inserted: 2, moved: 0 });
+  });
+
+  test('reports reordered rows as moved with their partner', () => {
+    const result = diffLogRows(rows('a', 'b', 'c', 'd'), rows('a', 'c', 'd', 'b'));
+    expect(view(result)).toEqual([
+      ['same:0', 'same:0'],
+      ['moved:1', ''],
+      ['same:2', 'same:1'],
+      ['same:3', 'same:2'],
+      ['', 'moved:3'],
+    ]);
+    expect(result.rows[1].left.partner).toBe(3);
+    expect(result.rows[4].right.partner).toBe(1);
+    expect(result.counts.moved).toBe(1);
+  });
+
+  test('aligns repeated rows without unique anchors', () => {
+    const result = diffLogRows(rows('x', 'y', 'x', 'y'), rows('x', 'x', 'y'));
+    expect(result.counts).toEqual({ same: 3, missing: 1, inserted: 0, moved: 0 });
+  });
+
+  test('aligns long stretches without anchors window by window', () => {
+    const left = rows(...Array.from({ length: 5000 }, (_, i) => (i % 3 ? 'tick' : 'tock')));
+    const right = [{ id: 'head', message: 'tack' }, ...left.slice(0, 2500), { id: 'extra', message: 'tick' }, ...left.slice(2500), { id: 'tail', message: 'tack' }];
+    expect(diffLogRows(left, right).counts).toEqual({ same: 5000, missing: 0, inserted: 3, moved: 0 });
+  });
+
+  test('selects top-level rows inside a time window', () => {
+    const logs = [
+      { timestampMs: 1000, message: 'a' },
+      { timestampMs: 2000, message: 'b' },
+      { timestampMs: 2000, message: 'b2', isContinuation: true },
+      { timestampMs: 3000, message: 'c' },
+      { timestampMs: null, message: 'untimed' },
+    ];
+    expect(selectDiffRows(logs, { fromMs: 1500, toMs: 3000 }).rows.map(l => l.message)).toEqual(['b', 'c']);
+    expect(selectDiffRows(logs).rows).toHaveLength(4);
+  });
+
+  test('parses window times', () => {
+    const reference = Date.UTC(2025, 6, 4, 10);
+    expect(parseWindowTime('', reference)).toBeNull();
+    expect(parseWindowTime('2025-07-05 14:19:44.540', reference)).toBe(Date.UTC(2025, 6, 5, 14, 19, 44, 540));
+    expect(parseWindowTime('14:19', reference)).toBe(Date.UTC(2025, 6, 4, 14, 19));
+    expect(parseWindowTime('14:19:44:5', reference)).toBe(Date.UTC(2025, 6, 4, 14, 19, 44, 500));
+    expect(parseWindowTime('yesterday', reference)).toBeUndefined();
+    expect(parseWindowTime('14:19', null)).toBeUndefined();
+  });
+});
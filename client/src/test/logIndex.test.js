@@ -0,0 +1,62 @@
+import { describe, test, expect } from 'vitest';
+import {
+  tokenize,
+  buildLogIndex,
+  createIndexView,
+  lookupTerm,
+  lookupPrefix,
+  lookupPhrase,
+  getFilterCandidates,
+  getQueryCandidates,
+} from '../utils/logIndex.js';
+import { parseFilterExpression, matchesFilterExpression, getSearchableText } from '../utils/filterExpression.js';
+import { parseQuery } from '../utils/queryLanguage.js';
+
+const messages = [
+  'Tunnel disconnected: timeout',
+  'Tunnel connected to pop-12',
+  'sendAppIsRegister called',
+  'App success',
+  'DNS relay restarted',
+];
+const logs = messages.map((message, i) => ({ id: i, message, level: 'I', module: 'Core', lineNumber: i + 1 }));
+const view = createIndexView(buildLogIndex(logs), logs);
+
+const rowsOf = (mask) => Array.from(mask).flatMap((set, i) => (set ? [i] : []));
+
+describe('Log index', () => {
+  test('tokenizes lowercased words', () => {
+    expect(tokenize('Tunnel disconnected: pop-12_a')).toEqual(['tunnel', 'disconnected', 'pop', '12_a']);
+  });
+
+  test('answers term, prefix and phrase lookups', () => {
+    expect(rowsOf(lookupTerm(view, 'tunnel'))).toEqual([0, 1]);
+    expect(rowsOf(lookupPrefix(view, 'dis'))).toEqual([0]);
+    // Words cut at either end of a phrase still find their rows
+    expect(rowsOf(lookupPhrase(view, 'connect'))).toEqual([0, 1]);
+    expect(rowsOf(lookupPhrase(view, 'nnel disconn'))).toEqual([0]);
+    expect(rowsOf(lookupPhrase(view, 'app '))).toEqual([3]);
+    expect(lookupPhrase(view, ' :: ')).toBeNull();
+  });
+
+  test('filter candidates include every row the filter matches', () => {
+    ['connect', 'tunnel && !timeout', 'app  || relay', '"app "', 'pop-1', '(dns) || success'].forEach(text => {
+      const expression = parseFilterExpression(text);
+      const candidates = getFilterCandidates(view, expression, 'text');
+      logs.forEach((log, i) => {
+        if (matchesFilterExpression(expression, getSearchableText(log))) expect(candidates[i]).toBe(1);
+      });
+    });
+    expect(getFilterCandidates(view, parseFilterExpression('tun.*'), 'regex')).toBeNull();
+  });
+
+  test('query candidates use text terms only', () => {
+    expect(rowsOf(getQueryCandidates(view, parseQuery('level:info tunnel').ast, 'text'))).toEqual([0, 1]);
+    expect(getQueryCandidates(view, parseQuery('level:info || tunnel').ast, 'text')).toBeNull();
+  });
+
+  test('rows appended after the index was built are always candidates', () => {
+    const grown = [...logs, { id: 5, message: 'unrelated', lineNumber: 6 }];
+    expect(rowsOf(lookupTerm(createIndexView(view, grown, logs.length), 'tunnel'))).toEqual([0, 1, 5]);
+  });
+});
@@ -0,0 +1,48 @@
+import { describe, test, expect } from 'vitest';
+import { computeLogStatistics, statisticsToCSV } from '../utils/logStatistics.js';
+
+const at = (seconds) => Date.UTC(2025, 6, 4, 13, 0, 0) + seconds * 1000;
+const row = (seconds, level, module, extra = {}) => ({
+  timestampMs: at(seconds),
+  timestamp: `2025-07-04 13:00:${String(seconds).padStart(2, '0')}:000`,
+  level,
+  module,
+  thread: 't1',
+  lineNumber: seconds + 1,
+  ...extra,
+});
+const logs = [
+  row(0, 'I', 'Tunnel', { sourceFile: 'a.log' }),
+  row(1, 'E', 'Tunnel', { sourceFile: 'a.log' }),
+  { message: 'continuation', isContinuation: true, level: 'E', module: 'Tunnel' },
+  row(2, 'W', 'Dns, "relay"', { sourceFile: 'b.log', thread: 't2' }),
+  row(30, 'E', 'Tunnel', { sourceFile: 'b.log', isContextLine: true }),
+  row(40, 'I', 'Dns, "relay"', { sourceFile: 'b.log' }),
+];
+
+describe('Log statistics', () => {
+  const stats = computeLogStatistics(logs);
+
+  test('counts rows by level, module, thread and source', () => {
+    expect(stats.total).toBe(4);
+    expect(stats.byLevel).toEqual([{ key: 'info', count: 2 }, { key: 'error', count: 1 }, { key: 'warning', count: 1 }]);
+    expect(stats.byModule).toEqual([{ key: 'Tunnel', count: 2 }, { key: 'Dns, "relay"', count: 2 }]);
+    expect(stats.byThread).toEqual([{ key: 't1', count: 3 }, { key: 't2', count: 1 }]);
+    expect(stats.bySource).toEqual([{ key: 'a.log', count: 2 }, { key: 'b.log', count: 2 }]);
+    expect(stats.noisiestModules[0]).toEqual({ key: 'Tunnel', count: 2, errors: 1, warnings: 0 });
+  });
+
+  test('computes the error rate and the largest gaps', () => {
+    expect(stats.errorRate.bucketMs).toBe(1000);
+    expect(stats.errorRate.buckets[1]).toEqual({ startMs: at(1), total: 1, errors: 1, rate: 1 });
+    expect(stats.largestGaps[0]).toMatchObject({ gapMs: 38000, fromLine: 3, toLine: 41, sourceFile: 'b.log' });
+    expect(stats.largestGaps).toHaveLength(3);
+  });
+
+  test('exports CSV with quoted cells', () => {
+    const csv = statisticsToCSV(stats).split('\n');
+    expect(csv[0]).toBe('section,key,count,errors,warnings,detail');
+    expect(csv).toContain('module,"Dns, ""relay""",2,,,');
+    expect(csv).toContain('error_rate,2025-07-04 13:00:01:000,1,1,,1.0000');
+  });
+});
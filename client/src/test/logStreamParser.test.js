@@ -0,0 +1,37 @@
+import { describe, test, expect } from 'vitest';
+import { readFileSync, readdirSync } from 'fs';
+import { join } from 'path';
+import { createLogStreamParser, parseLogContent, assignProcessNames } from '../LogParser.js';
+
+const parseInChunks = (content, chunkSize) => {
+  const parser = createLogStreamParser();
+  const logs = [];
+  for (let i = 0; i < content.length; i += chunkSize) {
+    logs.push(...parser.push(content.slice(i, i + chunkSize)));
+  }
+  logs.push(...parser.flush());
+  return assignProcessNames(logs);
+};
+
+describe('Incremental log stream parser', () => {
+  const dataDir = join(__dirname, '..', '..', 'LogRecordsTests');
+  const samples = readdirSync(dataDir).filter(name => name.endsWith('.test_log'));
+
+  test.each(samples)('chunked parse of %s matches parseLogContent', (name) => {
+    const content = readFileSync(join(dataDir, name), 'utf-8');
+    const expected = parseLogContent(content);
+    [1, 7, 64, 4096].forEach(chunkSize => {
+      expect(parseInChunks(content, chunkSize)).toEqual(expected);
+    });
+  });
+
+  test('keeps a record open until the next record starts', () => {
+    const parser = createLogStreamParser();
+    expect(parser.push('2025-08-02 23:54:57:514 first\n  continued')).toEqual([]);
+    expect(parser.peek().message).toContain('first');
+    const done = parser.push('\n2025-08-02 23:54:58:000 second\n');
+    expect(done).toHaveLength(1);
+    expect(done[0].originalLineNumbers).toEqual([1, 2]);
+    expect(parser.flush().map(log => log.id)).toEqual([1]);
+  });
+});
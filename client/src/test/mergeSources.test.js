@@ -0,0 +1,45 @@
+import { describe, test, expect } from 'vitest';
+import {
+  BUILT_IN_MERGE_SOURCES,
+  getMergeSources,
+  resolveMergeSource,
+  validateMergeSource,
+} from '../utils/mergeSources.js';
+
+const windowsService = {
+  key: 'custom:svc',
+  label: 'Windows service',
+  folderName: 'ServiceLogs',
+  outputFilename: 'ServiceLogs.log',
+  tag: 'SVC',
+  timestampPattern: 'YYYY-MM-DD HH:mm:ss.SSS',
+};
+
+describe('Merge sources', () => {
+  test('built-in parsers read Cato and DEM timestamps on the same clock', () => {
+    const [ext] = getMergeSources([]);
+    const dem = getMergeSources([]).find(s => s.key === 'dem');
+    expect(ext.parseTs('2026-04-28 23:14:36:308 INFO start')).toBe(Date.UTC(2026, 3, 28, 23, 14, 36, 308));
+    expect(dem.parseTs('[04/28/26 23:14:36.308] probe')).toBe(Date.UTC(2026, 3, 28, 23, 14, 36, 308));
+    expect(ext.parseTs('  continuation line')).toBeNull();
+  });
+
+  test('custom sources parse their timestamp pattern, with or without brackets', () => {
+    const svc = resolveMergeSource(windowsService);
+    expect(svc.parseTs('2026-04-28 23:14:36.308 Service started')).toBe(Date.UTC(2026, 3, 28, 23, 14, 36, 308));
+    expect(svc.parseTs('[2026-04-28 23:14:36.308] Service started')).toBe(Date.UTC(2026, 3, 28, 23, 14, 36, 308));
+    expect(svc.parseTs('Service started')).toBeNull();
+  });
+
+  test('custom sources are listed after the built-ins unless disabled', () => {
+    expect(getMergeSources([windowsService]).map(s => s.key)).toEqual([...BUILT_IN_MERGE_SOURCES.map(s => s.key), 'custom:svc']);
+    expect(getMergeSources([{ ...windowsService, enabled: false }])).toHaveLength(BUILT_IN_MERGE_SOURCES.length);
+  });
+
+  test('validation rejects clashes and bad parsers', () => {
+    expect(validateMergeSource(windowsService, BUILT_IN_MERGE_SOURCES)).toBeNull();
+    expect(validateMergeSource({ ...windowsService, tag: 'APP' }, BUILT_IN_MERGE_SOURCES)).toMatch(/Clashes/);
+    expect(validateMergeSource({ ...windowsService, timestampPattern: 'YYYY-MM-DD' }, BUILT_IN_MERGE_SOURCES)).toMatch(/HH/);
+    expect(validateMergeSource({ ...windowsService, loosePattern: '(' }, BUILT_IN_MERGE_SOURCES)).toMatch(/loose file pattern/);
+  });
+});
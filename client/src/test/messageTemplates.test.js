@@ -0,0 +1,61 @@
+import { describe, test, expect } from 'vitest';
+import {
+  templatizeMessage,
+  groupLogsByTemplate,
+  getTemplateQuery,
+  addTemplateExclusion,
+} from '../utils/messageTemplates.js';
+import { parseQuery, matchesQuery } from '../utils/queryLanguage.js';
+
+const matches = (query, message) => {
+  const { ast, error } = parseQuery(query);
+  expect(error).toBeNull();
+  return matchesQuery(ast, { message });
+};
+
+describe('Message templates', () => {
+  test('collapses IPs, UUIDs, hex ids and numbers', () => {
+    expect(templatizeMessage('Connected to 10.0.0.1:443 in 35 ms')).toBe('Connected to <IP> in <NUM> ms');
+    expect(templatizeMessage('session 3f2a9c1e-0b7d-4e2f-9a51-6c1d2e3f4a5b took 1.5s')).toBe('session <UUID> took <NUM>s');
+    expect(templatizeMessage('handle 0x7ffe12 id deadbeef42 on Win32')).toBe('handle <HEX> id <HEX> on Win32');
+  });
+
+  test('groups rows with counts, levels and first / last seen', () => {
+    const logs = [
+      { message: 'Retry 1 of 3', level: 'W', timestampMs: 2000 },
+      { message: 'Tunnel up', level: 'I', timestampMs: 2500 },
+      { message: 'Retry 2 of 3', level: 'E', timestampMs: 1000 },
+      { message: 'continued', isContinuation: true },
+    ];
+    const [retry, tunnel] = groupLogsByTemplate(logs);
+    expect(retry).toMatchObject({ template: 'Retry <NUM> of <NUM>', count: 2, levels: { warning: 1, error: 1 } });
+    expect(retry.firstLog.timestampMs).toBe(1000);
+    expect(retry.lastLog.timestampMs).toBe(2000);
+    expect(tunnel.count).toBe(1);
+  });
+
+  test('template queries match exactly their instances', () => {
+    const query = getTemplateQuery(templatizeMessage('GET /api/v1 (200) in 35 ms'));
+    expect(matches(query, 'GET /api/v1 (404) in 1200 ms')).toBe(true);
+    expect(matches(query, 'GET /api/v1 (404) in 1200 ms, retrying')).toBe(false);
+  });
+
+  test('multi-line templates give a one-line query', () => {
+    const query = getTemplateQuery(templatizeMessage('Request failed:\n  status 503\r\n  retry in 5 s'));
+    expect(query).not.toMatch(/[\r\n]/);
+    expect(matches(query, 'Request failed:\n  status 500\n  retry in 30 s')).toBe(true);
+    expect(matches(query, 'Request failed: status 500 retry in 30 s')).toBe(true);
+    expect(matches(query, 'Request failed:\n  status 500')).toBe(false);
+  });
+
+  test('exclusions are added to the existing filter', () => {
+    const exclusion = `!${getTemplateQuery('Tunnel up')}`;
+    expect(addTemplateExclusion('', 'Tunnel up')).toBe(exclusion);
+    expect(addTemplateExclusion('tunnel', 'Tunnel up')).toBe(`tunnel && ${exclusion}`);
+    expect(addTemplateExclusion('a || b', 'Tunnel up')).toBe(`(a || b) && ${exclusion}`);
+    const filter = addTemplateExclusion('tunnel', 'Tunnel up');
+    const { ast } = parseQuery(filter);
+    expect(matchesQuery(ast, { message: 'Tunnel up' })).toBe(false);
+    expect(matchesQuery(ast, { message: 'Tunnel down' })).toBe(true);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, test, expect } from 'vitest';
+import { isQueryExpression, parseQuery, getQueryAst, matchesQuery, getQueryHighlightRegexes } from '../utils/queryLanguage.js';
+
+const row = (overrides = {}) => ({
+  level: 'E',
+  module: 'TunnelManager',
+  thread: '12',
+  process: 'Extn',
+  message: 'Tunnel disconnected: timeout',
+  lineNumber: 415,
+  timestampMs: 10000,
+  sourceFile: 'bundle/AppLogs/app.1.log',
+  ...overrides,
+});
+
+const matches = (query, log = row(), context) => {
+  const { ast, error } = parseQuery(query);
+  expect(error).toBeNull();
+  return matchesQuery(ast, log, context);
+};
+
+describe('Query language', () => {
+  test('only field-qualified text switches to the query grammar', () => {
+    expect(isQueryExpression('level:error')).toBe(true);
+    expect(isQueryExpression('timeout && gap>5s')).toBe(true);
+    expect(isQueryExpression('error: connection || #gap=5')).toBe(false);
+  });
+
+  test('leave text that does not parse to the plain filter syntax', () => {
+    expect(isQueryExpression('open file: foo')).toBe(true);
+    expect(getQueryAst('open file: foo')).toBeNull();
+    expect(getQueryAst('timeout')).toBeNull();
+    expect(getQueryAst('level:error')).not.toBeNull();
+  });
+
+  test('matches fields, wildcards, regexes and comparisons', () => {
+    expect(matches('level:error')).toBe(true);
+    expect(matches('level:warning')).toBe(false);
+    expect(matches('module:Tunnel*')).toBe(true);
+    expect(matches('module:Tunnel')).toBe(false);
+    expect(matches('thread:12 && process:extn')).toBe(true);
+    expect(matches('file:AppLogs')).toBe(true);
+    expect(matches('msg:/disconnect(ed)?: time/')).toBe(true);
+    expect(matches('line>=415 && line<416')).toBe(true);
+    expect(matches('gap>5s', row(), { prevTimestampMs: 4000 })).toBe(true);
+    expect(matches('gap>5s', row(), { prevTimestampMs: 6000 })).toBe(false);
+    expect(matches('gap<=500ms', row(), { prevTimestampMs: 9600 })).toBe(true);
+  });
+
+  test('combines with plain terms, negation and implicit &&', () => {
+    expect(matches('level:error timeout')).toBe(true);
+    expect(matches('disconnected: timeout level:info')).toBe(false);
+    expect(matches('level:info || (module:Tunnel* && !msg:retry)')).toBe(true);
+    expect(matches('#gap=5 || level:error')).toBe(true);
+    const { ast } = parseQuery('level:error && timeout && !msg:retry');
+    expect(getQueryHighlightRegexes(ast).map(r => r.source)).toEqual(['timeout']);
+  });
+
+  test('reports syntax errors with their position', () => {
+    const cases = [
+      ['level:error && (module:Tunnel*', 'Missing closing )', 15],
+      ['msg:/unclosed', 'Unterminated regex', 4],
+      ['msg:/a(/', 'Invalid regex', 4],
+      ['gap>5h', 'Unknown unit', 5],
+      ['gap:5', 'compared with', 0],
+      ['level: && x', 'Missing value', 6],
+      ['level:error ||', 'Expected a term', 14],
+    ];
+    cases.forEach(([query, message, start]) => {
+      const { ast, error } = parseQuery(query);
+      expect(ast).toBeNull();
+      expect(error.message).toContain(message);
+      expect(error.start).toBe(start);
+    });
+  });
+
+  test('tell query errors from prose that mentions a field', () => {
+    expect(parseQuery('open file: foo').error.afterField).toBe(false);
+    expect(parseQuery('level: && x').error.afterField).toBe(false);
+    expect(parseQuery('level:error && (module:Tunnel*').error.afterField).toBe(true);
+    expect(parseQuery('msg:/unclosed').error.afterField).toBe(true);
+    expect(parseQuery('gap>5h').error.afterField).toBe(true);
+  });
+});
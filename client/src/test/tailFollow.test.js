@@ -0,0 +1,35 @@
+import { describe, test, expect } from 'vitest';
+import { getAtBottomChange, getNewRowCount, getFollowLabel } from '../utils/tailFollow.js';
+
+describe('Live tail-follow', () => {
+  test('follow again when the bottom comes into view in live mode', () => {
+    expect(getAtBottomChange({ atBottom: true, isLiveMode: true, rowCount: 120, rowCountAtBottom: 100 }))
+      .toEqual({ following: true, rowCountAtBottom: 120 });
+    expect(getAtBottomChange({ atBottom: true, isLiveMode: false, rowCount: 120, rowCountAtBottom: 100 }))
+      .toEqual({ following: null, rowCountAtBottom: 120 });
+  });
+
+  test('stop following only when the tail is left without new rows', () => {
+    // Scrolled up (or jumped to a row): nothing was appended
+    expect(getAtBottomChange({ atBottom: false, isLiveMode: true, rowCount: 100, rowCountAtBottom: 100 }))
+      .toEqual({ following: false, rowCountAtBottom: 100 });
+    // Appended rows pushed the bottom out of view; the list scrolls after them
+    expect(getAtBottomChange({ atBottom: false, isLiveMode: true, rowCount: 130, rowCountAtBottom: 100 }))
+      .toEqual({ following: null, rowCountAtBottom: 100 });
+  });
+
+  test('count the rows added since following stopped', () => {
+    expect(getNewRowCount({ isLiveMode: true, isFollowing: false, rowCount: 105, pausedRowCount: 100 })).toBe(5);
+    expect(getNewRowCount({ isLiveMode: true, isFollowing: true, rowCount: 105, pausedRowCount: 100 })).toBe(0);
+    expect(getNewRowCount({ isLiveMode: false, isFollowing: false, rowCount: 105, pausedRowCount: 100 })).toBe(0);
+    // A filter change can shrink the list below the count when it stopped
+    expect(getNewRowCount({ isLiveMode: true, isFollowing: false, rowCount: 40, pausedRowCount: 100 })).toBe(0);
+  });
+
+  test('label the follow button', () => {
+    expect(getFollowLabel(true, 7)).toBe('Following');
+    expect(getFollowLabel(false, 0)).toBe('Follow');
+    expect(getFollowLabel(false, 1)).toBe('1 new row');
+    expect(getFollowLabel(false, 1500)).toBe(`${(1500).toLocaleString()} new rows`);
+  });
+});
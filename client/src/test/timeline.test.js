@@ -0,0 +1,58 @@
+import { describe, test, expect } from 'vitest';
+import {
+  chooseBucketSize,
+  buildTimeline,
+  formatFilterTimestamp,
+  setDateRangeInFilter,
+  removeDateRangeFromFilter,
+  getDateRangeFromFilter,
+} from '../utils/timeline.js';
+import { parseQuery } from '../utils/queryLanguage.js';
+
+const at = (time) => Date.UTC(2025, 6, 4, 13, 0, 0) + time;
+const logs = [
+  { timestampMs: at(0), level: 'E', sourceFile: 'a.log' },
+  { timestampMs: at(500), level: 'I', sourceFile: 'b.log' },
+  { timestampMs: at(500), level: 'I', isContinuation: true, sourceFile: 'b.log' },
+  { timestampMs: at(110000), level: 'W', sourceFile: 'a.log' },
+  { isGapMarker: true },
+];
+
+describe('Timeline', () => {
+  test('picks the smallest nice bucket size', () => {
+    expect(chooseBucketSize(60000, 120)).toBe(1000);
+    expect(chooseBucketSize(119, 120)).toBe(1);
+    expect(chooseBucketSize(6 * 60 * 60 * 1000, 120)).toBe(5 * 60 * 1000);
+  });
+
+  test('counts rows per bucket, level and lane', () => {
+    const timeline = buildTimeline(logs, { laneKey: log => log.sourceFile });
+    expect(timeline.bucketMs).toBe(1000);
+    expect(timeline.buckets).toHaveLength(111);
+    expect(timeline.buckets[0]).toEqual({ startMs: at(0), total: 2, counts: { error: 1, info: 1 } });
+    expect(timeline.buckets[110].counts).toEqual({ warning: 1 });
+    expect(timeline.maxTotal).toBe(2);
+    expect(timeline.lanes.map(lane => [lane.key, lane.total])).toEqual([['a.log', 2], ['b.log', 1]]);
+    expect(buildTimeline(logs).lanes).toEqual([]);
+    expect(buildTimeline([{ message: 'no time' }])).toBeNull();
+  });
+
+  test('sets, reads and clears the filter date range', () => {
+    expect(formatFilterTimestamp(at(1234))).toBe('2025-07-04 13:00:01:234');
+    const filtered = setDateRangeInFilter('level:error', at(0), at(999));
+    expect(filtered).toBe('level:error || #2025-07-04 13:00:00:000 :: #2025-07-04 13:00:00:999');
+    expect(getDateRangeFromFilter(filtered)).toEqual({ fromMs: at(0), toMs: at(999) });
+    // A new range replaces the old one
+    expect(setDateRangeInFilter(filtered, at(1000), at(1999)))
+      .toBe('level:error || #2025-07-04 13:00:01:000 :: #2025-07-04 13:00:01:999');
+    expect(removeDateRangeFromFilter(filtered)).toBe('level:error');
+    expect(removeDateRangeFromFilter('#2025-07-04 :: || tunnel')).toBe('tunnel');
+    expect(getDateRangeFromFilter('tunnel')).toBeNull();
+  });
+
+  test('range clauses leave queries parseable', () => {
+    const { ast, error } = parseQuery(setDateRangeInFilter('level:error', at(0), at(999)));
+    expect(error).toBeFalsy();
+    expect(ast).toBeTruthy();
+  });
+});
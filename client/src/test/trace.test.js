@@ -0,0 +1,99 @@
+import { describe, test, expect } from 'vitest';
+import { extractTraceIds, buildTrace, formatTraceDuration, MAX_TRACE_STEPS } from '../utils/trace.js';
+
+const row = (lineNumber, timestampMs, message, extra = {}) => ({
+  id: `r${lineNumber}`,
+  lineNumber,
+  timestampMs,
+  message,
+  ...extra,
+});
+
+describe('extractTraceIds', () => {
+  test('finds named ids, UUIDs and long hex ids', () => {
+    const ids = extractTraceIds('Start sessionId=abc123 request_id: "r-77" conn 9f8e7d6c5b4a3210 for 123e4567-e89b-12d3-a456-426614174000');
+    expect(ids).toEqual([
+      { value: 'abc123', kind: 'sessionId' },
+      { value: 'r-77', kind: 'request_id' },
+      { value: '123e4567-e89b-12d3-a456-426614174000', kind: 'uuid' },
+      { value: '9f8e7d6c5b4a3210', kind: 'hex' },
+    ]);
+  });
+
+  test('skips short and placeholder values and keeps each id once', () => {
+    const ids = extractTraceIds('id=1 tunnelId=null TunnelID=T-42, tunnelId: t-42.');
+    expect(ids).toEqual([{ value: 'T-42', kind: 'TunnelID' }]);
+  });
+
+  test('ignores hex runs without letters or digits', () => {
+    expect(extractTraceIds('count 123456789012 word deadbeefcafe')).toEqual([]);
+    expect(extractTraceIds('')).toEqual([]);
+  });
+});
+
+describe('buildTrace', () => {
+  const app = [
+    row(1, 1000, 'send sessionId=abc123', { processName: 'App', thread: 'main' }),
+    row(2, 1500, 'unrelated abc1234'),
+    row(3, 4000, 'done sessionId=abc123', { processName: 'App' }),
+    row(4, 4100, 'sessionId=abc123 more', { isContinuation: true }),
+  ];
+  const daemon = [
+    row(10, 1900, 'got abc123 from app', { processName: 'Daemon' }),
+    row(11, null, 'abc123 untimed', { processName: 'Daemon' }),
+  ];
+
+  test('orders matching rows of all tabs by corrected time with hop durations', () => {
+    const { steps, truncated } = buildTrace(['abc123'], [
+      { tabId: 'app', tabName: 'app.log', logs: app },
+      { tabId: 'daemon', tabName: 'daemon.log', logs: daemon, offsetMs: 100 },
+    ]);
+    expect(truncated).toBe(false);
+    expect(steps.map(s => [s.tabId, s.log.lineNumber, s.timeMs, s.deltaMs, s.elapsedMs, s.isHop])).toEqual([
+      ['app', 1, 1000, null, 0, false],
+      ['daemon', 10, 2000, 1000, 1000, true],
+      ['app', 3, 4000, 2000, 3000, true],
+      ['daemon', 11, null, null, null, true],
+    ]);
+    expect(steps[0]).toMatchObject({ process: 'App', thread: 'main', tabName: 'app.log', ids: ['abc123'] });
+  });
+
+  test('matches any of several ids, case-insensitively', () => {
+    const { steps } = buildTrace(['ABC123', 'other-9'], [
+      { tabId: 't', logs: [row(1, 1, 'other-9 here'), row(2, 2, 'x abc123 other-9')] },
+    ]);
+    expect(steps.map(s => s.ids)).toEqual([['other-9'], ['abc123', 'other-9']]);
+  });
+
+  test('returns nothing without ids and caps long traces', () => {
+    expect(buildTrace([], [{ tabId: 't', logs: app }]).steps).toEqual([]);
+    const many = Array.from({ length: MAX_TRACE_STEPS + 5 }, (_, i) => row(i + 1, i, 'abc123'));
+    const { steps, truncated } = buildTrace(['abc123'], [{ tabId: 't', logs: many }]);
+    expect(steps).toHaveLength(MAX_TRACE_STEPS);
+    expect(truncated).toBe(true);
+  });
+
+  test('caps by time, not by tab order', () => {
+    const late = Array.from({ length: MAX_TRACE_STEPS }, (_, i) => row(i + 1, 10000 + i, 'abc123'));
+    const { steps, truncated } = buildTrace(['abc123'], [
+      { tabId: 'late', logs: late },
+      { tabId: 'early', logs: [row(1, 5, 'abc123 first')] },
+    ]);
+    expect(truncated).toBe(true);
+    expect(steps[0]).toMatchObject({ tabId: 'early', timeMs: 5 });
+    expect(steps.at(-1).timeMs).toBe(10000 + MAX_TRACE_STEPS - 2);
+  });
+});
+
+describe('formatTraceDuration', () => {
+  test('scales the unit', () => {
+    expect(formatTraceDuration(850)).toBe('850 ms');
+    expect(formatTraceDuration(1234)).toBe('1.23 s');
+    expect(formatTraceDuration(12400)).toBe('12.4 s');
+    expect(formatTraceDuration(185000)).toBe('3 min 5 s');
+    expect(formatTraceDuration(119500)).toBe('2 min 0 s');
+    expect(formatTraceDuration(119999)).toBe('2 min 0 s');
+    expect(formatTraceDuration(59960)).toBe('1 min 0 s');
+    expect(formatTraceDuration(null)).toBe('');
+  });
+});
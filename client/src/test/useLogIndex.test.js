@@ -0,0 +1,72 @@
+import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+import { createLogIndexBuilder } from '../utils/logIndex.js';
+import useLogIndex from '../utils/useLogIndex.js';
+
+// Stands in for logIndex.worker.js; the test decides when a build finishes
+class FakeWorker {
+  static instances = [];
+
+  constructor() {
+    this.texts = [];
+    this.terminated = false;
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage({ type, texts }) {
+    if (type === 'add') this.texts.push(...texts);
+  }
+
+  terminate() { this.terminated = true; }
+
+  finish() {
+    const builder = createLogIndexBuilder();
+    builder.add(this.texts);
+    this.onmessage({ data: { type: 'index', index: builder.finish() } });
+  }
+}
+
+const rows = (prefix, count) => Array.from({ length: count }, (_, i) => ({ id: i, message: `${prefix} row ${i}` }));
+
+describe('useLogIndex', () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    vi.stubGlobal('Worker', FakeWorker);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  test('indexes a tab opened while another tab is being indexed', () => {
+    const first = rows('alpha', 3);
+    const second = rows('beta', 4);
+    const { result, rerender } = renderHook(({ logs }) => useLogIndex(logs), { initialProps: { logs: first } });
+    expect(result.current).toBeNull();
+    expect(FakeWorker.instances).toHaveLength(1);
+
+    rerender({ logs: second });
+    const [stale, current] = FakeWorker.instances;
+    expect(stale.terminated).toBe(true);
+    expect(current.texts).toHaveLength(4);
+
+    act(() => current.finish());
+    expect(result.current.indexedCount).toBe(4);
+    expect(result.current.logs).toBe(second);
+  });
+
+  test('lets a live tab finish its build before indexing the appended rows', () => {
+    const initial = rows('live', 3);
+    const appended = [...initial, ...rows('more', 2)];
+    const { result, rerender } = renderHook(({ logs }) => useLogIndex(logs), { initialProps: { logs: initial } });
+
+    rerender({ logs: appended });
+    expect(FakeWorker.instances).toHaveLength(1);
+    expect(FakeWorker.instances[0].terminated).toBe(false);
+
+    // The first build covers the leading rows of the appended array
+    act(() => FakeWorker.instances[0].finish());
+    expect(result.current.indexedCount).toBe(3);
+    expect(result.current.logs).toBe(appended);
+  });
+});
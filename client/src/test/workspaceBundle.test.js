@@ -0,0 +1,108 @@
+// @vitest-environment node
+import { describe, test, expect } from 'vitest';
+import {
+  BUNDLE_FORMAT,
+  buildWorkspaceBundle,
+  validateWorkspaceBundle,
+  getBundleTabs,
+  encodeWorkspaceBundle,
+  decodeWorkspaceBundle,
+} from '../utils/workspaceBundle.js';
+
+const logFile = (text, name, path) => Object.assign(new File([text], name, { lastModified: 1700000000000 }), path ? { webkitRelativePath: path } : {});
+
+const files = [
+  { id: 'client.log_100_1700000000000', name: 'client.log', fileObj: logFile('Connected\nFailed\n', 'client.log') },
+  { id: 'logs/service (2)', name: 'service (2)', isGroup: true, groupPrefix: 'service', fileObj: [logFile('a1\n', 'a.log', 'logs/a.log'), logFile('b1\n', 'b.log', 'logs/b.log')] },
+];
+const rows = [{ id: 0, lineNumber: 1, message: 'Connected', timestampMs: 1 }, { id: 1, lineNumber: 2, message: 'Failed', timestampMs: 2 }];
+const readContents = (bundle, tabId) => Promise.all(bundle.contents[tabId].map(content => content.data.text()));
+
+const state = {
+  files,
+  activeFileIndex: 1,
+  showingCombinedView: false,
+  allFileLogs: { [files[0].id]: rows, [files[1].id]: rows, 'Combined Files': rows, 'closed.log': rows },
+  logFileHeaders: { [files[0].id]: { user: 'alice' } },
+  allFileFilters: { [files[0].id]: { searchText: 'error' }, 'closed.log': { searchText: 'x' } },
+  allFileStickyLogs: { [files[1].id]: [{ id: 1, lineNumber: 2 }] },
+  pivotLog: rows[1],
+  layout: { columnOrder: ['message', 'timestamp'] },
+  filterPresets: [{ id: '1', name: 'Errors', data: { searchText: 'error' } }],
+  highlightRules: [{ id: 'r', pattern: 'Failed' }],
+  clockOffsets: { 'tab:client.log': 1500 },
+  createdAt: new Date(Date.UTC(2025, 6, 4)),
+};
+
+describe('Workspace bundles', () => {
+  test('hold the open tabs and their state only', () => {
+    const bundle = buildWorkspaceBundle(state);
+    expect(bundle.format).toBe(BUNDLE_FORMAT);
+    expect(bundle.createdAt).toBe('2025-07-04T00:00:00.000Z');
+    expect(bundle.tabs).toEqual([
+      { id: files[0].id, name: 'client.log', isGroup: false, groupPrefix: null, sources: ['client.log'] },
+      { id: files[1].id, name: 'service (2)', isGroup: true, groupPrefix: 'service', sources: ['logs/a.log', 'logs/b.log'] },
+    ]);
+    expect(Object.keys(bundle.contents)).toEqual([files[0].id, files[1].id]);
+    expect(bundle.contents[files[1].id].map(({ name, path }) => [name, path])).toEqual([['a.log', 'logs/a.log'], ['b.log', 'logs/b.log']]);
+    expect(bundle.rowCount).toBe(4);
+    expect(bundle.filters).toEqual({ [files[0].id]: { searchText: 'error' } });
+    expect(bundle.activeTabId).toBe(files[1].id);
+    expect(bundle.pivot).toEqual({ id: 1, timestamp: undefined, lineNumber: 2 });
+    expect(validateWorkspaceBundle(bundle)).toBeNull();
+  });
+
+  test('reference the files when log contents are left out', () => {
+    const bundle = buildWorkspaceBundle({ ...state, includeLogs: false });
+    expect(bundle.contents).toEqual({});
+    expect(bundle.stickyLogs).toEqual({ [files[1].id]: [{ id: 1, lineNumber: 2 }] });
+    expect(getBundleTabs(bundle).map(tab => tab.isReference)).toEqual([true, true]);
+    expect(getBundleTabs(buildWorkspaceBundle(state)).map(tab => tab.isReference)).toEqual([false, false]);
+  });
+
+  test('reject other files and newer versions', () => {
+    expect(validateWorkspaceBundle({ format: 'log-viewer-bookmarks', bookmarks: [] })).toBe('Not a workspace bundle');
+    expect(validateWorkspaceBundle({ format: BUNDLE_FORMAT, version: 99, tabs: [] })).toMatch(/newer/);
+    expect(validateWorkspaceBundle({ format: BUNDLE_FORMAT, version: 1, tabs: [{ name: 'x' }] })).toMatch(/without an id/);
+  });
+
+  test('keep the raw lines of tabs without files, after their header', async () => {
+    const live = { id: 'live:daemon', name: 'daemon.log', isLive: true };
+    const bundle = buildWorkspaceBundle({
+      ...state,
+      files: [live],
+      activeFileIndex: 0,
+      allFileLogs: { [live.id]: [{ id: 0, raw: '10:00 start' }, { id: 1, isGapMarker: true, raw: '--- gap ---' }, { id: 2, message: 'next' }] },
+      logFileHeaders: { [live.id]: { rawLines: ['User: alice'] } },
+    });
+    expect(await readContents(bundle, live.id)).toEqual(['User: alice\n\n10:00 start\nnext\n']);
+    expect(bundle.contents[live.id][0]).toMatchObject({ name: 'daemon.log', lastModified: Date.UTC(2025, 6, 4) });
+  });
+
+  test('round-trip the files through a gzipped file and reopen them as the tabs', async () => {
+    const bundle = buildWorkspaceBundle(state);
+    const blob = await encodeWorkspaceBundle(bundle);
+    const bytes = new Uint8Array(await blob.arrayBuffer());
+    expect([bytes[0], bytes[1]]).toEqual([0x1f, 0x8b]);
+
+    const decoded = await decodeWorkspaceBundle(blob);
+    expect(decoded.tabs).toEqual(bundle.tabs);
+    expect(decoded.filters).toEqual(bundle.filters);
+    expect(await readContents(decoded, files[0].id)).toEqual(['Connected\nFailed\n']);
+    expect(await readContents(decoded, files[1].id)).toEqual(['a1\n', 'b1\n']);
+
+    const [single, group] = getBundleTabs(decoded);
+    expect(single.fileObj).toMatchObject({ name: 'client.log', size: 17, lastModified: 1700000000000 });
+    expect(group.fileObj.map(file => file.name)).toEqual(['a.log', 'b.log']);
+    expect(await group.fileObj[1].text()).toBe('b1\n');
+  });
+
+  test('open version 1 bundles with parsed rows, gzipped or plain JSON', async () => {
+    const v1 = { format: BUNDLE_FORMAT, version: 1, tabs: [{ id: 'a.log', name: 'a.log' }], logs: { 'a.log': rows }, headers: {} };
+    expect(await decodeWorkspaceBundle(new Blob([JSON.stringify(v1)]))).toEqual(v1);
+    const gzipped = await new Response(new Blob([JSON.stringify(v1)]).stream().pipeThrough(new CompressionStream('gzip'))).blob();
+    const decoded = await decodeWorkspaceBundle(gzipped);
+    expect(decoded).toEqual(v1);
+    expect(getBundleTabs(decoded)).toEqual([{ id: 'a.log', name: 'a.log', isGroup: false, groupPrefix: null, sources: [], isReference: false }]);
+  });
+});
@@ -0,0 +1,29 @@
+import { describe, test, expect } from 'vitest';
+import { summarizeBundle, isWorkspaceExpired, getCopyName } from '../utils/workspaceStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('Workspace store helpers', () => {
+  test('summarize the tabs and rows of a bundle', () => {
+    const bundle = {
+      tabs: [{ id: 'a_1_2', name: 'a.log' }, { id: 'b', name: '' }],
+      logs: { a_1_2: [{ id: 0 }, { id: 1 }] },
+    };
+    expect(summarizeBundle(bundle)).toEqual({ files: ['a.log', 'b'], rowCount: 2, hasLogs: true });
+    expect(summarizeBundle({ tabs: bundle.tabs, logs: {} })).toEqual({ files: ['a.log', 'b'], rowCount: 0, hasLogs: false });
+    expect(summarizeBundle({ tabs: bundle.tabs, contents: { b: [{ name: 'b' }] }, rowCount: 7 })).toEqual({ files: ['a.log', 'b'], rowCount: 7, hasLogs: true });
+  });
+
+  test('expire only workspaces with a retention period past it', () => {
+    const now = Date.UTC(2025, 6, 30);
+    expect(isWorkspaceExpired({ retentionDays: null, lastOpenedAt: 0 }, now)).toBe(false);
+    expect(isWorkspaceExpired({ retentionDays: 7, lastOpenedAt: now - 6 * DAY_MS }, now)).toBe(false);
+    expect(isWorkspaceExpired({ retentionDays: 7, lastOpenedAt: now - 8 * DAY_MS }, now)).toBe(true);
+  });
+
+  test('name copies after the first free "(copy N)"', () => {
+    expect(getCopyName('Crash', ['Crash'])).toBe('Crash (copy)');
+    expect(getCopyName('Crash', ['Crash', 'Crash (copy)'])).toBe('Crash (copy 2)');
+    expect(getCopyName('Crash (copy)', ['Crash', 'Crash (copy)', 'Crash (copy 2)'])).toBe('Crash (copy 3)');
+  });
+});
@@ -4,7 +4,7 @@ import {
   getFileIdentifier,
   getFileDisplayName,
   getFileFullName,
-  loadLogFile,
+  streamLogFile,
   parseHeaderInfo
 } from './utils/fileLoader';
 import {
@@ -29,9 +29,32 @@ import {
   parseLogFormat,
   parseWindowsLogFormat
 } from './utils/logParsingUtils';
+import { parseFilterExpression, getSearchableText, matchesFilterExpression } from './utils/filterExpression';
+import { getQueryAst, matchesQuery } from './utils/queryLanguage';
+import { getFilterCandidates, getQueryCandidates } from './utils/logIndex';
+import useLogIndex from './utils/useLogIndex';
+import { expandContextLines } from './utils/contextLines';
+import { hashLogLine, buildBookmarksSidecar, resolveSidecarBookmarks } from './utils/bookmarks';
 
 const useLogsModel = () => {
-  const [fileLoadingState, setFileLoadingState] = useState({}); // { [fileId]: true/false }
+  // { [fileId]: false | true | { loaded, total, rows } } — the object form
+  // carries parse progress for files streamed through the worker
+  const [fileLoadingState, setFileLoadingState] = useState({});
+  // Files whose streamed batches should still be applied; closing a tab or
+  // resetting the model drops the id so late batches are ignored.
+  const streamingFileIdsRef = useRef(new Set());
+  // Tab id → AbortController of its file load, so closing the tab (or
+  // resetting the model) terminates the parse workers
+  const loadControllersRef = useRef(new Map());
+  const startLoad = (tabId) => {
+    loadControllersRef.current.get(tabId)?.abort();
+    const controller = new AbortController();
+    loadControllersRef.current.set(tabId, controller);
+    return controller;
+  };
+  const endLoad = (tabId, controller) => {
+    if (loadControllersRef.current.get(tabId) === controller) loadControllersRef.current.delete(tabId);
+  };
   const [logs, setLogs] = useState([]);
   const [selectedLog, setSelectedLog] = useState(null);
   const [highlightedLogId, setHighlightedLogId] = useState(null);
@@ -198,12 +221,13 @@ const useLogsModel = () => {
     return allFileStickyLogs[currentFileName] || [];
   }, [allFileStickyLogs, currentFileName]);
 
-  const addStickyLog = useCallback((log) => {
-    if (!currentFileName) return;
+  // Add a sticky log to any tab's list (live alerts pin rows in background tabs)
+  const addStickyLogForFile = useCallback((fileName, log) => {
+    if (!fileName) return;
 
     try {
       setAllFileStickyLogs(prev => {
-        const currentFileStickyLogs = prev[currentFileName] || [];
+        const currentFileStickyLogs = prev[fileName] || [];
 
         // Avoid duplicates
         if (currentFileStickyLogs.find(sticky => sticky.id === log.id)) {
@@ -217,18 +241,26 @@ const useLogsModel = () => {
           level: log.level,
           message: log.message ? log.message.substring(0, 50) + (log.message.length > 50 ? '...' : '') : 'No message',
           cleanedMessage: log.cleanedMessage || log.message || 'No message',
-          sourceFile: log.sourceFile // Save source file for multi-file navigation
+          sourceFile: log.sourceFile, // Save source file for multi-file navigation
+          rawHash: hashLogLine(log), // Finds the row again when bookmarks are imported
+          note: '',
+          color: null,
+          tags: []
         };
 
         return {
           ...prev,
-          [currentFileName]: [...currentFileStickyLogs, newStickyLog]
+          [fileName]: [...currentFileStickyLogs, newStickyLog]
         };
       });
     } catch (error) {
       console.error('Error adding sticky log:', error);
     }
-  }, [currentFileName]);
+  }, []);
+
+  const addStickyLog = useCallback((log) => {
+    addStickyLogForFile(currentFileName, log);
+  }, [addStickyLogForFile, currentFileName]);
 
   const removeStickyLog = useCallback((logId) => {
     if (!currentFileName) return;
@@ -279,21 +311,89 @@ const useLogsModel = () => {
     });
   }, [currentFileName]);
 
-  const updateStickyLogTitle = useCallback((logId, newTitle) => {
+  // Update bookmark fields (title, note, color, tags) of a sticky log
+  const updateStickyLog = useCallback((logId, changes) => {
     if (!currentFileName) return;
 
     setAllFileStickyLogs(prev => {
-      const currentFileStickyLogs = prev[currentFileName] || [];
-      const updatedFileStickyLogs = currentFileStickyLogs.map(sticky => 
-        sticky.id === logId ? { ...sticky, title: newTitle } : sticky
-      );
+      // Like removeStickyLog: in "All Files" the sticky lives in its own bucket
+      const fileNames = currentFileName === 'Combined Files'
+        ? Object.keys(prev).filter(fileName => (prev[fileName] || []).some(sticky => sticky.id === logId))
+        : [currentFileName];
+      const next = { ...prev };
+      fileNames.forEach(fileName => {
+        next[fileName] = (prev[fileName] || []).map(sticky =>
+          sticky.id === logId ? { ...sticky, ...changes } : sticky
+        );
+      });
+      return next;
+    });
+  }, [currentFileName]);
 
-      return {
-        ...prev,
-        [currentFileName]: updatedFileStickyLogs
+  const updateStickyLogTitle = useCallback((logId, newTitle) => {
+    updateStickyLog(logId, { title: newTitle });
+  }, [updateStickyLog]);
+
+  // Sidecar JSON of every tab's bookmarks (see utils/bookmarks.js)
+  const exportBookmarks = useCallback(() => buildBookmarksSidecar(
+    allFileStickyLogs,
+    (fileName, sticky) => {
+      const log = (allFileLogs[fileName] || []).find(l => l.id === sticky.id);
+      return log ? hashLogLine(log) : null;
+    }
+  ), [allFileStickyLogs, allFileLogs]);
+
+  // Add a sidecar's bookmarks to the loaded tabs. Bookmarks already on a row
+  // take the imported note, color, tags and title.
+  // Returns { added, updated, moved, unmatched }.
+  const importBookmarks = useCallback((sidecar) => {
+    const loadedTabs = Object.fromEntries(
+      Object.entries(allFileLogs).filter(([fileName]) => fileName !== 'Combined Files')
+    );
+    const { matches, unmatched } = resolveSidecarBookmarks(sidecar.bookmarks, loadedTabs);
+    const result = { added: 0, updated: 0, moved: 0, unmatched: unmatched.length };
+
+    const next = { ...allFileStickyLogs };
+    matches.forEach(({ tabId, log, bookmark, moved }) => {
+      const list = next[tabId] ? next[tabId].slice() : [];
+      // A sidecar without a title keeps the sticky's own title
+      const fields = {
+        ...(bookmark.title ? { title: bookmark.title } : {}),
+        note: bookmark.note || '',
+        color: bookmark.color || null,
+        tags: Array.isArray(bookmark.tags) ? bookmark.tags : []
       };
+      const index = list.findIndex(sticky => sticky.id === log.id);
+      if (index >= 0) {
+        list[index] = { ...list[index], ...fields };
+        result.updated++;
+      } else {
+        list.push({
+          id: log.id,
+          lineNumber: log.lineNumber,
+          timestamp: log.timestamp,
+          level: log.level,
+          message: log.message ? log.message.substring(0, 50) + (log.message.length > 50 ? '...' : '') : 'No message',
+          cleanedMessage: log.message || 'No message',
+          sourceFile: log.sourceFile,
+          rawHash: hashLogLine(log),
+          ...fields
+        });
+        result.added++;
+      }
+      if (moved) result.moved++;
+      next[tabId] = list;
     });
-  }, [currentFileName]);
+    setAllFileStickyLogs(next);
+    return result;
+  }, [allFileLogs, allFileStickyLogs]);
+
+  // Per-tab filters and sticky logs of an opened workspace bundle
+  // (utils/workspaceBundle.js); tabs the bundle doesn't hold keep theirs
+  const restoreFileState = useCallback(({ filtersByFile = {}, stickyLogsByFile = {} }) => {
+    setAllFileFilters(prev => ({ ...prev, ...filtersByFile }));
+    setAllFileStickyLogs(prev => ({ ...prev, ...stickyLogsByFile }));
+  }, []);
 
   // Internal: load logs for a file object (async)
   const loadLogs = useCallback((fileOrFiles, groupId = null) => {
@@ -301,11 +401,27 @@ const useLogsModel = () => {
     const isFileArray = Array.isArray(fileOrFiles);
     
     if (isFileArray) {
-      // Load multiple files and combine their logs into ONE model
-      const filePromises = fileOrFiles.map(file => loadLogFile(file, parseLogContent));
+      // Load multiple files and combine their logs into ONE model.
+      // Rows can only be shown once every file is parsed and sorted, so the
+      // group entry just tracks the summed progress.
+      const progressByFile = fileOrFiles.map(file => ({ loaded: 0, total: file.size || 0 }));
+      const progressId = groupId || getFileIdentifier(fileOrFiles[0]);
+      const controller = startLoad(progressId);
+      const filePromises = fileOrFiles.map((file, fileIndex) => streamLogFile(file, {
+        signal: controller.signal,
+        onProgress: ({ loaded, total }) => {
+          progressByFile[fileIndex] = { loaded, total };
+          const sum = progressByFile.reduce(
+            (acc, p) => ({ loaded: acc.loaded + p.loaded, total: acc.total + p.total }),
+            { loaded: 0, total: 0 }
+          );
+          setFileLoadingState(prev => (prev[progressId] ? { ...prev, [progressId]: { ...sum, rows: 0 } } : prev));
+        }
+      }));
       
       Promise.all(filePromises)
         .then(results => {
+          endLoad(progressId, controller);
           // Combine ALL logs from all files into one array
           let combinedLogs = [];
           let combinedHeaders = {};
@@ -413,7 +529,8 @@ const useLogsModel = () => {
           });
         })
         .catch(error => {
-          console.error('Error loading files:', error);
+          endLoad(progressId, controller);
+          if (error.name !== 'AbortError') console.error('Error loading files:', error);
           setFileLoadingState(prev => {
             const newState = { ...prev };
             if (groupId) {
@@ -426,14 +543,55 @@ const useLogsModel = () => {
           });
         });
     } else {
-      // Single file - existing logic
+      // Single file - stored under its tab's id when given (a tab reopened
+      // from a workspace bundle keeps the id the bundle saved)
       const file = fileOrFiles;
-      const fileId = getFileIdentifier(file);
+      const fileId = groupId || getFileIdentifier(file);
       // Mark loading as started
-      setFileLoadingState(prev => ({ ...prev, [fileId]: true }));
-      
-      loadLogFile(file, parseLogContent)
-        .then(({ fileId, logs, headerData }) => {
+      setFileLoadingState(prev => ({ ...prev, [fileId]: { loaded: 0, total: file.size || 0, rows: 0 } }));
+
+      // Show rows as soon as the first batches are parsed. Selection is only
+      // reset once so browsing the partial file isn't interrupted.
+      let hasShownRows = false;
+      streamingFileIdsRef.current.add(fileId);
+      const showLogs = (logs) => {
+        if (!streamingFileIdsRef.current.has(fileId)) return;
+        setAllFileLogs(prev => ({ ...prev, [fileId]: logs }));
+        // Only swap the visible logs/selection if the user is on this tab
+        // (or hasn't picked one yet). Avoids clobbering selection while
+        // "All Files" or another tab is active.
+        const activeTab = currentFileNameRef.current;
+        if (!activeTab || activeTab === fileId) {
+          setLogs(logs);
+          if (!hasShownRows) {
+            setSelectedLog(null);
+            setHighlightedLogId(null);
+            setCurrentFileName(fileId);
+          }
+          hasShownRows = true;
+        }
+      };
+
+      // Publishing copies every row parsed so far, so it only happens once the
+      // row count has doubled: the total copying stays linear in the file size
+      const streamedLogs = [];
+      let shownCount = 0;
+      const controller = startLoad(fileId);
+      streamLogFile(file, {
+        signal: controller.signal,
+        onProgress: (progress) => {
+          setFileLoadingState(prev => (prev[fileId] ? { ...prev, [fileId]: progress } : prev));
+        },
+        onBatch: (newLogs) => {
+          for (let i = 0; i < newLogs.length; i++) streamedLogs.push(newLogs[i]);
+          if (streamedLogs.length >= shownCount * 2) {
+            shownCount = streamedLogs.length;
+            showLogs(streamedLogs.slice());
+          }
+        }
+      })
+        .then(({ logs, headerData }) => {
+          endLoad(fileId, controller);
           setLogFileHeaders(prev => {
             const existingHeaders = prev[fileId] || {};
             const hasNewHeaders = headerData && Object.keys(headerData).length > 0;
@@ -446,21 +604,14 @@ const useLogsModel = () => {
             return prev;
           });
           
-          setAllFileLogs(prev => ({ ...prev, [fileId]: logs }));
-          // Only swap the visible logs/selection if the user is on this tab
-          // (or hasn't picked one yet). Avoids clobbering selection while
-          // "All Files" or another tab is active.
-          const activeTab = currentFileNameRef.current;
-          if (!activeTab || activeTab === fileId) {
-            setLogs(logs);
-            setSelectedLog(null);
-            setHighlightedLogId(null);
-            setCurrentFileName(fileId);
-          }
+          showLogs(logs);
+          streamingFileIdsRef.current.delete(fileId);
           setFileLoadingState(prev => ({ ...prev, [fileId]: false }));
         })
         .catch(error => {
-          console.error('Error loading file:', error);
+          endLoad(fileId, controller);
+          if (error.name !== 'AbortError') console.error('Error loading file:', error);
+          streamingFileIdsRef.current.delete(fileId);
           setFileLoadingState(prev => ({ ...prev, [fileId]: false }));
         });
     }
@@ -485,7 +636,8 @@ const useLogsModel = () => {
       if (!allFilesLoaded && !anyFileLoading) {
         // Mark the group as loading
         setFileLoadingState(prev => {
-          const newState = { ...prev, [fileId]: true };
+          const total = fileObj.reduce((sum, file) => sum + (file.size || 0), 0);
+          const newState = { ...prev, [fileId]: { loaded: 0, total, rows: 0 } };
           fileObj.forEach(file => {
             newState[getFileIdentifier(file)] = true;
           });
@@ -497,7 +649,7 @@ const useLogsModel = () => {
     } else {
       // Single file
       if (!allFileLogs[fileId] && !fileLoadingState[fileId]) {
-        loadLogs(fileObj);
+        loadLogs(fileObj, fileId);
       }
     }
   }, [allFileLogs, fileLoadingState, loadLogs]);
@@ -507,12 +659,32 @@ const useLogsModel = () => {
     return !!fileLoadingState[fileId];
   }, [fileLoadingState]);
 
+  // Parse progress of a loading file: { loaded, total, rows } or null
+  const getFileLoadProgress = useCallback((fileId) => {
+    const state = fileLoadingState[fileId];
+    return state && typeof state === 'object' ? state : null;
+  }, [fileLoadingState]);
+
   // True while any file is currently being loaded
   const isAnyFileLoading = useMemo(
     () => Object.values(fileLoadingState).some(Boolean),
     [fileLoadingState]
   );
 
+  // Overall progress of loads that have no rows to show yet. Null once every
+  // loading file is browsable (or nothing is loading), so the blocking
+  // overlay can step aside while the rest of a large file streams in.
+  const blockingLoadProgress = useMemo(() => {
+    const states = Object.values(fileLoadingState).filter(Boolean);
+    if (!states.some(state => state === true || state.rows === 0)) return null;
+    return states
+      .filter(state => typeof state === 'object')
+      .reduce((acc, state) => ({ loaded: acc.loaded + state.loaded, total: acc.total + state.total }), { loaded: 0, total: 0 });
+  }, [fileLoadingState]);
+
+  // Token index of the rows on screen; narrows the filter and the search
+  const logIndex = useLogIndex(logs);
+
   // Pre-compile search terms and regexes for performance
   // Parse row range filter or date range filter if present
   const searchData = useMemo(() => {
@@ -600,96 +772,30 @@ const useLogsModel = () => {
       searchText = searchText.replace(GAP_PATTERN, '').replace(/\|\|\s*\|\|/g, '||').replace(/^\s*\|\|/, '').replace(/\|\|\s*$/, '').trim();
     }
 
-    // Parse expression supporting || (OR) and && (AND) with parentheses.
-    // Split by || respecting parentheses, then split each OR group by &&.
-    // Spaces adjacent to operators are stripped; trailing spaces within a term are preserved
-    // so that e.g. "app " (with space) matches "App success" but not "sendAppIsRegister".
-    const splitByOr = (text) => {
-      const groups = [];
-      let depth = 0;
-      let current = '';
-      for (let i = 0; i < text.length; i++) {
-        const ch = text[i];
-        if (ch === '(') { depth++; current += ch; }
-        else if (ch === ')') { depth--; current += ch; }
-        else if (ch === '|' && text[i + 1] === '|' && depth === 0) {
-          groups.push(current.trimEnd()); // strip trailing space adjacent to ||
-          current = '';
-          i++; // skip second |
-          // skip leading spaces adjacent to ||
-          while (i + 1 < text.length && text[i + 1] === ' ') i++;
-        } else {
-          current += ch;
-        }
-      }
-      // Preserve both leading and trailing spaces in the last segment (may be intentional search criteria),
-      // but skip if the segment is entirely whitespace
-      if (current.trim()) groups.push(current);
-      return groups.filter(Boolean);
-    };
-
-    const buildRegex = (term) => {
-      try {
-        const flags = filters.filterCaseSensitive ? '' : 'i';
-        if (filters.filterMode === 'regex') {
-          return new RegExp(term, flags);
-        } else {
-          return new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
-        }
-      } catch (e) {
-        console.error('Invalid regex pattern:', term, e);
-        return null;
-      }
-    };
-
-    // Strip outer double-quotes for exact phrase matching — preserves internal spaces.
-    // e.g. "app " || moshe  →  /app /i  OR  /moshe/i
-    const unquote = (t) =>
-      t.startsWith('"') && t.endsWith('"') && t.length >= 2 ? t.slice(1, -1) : t;
-
-    const orSegments = splitByOr(searchText);
-    const includeGroups = []; // each entry = { terms: [...], regexes: [...] }
-    const excludeTerms = [];
-    const excludeRegexes = [];
-
-    orSegments.forEach(segment => {
-      // Strip outer parentheses
-      let inner = segment;
-      if (inner.startsWith('(') && inner.endsWith(')')) {
-        inner = inner.slice(1, -1).trim();
-      }
-      // Split by && within this OR group
-      // Strip spaces adjacent to && operators, but preserve the spaces within a standalone term
-      const andTerms = inner.split('&&').map((t, idx, arr) => {
-        if (arr.length === 1) return t; // No &&: preserve term exactly as typed
-        if (idx < arr.length - 1) return t.trim(); // Non-last: strip both sides (adjacent to &&)
-        return t.trimStart(); // Last: strip leading (adjacent to &&), preserve trailing
-      }).filter(t => t.trim());
-      // Unquote after splitting so "app " keeps its internal space
-      const inclTerms = andTerms.filter(t => !t.trimStart().startsWith('!')).map(unquote);
-      const exclTerms = andTerms.filter(t => t.trimStart().startsWith('!')).map(t => unquote(t.trimStart().slice(1)));
-
-      exclTerms.forEach(term => {
-        excludeTerms.push(term);
-        excludeRegexes.push(buildRegex(term));
-      });
-
-      if (inclTerms.length > 0) {
-        includeGroups.push({
-          terms: inclTerms,
-          regexes: inclTerms.map(buildRegex)
-        });
-      }
+    // Field-qualified queries (level:error, gap>5s, ...) get the query parser.
+    // It reads the full text: #directives are neutral there and applied above.
+    // On a syntax error the filter bar highlights it and the text falls
+    // through to the plain syntax below.
+    const query = getQueryAst(filters.searchText, {
+      mode: filters.filterMode,
+      caseSensitive: filters.filterCaseSensitive,
     });
+    if (query) {
+      return { query, rowStart, rowEnd, dateStart, dateEnd, gapThreshold };
+    }
 
-    // Flat list of all include terms (for backwards-compat where needed)
-    const includeTerms = includeGroups.flatMap(g => g.terms);
+    // Parse expression supporting || (OR), && (AND), parentheses, !exclusions and quotes
+    const { includeGroups, includeTerms, excludeTerms, excludeRegexes } = parseFilterExpression(searchText, {
+      mode: filters.filterMode,
+      caseSensitive: filters.filterCaseSensitive,
+    });
 
     return {
       includeGroups,
       includeTerms,
       excludeTerms,
       excludeRegexes,
+      caseSensitive: filters.filterCaseSensitive,
       rowStart,
       rowEnd,
       dateStart,
@@ -703,29 +809,24 @@ const useLogsModel = () => {
 
     const matchingLogIndices = [];
 
-    // Helper function to get all searchable text from a log entry
-    const getSearchableText = (log) => {
-      const parts = [
-        log.message || '',
-        log.timestamp || '',
-        log.level || '',
-        log.module || '',
-        log.thread || '',
-        log.process || '',
-        log.processName || '',
-        log.lineNumber?.toString() || ''
-      ];
-      return parts.join(' ');
-    };
-
-    // Pre-lowercase all searchable text once for performance (for text mode)
-    const lowerTexts = logs.map(log => getSearchableText(log).toLowerCase());
+    // Rows the token index rules out skip text matching altogether
+    let candidates = null;
+    if (searchData) {
+      candidates = searchData.query !== undefined
+        ? getQueryCandidates(logIndex, searchData.query, filters.filterMode)
+        : getFilterCandidates(logIndex, searchData, filters.filterMode);
+    }
 
     logs.forEach((log, index) => {
+      // Live reconnect markers stay visible whatever the filters
+      if (log.isGapMarker) {
+        matchingLogIndices.push(index);
+        return;
+      }
+
       if (searchData) {
-        const { includeGroups, excludeTerms, excludeRegexes, rowStart, rowEnd, dateStart, dateEnd, gapThreshold } = searchData;
-        const searchableText = getSearchableText(log);
-        const lowerText = lowerTexts[index];
+        if (candidates && !candidates[index]) return;
+        const { rowStart, rowEnd, dateStart, dateEnd, gapThreshold } = searchData;
 
         // Range filtering: handle date, row, and mixed ranges
         // Row start filter: check if log line number is >= rowStart
@@ -765,30 +866,13 @@ const useLogsModel = () => {
           }
         }
 
-        // Exclude logic: if any exclude term matches, skip this log
-        const isExcluded = excludeTerms.some((term, i) => {
-          const regex = excludeRegexes[i];
-          if (regex) {
-            // In regex mode, test against full searchable text
-            return regex.test(searchableText);
-          }
-          // In text mode, case-sensitive or insensitive comparison
-          if (filters.filterCaseSensitive) return searchableText.includes(term);
-          return lowerText.includes(term.toLowerCase());
-        });
-        if (isExcluded) return;
-
-        // Include logic: if there are include groups, at least one group must fully match (AND within group, OR between groups)
-        if (includeGroups.length > 0) {
-          const matchesAnyGroup = includeGroups.some(group =>
-            group.terms.every((term, i) => {
-              const regex = group.regexes[i];
-              if (regex) return regex.test(searchableText);
-              if (filters.filterCaseSensitive) return searchableText.includes(term);
-              return lowerText.includes(term.toLowerCase());
-            })
-          );
-          if (!matchesAnyGroup) return;
+        if (searchData.query !== undefined) {
+          // Field-qualified query (see utils/queryLanguage.js)
+          const context = { prevTimestampMs: index > 0 ? logs[index - 1].timestampMs : null, fileName: currentFileName };
+          if (!matchesQuery(searchData.query, log, context)) return;
+        } else if (!matchesFilterExpression(searchData, getSearchableText(log))) {
+          // Include/exclude terms (see utils/filterExpression.js)
+          return;
         }
       }
       
@@ -827,29 +911,8 @@ const useLogsModel = () => {
     }
 
     // Second pass: include context lines around matching logs
-    const includedIndices = new Set();
-
-    matchingLogIndices.forEach(matchingIndex => {
-      // Add context lines before
-      const startIndex = Math.max(0, matchingIndex - filters.contextLines);
-      // Add context lines after
-      const endIndex = Math.min(logs.length - 1, matchingIndex + filters.contextLines);
-
-      // Include all indices in the range
-      for (let i = startIndex; i <= endIndex; i++) {
-        includedIndices.add(i);
-      }
-    });
-
-    // Convert set to sorted array and return the corresponding logs with metadata
-    const sortedIndices = Array.from(includedIndices).sort((a, b) => a - b);
-    const matchingIndicesSet = new Set(matchingLogIndices);
-
-    return sortedIndices.map(index => ({
-      ...logs[index],
-      isContextLine: !matchingIndicesSet.has(index)
-    }));
-  }, [logs, filters, searchData, normalizeTimestamp]);
+    return expandContextLines(logs, matchingLogIndices, filters.contextLines);
+  }, [logs, filters, searchData, logIndex, normalizeTimestamp, currentFileName]);
 
   const moduleOptions = useMemo(() => {
     if (!logs.length) return [];
@@ -1093,6 +1156,26 @@ const useLogsModel = () => {
     }
   }, []);
 
+  // Append rows to a file's logs without rebuilding them (live streaming).
+  // With replaceLast the first new row replaces the row with the same id —
+  // normally the last one, unless a gap marker was appended after it.
+  const appendLogsForFile = useCallback((fileName, newLogs, replaceLast = false) => {
+    const merge = (existing = []) => {
+      if (!replaceLast || !existing.length || !newLogs.length) return existing.concat(newLogs);
+      const [updated, ...rest] = newLogs;
+      let index = existing.length - 1;
+      while (index > 0 && existing[index].isGapMarker) index--;
+      if (existing[index].id !== updated.id) index = existing.length - 1;
+      const merged = existing.slice();
+      merged[index] = updated;
+      return merged.concat(rest);
+    };
+    setAllFileLogs(prev => ({ ...prev, [fileName]: merge(prev[fileName]) }));
+    if (currentFileNameRef.current === fileName) {
+      setLogs(prev => merge(prev));
+    }
+  }, []);
+
   // Switch to show logs for a specific file
   const switchToFile = useCallback((fileName) => {
     const fileLogs = allFileLogs[fileName] || [];
@@ -1118,6 +1201,9 @@ const useLogsModel = () => {
 
   // Remove logs for a specific file (when closing a tab)
   const removeLogsForFile = useCallback((fileName) => {
+    streamingFileIdsRef.current.delete(fileName);
+    loadControllersRef.current.get(fileName)?.abort();
+    loadControllersRef.current.delete(fileName);
     setAllFileLogs(prev => {
       const newLogs = { ...prev };
       delete newLogs[fileName];
@@ -1145,6 +1231,9 @@ const useLogsModel = () => {
     setAllFileStickyLogs({});
     setCurrentFileName(null);
     setFileLoadingState({});
+    streamingFileIdsRef.current.clear();
+    loadControllersRef.current.forEach(controller => controller.abort());
+    loadControllersRef.current.clear();
     setFilters(prev => ({
       ...prev,
       searchText: '',
@@ -1157,6 +1246,7 @@ const useLogsModel = () => {
 
   return {
     logs,
+    logIndex,
     filteredLogs,
     moduleOptions,
     selectedLog,
@@ -1165,11 +1255,14 @@ const useLogsModel = () => {
     logFileHeaders,
     allFileLogs,
     allFileFilters,
+    allFileStickyLogs,
     currentFileName,
     stickyLogs,
     loadLogs,
     requestFileLoad,
     isFileLoading,
+    getFileLoadProgress,
+    blockingLoadProgress,
     isAnyFileLoading,
     setSelectedLog,
     updateFilters,
@@ -1179,6 +1272,7 @@ const useLogsModel = () => {
     getCurrentFileHeaders,
     setLogsForFile,
     updateLogsBackground,
+    appendLogsForFile,
     setLogFileHeaders,
     switchToFile,
     removeLogsForFile,
@@ -1187,9 +1281,14 @@ const useLogsModel = () => {
     getFileDisplayName: (fileId) => getFileDisplayName(fileId), // Use imported function
     getFileFullName: (fileId) => getFileFullName(fileId), // Use imported function
     addStickyLog,
+    addStickyLogForFile,
     removeStickyLog,
     clearAllStickyLogs,
     updateStickyLogTitle,
+    updateStickyLog,
+    exportBookmarks,
+    importBookmarks,
+    restoreFileState,
     scrollToLog
   };
 };
@@ -1,31 +1,47 @@
 /**
- * Extract .zip and .tar.xz archives into in-memory File objects with a
+ * Extract .zip, .tar and compressed (.gz, .tgz, .tar.gz, .xz, .txz, .tar.xz,
+ * .bz2, .tbz2, .tar.bz2) archives into in-memory File objects with a
  * synthetic `webkitRelativePath`, so the rest of the app can treat the
- * contents exactly like files chosen via a folder picker.
+ * contents exactly like files chosen via a folder picker. Archives found
+ * inside archives (a zip in a zip, a .gz log in a tarball) are expanded too,
+ * down to MAX_ARCHIVE_DEPTH levels.
  *
- * Heavy decompressors (`jszip`, `xz-decompress`) are dynamically imported so
- * users who never open an archive don't pay for them.
+ * Heavy decompressors (`jszip`, `xz-decompress`, `./bunzip2`) are dynamically
+ * imported so users who never open an archive don't pay for them; gzip uses
+ * the browser's DecompressionStream.
  */
 
 const ZIP_RE = /\.zip$/i;
-const TAR_XZ_RE = /\.(?:tar\.xz|txz|xz)$/i;
+const TAR_RE = /\.tar$/i;
+const GZIP_RE = /\.(?:gz|tgz)$/i;
+const XZ_RE = /\.(?:xz|txz)$/i;
+const BZIP2_RE = /\.(?:bz2|tbz2?)$/i;
+
+// Nesting levels expanded: the picked archive is level 1
+export const MAX_ARCHIVE_DEPTH = 4;
 
 export function isArchiveFile(file) {
   const name = file?.name || '';
-  return ZIP_RE.test(name) || TAR_XZ_RE.test(name);
+  return ZIP_RE.test(name) || TAR_RE.test(name) || GZIP_RE.test(name) || XZ_RE.test(name) || BZIP2_RE.test(name);
 }
 
 /**
  * Extract the given archive `File` into a flat array of `File` objects.
- * Each returned file has `webkitRelativePath` set to `<archiveBase>/<entry>`.
+ * Each returned file has `webkitRelativePath` set to `<archiveBase>/<entry>`,
+ * where archiveBase is the archive's own path (its webkitRelativePath when
+ * it came out of a folder or another archive) without the extension. A
+ * compressed single file ("app.log.gz") becomes that file ("app.log") next
+ * to where the archive was.
  *
  * @param {File} file
  * @returns {Promise<File[]>}
  */
 export async function extractArchive(file) {
   const name = file.name;
-  if (ZIP_RE.test(name)) return extractZip(file);
-  if (TAR_XZ_RE.test(name)) return extractTarXz(file);
+  const path = file.webkitRelativePath || name;
+  if (ZIP_RE.test(name)) return extractZip(file, path.replace(ZIP_RE, ''));
+  if (TAR_RE.test(name)) return parseTar(new Uint8Array(await file.arrayBuffer()), path.replace(TAR_RE, ''));
+  if (GZIP_RE.test(name) || XZ_RE.test(name) || BZIP2_RE.test(name)) return extractCompressed(file, path);
   throw new Error(`Unsupported archive: ${name}`);
 }
 
@@ -58,10 +74,9 @@ function isMacResourceForkPath(p) {
   return false;
 }
 
-async function extractZip(file) {
+async function extractZip(file, baseName) {
   const { default: JSZip } = await import('jszip');
   const zip = await JSZip.loadAsync(await file.arrayBuffer());
-  const baseName = file.name.replace(ZIP_RE, '');
   const out = [];
 
   const entries = Object.values(zip.files).filter(
@@ -76,13 +91,49 @@ async function extractZip(file) {
   return out;
 }
 
-async function extractTarXz(file) {
-  // Decompress .xz streaming, then parse the resulting tar.
+async function decompressGzip(file) {
+  // Concatenated gzip members (e.g. appended rotations) come out as one stream
+  const decompressed = new Response(file.stream().pipeThrough(new DecompressionStream('gzip')));
+  return new Uint8Array(await decompressed.arrayBuffer());
+}
+
+async function decompressXz(file) {
   const { XzReadableStream } = await import('xz-decompress');
   const decompressed = new Response(new XzReadableStream(file.stream()));
-  const buf = new Uint8Array(await decompressed.arrayBuffer());
-  const baseName = file.name.replace(TAR_XZ_RE, '');
-  return parseTar(buf, baseName);
+  return new Uint8Array(await decompressed.arrayBuffer());
+}
+
+async function decompressBzip2(file) {
+  const { bunzip2 } = await import('./bunzip2');
+  return bunzip2(new Uint8Array(await file.arrayBuffer()));
+}
+
+// ustar / GNU tar headers carry "ustar" at offset 257
+function looksLikeTar(buf) {
+  if (buf.length < 512) return false;
+  const magic = String.fromCharCode(...buf.subarray(257, 262));
+  return magic === 'ustar';
+}
+
+/**
+ * Decompress a .gz / .xz / .bz2 file. Tarballs ("x.tar.gz", "x.tgz", or any
+ * stream that decompresses to a tar) are unpacked into `<path>/...`; anything
+ * else is the single file the name says it is.
+ */
+async function extractCompressed(file, path) {
+  let buf;
+  if (GZIP_RE.test(file.name)) buf = await decompressGzip(file);
+  else if (XZ_RE.test(file.name)) buf = await decompressXz(file);
+  else buf = await decompressBzip2(file);
+
+  // "x.tgz" → "x.tar", "x.tar.gz" → "x.tar", "app.log.gz" → "app.log"
+  const innerPath = path.replace(/\.t(?:gz|xz|bz2?)$/i, '.tar').replace(/\.(?:gz|xz|bz2)$/i, '');
+  if (TAR_RE.test(innerPath) || looksLikeTar(buf)) {
+    return parseTar(buf, innerPath.replace(TAR_RE, ''));
+  }
+  const leaf = innerPath.split('/').pop();
+  const f = new File([buf], leaf, { type: 'text/plain' });
+  return [innerPath.includes('/') ? attachRelPath(f, innerPath) : f];
 }
 
 /**
@@ -146,22 +197,28 @@ function parseTar(buf, baseName) {
 
 /**
  * Given a list of files (some of which may be archives), return a flat list
- * with archives expanded. Non-archive files are passed through unchanged.
+ * with archives expanded, recursively. Non-archive files are passed through
+ * unchanged; archives nested deeper than MAX_ARCHIVE_DEPTH are left out.
  */
-export async function expandArchivesInList(files) {
+export async function expandArchivesInList(files, depth = 0) {
   const result = [];
   for (const f of files) {
-    if (isArchiveFile(f)) {
-      try {
-        const extracted = await extractArchive(f);
-        result.push(...extracted);
-      } catch (err) {
-        console.error(`Failed to extract ${f.name}:`, err);
-        throw err;
-      }
-    } else {
+    if (!isArchiveFile(f)) {
       result.push(f);
+      continue;
+    }
+    if (depth >= MAX_ARCHIVE_DEPTH) {
+      console.warn(`Skipping ${f.webkitRelativePath || f.name}: archives nested more than ${MAX_ARCHIVE_DEPTH} deep`);
+      continue;
+    }
+    let extracted;
+    try {
+      extracted = await extractArchive(f);
+    } catch (err) {
+      console.error(`Failed to extract ${f.webkitRelativePath || f.name}:`, err);
+      throw err;
     }
+    result.push(...await expandArchivesInList(extracted, depth + 1));
   }
   return result;
 }
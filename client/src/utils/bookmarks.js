@@ -0,0 +1,169 @@
+/**
+ * Bookmarks: sticky logs with a note, a color label and tags, and the sidecar
+ * JSON they are shared in.
+ *
+ * A sidecar names each bookmarked row by its source file (path without the
+ * size / modified-time suffix of drag-and-drop ids) and line number, plus a
+ * hash of its raw first line. On import the line number is tried first; when
+ * the line there has a different hash (the file was cut or re-exported) the
+ * row with the same hash closest to the old line wins.
+ */
+
+export const SIDECAR_FORMAT = 'log-viewer-bookmarks';
+export const SIDECAR_VERSION = 1;
+
+// Color label → swatch class
+export const BOOKMARK_COLORS = {
+  red: 'bg-red-500',
+  orange: 'bg-orange-400',
+  yellow: 'bg-yellow-400',
+  green: 'bg-green-500',
+  blue: 'bg-blue-500',
+  purple: 'bg-purple-500',
+};
+
+/**
+ * FNV-1a hash of a row's raw first line, as 8 hex digits
+ * @param {Object} log
+ * @returns {string}
+ */
+export const hashLogLine = (log) => {
+  const line = String(log.raw ?? log.message ?? '').split('\n')[0].replace(/\r$/, '');
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < line.length; i++) {
+    hash ^= line.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+/**
+ * Tags typed as "a, b #c" → ['a', 'b', 'c'] (deduplicated, order kept)
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const parseTags = (text) =>
+  Array.from(new Set((text || '').split(/[\s,]+/).map(tag => tag.replace(/^#/, '')).filter(Boolean)));
+
+/**
+ * File a bookmark belongs to, as written to sidecars: the file id without
+ * the live: prefix or the _size_mtime suffix of drag-and-drop files
+ * @param {string} fileId
+ * @returns {string}
+ */
+export const getBookmarkFileKey = (fileId) => {
+  const id = (fileId || '').replace(/^live:/, '');
+  const match = id.match(/^(.+)_\d+_\d+$/);
+  return match ? match[1] : id;
+};
+
+const baseName = (fileKey) => fileKey.split('/').pop();
+
+/**
+ * Build a sidecar from the per-tab sticky lists
+ * @param {Object} stickyLogsByTab - { [tabId]: stickyLog[] }
+ * @param {(tabId: string, sticky: Object) => string|null} [hashOf] - Hash for
+ *   stickies saved before hashes were recorded
+ * @returns {{format: string, version: number, exportedAt: string, bookmarks: Array}}
+ */
+export const buildBookmarksSidecar = (stickyLogsByTab, hashOf = () => null) => {
+  const bookmarks = [];
+  Object.entries(stickyLogsByTab).forEach(([tabId, stickies]) => {
+    (stickies || []).forEach(sticky => {
+      bookmarks.push({
+        file: getBookmarkFileKey(sticky.sourceFile || tabId),
+        lineNumber: sticky.lineNumber,
+        rawHash: sticky.rawHash || hashOf(tabId, sticky) || null,
+        timestamp: sticky.timestamp || null,
+        level: sticky.level || null,
+        message: sticky.cleanedMessage || sticky.message || '',
+        title: sticky.title || '',
+        note: sticky.note || '',
+        color: sticky.color || null,
+        tags: sticky.tags || [],
+      });
+    });
+  });
+  return { format: SIDECAR_FORMAT, version: SIDECAR_VERSION, exportedAt: new Date().toISOString(), bookmarks };
+};
+
+/**
+ * Check a parsed sidecar file
+ * @param {*} data
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateBookmarksSidecar = (data) => {
+  if (!data || data.format !== SIDECAR_FORMAT || !Array.isArray(data.bookmarks)) {
+    return 'Not a bookmarks file';
+  }
+  if (data.version > SIDECAR_VERSION) {
+    return `Bookmarks file version ${data.version} is newer than this viewer supports`;
+  }
+  return null;
+};
+
+/**
+ * Find the rows sidecar bookmarks point at in the loaded tabs
+ * @param {Array} bookmarks - Sidecar bookmarks
+ * @param {Object} logsByTab - { [tabId]: logs } of loaded tabs; rows of
+ *   grouped tabs carry their own sourceFile
+ * @returns {{matches: Array<{tabId: string, log: Object, bookmark: Object, moved: boolean}>, unmatched: Array}}
+ */
+export const resolveSidecarBookmarks = (bookmarks, logsByTab) => {
+  // file key → [{ tabId, logs }] with the rows of that file in that tab
+  const files = new Map();
+  Object.entries(logsByTab).forEach(([tabId, logs]) => {
+    const byFile = new Map();
+    (logs || []).forEach(log => {
+      if (log.isContinuation || log.isGapMarker) return;
+      const key = getBookmarkFileKey(log.sourceFile || tabId);
+      if (!byFile.has(key)) byFile.set(key, []);
+      byFile.get(key).push(log);
+    });
+    byFile.forEach((rows, key) => {
+      if (!files.has(key)) files.set(key, []);
+      files.get(key).push({ tabId, rows });
+    });
+  });
+
+  const findFile = (fileKey) => files.get(fileKey)
+    || Array.from(files.entries()).find(([key]) => baseName(key) === baseName(fileKey))?.[1]
+    || [];
+
+  const hashIndexes = new WeakMap();
+  const rowsByHash = (rows) => {
+    if (!hashIndexes.has(rows)) {
+      const index = new Map();
+      rows.forEach(log => {
+        const hash = hashLogLine(log);
+        if (!index.has(hash)) index.set(hash, []);
+        index.get(hash).push(log);
+      });
+      hashIndexes.set(rows, index);
+    }
+    return hashIndexes.get(rows);
+  };
+
+  const matches = [];
+  const unmatched = [];
+  bookmarks.forEach(bookmark => {
+    let found = null;
+    for (const { tabId, rows } of findFile(bookmark.file)) {
+      const atLine = rows.find(log => log.lineNumber === bookmark.lineNumber);
+      if (atLine && (!bookmark.rawHash || hashLogLine(atLine) === bookmark.rawHash)) {
+        found = { tabId, log: atLine, bookmark, moved: false };
+        break;
+      }
+      const sameLine = bookmark.rawHash && rowsByHash(rows).get(bookmark.rawHash);
+      if (sameLine) {
+        const closest = sameLine.reduce((best, log) =>
+          Math.abs(log.lineNumber - bookmark.lineNumber) < Math.abs(best.lineNumber - bookmark.lineNumber) ? log : best);
+        found = { tabId, log: closest, bookmark, moved: true };
+        break;
+      }
+    }
+    if (found) matches.push(found);
+    else unmatched.push(bookmark);
+  });
+  return { matches, unmatched };
+};
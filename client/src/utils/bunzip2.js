@@ -0,0 +1,280 @@
+/**
+ * Minimal bzip2 decompressor for `.bz2` / `.tar.bz2` bundles. Browsers have
+ * no native bzip2 stream, and the npm decoders depend on Node's Buffer.
+ *
+ * Decodes every block of every concatenated stream (pbzip2 output) and
+ * checks the block and stream CRCs. Randomised blocks (bzip2 < 0.9.5) are
+ * rejected.
+ */
+
+const BLOCK_MAGIC_HI = 0x314159;
+const BLOCK_MAGIC_LO = 0x265359;
+const END_MAGIC_HI = 0x177245;
+const END_MAGIC_LO = 0x385090;
+const MAX_CODE_LENGTH = 20;
+const GROUP_SIZE = 50;
+
+const fail = (detail) => {
+  throw new Error(`Invalid bzip2 data: ${detail}`);
+};
+
+// CRC-32 as bzip2 computes it: polynomial 0x04c11db7, most significant bit first
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit++) crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+const readCrc = (reader) => ((reader.read(16) << 16) | reader.read(16)) >>> 0;
+
+// MSB-first bit reader over a byte array; reads up to 24 bits at a time
+const createBitReader = (bytes) => {
+  let pos = 0;
+  let buffer = 0;
+  let count = 0;
+  return {
+    read(n) {
+      while (count < n) {
+        if (pos >= bytes.length) fail('unexpected end of data');
+        buffer = ((buffer & 0xffffff) << 8) | bytes[pos++];
+        count += 8;
+      }
+      count -= n;
+      return (buffer >>> count) & ((1 << n) - 1);
+    },
+    alignToByte() {
+      count -= count % 8;
+    },
+    atEnd: () => pos >= bytes.length && count < 8,
+  };
+};
+
+// Canonical Huffman decoding table: codes of each length run from
+// limit[len] - count + 1 to limit[len] and map to perm[code + base[len]]
+const buildHuffmanTable = (lengths) => {
+  let minLen = MAX_CODE_LENGTH;
+  let maxLen = 0;
+  lengths.forEach(len => {
+    minLen = Math.min(minLen, len);
+    maxLen = Math.max(maxLen, len);
+  });
+  const perm = [];
+  const limit = new Int32Array(maxLen + 1);
+  const base = new Int32Array(maxLen + 1);
+  let code = 0;
+  for (let len = minLen; len <= maxLen; len++) {
+    const first = perm.length;
+    base[len] = first - code;
+    lengths.forEach((symbolLength, symbol) => {
+      if (symbolLength === len) perm.push(symbol);
+    });
+    code += perm.length - first;
+    limit[len] = code - 1;
+    code <<= 1;
+  }
+  return { minLen, maxLen, limit, base, perm };
+};
+
+// Decode one block into `write`, the bytes it holds in order; returns the
+// block's CRC once it matches the stored one
+const decodeBlock = (reader, blockSize, write) => {
+  const expectedCrc = readCrc(reader);
+  if (reader.read(1)) fail('randomised blocks are not supported');
+  const origPtr = reader.read(24);
+
+  // Byte values used in the block, as 16 ranges of 16
+  const symbolToByte = [];
+  const usedRanges = reader.read(16);
+  for (let range = 0; range < 16; range++) {
+    if (!(usedRanges & (0x8000 >> range))) continue;
+    const usedBytes = reader.read(16);
+    for (let b = 0; b < 16; b++) {
+      if (usedBytes & (0x8000 >> b)) symbolToByte.push(range * 16 + b);
+    }
+  }
+  if (!symbolToByte.length) fail('empty symbol map');
+  const alphabetSize = symbolToByte.length + 2; // + RUNA/RUNB, - first byte, + end of block
+
+  const groupCount = reader.read(3);
+  if (groupCount < 2 || groupCount > 6) fail('bad Huffman group count');
+  const selectorCount = reader.read(15);
+  if (!selectorCount) fail('no selectors');
+  const groupOrder = Array.from({ length: groupCount }, (_, i) => i);
+  const selectors = new Uint8Array(selectorCount);
+  for (let i = 0; i < selectorCount; i++) {
+    let j = 0;
+    while (reader.read(1)) {
+      if (++j >= groupCount) fail('bad selector');
+    }
+    const group = groupOrder[j];
+    groupOrder.splice(j, 1);
+    groupOrder.unshift(group);
+    selectors[i] = group;
+  }
+
+  const tables = [];
+  for (let g = 0; g < groupCount; g++) {
+    const lengths = new Array(alphabetSize);
+    let len = reader.read(5);
+    for (let symbol = 0; symbol < alphabetSize; symbol++) {
+      for (;;) {
+        if (len < 1 || len > MAX_CODE_LENGTH) fail('bad code length');
+        if (!reader.read(1)) break;
+        len += reader.read(1) ? -1 : 1;
+      }
+      lengths[symbol] = len;
+    }
+    tables.push(buildHuffmanTable(lengths));
+  }
+
+  // Huffman → RUNA/RUNB run lengths and move-to-front → BWT output column
+  const tt = new Uint32Array(blockSize);
+  const byteCount = new Uint32Array(256);
+  const mtf = Uint8Array.from(symbolToByte);
+  const endOfBlock = alphabetSize - 1;
+  let count = 0;
+  let selectorIndex = 0;
+  let groupLeft = 0;
+  let table = null;
+  let run = 0;
+  let runWeight = 1;
+  for (;;) {
+    if (!groupLeft) {
+      if (selectorIndex >= selectorCount) fail('ran out of selectors');
+      table = tables[selectors[selectorIndex++]];
+      groupLeft = GROUP_SIZE;
+    }
+    groupLeft--;
+
+    let len = table.minLen;
+    let code = reader.read(len);
+    while (code > table.limit[len]) {
+      if (++len > table.maxLen) fail('bad Huffman code');
+      code = (code << 1) | reader.read(1);
+    }
+    const symbol = table.perm[code + table.base[len]];
+
+    if (symbol <= 1) { // RUNA / RUNB: bijective base-2 digits of a run of mtf[0]
+      run += (symbol + 1) * runWeight;
+      runWeight <<= 1;
+      if (run > blockSize) fail('run too long');
+      continue;
+    }
+    if (run) {
+      if (count + run > blockSize) fail('block too long');
+      const b = mtf[0];
+      byteCount[b] += run;
+      tt.fill(b, count, count + run);
+      count += run;
+      run = 0;
+      runWeight = 1;
+    }
+    if (symbol === endOfBlock) break;
+
+    const index = symbol - 1;
+    const b = mtf[index];
+    mtf.copyWithin(1, 0, index);
+    mtf[0] = b;
+    if (count >= blockSize) fail('block too long');
+    byteCount[b]++;
+    tt[count++] = b;
+  }
+  if (origPtr >= count) fail('bad BWT origin');
+
+  // Inverse Burrows-Wheeler: link every byte to its successor
+  let sum = 0;
+  for (let b = 0; b < 256; b++) {
+    const n = byteCount[b];
+    byteCount[b] = sum;
+    sum += n;
+  }
+  for (let i = 0; i < count; i++) {
+    const b = tt[i] & 0xff;
+    tt[byteCount[b]++] |= i << 8;
+  }
+
+  // Walk the links, undoing the initial run-length step: four equal bytes
+  // are followed by a count of further copies
+  let crc = 0xffffffff;
+  const emit = (b) => {
+    crc = (crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ b) & 0xff];
+    write(b);
+  };
+  let pos = tt[origPtr] >>> 8;
+  let last = -1;
+  let repeat = 0;
+  for (let i = 0; i < count; i++) {
+    const entry = tt[pos];
+    const b = entry & 0xff;
+    pos = entry >>> 8;
+    if (repeat === 4) {
+      for (let r = 0; r < b; r++) emit(last);
+      repeat = 0;
+      last = -1;
+      continue;
+    }
+    if (b === last) repeat++;
+    else {
+      last = b;
+      repeat = 1;
+    }
+    emit(b);
+  }
+
+  crc = ~crc >>> 0;
+  if (crc !== expectedCrc) fail('block CRC mismatch');
+  return crc;
+};
+
+/**
+ * Decompress bzip2 data
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array}
+ */
+export const bunzip2 = (bytes) => {
+  let out = new Uint8Array(Math.max(1024, bytes.length * 4));
+  let length = 0;
+  const write = (b) => {
+    if (length === out.length) {
+      const grown = new Uint8Array(out.length * 2);
+      grown.set(out);
+      out = grown;
+    }
+    out[length++] = b;
+  };
+
+  const reader = createBitReader(bytes);
+  for (let streamIndex = 0; streamIndex === 0 || !reader.atEnd(); streamIndex++) {
+    // Stream header "BZh1".."BZh9": block size in 100k units. Anything but
+    // another header after the first stream is trailing padding.
+    if (reader.read(8) !== 0x42 || reader.read(8) !== 0x5a || reader.read(8) !== 0x68) {
+      if (streamIndex) break;
+      fail('not a bzip2 stream');
+    }
+    const level = reader.read(8) - 0x30;
+    if (level < 1 || level > 9) fail('bad block size');
+
+    // The stream CRC combines the block CRCs, rotating left by one between them
+    let streamCrc = 0;
+    for (;;) {
+      const hi = reader.read(24);
+      const lo = reader.read(24);
+      if (hi === BLOCK_MAGIC_HI && lo === BLOCK_MAGIC_LO) {
+        const blockCrc = decodeBlock(reader, level * 100000, write);
+        streamCrc = (((streamCrc << 1) | (streamCrc >>> 31)) ^ blockCrc) >>> 0;
+      } else if (hi === END_MAGIC_HI && lo === END_MAGIC_LO) {
+        if (readCrc(reader) !== streamCrc) fail('stream CRC mismatch');
+        reader.alignToByte();
+        break;
+      } else {
+        fail('bad block header');
+      }
+    }
+  }
+
+  return out.subarray(0, length);
+};
@@ -0,0 +1,160 @@
+/**
+ * Per-source clock offsets.
+ *
+ * Logs from different processes on a customer's machine can drift apart or be
+ * written in different timezones. An offset (ms) is added to every timestamp
+ * of a source before it is interleaved with the others — in merged.log and in
+ * the combined "All Files" view. Offsets are keyed by merge source key
+ * ('app', 'dem', ...) so a tab of AppLogs and the AppLogs folder in a merge
+ * share one value; tabs that match no merge source are keyed by tab name.
+ */
+
+import { parseFilterExpression, matchesFilterExpression, getSearchableText } from './filterExpression';
+
+const STORAGE_KEY = 'logViewer_clockOffsets';
+
+// Differences of matching anchor events agree within this window
+const ANCHOR_TOLERANCE_MS = 1000;
+// Anchors of each source used at most, so the pairwise differences stay few
+const MAX_ANCHORS = 1000;
+
+// Prefix for offsets of tabs that don't belong to a merge source
+export const TAB_CLOCK_KEY_PREFIX = 'tab:';
+
+/**
+ * Load offsets from localStorage
+ * @returns {Object} - { sourceKey: offsetMs }
+ */
+export const loadClockOffsets = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : {};
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    console.error('Failed to load clock offsets:', error);
+    return {};
+  }
+};
+
+/**
+ * Persist offsets; zero offsets are dropped
+ * @param {Object} offsets - { sourceKey: offsetMs }
+ */
+export const saveClockOffsets = (offsets) => {
+  try {
+    const nonZero = Object.fromEntries(Object.entries(offsets).filter(([, ms]) => ms));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(nonZero));
+  } catch (error) {
+    console.error('Failed to save clock offsets:', error);
+  }
+};
+
+// Tab name without the "(N)" file count and leading folders
+const getTabBaseName = (name) => (name || '').replace(/\s*\(\d+\)\s*$/, '').trim().split('/').pop();
+
+/**
+ * Offset key for a tab: the merge source whose folder (or loose file pattern)
+ * matches the tab name, otherwise the tab name itself.
+ * @param {{name: string}} file - Tab entry
+ * @param {Array} mergeSources - Resolved merge sources
+ * @returns {string}
+ */
+export const getTabClockKey = (file, mergeSources) => {
+  const baseName = getTabBaseName(file.name);
+  const lower = baseName.toLowerCase();
+  const source = mergeSources.find(s => s.folderName.toLowerCase() === lower)
+    || mergeSources.find(s => s.loosePattern && s.loosePattern.test(baseName));
+  return source ? source.key : `${TAB_CLOCK_KEY_PREFIX}${baseName}`;
+};
+
+/**
+ * Format an offset as "+1.500 s" / "-02:00:00"
+ * @param {number} ms
+ * @returns {string}
+ */
+export const formatClockOffset = (ms) => {
+  if (!ms) return '0 s';
+  const sign = ms < 0 ? '-' : '+';
+  const abs = Math.abs(ms);
+  if (abs < 60000) return `${sign}${(abs / 1000).toFixed(3)} s`;
+  const h = Math.floor(abs / 3600000);
+  const m = Math.floor((abs % 3600000) / 60000);
+  const s = (abs % 60000) / 1000;
+  const ss = Number.isInteger(s) ? String(s).padStart(2, '0') : s.toFixed(3).padStart(6, '0');
+  return `${sign}${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${ss}`;
+};
+
+/**
+ * Parse an offset typed by the user: seconds ("1.5", "-90 s") or
+ * "[+-]HH:MM[:SS[.mmm]]" (handy for timezone differences).
+ * @param {string} text
+ * @returns {number|null} - Offset in ms, or null when invalid
+ */
+export const parseClockOffset = (text) => {
+  // Accepts what formatClockOffset produces, including the " s" unit
+  const trimmed = (text || '').trim().replace(/\s*s$/, '');
+  if (!trimmed) return 0;
+  if (/^[+-]?\d+(\.\d+)?$/.test(trimmed)) return Math.round(parseFloat(trimmed) * 1000);
+  const m = /^([+-])?(\d{1,2}):(\d{2})(?::(\d{2}(?:\.\d{1,3})?))?$/.exec(trimmed);
+  if (!m) return null;
+  const ms = (parseInt(m[2], 10) * 3600 + parseInt(m[3], 10) * 60 + parseFloat(m[4] || '0')) * 1000;
+  return Math.round(m[1] === '-' ? -ms : ms);
+};
+
+/**
+ * Timestamps (ms) of the rows matching an anchor expression, in log order
+ * @param {Array} logs - Parsed log entries
+ * @param {string} anchor - Filter expression, e.g. "tunnel && connected"
+ * @returns {number[]}
+ */
+export const findAnchorTimes = (logs, anchor) => {
+  if (!anchor.trim()) return [];
+  const expression = parseFilterExpression(anchor);
+  const times = [];
+  logs.forEach(log => {
+    if (log.isContinuation || !log.timestampMs) return;
+    if (matchesFilterExpression(expression, getSearchableText(log))) times.push(log.timestampMs);
+  });
+  return times;
+};
+
+// Evenly spaced sample of at most MAX_ANCHORS times
+const sampleAnchors = (times) => {
+  if (times.length <= MAX_ANCHORS) return times;
+  const step = times.length / MAX_ANCHORS;
+  return Array.from({ length: MAX_ANCHORS }, (_, i) => times[Math.floor(i * step)]);
+};
+
+/**
+ * Suggest the offset that lines a source's anchor events up with the
+ * reference's. Sources rarely cover the same time span, so events are not
+ * paired by position: every reference/source difference is taken and the
+ * offset is the median of the largest group agreeing within
+ * ANCHOR_TOLERANCE_MS. Between equally large groups (periodic events) the
+ * smallest offset wins.
+ * @param {number[]} referenceTimes - Anchor times in the reference source
+ * @param {number[]} sourceTimes - Anchor times in the source to correct
+ * @returns {{offsetMs: number, pairs: number}|null} pairs: events in the group
+ */
+export const suggestClockOffset = (referenceTimes, sourceTimes) => {
+  if (!referenceTimes.length || !sourceTimes.length) return null;
+  const reference = sampleAnchors(referenceTimes);
+  const source = sampleAnchors(sourceTimes);
+  const diffs = new Float64Array(reference.length * source.length);
+  let n = 0;
+  reference.forEach(r => source.forEach(s => { diffs[n++] = r - s; }));
+  diffs.sort();
+
+  let best = null;
+  let start = 0;
+  for (let end = 0; end < diffs.length; end++) {
+    while (diffs[end] - diffs[start] > ANCHOR_TOLERANCE_MS) start++;
+    const count = end - start + 1;
+    const mid = start + Math.floor(count / 2);
+    const offsetMs = count % 2 ? diffs[mid] : Math.round((diffs[mid - 1] + diffs[mid]) / 2);
+    if (!best || count > best.pairs || (count === best.pairs && Math.abs(offsetMs) < Math.abs(best.offsetMs))) {
+      best = { offsetMs, pairs: count };
+    }
+  }
+  return best;
+};
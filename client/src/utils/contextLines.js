@@ -0,0 +1,36 @@
+/**
+ * grep -C style context around filter matches.
+ */
+
+/**
+ * Rows to show for a filter with N lines of context: every match plus the N
+ * rows before and after it. Rows pulled in only as context get isContextLine;
+ * the first row of a block that doesn't follow the previous one directly gets
+ * hiddenRowsBefore, the number of rows skipped in between (for separators).
+ * @param {Array} logs - All rows of the view
+ * @param {number[]} matchIndices - Ascending indices of the matching rows
+ * @param {number} contextLines - N
+ * @returns {Array}
+ */
+export const expandContextLines = (logs, matchIndices, contextLines) => {
+  const matchSet = new Set(matchIndices);
+  const rows = [];
+  let lastIncluded = -1;
+
+  matchIndices.forEach(match => {
+    // Live reconnect markers are shown but aren't matches worth context
+    const span = logs[match].isGapMarker ? 0 : contextLines;
+    const start = Math.max(lastIncluded + 1, match - span);
+    const end = Math.min(logs.length - 1, match + span);
+    for (let i = start; i <= end; i++) {
+      const row = { ...logs[i], isContextLine: !matchSet.has(i) };
+      if (i === start && lastIncluded >= 0 && start > lastIncluded + 1) {
+        row.hiddenRowsBefore = start - lastIncluded - 1;
+      }
+      rows.push(row);
+    }
+    lastIncluded = Math.max(lastIncluded, end);
+  });
+
+  return rows;
+};
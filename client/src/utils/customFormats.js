@@ -0,0 +1,340 @@
+/**
+ * User-defined log format registry.
+ *
+ * Lets users describe log layouts that parseLogFormat doesn't know about with
+ * a named-group regex, a timestamp pattern, level mappings and field
+ * assignments. Definitions are persisted in localStorage and consulted by
+ * parseLogFormat before the built-in formats, so detectFileFormat and
+ * groupFilesByDirectoryAndFormat pick them up like any other format.
+ */
+
+const STORAGE_KEY = 'logViewer_customFormats';
+
+// Prefix for the `format` id returned by parseLogFormat, so custom formats
+// never collide with built-in names like 'linux' or 'android'.
+export const CUSTOM_FORMAT_PREFIX = 'custom:';
+
+// parseLogFormat result field -> default named group used when the definition
+// doesn't assign one explicitly.
+export const FORMAT_FIELDS = [
+  { key: 'dateTime', label: 'Timestamp', defaultGroup: 'timestamp' },
+  { key: 'logLevel', label: 'Level', defaultGroup: 'level' },
+  { key: 'moduleName', label: 'Module', defaultGroup: 'module' },
+  { key: 'threadId', label: 'Thread', defaultGroup: 'thread' },
+  { key: 'processId', label: 'Process', defaultGroup: 'process' },
+  { key: 'sourceName', label: 'Source File', defaultGroup: 'source' },
+  { key: 'sourceLine', label: 'Source Line', defaultGroup: 'sourceLine' },
+  { key: 'message', label: 'Message', defaultGroup: 'message' },
+];
+
+export const NORMALIZED_LEVELS = ['error', 'warning', 'info', 'debug', 'verbose'];
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Timestamp pattern tokens, longest first so "YYYY" wins over "YY".
+const TIMESTAMP_TOKENS = [
+  ['YYYY', '(\\d{4})'],
+  ['MMM', '([A-Za-z]{3})'],
+  ['SSS', '(\\d{1,9})'],
+  ['YY', '(\\d{2})'],
+  ['MM', '(\\d{1,2})'],
+  ['DD', '(\\d{1,2})'],
+  ['HH', '(\\d{1,2})'],
+  ['mm', '(\\d{2})'],
+  ['ss', '(\\d{2})'],
+  ['Z', '(Z)'],
+];
+
+const pad = (value, len = 2) => String(value).padStart(len, '0');
+
+/**
+ * Compile a timestamp pattern such as "YYYY-MM-DD HH:mm:ss.SSS" or
+ * "MMM DD HH:mm:ss" into a matcher. The special patterns "epoch" (seconds,
+ * optional fraction) and "epoch_ms" are also accepted.
+ * @param {string} pattern - Timestamp pattern
+ * @returns {{regex: RegExp, tokens: string[], epoch: string|null}}
+ */
+export const compileTimestampPattern = (pattern) => {
+  const trimmed = (pattern || '').trim();
+  if (trimmed === 'epoch') return { regex: /^(\d{9,10})(?:\.(\d{1,9}))?$/, tokens: [], epoch: 's' };
+  if (trimmed === 'epoch_ms') return { regex: /^(\d{12,13})$/, tokens: [], epoch: 'ms' };
+
+  let source = '';
+  const tokens = [];
+  let i = 0;
+  while (i < trimmed.length) {
+    const token = TIMESTAMP_TOKENS.find(([t]) => trimmed.startsWith(t, i));
+    if (token) {
+      source += token[1];
+      tokens.push(token[0]);
+      i += token[0].length;
+    } else {
+      source += trimmed[i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      i += 1;
+    }
+  }
+  if (!tokens.includes('HH')) {
+    throw new Error('Timestamp pattern must contain at least HH');
+  }
+  return { regex: new RegExp(`^${source}$`), tokens, epoch: null };
+};
+
+/**
+ * Parse a timestamp string with a compiled timestamp pattern.
+ * Missing year defaults to the current year; a pattern without a date part
+ * uses today's date (same as normalizeTimestamp for time-only values).
+ * @param {string} value - Raw timestamp text captured from the line
+ * @param {Object} compiled - Result of compileTimestampPattern
+ * @returns {Object|null} - { timestamp, timestampMs, isoDate, time } or null
+ */
+export const parseCustomTimestamp = (value, compiled) => {
+  if (!value || !compiled) return null;
+  const match = value.trim().match(compiled.regex);
+  if (!match) return null;
+
+  let date;
+  if (compiled.epoch) {
+    const ms = compiled.epoch === 'ms'
+      ? parseInt(match[1], 10)
+      : parseInt(match[1], 10) * 1000 + Math.floor(parseFloat(`0.${match[2] || '0'}`) * 1000);
+    date = new Date(ms);
+  } else {
+    const now = new Date();
+    const parts = { year: now.getFullYear(), month: now.getMonth() + 1, day: now.getDate(), hours: 0, minutes: 0, seconds: 0, ms: 0, utc: false };
+    compiled.tokens.forEach((token, idx) => {
+      const raw = match[idx + 1];
+      switch (token) {
+        case 'YYYY': parts.year = parseInt(raw, 10); break;
+        case 'YY': parts.year = 2000 + parseInt(raw, 10); break;
+        case 'MMM': parts.month = MONTHS.indexOf(raw.toLowerCase()) + 1; break;
+        case 'MM': parts.month = parseInt(raw, 10); break;
+        case 'DD': parts.day = parseInt(raw, 10); break;
+        case 'HH': parts.hours = parseInt(raw, 10); break;
+        case 'mm': parts.minutes = parseInt(raw, 10); break;
+        case 'ss': parts.seconds = parseInt(raw, 10); break;
+        case 'SSS': parts.ms = parseInt(raw.padEnd(3, '0').slice(0, 3), 10); break;
+        case 'Z': parts.utc = true; break;
+        default: break;
+      }
+    });
+    if (parts.month < 1 || parts.month > 12) return null;
+    date = parts.utc
+      ? new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds, parts.ms))
+      : new Date(parts.year, parts.month - 1, parts.day, parts.hours, parts.minutes, parts.seconds, parts.ms);
+  }
+
+  if (isNaN(date.getTime())) return null;
+
+  // Display values follow the wall clock of the log (UTC when the pattern has Z)
+  const utc = compiled.epoch ? false : compiled.tokens.includes('Z');
+  const y = utc ? date.getUTCFullYear() : date.getFullYear();
+  const mo = (utc ? date.getUTCMonth() : date.getMonth()) + 1;
+  const d = utc ? date.getUTCDate() : date.getDate();
+  const h = utc ? date.getUTCHours() : date.getHours();
+  const mi = utc ? date.getUTCMinutes() : date.getMinutes();
+  const s = utc ? date.getUTCSeconds() : date.getSeconds();
+  const ms = utc ? date.getUTCMilliseconds() : date.getMilliseconds();
+  const isoDate = `${y}-${pad(mo)}-${pad(d)}`;
+  const time = `${pad(h)}:${pad(mi)}:${pad(s)}.${pad(ms, 3)}`;
+
+  return {
+    // Same shape as the built-in "2025-08-02 23:54:57:514" timestamps so the
+    // date-range filters and normalizeTimestamp keep working.
+    timestamp: `${isoDate} ${pad(h)}:${pad(mi)}:${pad(s)}:${pad(ms, 3)}`,
+    timestampMs: date.getTime(),
+    isoDate,
+    time,
+  };
+};
+
+/**
+ * Parse "RAW=level" lines (one per line or comma-separated) into a level map.
+ * @param {string} text - Mapping text, e.g. "ERR=error, WRN=warning"
+ * @returns {Object} - { RAW: normalizedLevel }
+ */
+export const parseLevelMapText = (text) => {
+  const map = {};
+  (text || '').split(/[\n,]/).forEach(entry => {
+    const [raw, level] = entry.split('=').map(s => (s || '').trim());
+    if (raw && level) map[raw] = level.toLowerCase();
+  });
+  return map;
+};
+
+/**
+ * Serialize a level map back into editable "RAW=level" text.
+ * @param {Object} map - Level map
+ * @returns {string}
+ */
+export const formatLevelMapText = (map) =>
+  Object.entries(map || {}).map(([raw, level]) => `${raw}=${level}`).join('\n');
+
+/**
+ * Compile a format definition. Throws an Error describing the first problem
+ * when the definition is invalid.
+ * @param {Object} def - { id, name, pattern, flags, timestampPattern, levelMap, fields, enabled }
+ * @returns {Object} - Compiled format used by matchCustomFormat
+ */
+export const compileCustomFormat = (def) => {
+  if (!def || !def.name || !def.name.trim()) throw new Error('Format name is required');
+  if (!def.pattern) throw new Error('Regex pattern is required');
+
+  let regex;
+  try {
+    regex = new RegExp(def.pattern, (def.flags || '').replace(/[gy]/g, ''));
+  } catch (e) {
+    throw new Error(`Invalid regex: ${e.message}`);
+  }
+  const groupNames = [...def.pattern.matchAll(/\(\?<([A-Za-z_$][\w$]*)>/g)].map(m => m[1]);
+  if (!groupNames.length) throw new Error('Regex must contain at least one named group, e.g. (?<message>.*)');
+
+  const fields = {};
+  FORMAT_FIELDS.forEach(({ key, defaultGroup }) => {
+    const assigned = def.fields?.[key];
+    if (assigned) {
+      if (!groupNames.includes(assigned)) throw new Error(`Field "${key}" refers to unknown group "${assigned}"`);
+      fields[key] = assigned;
+    } else if (groupNames.includes(defaultGroup)) {
+      fields[key] = defaultGroup;
+    }
+  });
+
+  Object.entries(def.levelMap || {}).forEach(([raw, level]) => {
+    if (!NORMALIZED_LEVELS.includes(level)) {
+      throw new Error(`Level mapping "${raw}" must map to one of: ${NORMALIZED_LEVELS.join(', ')}`);
+    }
+  });
+
+  const timestamp = fields.dateTime && def.timestampPattern
+    ? compileTimestampPattern(def.timestampPattern)
+    : null;
+
+  return {
+    id: def.id,
+    name: def.name.trim(),
+    format: `${CUSTOM_FORMAT_PREFIX}${def.name.trim()}`,
+    regex,
+    fields,
+    groupNames,
+    timestamp,
+    levelMap: def.levelMap || {},
+  };
+};
+
+/**
+ * Apply one compiled format to a line.
+ * @param {string} line - The log line
+ * @param {Object} compiled - Result of compileCustomFormat
+ * @returns {Object|null} - parseLogFormat-shaped result or null
+ */
+export const applyCustomFormat = (line, compiled) => {
+  const match = line.match(compiled.regex);
+  if (!match) return null;
+  const groups = match.groups || {};
+  const value = (key) => {
+    const group = compiled.fields[key];
+    return group && groups[group] != null ? groups[group].trim() : '';
+  };
+
+  const rawLevel = value('logLevel');
+  const result = {
+    format: compiled.format,
+    dateTime: value('dateTime'),
+    logLevel: compiled.levelMap[rawLevel] || rawLevel,
+    moduleName: value('moduleName'),
+    threadId: value('threadId'),
+    processId: value('processId'),
+    sourceName: value('sourceName'),
+    sourceLine: value('sourceLine'),
+    message: compiled.fields.message ? (groups[compiled.fields.message] ?? '') : line,
+  };
+  if (compiled.timestamp && result.dateTime) {
+    result.timestampInfo = parseCustomTimestamp(result.dateTime, compiled.timestamp);
+  }
+  return result;
+};
+
+// Compiled, enabled formats. Rebuilt lazily after every save.
+let compiledCache = null;
+
+// Definitions handed in explicitly (e.g. inside the parse worker, which has
+// no localStorage). When set they replace the stored definitions.
+let definitionsOverride = null;
+
+/**
+ * Use the given definitions instead of localStorage (for Web Workers)
+ * @param {Array|null} formats - Format definitions, or null to go back to localStorage
+ */
+export const setCustomFormatDefinitions = (formats) => {
+  definitionsOverride = Array.isArray(formats) ? formats : null;
+  compiledCache = null;
+};
+
+/**
+ * Load raw format definitions from localStorage
+ * @returns {Array} - Format definitions
+ */
+export const loadCustomFormats = () => {
+  if (definitionsOverride) return definitionsOverride;
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Failed to load custom log formats:', error);
+    return [];
+  }
+};
+
+
+/**
+ * Persist format definitions and drop the compiled cache
+ * @param {Array} formats - Format definitions
+ */
+export const saveCustomFormats = (formats) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(formats));
+  } catch (error) {
+    console.error('Failed to save custom log formats:', error);
+  }
+  compiledCache = null;
+};
+
+/**
+ * Get compiled, enabled formats. Invalid definitions are skipped with a warning.
+ * @returns {Array} - Compiled formats
+ */
+export const getCompiledCustomFormats = () => {
+  if (compiledCache) return compiledCache;
+  compiledCache = [];
+  loadCustomFormats().forEach(def => {
+    if (def.enabled === false) return;
+    try {
+      compiledCache.push(compileCustomFormat(def));
+    } catch (error) {
+      console.warn(`Skipping custom log format "${def.name}":`, error.message);
+    }
+  });
+  return compiledCache;
+};
+
+/**
+ * Try every enabled custom format against a line
+ * @param {string} line - The log line
+ * @returns {Object|null} - parseLogFormat-shaped result of the first match, or null
+ */
+export const matchCustomFormat = (line) => {
+  const formats = getCompiledCustomFormats();
+  for (const compiled of formats) {
+    const result = applyCustomFormat(line, compiled);
+    if (result) return result;
+  }
+  return null;
+};
+
+// Keep other tabs of the viewer in sync when formats are edited elsewhere
+if (typeof window !== 'undefined') {
+  window.addEventListener('storage', (e) => {
+    if (e.key === STORAGE_KEY || e.key === null) compiledCache = null;
+  });
+}
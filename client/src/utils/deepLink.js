@@ -0,0 +1,130 @@
+/**
+ * Deep links: the view state in the URL's query string, so that a link opened
+ * after loading the same files shows the same tab, filters and row.
+ *
+ *   ?tab=client.log&filter=timeout&level=error,warn&line=1042
+ *   ?view=combined&search=dns&searchMode=regex&line=87&file=logs/vpn.log
+ *
+ * Tabs are named by their title and rows by their source file (the same key
+ * bookmark sidecars use) and line number, since tab ids change from one load
+ * of a file to the next. Filter fields left at their defaults are omitted.
+ */
+
+import { getBookmarkFileKey } from './bookmarks';
+
+export const DEFAULT_LINK_FILTERS = {
+  searchText: '',
+  filterMode: 'text',
+  filterCaseSensitive: false,
+  searchQuery: '',
+  searchMode: 'text',
+  searchCaseSensitive: false,
+  logLevel: ['all'],
+  selectedModule: 'all',
+  contextLines: 0,
+};
+
+const LINK_PARAMS = ['tab', 'view', 'filter', 'filterMode', 'filterCase', 'search', 'searchMode', 'searchCase', 'level', 'module', 'context', 'line', 'file'];
+
+/**
+ * The row a link points at: its line number and source file
+ * @param {Object} log
+ * @param {string} tabId - Tab the row is shown in, for rows without a sourceFile
+ * @returns {{lineNumber: number, file: string}}
+ */
+export const getDeepLinkRow = (log, tabId) => ({
+  lineNumber: log.lineNumber,
+  file: getBookmarkFileKey(log.sourceFile || tabId),
+});
+
+/**
+ * Query parameters for a view
+ * @param {Object} view
+ * @param {string} [view.tab] - Title of the active tab
+ * @param {boolean} [view.combined] - The combined view of all tabs is shown
+ * @param {Object} [view.filters] - The view's filter fields
+ * @param {{lineNumber: number, file: string}|null} [view.row] - Selected row
+ * @returns {URLSearchParams}
+ */
+export const buildDeepLinkParams = ({ tab, combined = false, filters = {}, row = null }) => {
+  const params = new URLSearchParams();
+  const f = { ...DEFAULT_LINK_FILTERS, ...filters };
+  if (combined) params.set('view', 'combined');
+  else if (tab) params.set('tab', tab);
+  if (f.searchText) {
+    params.set('filter', f.searchText);
+    if (f.filterMode === 'regex') params.set('filterMode', 'regex');
+    if (f.filterCaseSensitive) params.set('filterCase', '1');
+  }
+  if (f.searchQuery) {
+    params.set('search', f.searchQuery);
+    if (f.searchMode === 'regex') params.set('searchMode', 'regex');
+    if (f.searchCaseSensitive) params.set('searchCase', '1');
+  }
+  const levels = (Array.isArray(f.logLevel) ? f.logLevel : [f.logLevel]).filter(level => level && level !== 'all');
+  if (levels.length) params.set('level', levels.join(','));
+  if (f.selectedModule && f.selectedModule !== 'all') params.set('module', f.selectedModule);
+  if (f.contextLines > 0) params.set('context', String(f.contextLines));
+  if (row && row.lineNumber != null) {
+    params.set('line', String(row.lineNumber));
+    if (row.file) params.set('file', row.file);
+  }
+  return params;
+};
+
+/**
+ * Read a view from query parameters
+ * @param {URLSearchParams|string} search
+ * @returns {{tab: string|null, combined: boolean, filters: Object, row: Object|null}|null} -
+ *   null when the URL holds no deep link
+ */
+export const parseDeepLink = (search) => {
+  const params = typeof search === 'string' ? new URLSearchParams(search) : search;
+  if (!LINK_PARAMS.some(name => params.has(name))) return null;
+
+  const levels = (params.get('level') || '').split(',').map(level => level.trim()).filter(Boolean);
+  const contextLines = parseInt(params.get('context'), 10);
+  const lineNumber = parseInt(params.get('line'), 10);
+  return {
+    tab: params.get('tab') || null,
+    combined: params.get('view') === 'combined',
+    filters: {
+      ...DEFAULT_LINK_FILTERS,
+      searchText: params.get('filter') || '',
+      filterMode: params.get('filterMode') === 'regex' ? 'regex' : 'text',
+      filterCaseSensitive: params.get('filterCase') === '1',
+      searchQuery: params.get('search') || '',
+      searchMode: params.get('searchMode') === 'regex' ? 'regex' : 'text',
+      searchCaseSensitive: params.get('searchCase') === '1',
+      logLevel: levels.length ? levels : ['all'],
+      selectedModule: params.get('module') || 'all',
+      contextLines: contextLines > 0 ? contextLines : 0,
+    },
+    row: lineNumber > 0 ? { lineNumber, file: params.get('file') || null } : null,
+  };
+};
+
+/**
+ * Index of the tab a link names: by title, then by file key
+ * @param {Array} files - Open tabs
+ * @param {string} tab
+ * @returns {number} -1 when no open tab matches
+ */
+export const findDeepLinkTab = (files, tab) => {
+  const byName = files.findIndex(file => file.name === tab);
+  return byName !== -1 ? byName : files.findIndex(file => getBookmarkFileKey(file.id) === tab);
+};
+
+/**
+ * Index of a link's row among the shown rows
+ * @param {Array} rows
+ * @param {{lineNumber: number, file: string|null}} row
+ * @param {string} tabId - Tab the rows are shown in
+ * @returns {number} -1 when the row is not shown
+ */
+export const findDeepLinkRow = (rows, row, tabId) => rows.findIndex(log => (
+  !log.isGapMarker
+  && !log.isContinuation
+  && log.lineNumber === row.lineNumber
+  && (!row.file || getBookmarkFileKey(log.sourceFile || tabId) === row.file)
+));
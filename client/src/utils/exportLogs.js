@@ -1,7 +1,8 @@
 /**
- * Export visible log records to a text file.
+ * Export visible log records to a file: the raw lines, JSON Lines or CSV of
+ * the parsed fields, or a self-contained HTML report.
  *
- * Strategy: write each log's original raw line (preserving the source format)
+ * Raw export strategy: write each log's original raw line (preserving the source format)
  * in the exact order they appear in the LogViewer (i.e. the order of the
  * passed-in `logs` array — already sorted/filtered by the viewer).
  *
@@ -10,6 +11,9 @@
  * inserted, so the displayed order is preserved verbatim.
  */
 
+import { getNormalizedLevel } from './logLevelColors';
+import { compileHighlightRules, applyHighlightRules, getRowTint } from './highlightRules';
+
 function buildExportText(logs, { tagSourceFile = false, header = null } = {}) {
   const out = [];
 
@@ -58,36 +62,270 @@ function buildExportText(logs, { tagSourceFile = false, header = null } = {}) {
   return out.join('\n') + '\n';
 }
 
-function sanitizeFilename(name) {
-  return (name || 'logs').replace(/[\\/:*?"<>|]+/g, '_').replace(/\s+/g, '_');
+// Formats offered by the export dialog, in menu order
+export const EXPORT_FORMATS = {
+  log: { label: 'Raw log', extensions: ['.log', '.txt'], mimeType: 'text/plain', description: 'Log file' },
+  jsonl: { label: 'JSON Lines', extensions: ['.jsonl'], mimeType: 'application/x-ndjson', description: 'JSON Lines file' },
+  csv: { label: 'CSV', extensions: ['.csv'], mimeType: 'text/csv', description: 'CSV file' },
+  html: { label: 'HTML report', extensions: ['.html'], mimeType: 'text/html', description: 'HTML report' },
+};
+
+// Rows beyond this are left out of HTML reports, which browsers render whole
+export const MAX_REPORT_ROWS = 50000;
+
+// Parsed fields written for each visible column (Time Gap has none)
+const COLUMN_FIELDS = {
+  timestamp: ['timestamp'],
+  lineNumber: ['lineNumber'],
+  logLevel: ['level'],
+  message: ['message'],
+  module: ['module'],
+  sourceFile: ['sourceFile'],
+  processThread: ['process', 'thread'],
+};
+
+export const EXPORT_FIELD_LABELS = {
+  timestamp: 'Timestamp',
+  lineNumber: 'Line',
+  level: 'Level',
+  message: 'Message',
+  module: 'Module',
+  sourceFile: 'Source File',
+  process: 'Process',
+  thread: 'Thread',
+};
+
+const fieldValue = (log, field) => {
+  switch (field) {
+    case 'lineNumber': return log.lineNumber ?? null;
+    case 'process': return log.processName || log.process || '';
+    case 'message': return log.message ?? log.raw ?? '';
+    default: return log[field] ?? '';
+  }
+};
+
+// Live gap markers are not log lines
+const exportableRows = (logs) => logs.filter(log => !log.isGapMarker);
+
+/**
+ * Fields of a structured export: those of the visible columns, in column
+ * order. The message is always included.
+ *
+ * @param {object} [visibleColumns]  Column id → false when hidden (ColumnSettings).
+ * @param {string[]} [columnOrder]   Column ids in display order.
+ * @returns {string[]}
+ */
+export function getExportFields(visibleColumns = {}, columnOrder = Object.keys(COLUMN_FIELDS)) {
+  const fields = [];
+  columnOrder.forEach(id => {
+    if (!COLUMN_FIELDS[id] || (id !== 'message' && visibleColumns[id] === false)) return;
+    fields.push(...COLUMN_FIELDS[id]);
+  });
+  if (!fields.includes('message')) fields.push('message');
+  return fields;
 }
 
 /**
- * Save the given logs to a file. Uses the File System Access API when
- * available (Chrome/Edge) so the user can pick the location, otherwise falls
- * back to a download.
+ * One JSON object per row, holding the given fields.
  *
- * @param {Array} logs              The visible logs to export.
- * @param {string} suggestedName    Filename suggestion (without extension).
- * @param {object} [opts]
- * @param {boolean} [opts.tagSourceFile]  Prepend `[sourceFile] ` to each line.
+ * @param {Array} logs
+ * @param {string[]} fields  From getExportFields.
+ * @returns {string}
  */
-export async function exportLogsToFile(logs, suggestedName, opts = {}) {
-  if (!logs || !logs.length) {
-    alert('No visible records to export.');
-    return;
+export function buildJsonLines(logs, fields) {
+  return exportableRows(logs)
+    .map(log => JSON.stringify(Object.fromEntries(fields.map(field => [field, fieldValue(log, field)]))))
+    .join('\n') + '\n';
+}
+
+// CSV field, quoted when it holds a comma, quote or line break. Text that a
+// spreadsheet would run as a formula (=, +, -, @, tab, CR first) gets a
+// leading ' so it opens as text; numbers are written as they are.
+export function csvCell(value) {
+  let text = value == null ? '' : String(value);
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * CSV with a header row of field names, one line per row.
+ *
+ * @param {Array} logs
+ * @param {string[]} fields  From getExportFields.
+ * @returns {string}
+ */
+export function buildCsv(logs, fields) {
+  const lines = [fields.join(',')];
+  exportableRows(logs).forEach(log => {
+    lines.push(fields.map(field => csvCell(fieldValue(log, field))).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Filter settings worth repeating in a report, as [label, value] pairs
+function describeFilters(filters = {}) {
+  const items = [];
+  if (filters.searchText) {
+    const flags = [filters.filterMode === 'regex' && 'regex', filters.filterCaseSensitive && 'case-sensitive'].filter(Boolean);
+    items.push(['Filter', `${filters.searchText}${flags.length ? ` (${flags.join(', ')})` : ''}`]);
+  }
+  const levels = (filters.logLevel || []).filter(level => level !== 'all');
+  if (levels.length) items.push(['Levels', levels.join(', ')]);
+  if (filters.selectedModule && filters.selectedModule !== 'all') items.push(['Module', filters.selectedModule]);
+  if (filters.contextLines > 0) items.push(['Context lines', String(filters.contextLines)]);
+  return items;
+}
+
+// Same matching as the log list: by id, or by original id + source file in
+// the All Files view
+function buildStickyMatcher(stickyLogs) {
+  const keys = new Set();
+  stickyLogs.forEach(sticky => {
+    keys.add(sticky.id);
+    if (sticky.sourceFile) keys.add(`${sticky.id}_${sticky.sourceFile}`);
+  });
+  return (log) => keys.has(log.id) || (!!log.baseId && !!log.sourceFile && keys.has(`${log.baseId}_${log.sourceFile}`));
+}
+
+const REPORT_STYLE = `
+body { font: 13px/1.4 system-ui, sans-serif; margin: 1.5rem; color: #111827; }
+h1 { font-size: 1.25rem; margin: 0 0 .25rem; }
+h2 { font-size: 1rem; margin: 1.25rem 0 .5rem; }
+.meta { color: #6b7280; margin: 0; }
+dl { display: grid; grid-template-columns: max-content 1fr; gap: .25rem 1rem; margin: 0; }
+dt { color: #6b7280; }
+dd { margin: 0; font-family: ui-monospace, monospace; }
+ul { margin: 0; padding-left: 1.25rem; }
+table { border-collapse: collapse; width: 100%; font-family: ui-monospace, monospace; font-size: 12px; }
+th { position: sticky; top: 0; background: #f3f4f6; text-align: left; }
+th, td { padding: 2px 8px; border-bottom: 1px solid #f3f4f6; vertical-align: top; }
+td { white-space: nowrap; }
+td.message { white-space: pre-wrap; word-break: break-all; }
+tr.sticky td:first-child { box-shadow: inset 3px 0 #2563eb; }
+tr:target { outline: 2px solid #2563eb; }
+.lvl-error { color: #dc2626; }
+.lvl-warning { color: #ca8a04; }
+.lvl-info { color: #2563eb; }
+.lvl-debug { color: #16a34a; }
+.lvl-verbose, .lvl-trace { color: #6b7280; }
+.note { color: #dc2626; }
+`;
+
+/**
+ * A standalone HTML page of the rows: the active filters, highlight rules and
+ * sticky logs, then the rows with the rules' colors and row tints.
+ *
+ * @param {Array} logs
+ * @param {object} opts
+ * @param {string[]} opts.fields           From getExportFields.
+ * @param {string} [opts.title]            Tab name.
+ * @param {object} [opts.filters]          Filters of the tab.
+ * @param {Array} [opts.stickyLogs]        Sticky logs of the tab.
+ * @param {Array} [opts.highlightRules]
+ * @param {Date} [opts.generatedAt]
+ * @returns {string}
+ */
+export function buildHtmlReport(logs, { fields, title = 'Logs', filters = {}, stickyLogs = [], highlightRules = [], generatedAt = new Date() }) {
+  const allRows = exportableRows(logs);
+  const rows = allRows.slice(0, MAX_REPORT_ROWS);
+  const compiledRules = compileHighlightRules(highlightRules);
+  const isSticky = buildStickyMatcher(stickyLogs);
+  const out = [];
+
+  out.push('<!DOCTYPE html>', '<html lang="en">', '<head>', '<meta charset="utf-8">');
+  out.push(`<title>${escapeHtml(title)} — log report</title>`);
+  out.push(`<style>${REPORT_STYLE}</style>`, '</head>', '<body>');
+  out.push(`<h1>${escapeHtml(title)}</h1>`);
+  out.push(`<p class="meta">${allRows.length.toLocaleString()} rows · generated ${escapeHtml(generatedAt.toLocaleString())}</p>`);
+
+  const filterItems = describeFilters(filters);
+  out.push('<h2>Filters</h2>');
+  if (filterItems.length) {
+    out.push('<dl>', ...filterItems.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`), '</dl>');
+  } else {
+    out.push('<p class="meta">None — every row of the tab is included.</p>');
   }
 
-  const text = buildExportText(logs, opts);
-  const filename = `${sanitizeFilename(suggestedName)}.log`;
+  if (compiledRules.length) {
+    out.push('<h2>Highlight rules</h2>', '<ul>');
+    compiledRules.forEach(({ rule, style }) => {
+      const sample = `<mark style="${style}">${escapeHtml(rule.pattern)}</mark>`;
+      out.push(`<li>${rule.name ? `${escapeHtml(rule.name)}: ` : ''}${sample}${rule.mode === 'regex' ? ' (regex)' : ''}</li>`);
+    });
+    out.push('</ul>');
+  }
+
+  if (stickyLogs.length) {
+    out.push('<h2>Sticky logs</h2>', '<ul>');
+    stickyLogs.forEach(sticky => {
+      const index = rows.findIndex(buildStickyMatcher([sticky]));
+      const label = escapeHtml(`${sticky.timestamp ? `${sticky.timestamp} · ` : ''}line ${sticky.lineNumber ?? '?'}`);
+      const text = escapeHtml(sticky.title || sticky.cleanedMessage || sticky.message || '');
+      const note = sticky.note ? ` <span class="note">— ${escapeHtml(sticky.note)}</span>` : '';
+      out.push(index !== -1
+        ? `<li><a href="#row-${index}">${label}</a> ${text}${note}</li>`
+        : `<li>${label} ${text}${note} <span class="meta">(not in the exported rows)</span></li>`);
+    });
+    out.push('</ul>');
+  }
 
+  out.push('<h2>Rows</h2>');
+  if (rows.length < allRows.length) {
+    out.push(`<p class="note">Only the first ${rows.length.toLocaleString()} rows are included — export CSV or JSON Lines for all of them.</p>`);
+  }
+  out.push('<table>', `<thead><tr>${fields.map(field => `<th>${EXPORT_FIELD_LABELS[field] || field}</th>`).join('')}</tr></thead>`, '<tbody>');
+  rows.forEach((log, index) => {
+    const tint = getRowTint(log.message, compiledRules);
+    const cells = fields.map(field => {
+      if (field === 'message') {
+        return `<td class="message">${applyHighlightRules(escapeHtml(fieldValue(log, field)), compiledRules)}</td>`;
+      }
+      if (field === 'level') {
+        return `<td class="lvl-${getNormalizedLevel(log.level)}">${escapeHtml(fieldValue(log, field))}</td>`;
+      }
+      return `<td>${escapeHtml(fieldValue(log, field))}</td>`;
+    });
+    const attributes = [
+      `id="row-${index}"`,
+      isSticky(log) && 'class="sticky"',
+      tint && `style="background-color:${tint}"`,
+    ].filter(Boolean).join(' ');
+    out.push(`<tr ${attributes}>${cells.join('')}</tr>`);
+  });
+  out.push('</tbody>', '</table>', '</body>', '</html>');
+  return out.join('\n') + '\n';
+}
+
+export function sanitizeFilename(name) {
+  return (name || 'logs').replace(/[\\/:*?"<>|]+/g, '_').replace(/\s+/g, '_');
+}
+
+/**
+ * Save text to a file. Uses the File System Access API when available
+ * (Chrome/Edge) so the user can pick the location, otherwise falls back to a
+ * download.
+ *
+ * @param {string|Blob} text
+ * @param {string} filename         Filename including its extension.
+ * @param {object} [opts]
+ * @param {string} [opts.description]  File type shown in the save picker.
+ * @param {string} [opts.mimeType]
+ * @param {string[]} [opts.extensions]  Accepted extensions, e.g. ['.csv'].
+ */
+export async function saveTextFile(text, filename, { description = 'Log file', mimeType = 'text/plain', extensions = ['.log', '.txt'] } = {}) {
   if (window.showSaveFilePicker) {
     try {
       const handle = await window.showSaveFilePicker({
         suggestedName: filename,
         types: [{
-          description: 'Log file',
-          accept: { 'text/plain': ['.log', '.txt'] },
+          description,
+          accept: { [mimeType]: extensions },
         }],
       });
       const writable = await handle.createWritable();
@@ -101,7 +339,7 @@ export async function exportLogsToFile(logs, suggestedName, opts = {}) {
   }
 
   // Fallback: trigger a download
-  const blob = new Blob([text], { type: 'text/plain' });
+  const blob = new Blob([text], { type: mimeType });
   const url = URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
@@ -111,3 +349,31 @@ export async function exportLogsToFile(logs, suggestedName, opts = {}) {
   a.remove();
   setTimeout(() => URL.revokeObjectURL(url), 5000);
 }
+
+/**
+ * Save the given logs to a file (see saveTextFile).
+ *
+ * @param {Array} logs              The visible logs to export.
+ * @param {string} suggestedName    Filename suggestion (without extension).
+ * @param {object} [opts]
+ * @param {string} [opts.format]    Key of EXPORT_FORMATS; 'log' by default.
+ * @param {boolean} [opts.tagSourceFile]  Prepend `[sourceFile] ` to each line.
+ * @param {string[]} [opts.fields]  Fields of structured formats (getExportFields).
+ *   Further options are passed to buildHtmlReport.
+ */
+export async function exportLogsToFile(logs, suggestedName, opts = {}) {
+  if (!logs || !logs.length) {
+    alert('No visible records to export.');
+    return;
+  }
+
+  const { format = 'log', fields = getExportFields() } = opts;
+  const { extensions, mimeType, description } = EXPORT_FORMATS[format] || EXPORT_FORMATS.log;
+  let text;
+  if (format === 'jsonl') text = buildJsonLines(logs, fields);
+  else if (format === 'csv') text = buildCsv(logs, fields);
+  else if (format === 'html') text = buildHtmlReport(logs, { ...opts, fields });
+  else text = buildExportText(logs, opts);
+
+  await saveTextFile(text, `${sanitizeFilename(suggestedName)}${extensions[0]}`, { description, mimeType, extensions });
+}
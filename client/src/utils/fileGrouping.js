@@ -217,8 +217,9 @@ export function groupFilesByDirectory(files) {
 /**
  * Detect the log format of a single file by reading the first chunk
  * and trying parseLogFormat on each non-empty line.
- * Returns a format string (e.g. 'ios-macos', 'windows-unified', 'linux'…)
- * or 'unknown' when no known pattern matches.
+ * Returns a format string (e.g. 'ios-macos', 'windows-unified', 'linux'…,
+ * or 'custom:<name>' for user-defined formats) or 'unknown' when no known
+ * pattern matches.
  *
  * @param {File} file
  * @returns {Promise<string>}
@@ -3,6 +3,9 @@
  * Handles reading and loading log files
  */
 
+import { parseLogContent, assignProcessNames } from '../LogParser.js';
+import { loadCustomFormats } from './customFormats.js';
+
 // Generate unique file identifier
 export const getFileIdentifier = (file) => {
   // Priority order for file identification:
@@ -155,3 +158,68 @@ export const loadLogFile = (file, parseLogContent) => {
     reader.readAsText(file);
   });
 };
+
+/**
+ * Load a log file by parsing it in chunks inside a Web Worker, so very large
+ * files don't freeze the tab. Falls back to loadLogFile where workers are
+ * unavailable.
+ * @param {File} file - The file to load
+ * @param {Object} callbacks
+ * @param {Function} callbacks.onProgress - Called with {loaded, total, rows} after each chunk
+ * @param {Function} callbacks.onBatch - Called with (newLogs, headerData) with the rows each chunk completed
+ * @param {AbortSignal} [callbacks.signal] - Aborting terminates the worker and rejects with an AbortError
+ * @returns {Promise} Promise that resolves with {fileId, logs, headerData}
+ */
+export const streamLogFile = (file, { onProgress, onBatch, signal } = {}) => {
+  if (typeof Worker === 'undefined') {
+    return loadLogFile(file, parseLogContent);
+  }
+
+  return new Promise((resolve, reject) => {
+    const fileId = getFileIdentifier(file);
+    if (signal?.aborted) {
+      reject(new DOMException('File load cancelled', 'AbortError'));
+      return;
+    }
+    const worker = new Worker(new URL('./logParser.worker.js', import.meta.url), { type: 'module' });
+    const logs = [];
+    let headerData = {};
+
+    const handleAbort = () => {
+      worker.terminate();
+      reject(new DOMException('File load cancelled', 'AbortError'));
+    };
+    signal?.addEventListener('abort', handleAbort, { once: true });
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', handleAbort);
+    };
+
+    worker.onmessage = (e) => {
+      const message = e.data;
+      if (message.type === 'header') {
+        headerData = message.headerData || {};
+      } else if (message.type === 'batch') {
+        // Avoid spreading: a batch can hold hundreds of thousands of rows
+        for (let i = 0; i < message.logs.length; i++) logs.push(message.logs[i]);
+        if (onProgress) onProgress({ loaded: message.loaded, total: message.total, rows: logs.length });
+        if (onBatch && message.logs.length) onBatch(message.logs, headerData);
+      } else if (message.type === 'done') {
+        finish();
+        // Process types learned late in the file apply to earlier rows too
+        assignProcessNames(logs);
+        resolve({ fileId, logs, headerData });
+      } else if (message.type === 'error') {
+        finish();
+        reject(new Error(message.message));
+      }
+    };
+
+    worker.onerror = (error) => {
+      finish();
+      reject(error);
+    };
+
+    worker.postMessage({ type: 'parse', file, customFormats: loadCustomFormats() });
+  });
+};
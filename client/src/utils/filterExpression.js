@@ -0,0 +1,153 @@
+/**
+ * Filter expression syntax shared by the filter bar and live alert rules.
+ *
+ *   term1 || term2          OR
+ *   term1 && term2          AND (binds tighter than ||)
+ *   (a && b) || c           parentheses around an OR group
+ *   !term                   exclude rows containing term
+ *   "app "                  quotes keep surrounding spaces
+ *
+ * In regex mode every term is a regular expression.
+ */
+
+// Split by || respecting parentheses.
+// Spaces adjacent to operators are stripped; trailing spaces within a term are preserved
+// so that e.g. "app " (with space) matches "App success" but not "sendAppIsRegister".
+export const splitByOr = (text) => {
+  const groups = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '(') { depth++; current += ch; }
+    else if (ch === ')') { depth--; current += ch; }
+    else if (ch === '|' && text[i + 1] === '|' && depth === 0) {
+      groups.push(current.trimEnd()); // strip trailing space adjacent to ||
+      current = '';
+      i++; // skip second |
+      // skip leading spaces adjacent to ||
+      while (i + 1 < text.length && text[i + 1] === ' ') i++;
+    } else {
+      current += ch;
+    }
+  }
+  // Preserve both leading and trailing spaces in the last segment (may be intentional search criteria),
+  // but skip if the segment is entirely whitespace
+  if (current.trim()) groups.push(current);
+  return groups.filter(Boolean);
+};
+
+// Strip outer double-quotes for exact phrase matching — preserves internal spaces.
+// e.g. "app " || moshe  →  /app /i  OR  /moshe/i
+const unquote = (t) =>
+  t.startsWith('"') && t.endsWith('"') && t.length >= 2 ? t.slice(1, -1) : t;
+
+/**
+ * Parse an expression into include groups (OR of ANDed terms) and exclude terms.
+ * @param {string} text
+ * @param {{mode?: 'text'|'regex', caseSensitive?: boolean}} [options]
+ * @returns {{includeGroups: Array<{terms: string[], regexes: (RegExp|null)[]}>, includeTerms: string[], excludeTerms: string[], excludeRegexes: (RegExp|null)[], caseSensitive: boolean}}
+ */
+export const parseFilterExpression = (text, { mode = 'text', caseSensitive = false } = {}) => {
+  const buildRegex = (term) => {
+    try {
+      const flags = caseSensitive ? '' : 'i';
+      if (mode === 'regex') {
+        return new RegExp(term, flags);
+      } else {
+        return new RegExp(term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), flags);
+      }
+    } catch (e) {
+      console.error('Invalid regex pattern:', term, e);
+      return null;
+    }
+  };
+
+  const includeGroups = []; // each entry = { terms: [...], regexes: [...] }
+  const excludeTerms = [];
+  const excludeRegexes = [];
+
+  splitByOr(text).forEach(segment => {
+    // Strip outer parentheses
+    let inner = segment;
+    if (inner.startsWith('(') && inner.endsWith(')')) {
+      inner = inner.slice(1, -1).trim();
+    }
+    // Split by && within this OR group
+    // Strip spaces adjacent to && operators, but preserve the spaces within a standalone term
+    const andTerms = inner.split('&&').map((t, idx, arr) => {
+      if (arr.length === 1) return t; // No &&: preserve term exactly as typed
+      if (idx < arr.length - 1) return t.trim(); // Non-last: strip both sides (adjacent to &&)
+      return t.trimStart(); // Last: strip leading (adjacent to &&), preserve trailing
+    }).filter(t => t.trim());
+    // Unquote after splitting so "app " keeps its internal space
+    const inclTerms = andTerms.filter(t => !t.trimStart().startsWith('!')).map(unquote);
+    const exclTerms = andTerms.filter(t => t.trimStart().startsWith('!')).map(t => unquote(t.trimStart().slice(1)));
+
+    exclTerms.forEach(term => {
+      excludeTerms.push(term);
+      excludeRegexes.push(buildRegex(term));
+    });
+
+    if (inclTerms.length > 0) {
+      includeGroups.push({
+        terms: inclTerms,
+        regexes: inclTerms.map(buildRegex)
+      });
+    }
+  });
+
+  return {
+    includeGroups,
+    // Flat list of all include terms (for backwards-compat where needed)
+    includeTerms: includeGroups.flatMap(g => g.terms),
+    excludeTerms,
+    excludeRegexes,
+    caseSensitive,
+  };
+};
+
+/** All text of a log entry that filter terms are matched against. */
+export const getSearchableText = (log) => {
+  const parts = [
+    log.message || '',
+    log.timestamp || '',
+    log.level || '',
+    log.module || '',
+    log.thread || '',
+    log.process || '',
+    log.processName || '',
+    log.lineNumber?.toString() || ''
+  ];
+  return parts.join(' ');
+};
+
+/**
+ * Whether text passes a parsed expression: no exclude term matches and, if
+ * there are include groups, every term of at least one group matches.
+ * @param {ReturnType<typeof parseFilterExpression>} expression
+ * @param {string} searchableText
+ * @param {string} [lowerText]  Pre-lowercased text, when the caller caches it
+ */
+export const matchesFilterExpression = (expression, searchableText, lowerText) => {
+  const { includeGroups, excludeTerms, excludeRegexes, caseSensitive } = expression;
+  const lower = () => lowerText ?? (lowerText = searchableText.toLowerCase());
+  const matchesTerm = (term, regex) => {
+    // In regex mode (or escaped text mode), test against full searchable text
+    if (regex) return regex.test(searchableText);
+    // Invalid pattern: fall back to a plain substring comparison
+    if (caseSensitive) return searchableText.includes(term);
+    return lower().includes(term.toLowerCase());
+  };
+
+  // Exclude logic: if any exclude term matches, skip this log
+  if (excludeTerms.some((term, i) => matchesTerm(term, excludeRegexes[i]))) return false;
+
+  // Include logic: at least one group must fully match (AND within group, OR between groups)
+  if (includeGroups.length > 0) {
+    return includeGroups.some(group =>
+      group.terms.every((term, i) => matchesTerm(term, group.regexes[i]))
+    );
+  }
+  return true;
+};
@@ -0,0 +1,161 @@
+/**
+ * Highlight rules: patterns painted in their own colors while rows render,
+ * independent of the filter and search boxes.
+ *
+ * Rule shape:
+ *   { id, name, pattern, mode: 'text'|'regex', caseSensitive, enabled,
+ *     color,       // foreground of the marked text, #rrggbb
+ *     background,  // background of the marked text, #rrggbb
+ *     rowTint }    // also tint the whole row with the background color
+ */
+
+const STORAGE_KEY = 'logViewer_highlightRules';
+
+const HEX_COLOR_RE = /^#[0-9a-f]{6}$/i;
+
+export const loadHighlightRules = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Failed to load highlight rules:', error);
+    return [];
+  }
+};
+
+export const saveHighlightRules = (rules) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+  } catch (error) {
+    console.error('Failed to save highlight rules:', error);
+  }
+};
+
+const buildRegex = (rule) => {
+  const source = rule.mode === 'regex' ? rule.pattern : rule.pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(source, rule.caseSensitive ? 'g' : 'gi');
+};
+
+/**
+ * Why a rule can't be used, if it can't
+ * @param {Object} rule
+ * @returns {string|null}
+ */
+export const getHighlightRuleError = (rule) => {
+  if (!rule.pattern) return 'Pattern is required';
+  try {
+    buildRegex(rule);
+  } catch (error) {
+    return `Invalid regex: ${error.message}`;
+  }
+  if ((rule.color && !HEX_COLOR_RE.test(rule.color)) || (rule.background && !HEX_COLOR_RE.test(rule.background))) {
+    return 'Colors must be #rrggbb';
+  }
+  return null;
+};
+
+/**
+ * Enabled, valid rules with their regexes and mark styles, in rule order
+ * @param {Array} rules
+ * @returns {Array<{rule: Object, regex: RegExp, style: string, tint: string|null}>}
+ */
+export const compileHighlightRules = (rules) => (rules || [])
+  .filter(rule => rule.enabled !== false && !getHighlightRuleError(rule))
+  .map(rule => {
+    const color = HEX_COLOR_RE.test(rule.color || '') ? rule.color : null;
+    const background = HEX_COLOR_RE.test(rule.background || '') ? rule.background : null;
+    return {
+      rule,
+      regex: buildRegex(rule),
+      // <mark> is yellow by default; a rule without a background keeps the row's
+      style: [color && `color:${color}`, `background-color:${background || 'transparent'}`].filter(Boolean).join(';'),
+      // A translucent background, so level colors and row stripes still show
+      tint: rule.rowTint && background ? `${background}40` : null,
+    };
+  });
+
+// One character, or a whole HTML entity, of escaped message text
+const TEXT_TOKEN_RE = /&(?:#x[0-9a-f]+|#\d+|[a-z]+);|[\s\S]/gi;
+const NAMED_ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'", nbsp: '\u00a0' };
+
+const decodeToken = (token) => {
+  if (token.length === 1 || token[0] !== '&') return token;
+  const name = token.slice(1, -1);
+  if (name[0] !== '#') return NAMED_ENTITIES[name.toLowerCase()] ?? token;
+  const code = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+  try {
+    return String.fromCodePoint(code);
+  } catch {
+    return token;
+  }
+};
+
+// Rule matches of one piece of escaped text, found in its unescaped form so
+// a rule can match "<" and never splits an entity such as &lt;
+const markText = (text, regex, style) => {
+  const mark = match => `<mark data-rule style="${style}">${match}</mark>`;
+  regex.lastIndex = 0;
+  if (!text.includes('&')) return text.replace(regex, match => (match ? mark(match) : match));
+
+  const tokens = text.match(TEXT_TOKEN_RE);
+  const tokenAt = []; // token index of each unescaped character
+  let plain = '';
+  tokens.forEach((token, i) => {
+    const decoded = decodeToken(token);
+    for (let j = 0; j < decoded.length; j++) tokenAt.push(i);
+    plain += decoded;
+  });
+
+  let out = '';
+  let next = 0;
+  for (const match of plain.matchAll(regex)) {
+    if (!match[0]) continue;
+    const start = tokenAt[match.index];
+    const end = tokenAt[match.index + match[0].length - 1] + 1;
+    if (start < next) continue;
+    out += tokens.slice(next, start).join('') + mark(tokens.slice(start, end).join(''));
+    next = end;
+  }
+  return out + tokens.slice(next).join('');
+};
+
+/**
+ * Wrap rule matches of a message in colored <mark>s. Only text between
+ * tags is searched, so marks added for the filter and search boxes stay
+ * intact; the first rule to match a piece of text wins. Entities count as
+ * the character they stand for.
+ * @param {string} html - Message HTML
+ * @param {Array} compiledRules - From compileHighlightRules
+ * @returns {string}
+ */
+export const applyHighlightRules = (html, compiledRules) => {
+  if (!compiledRules.length || !html) return html;
+  return compiledRules.reduce((current, { regex, style }) => {
+    let insideRuleMark = 0;
+    return current.split(/(<[^>]*>)/).map(part => {
+      if (part.startsWith('<')) {
+        if (part.startsWith('<mark data-rule')) insideRuleMark++;
+        else if (part === '</mark>' && insideRuleMark) insideRuleMark--;
+        return part;
+      }
+      if (insideRuleMark) return part;
+      return markText(part, regex, style);
+    }).join('');
+  }, html);
+};
+
+/**
+ * Row tint of the first row-tint rule matching a message
+ * @param {string} text
+ * @param {Array} compiledRules - From compileHighlightRules
+ * @returns {string|null} - CSS color
+ */
+export const getRowTint = (text, compiledRules) => {
+  for (const { regex, tint } of compiledRules) {
+    if (!tint) continue;
+    regex.lastIndex = 0;
+    if (regex.test(text || '')) return tint;
+  }
+  return null;
+};
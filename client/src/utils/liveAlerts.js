@@ -0,0 +1,61 @@
+/**
+ * Live alert rules: filter expressions (same syntax as the filter bar, see
+ * filterExpression.js) checked against every batch of incoming live rows.
+ *
+ * Rule shape:
+ *   { id, name, expression, mode: 'text'|'regex', caseSensitive, enabled,
+ *     notify,   // show a notification on a hit
+ *     sticky }  // add the matching row to the tab's sticky logs
+ */
+
+import { parseFilterExpression, getSearchableText, matchesFilterExpression } from './filterExpression';
+
+const STORAGE_KEY = 'logViewer_liveAlertRules';
+
+export const loadAlertRules = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Failed to load live alert rules:', error);
+    return [];
+  }
+};
+
+export const saveAlertRules = (rules) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(rules));
+  } catch (error) {
+    console.error('Failed to save live alert rules:', error);
+  }
+};
+
+/** Parse the enabled rules once so each batch only runs the matchers. */
+export const compileAlertRules = (rules) => rules
+  .filter(rule => rule.enabled !== false && rule.expression?.trim())
+  .map(rule => ({
+    rule,
+    expression: parseFilterExpression(rule.expression, {
+      mode: rule.mode === 'regex' ? 'regex' : 'text',
+      caseSensitive: !!rule.caseSensitive,
+    }),
+  }));
+
+/**
+ * Rows of a batch that match any compiled rule.
+ * @returns {Array<{rule: object, log: object}>}  One entry per (row, rule) hit
+ */
+export const findAlertMatches = (compiledRules, logs) => {
+  if (!compiledRules.length) return [];
+  const matches = [];
+  logs.forEach(log => {
+    if (log.isGapMarker) return;
+    const text = getSearchableText(log);
+    const lower = text.toLowerCase();
+    compiledRules.forEach(({ rule, expression }) => {
+      if (matchesFilterExpression(expression, text, lower)) matches.push({ rule, log });
+    });
+  });
+  return matches;
+};
@@ -0,0 +1,291 @@
+/**
+ * Side-by-side diff of two log sequences: two tabs, or two time windows of
+ * one tab (e.g. a working and a failing run of the same client version).
+ *
+ * Rows are compared by message template (utils/messageTemplates.js), so
+ * timestamps, ids, addresses and counters never count as a difference. The
+ * sequences are aligned with a patience diff: rows whose template occurs once
+ * on each side anchor the alignment, the stretches between anchors are
+ * aligned by longest common subsequence (in windows, for long stretches).
+ * A row left unmatched on both sides is "moved" (reordered) rather than
+ * missing / inserted.
+ */
+
+import { templatizeMessage } from './messageTemplates';
+
+// Per side; longer windows are cut, so narrow the window to compare them
+export const MAX_DIFF_ROWS = 100000;
+
+// Longer stretches without anchors are aligned by LCS in windows of this
+// many rows per side (a full LCS table would not fit in memory)
+const LCS_WINDOW = 2000;
+
+/**
+ * Rows of one side: top-level rows (no continuation lines or gap markers)
+ * whose time falls in [fromMs, toMs]
+ * @param {Array} logs
+ * @param {{fromMs?: number|null, toMs?: number|null}} [window]
+ * @returns {{rows: Array, truncated: boolean}}
+ */
+export const selectDiffRows = (logs, { fromMs = null, toMs = null } = {}) => {
+  const rows = [];
+  let truncated = false;
+  for (const log of logs || []) {
+    if (log.isContinuation || log.isGapMarker) continue;
+    if (fromMs != null && !(log.timestampMs >= fromMs)) continue;
+    if (toMs != null && !(log.timestampMs <= toMs)) continue;
+    if (rows.length >= MAX_DIFF_ROWS) {
+      truncated = true;
+      break;
+    }
+    rows.push(log);
+  }
+  return { rows, truncated };
+};
+
+/**
+ * Time typed into a window field: "YYYY-MM-DD HH:MM[:SS[.mmm]]", or a time of
+ * day on the date of referenceMs. Times are wall-clock read as UTC, like
+ * timestampMs.
+ * @param {string} text
+ * @param {number|null} referenceMs - e.g. the tab's first row
+ * @returns {number|null|undefined} null for an empty field, undefined when unreadable
+ */
+export const parseWindowTime = (text, referenceMs) => {
+  const value = (text || '').trim();
+  if (!value) return null;
+  const match = value.match(/^(?:(\d{4})-(\d{2})-(\d{2})[ T])?(\d{1,2}):(\d{2})(?::(\d{2})(?:[.:](\d{1,3}))?)?$/);
+  if (!match) return undefined;
+  const [, year, month, day, hours, minutes, seconds = '0', millis = '0'] = match;
+  let datePart;
+  if (year) {
+    datePart = Date.UTC(+year, +month - 1, +day);
+  } else {
+    if (referenceMs == null) return undefined;
+    const reference = new Date(referenceMs);
+    datePart = Date.UTC(reference.getUTCFullYear(), reference.getUTCMonth(), reference.getUTCDate());
+  }
+  return datePart + ((+hours * 60 + +minutes) * 60 + +seconds) * 1000 + +millis.padEnd(3, '0');
+};
+
+/**
+ * What a row is compared by
+ * @param {Object} log
+ * @returns {string}
+ */
+export const getDiffKey = (log) => templatizeMessage(log.message || '');
+
+// Longest common subsequence of a[aLo..aHi) and b[bLo..bHi) as [i, j] pairs
+const lcsPairs = (a, aLo, aHi, b, bLo, bHi) => {
+  const n = aHi - aLo;
+  const m = bHi - bLo;
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[aLo + i] === b[bLo + j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[aLo + i] === b[bLo + j]) {
+      pairs.push([aLo + i, bLo + j]);
+      i++;
+      j++;
+    } else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+};
+
+// LCS over overlapping windows: keep the matches in the first half of each
+// window, then start the next window after the last one kept
+const windowedLcsPairs = (a, aLo, aHi, b, bLo, bHi, pairs) => {
+  const half = LCS_WINDOW / 2;
+  let i = aLo;
+  let j = bLo;
+  while (i < aHi && j < bHi) {
+    const iEnd = Math.min(aHi, i + LCS_WINDOW);
+    const jEnd = Math.min(bHi, j + LCS_WINDOW);
+    const isLast = iEnd === aHi && jEnd === bHi;
+    const found = lcsPairs(a, i, iEnd, b, j, jEnd);
+    // Pairs ascend on both sides, so this keeps a prefix
+    const kept = isLast ? found : found.filter(([pi, pj]) => pi < i + half && pj < j + half);
+    if (isLast) {
+      pairs.push(...kept);
+      return;
+    }
+    if (kept.length) {
+      pairs.push(...kept);
+      [i, j] = kept[kept.length - 1];
+      i++;
+      j++;
+    } else {
+      i = Math.min(iEnd, i + half);
+      j = Math.min(jEnd, j + half);
+    }
+  }
+};
+
+// Keys occurring exactly once on each side, as [i, j] pairs in left order,
+// reduced to their longest run increasing on the right as well
+const uniqueAnchors = (a, aLo, aHi, b, bLo, bHi) => {
+  const countIn = (keys, lo, hi) => {
+    const counts = new Map();
+    for (let k = lo; k < hi; k++) {
+      const entry = counts.get(keys[k]);
+      if (entry) entry.count++;
+      else counts.set(keys[k], { count: 1, index: k });
+    }
+    return counts;
+  };
+  const left = countIn(a, aLo, aHi);
+  const right = countIn(b, bLo, bHi);
+  const candidates = [];
+  for (let i = aLo; i < aHi; i++) {
+    const l = left.get(a[i]);
+    const r = right.get(a[i]);
+    if (l.count === 1 && r && r.count === 1) candidates.push([i, r.index]);
+  }
+
+  // Longest increasing subsequence on the right index (patience sorting)
+  const tails = [];
+  const previous = new Array(candidates.length);
+  candidates.forEach(([, j], c) => {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (candidates[tails[mid]][1] < j) lo = mid + 1;
+      else hi = mid;
+    }
+    previous[c] = lo > 0 ? tails[lo - 1] : -1;
+    tails[lo] = c;
+  });
+  const anchors = [];
+  for (let c = tails.length ? tails[tails.length - 1] : -1; c !== -1; c = previous[c]) {
+    anchors.push(candidates[c]);
+  }
+  return anchors.reverse();
+};
+
+// Matched [i, j] pairs of a[aLo..aHi) and b[bLo..bHi), in order
+const alignRange = (a, aLo, aHi, b, bLo, bHi, pairs) => {
+  // Common head and tail
+  while (aLo < aHi && bLo < bHi && a[aLo] === b[bLo]) pairs.push([aLo++, bLo++]);
+  const tail = [];
+  while (aLo < aHi && bLo < bHi && a[aHi - 1] === b[bHi - 1]) tail.push([--aHi, --bHi]);
+
+  if (aLo < aHi && bLo < bHi) {
+    const anchors = uniqueAnchors(a, aLo, aHi, b, bLo, bHi);
+    if (anchors.length) {
+      let i = aLo;
+      let j = bLo;
+      anchors.forEach(([ai, bj]) => {
+        alignRange(a, i, ai, b, j, bj, pairs);
+        pairs.push([ai, bj]);
+        i = ai + 1;
+        j = bj + 1;
+      });
+      alignRange(a, i, aHi, b, j, bHi, pairs);
+    } else {
+      windowedLcsPairs(a, aLo, aHi, b, bLo, bHi, pairs);
+    }
+  }
+  for (let k = tail.length - 1; k >= 0; k--) pairs.push(tail[k]);
+};
+
+/**
+ * Align two row sequences
+ * @param {Array} leftRows
+ * @param {Array} rightRows
+ * @param {(log: Object) => string} [keyOf]
+ * @returns {{rows: Array<{left: {index: number, status: string, partner?: number}|null,
+ *   right: {index: number, status: string, partner?: number}|null}>,
+ *   counts: {same: number, missing: number, inserted: number, moved: number}}}
+ *   status is 'same', 'missing' (left only), 'inserted' (right only) or
+ *   'moved' (found elsewhere on the other side, at index partner). Unmatched
+ *   rows between two matches share display rows, left beside right.
+ */
+export const diffLogRows = (leftRows, rightRows, keyOf = getDiffKey) => {
+  // Keys as small integers: cheaper to compare and hash than strings
+  const ids = new Map();
+  const toIds = rows => rows.map(log => {
+    const key = keyOf(log);
+    if (!ids.has(key)) ids.set(key, ids.size);
+    return ids.get(key);
+  });
+  const a = toIds(leftRows);
+  const b = toIds(rightRows);
+
+  const pairs = [];
+  alignRange(a, 0, a.length, b, 0, b.length, pairs);
+
+  // Unmatched rows whose key is unmatched on the other side too were reordered
+  const leftStatus = new Array(a.length).fill('missing');
+  const rightStatus = new Array(b.length).fill('inserted');
+  const partners = new Map(); // 'l<i>' / 'r<j>' → partner index
+  pairs.forEach(([i, j]) => {
+    leftStatus[i] = 'same';
+    rightStatus[j] = 'same';
+  });
+  const unmatchedRight = new Map(); // key id → right indexes, in order
+  b.forEach((id, j) => {
+    if (rightStatus[j] !== 'inserted') return;
+    if (!unmatchedRight.has(id)) unmatchedRight.set(id, []);
+    unmatchedRight.get(id).push(j);
+  });
+  let moved = 0;
+  a.forEach((id, i) => {
+    if (leftStatus[i] !== 'missing') return;
+    const queue = unmatchedRight.get(id);
+    if (!queue || !queue.length) return;
+    const j = queue.shift();
+    leftStatus[i] = 'moved';
+    rightStatus[j] = 'moved';
+    partners.set(`l${i}`, j);
+    partners.set(`r${j}`, i);
+    moved++;
+  });
+
+  const side = (prefix, index, status) => (
+    partners.has(`${prefix}${index}`) ? { index, status, partner: partners.get(`${prefix}${index}`) } : { index, status }
+  );
+  const rows = [];
+  const flushGap = (iFrom, iTo, jFrom, jTo) => {
+    for (let k = 0; k < Math.max(iTo - iFrom, jTo - jFrom); k++) {
+      const i = iFrom + k;
+      const j = jFrom + k;
+      rows.push({
+        left: i < iTo ? side('l', i, leftStatus[i]) : null,
+        right: j < jTo ? side('r', j, rightStatus[j]) : null,
+      });
+    }
+  };
+  let i = 0;
+  let j = 0;
+  pairs.forEach(([pi, pj]) => {
+    flushGap(i, pi, j, pj);
+    rows.push({ left: { index: pi, status: 'same' }, right: { index: pj, status: 'same' } });
+    i = pi + 1;
+    j = pj + 1;
+  });
+  flushGap(i, a.length, j, b.length);
+
+  return {
+    rows,
+    counts: {
+      same: pairs.length,
+      missing: a.length - pairs.length - moved,
+      inserted: b.length - pairs.length - moved,
+      moved,
+    },
+  };
+};
@@ -0,0 +1,279 @@
+/**
+ * Inverted token index over the searchable text of a file's rows.
+ *
+ * Text is lowercased and split into word tokens (letters, digits, _). Each
+ * token maps to the sorted positions of the rows containing it, stored flat:
+ * the rows of tokens[i] are rows[offsets[i] .. offsets[i + 1]).
+ *
+ * Lookups return candidate masks (Uint8Array, one byte per row of the logs
+ * array, 1 = may match). A candidate is only a row that *may* match: callers
+ * still run their exact matcher on it, so lookups may err on the side of
+ * including rows but never leave a matching row out. Rows appended after the
+ * index was built (live tabs) are always candidates.
+ */
+
+import { getSearchableText } from './filterExpression';
+
+const TOKEN_RE = /[\p{L}\p{N}_]+/gu;
+const WORD_CHAR_RE = /[\p{L}\p{N}_]/u;
+
+/**
+ * Lowercased word tokens of a text
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const tokenize = (text) => (text || '').toLowerCase().match(TOKEN_RE) || [];
+
+/**
+ * Incremental index builder; rows are added in order, in batches of texts.
+ * @returns {{add: (texts: string[]) => void, finish: () => {tokens: string[], offsets: Int32Array, rows: Int32Array, size: number}}}
+ */
+export const createLogIndexBuilder = () => {
+  const postings = new Map();
+  let size = 0;
+
+  const add = (texts) => {
+    for (let i = 0; i < texts.length; i++, size++) {
+      const tokens = tokenize(texts[i]);
+      for (let t = 0; t < tokens.length; t++) {
+        const list = postings.get(tokens[t]);
+        if (!list) postings.set(tokens[t], [size]);
+        else if (list[list.length - 1] !== size) list.push(size);
+      }
+    }
+  };
+
+  const finish = () => {
+    const tokens = Array.from(postings.keys()).sort();
+    const offsets = new Int32Array(tokens.length + 1);
+    let total = 0;
+    tokens.forEach((token, i) => {
+      offsets[i] = total;
+      total += postings.get(token).length;
+    });
+    offsets[tokens.length] = total;
+    const rows = new Int32Array(total);
+    tokens.forEach((token, i) => rows.set(postings.get(token), offsets[i]));
+    return { tokens, offsets, rows, size };
+  };
+
+  return { add, finish };
+};
+
+/**
+ * Build an index synchronously (used where workers are unavailable)
+ * @param {Array} logs - Parsed log entries
+ */
+export const buildLogIndex = (logs) => {
+  const builder = createLogIndexBuilder();
+  builder.add(logs.map(getSearchableText));
+  return builder.finish();
+};
+
+/**
+ * Bind an index to a logs array. The index may cover only the first rows of
+ * it (live tabs keep appending); the rest are unindexed.
+ * @param {ReturnType<typeof buildLogIndex>} index
+ * @param {Array} logs
+ * @param {number} [indexedCount] - Leading rows of logs the index is valid for
+ */
+export const createIndexView = (index, logs, indexedCount = index.size) => ({
+  ...index,
+  logs,
+  indexedCount: Math.min(indexedCount, index.size, logs.length),
+});
+
+// Mask with only the unindexed tail set
+const emptyMask = (view) => {
+  const mask = new Uint8Array(view.logs.length);
+  mask.fill(1, view.indexedCount);
+  return mask;
+};
+
+const addPostings = (view, mask, tokenIndex) => {
+  const { offsets, rows, indexedCount } = view;
+  for (let p = offsets[tokenIndex]; p < offsets[tokenIndex + 1]; p++) {
+    if (rows[p] < indexedCount) mask[rows[p]] = 1;
+  }
+};
+
+// First token position >= value in the sorted token list
+const lowerBound = (tokens, value) => {
+  let lo = 0, hi = tokens.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (tokens[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+};
+
+/**
+ * Rows containing a token
+ * @param {ReturnType<typeof createIndexView>} view
+ * @param {string} token - Lowercase token
+ * @returns {Uint8Array}
+ */
+export const lookupTerm = (view, token) => {
+  const mask = emptyMask(view);
+  const i = lowerBound(view.tokens, token);
+  if (view.tokens[i] === token) addPostings(view, mask, i);
+  return mask;
+};
+
+/**
+ * Rows containing a token that starts with prefix
+ * @param {ReturnType<typeof createIndexView>} view
+ * @param {string} prefix - Lowercase prefix
+ * @returns {Uint8Array}
+ */
+export const lookupPrefix = (view, prefix) => {
+  const mask = emptyMask(view);
+  const { tokens } = view;
+  for (let i = lowerBound(tokens, prefix); i < tokens.length && tokens[i].startsWith(prefix); i++) {
+    addPostings(view, mask, i);
+  }
+  return mask;
+};
+
+// Rows containing a token that passes test (scans the token list)
+const lookupMatchingTokens = (view, test) => {
+  const mask = emptyMask(view);
+  view.tokens.forEach((token, i) => {
+    if (test(token)) addPostings(view, mask, i);
+  });
+  return mask;
+};
+
+const intersectInto = (target, mask) => {
+  for (let i = 0; i < target.length; i++) target[i] &= mask[i];
+  return target;
+};
+
+const unionInto = (target, mask) => {
+  for (let i = 0; i < target.length; i++) target[i] |= mask[i];
+  return target;
+};
+
+/**
+ * Candidate rows for a case-insensitive substring ("phrase") search. Every
+ * token of the phrase must occur in the row; a token at either end of the
+ * phrase may be cut off mid-word, so it is matched as a suffix / prefix (or
+ * anywhere inside a token when the phrase is a single word).
+ * @param {ReturnType<typeof createIndexView>} view
+ * @param {string} text
+ * @returns {Uint8Array|null} - null when the phrase has no word to look up
+ */
+export const lookupPhrase = (view, text) => {
+  const lower = (text || '').toLowerCase();
+  const tokens = tokenize(lower);
+  if (!tokens.length) return null;
+  const openStart = WORD_CHAR_RE.test(lower[0]);
+  const openEnd = WORD_CHAR_RE.test(lower[lower.length - 1]);
+  const last = tokens.length - 1;
+
+  let mask = null;
+  for (let t = 0; t <= last; t++) {
+    const token = tokens[t];
+    const cutBefore = t === 0 && openStart;
+    const cutAfter = t === last && openEnd;
+    let tokenMask;
+    if (cutBefore && cutAfter) tokenMask = lookupMatchingTokens(view, candidate => candidate.includes(token));
+    else if (cutBefore) tokenMask = lookupMatchingTokens(view, candidate => candidate.endsWith(token));
+    else if (cutAfter) tokenMask = lookupPrefix(view, token);
+    else tokenMask = lookupTerm(view, token);
+    mask = mask ? intersectInto(mask, tokenMask) : tokenMask;
+  }
+  return mask;
+};
+
+/**
+ * Candidates for rows containing any of several terms (search navigation)
+ * @param {ReturnType<typeof createIndexView>|null} view
+ * @param {string[]} terms
+ * @returns {Uint8Array|null} - null when the index can't narrow the search
+ */
+export const getTermsCandidates = (view, terms) => {
+  if (!view || !terms.length) return null;
+  let mask = null;
+  for (const term of terms) {
+    const termMask = lookupPhrase(view, term);
+    if (!termMask) return null;
+    mask = mask ? unionInto(mask, termMask) : termMask;
+  }
+  return mask;
+};
+
+/**
+ * Candidates for a parsed filter expression (utils/filterExpression.js).
+ * Exclusions never narrow the candidates; regex mode isn't indexed.
+ * @param {ReturnType<typeof createIndexView>|null} view
+ * @param {{includeGroups: Array<{terms: string[]}>}} expression
+ * @param {'text'|'regex'} mode
+ * @returns {Uint8Array|null}
+ */
+export const getFilterCandidates = (view, expression, mode) => {
+  if (!view || mode === 'regex' || !expression.includeGroups.length) return null;
+  let mask = null;
+  for (const group of expression.includeGroups) {
+    let groupMask = null;
+    for (const term of group.terms) {
+      const termMask = lookupPhrase(view, term);
+      if (termMask) groupMask = groupMask ? intersectInto(groupMask, termMask) : termMask;
+    }
+    // A group of unindexable terms could match any row
+    if (!groupMask) return null;
+    mask = mask ? unionInto(mask, groupMask) : groupMask;
+  }
+  return mask;
+};
+
+/**
+ * Candidates for a parsed field query (utils/queryLanguage.js). Plain text
+ * terms are looked up; field terms, comparisons and negations don't narrow.
+ * @param {ReturnType<typeof createIndexView>|null} view
+ * @param {Object|null} ast
+ * @param {'text'|'regex'} mode
+ * @returns {Uint8Array|null}
+ */
+export const getQueryCandidates = (view, ast, mode) => {
+  if (!view || !ast || mode === 'regex') return null;
+  const walk = (node) => {
+    if (node.type === 'text') return lookupPhrase(view, node.term);
+    if (node.type === 'and') {
+      let mask = null;
+      node.children.forEach(child => {
+        const childMask = walk(child);
+        if (childMask) mask = mask ? intersectInto(mask, childMask) : childMask;
+      });
+      return mask;
+    }
+    if (node.type === 'or') {
+      let mask = null;
+      for (const child of node.children) {
+        const childMask = walk(child);
+        if (!childMask) return null;
+        mask = mask ? unionInto(mask, childMask) : childMask;
+      }
+      return mask;
+    }
+    return null;
+  };
+  return walk(ast);
+};
+
+/**
+ * Ids of the candidate rows, for callers working on a copy or subset of the
+ * indexed logs (filtered rows, the flattened list)
+ * @param {ReturnType<typeof createIndexView>|null} view
+ * @param {Uint8Array|null} mask
+ * @returns {Set|null} - null when every row is a candidate
+ */
+export const getCandidateIds = (view, mask) => {
+  if (!view || !mask) return null;
+  const ids = new Set();
+  for (let i = 0; i < mask.length; i++) {
+    if (mask[i]) ids.add(view.logs[i].id);
+  }
+  return ids;
+};
@@ -0,0 +1,28 @@
+/**
+ * Web Worker that builds the token index of one logs array (utils/logIndex.js)
+ * off the main thread.
+ *
+ * Protocol
+ *   in : { type: 'add', texts }   - searchable texts of the next rows, in order
+ *        { type: 'finish' }
+ *   out: { type: 'index', index } - typed arrays are transferred
+ *        { type: 'error', message }
+ */
+
+import { createLogIndexBuilder } from './logIndex.js';
+
+const builder = createLogIndexBuilder();
+
+self.onmessage = (e) => {
+  const { type, texts } = e.data || {};
+  try {
+    if (type === 'add') {
+      builder.add(texts);
+    } else if (type === 'finish') {
+      const index = builder.finish();
+      self.postMessage({ type: 'index', index }, [index.offsets.buffer, index.rows.buffer]);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error?.message || String(error) });
+  }
+};
@@ -46,6 +46,15 @@ export const cleanMessage = (message) => {
     return cleaned;
 };
 
+// Normalized level name ('error', 'warning', 'info', 'debug', 'verbose') of a
+// row's raw level via LOG_LEVEL_MATRIX, or 'other'
+export const getNormalizedLevel = (level) => {
+    const lower = (level || '').toLowerCase().trim();
+    if (!lower) return 'other';
+    const group = LOG_LEVEL_MATRIX.find(variants => variants.some(v => v.toLowerCase().trim() === lower));
+    return group ? group[0] : 'other';
+};
+
 // Get background colors for sticky log labels (lighter colors)
 export const getLevelBackgroundColor = (level) => {
     switch (level) {
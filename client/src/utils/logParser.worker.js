@@ -0,0 +1,58 @@
+/**
+ * Web Worker that parses one log File in chunks off the main thread.
+ *
+ * Protocol
+ *   in : { type: 'parse', file, chunkSize, customFormats }
+ *   out: { type: 'header', headerData }
+ *        { type: 'batch', logs, loaded, total }   - logs completed by this chunk
+ *        { type: 'done', loaded, total }
+ *        { type: 'error', message }
+ */
+
+import { createLogStreamParser } from '../LogParser.js';
+import { parseHeaderInfo } from './fileLoader.js';
+import { setCustomFormatDefinitions } from './customFormats.js';
+
+const DEFAULT_CHUNK_SIZE = 4 * 1024 * 1024;
+
+self.onmessage = async (e) => {
+  const { type, file, chunkSize = DEFAULT_CHUNK_SIZE, customFormats } = e.data || {};
+  if (type !== 'parse') return;
+
+  try {
+    // localStorage is not available here, so the definitions come with the request
+    setCustomFormatDefinitions(customFormats || []);
+
+    const total = file.size;
+    const decoder = new TextDecoder('utf-8');
+    let parser = null;
+    let loaded = 0;
+
+    while (loaded < total) {
+      const end = Math.min(loaded + chunkSize, total);
+      const buffer = await file.slice(loaded, end).arrayBuffer();
+      loaded = end;
+      // stream:true keeps multi-byte characters split across chunks intact
+      const text = decoder.decode(buffer, { stream: loaded < total });
+
+      if (!parser) {
+        // Header lines are always within the first chunk
+        const { headerData, headerLines } = parseHeaderInfo(text);
+        self.postMessage({ type: 'header', headerData });
+        parser = createLogStreamParser({ headerLines });
+      }
+
+      const logs = parser.push(text);
+      if (loaded >= total) logs.push(...parser.flush());
+      self.postMessage({ type: 'batch', logs, loaded, total });
+    }
+
+    if (!parser) {
+      // Empty file
+      self.postMessage({ type: 'header', headerData: {} });
+    }
+    self.postMessage({ type: 'done', loaded: total, total });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error?.message || String(error) });
+  }
+};
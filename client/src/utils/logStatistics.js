@@ -0,0 +1,155 @@
+/**
+ * Statistics of parsed log rows for the Statistics panel: counts by level,
+ * module, process type, thread and source file, the error rate over time,
+ * the noisiest modules and the largest gaps between consecutive rows.
+ *
+ * The result is plain data so it can be exported as JSON as is, or flattened
+ * into CSV with statisticsToCSV.
+ */
+
+import { getNormalizedLevel } from './logLevelColors';
+import { getProcessTypeFromModule } from './processTypeMapper';
+import { chooseBucketSize, formatFilterTimestamp } from './timeline';
+import { csvCell } from './exportLogs';
+
+const UNKNOWN = '(none)';
+
+// Rows that count: not continuations, live gap markers or grep -C context
+const isCountedRow = (log) => !log.isContinuation && !log.isGapMarker && !log.isContextLine;
+
+/**
+ * Process type of a row: the processName learned from its process ID, else
+ * the type of its own module
+ * @param {Object} log
+ * @returns {string}
+ */
+const getProcessType = (log) => {
+  if (log.processName && log.processName !== log.process) return log.processName;
+  return getProcessTypeFromModule(log.module) || UNKNOWN;
+};
+
+const countBy = (rows, keyOf) => {
+  const counts = new Map();
+  rows.forEach(log => {
+    const key = keyOf(log) || UNKNOWN;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  return Array.from(counts, ([key, count]) => ({ key, count })).sort((a, b) => b.count - a.count);
+};
+
+/**
+ * Compute the statistics of a set of rows.
+ * @param {Array} logs - Rows in view, in display order
+ * @param {Object} [options]
+ * @param {number} [options.maxBuckets=60] - Most error-rate buckets
+ * @param {number} [options.topModules=10] - Noisiest modules to list
+ * @param {number} [options.topGaps=10] - Largest gaps to list
+ * @param {(log: Object) => string} [options.sourceOf] - Source label of a row
+ * @returns {Object} { total, startMs, endMs, byLevel, byModule, byProcessType,
+ *   byThread, bySource, errorRate: { bucketMs, buckets }, noisiestModules, largestGaps }
+ */
+export const computeLogStatistics = (logs, { maxBuckets = 60, topModules = 10, topGaps = 10, sourceOf = log => log.sourceFile } = {}) => {
+  const rows = logs.filter(isCountedRow);
+  const timed = rows.filter(log => log.timestampMs != null);
+  let startMs = null;
+  let endMs = null;
+  timed.forEach(log => {
+    if (startMs === null || log.timestampMs < startMs) startMs = log.timestampMs;
+    if (endMs === null || log.timestampMs > endMs) endMs = log.timestampMs;
+  });
+
+  // Error rate: share of error rows per time bucket
+  let errorRate = { bucketMs: null, buckets: [] };
+  if (timed.length) {
+    const bucketMs = chooseBucketSize(Math.max(1, endMs - startMs + 1), maxBuckets);
+    const first = Math.floor(startMs / bucketMs) * bucketMs;
+    const buckets = Array.from(
+      { length: Math.floor((endMs - first) / bucketMs) + 1 },
+      (_, i) => ({ startMs: first + i * bucketMs, total: 0, errors: 0, rate: 0 })
+    );
+    timed.forEach(log => {
+      const bucket = buckets[Math.floor((log.timestampMs - first) / bucketMs)];
+      bucket.total++;
+      if (getNormalizedLevel(log.level) === 'error') bucket.errors++;
+    });
+    buckets.forEach(bucket => { bucket.rate = bucket.total ? bucket.errors / bucket.total : 0; });
+    errorRate = { bucketMs, buckets };
+  }
+
+  // Noisiest modules, with their error and warning counts
+  const modules = new Map();
+  rows.forEach(log => {
+    const key = log.module || UNKNOWN;
+    let entry = modules.get(key);
+    if (!entry) {
+      entry = { key, count: 0, errors: 0, warnings: 0 };
+      modules.set(key, entry);
+    }
+    entry.count++;
+    const level = getNormalizedLevel(log.level);
+    if (level === 'error') entry.errors++;
+    else if (level === 'warning') entry.warnings++;
+  });
+  const byModule = Array.from(modules.values()).sort((a, b) => b.count - a.count);
+
+  // Largest gaps between consecutive timed rows, in display order
+  const gaps = [];
+  for (let i = 1; i < timed.length; i++) {
+    const before = timed[i - 1];
+    const after = timed[i];
+    const gapMs = after.timestampMs - before.timestampMs;
+    if (gapMs <= 0) continue;
+    gaps.push({
+      gapMs,
+      from: before.timestamp,
+      to: after.timestamp,
+      fromLine: before.lineNumber,
+      toLine: after.lineNumber,
+      sourceFile: after.sourceFile || null,
+    });
+  }
+  gaps.sort((a, b) => b.gapMs - a.gapMs);
+
+  return {
+    total: rows.length,
+    startMs,
+    endMs,
+    byLevel: countBy(rows, log => getNormalizedLevel(log.level)),
+    byModule: byModule.map(({ key, count }) => ({ key, count })),
+    byProcessType: countBy(rows, getProcessType),
+    byThread: countBy(rows, log => log.thread),
+    bySource: countBy(rows, sourceOf),
+    errorRate,
+    noisiestModules: byModule.slice(0, topModules),
+    largestGaps: gaps.slice(0, topGaps),
+  };
+};
+
+/**
+ * Flatten statistics into one CSV table: section,key,count,errors,warnings,detail
+ * @param {Object} stats - From computeLogStatistics
+ * @returns {string}
+ */
+export const statisticsToCSV = (stats) => {
+  const rows = [['section', 'key', 'count', 'errors', 'warnings', 'detail']];
+  rows.push(['total', 'rows', stats.total, '', '', '']);
+  [
+    ['level', stats.byLevel],
+    ['module', stats.byModule],
+    ['process_type', stats.byProcessType],
+    ['thread', stats.byThread],
+    ['source', stats.bySource],
+  ].forEach(([section, counts]) => {
+    counts.forEach(({ key, count }) => rows.push([section, key, count, '', '', '']));
+  });
+  stats.errorRate.buckets.forEach(bucket => {
+    rows.push(['error_rate', formatFilterTimestamp(bucket.startMs), bucket.total, bucket.errors, '', bucket.rate.toFixed(4)]);
+  });
+  stats.noisiestModules.forEach(({ key, count, errors, warnings }) => {
+    rows.push(['noisiest_module', key, count, errors, warnings, '']);
+  });
+  stats.largestGaps.forEach(gap => {
+    rows.push(['gap_ms', `${gap.from} -> ${gap.to}`, gap.gapMs, '', '', `lines ${gap.fromLine}-${gap.toLine}${gap.sourceFile ? ` ${gap.sourceFile}` : ''}`]);
+  });
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+};
@@ -9,87 +9,12 @@
  *   - A list of "passthrough" files that should be copied as-is.
  *
  * Mirrors the Python logic 1:1 except that it works on in-memory File objects.
+ * The source table (built-in plus user-defined sources) lives in mergeSources.js.
  */
 
-// ---------------------------------------------------------------------------
-// Timestamp parsers
-// ---------------------------------------------------------------------------
-
-const CATO_TS_RE = /^(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}:\d{3})\s/;
-const DEM_TS_RE = /^\[(\d{2}\/\d{2}\/\d{2} \d{2}:\d{2}:\d{2}\.\d{3})\]/;
-
-/** Parse `YYYY-MM-DD HH:MM:SS:mmm ...` → ms since epoch, or null. */
-export function parseCatoTimestamp(line) {
-  const m = CATO_TS_RE.exec(line);
-  if (!m) return null;
-  const raw = m[1]; // 2026-04-28 23:14:36:308
-  const iso = raw.slice(0, 19).replace(' ', 'T') + '.' + raw.slice(20);
-  const t = Date.parse(iso);
-  return Number.isFinite(t) ? t : null;
-}
-
-/** Parse `[MM/DD/YY HH:MM:SS.mmm] ...` → ms since epoch, or null. */
-export function parseDemTimestamp(line) {
-  const m = DEM_TS_RE.exec(line);
-  if (!m) return null;
-  // MM/DD/YY HH:MM:SS.mmm
-  const [datePart, timePart] = m[1].split(' ');
-  const [mm, dd, yy] = datePart.split('/').map(s => parseInt(s, 10));
-  const fullYear = 2000 + yy;
-  const [hh, mi, rest] = timePart.split(':');
-  const [ss, ms] = rest.split('.');
-  const t = Date.UTC(
-    fullYear, mm - 1, dd,
-    parseInt(hh, 10), parseInt(mi, 10), parseInt(ss, 10), parseInt(ms, 10),
-  );
-  return Number.isFinite(t) ? t : null;
-}
-
-// ---------------------------------------------------------------------------
-// Source configuration — matches mergeLogs.py SOURCES exactly
-// ---------------------------------------------------------------------------
+import { getMergeSources } from './mergeSources';
 
-export const SOURCES = [
-  {
-    key: 'ext',
-    folderName: 'AppExtensionLogs',
-    tag: 'EXT',
-    outputFilename: 'NetworkExtensionLogs.log',
-    parseTs: parseCatoTimestamp,
-    loosePattern: /^(?:CatoNetworks\.CatoVPN\.)?CatoVPNNEExtenstion.*\.log$/,
-  },
-  {
-    key: 'app',
-    folderName: 'AppLogs',
-    tag: 'APP',
-    outputFilename: 'AppLogs.log',
-    parseTs: parseCatoTimestamp,
-    loosePattern: /^(?:CatoNetworks\.)?CatoVPN .*\.log$/,
-  },
-  {
-    key: 'dnsrelay',
-    folderName: 'DNSExtensionLogs',
-    tag: 'DNS',
-    outputFilename: 'DNSExtensionLogs.log',
-    parseTs: parseCatoTimestamp,
-  },
-  {
-    key: 'dem',
-    folderName: 'DemLogs',
-    tag: 'DEM',
-    outputFilename: 'DemLogs.log',
-    parseTs: parseDemTimestamp,
-  },
-  {
-    key: 'daemon',
-    folderName: 'daemon_log.txt',
-    tag: 'DAEMON',
-    outputFilename: 'daemon_log.txt',
-    parseTs: parseCatoTimestamp,
-  },
-];
-
-const SOURCE_BY_KEY = Object.fromEntries(SOURCES.map(s => [s.key, s]));
+export { parseCatoTimestamp, parseDemTimestamp } from './mergeSources';
 
 // ---------------------------------------------------------------------------
 // Parsing
@@ -131,13 +56,14 @@ export function parseLogText(text, tag, parseTs) {
  * buckets.  Mirrors `discover_sources` + `unwrap_single_dir` from the Python.
  *
  * @param {File[]} files
+ * @param {Array} [sources]  Resolved sources (default: getMergeSources())
  * @returns {{
  *   fileMap: Record<string, File[]>,
  *   passthrough: File[],
  *   baseDir: string,
  * }}
  */
-export function discoverSources(files) {
+export function discoverSources(files, sources = getMergeSources()) {
   if (!files.length) {
     return { fileMap: {}, passthrough: [], baseDir: '' };
   }
@@ -152,12 +78,12 @@ export function discoverSources(files) {
     return parts[0] === root ? parts.slice(1).join('/') : p;
   };
 
-  const fileMap = Object.fromEntries(SOURCES.map(s => [s.key, []]));
+  const fileMap = Object.fromEntries(sources.map(s => [s.key, []]));
   const consumed = new Set(); // relative paths we've claimed
   const passthrough = [];
 
   // 1) Subdirectory-based sources (AppLogs/, AppExtensionLogs/, …)
-  for (const src of SOURCES) {
+  for (const src of sources) {
     if (src.folderName.endsWith('.txt') || src.folderName.endsWith('.log')) {
       continue; // single-file sources, handled below
     }
@@ -175,7 +101,7 @@ export function discoverSources(files) {
   }
 
   // 2) Single-file sources at the root (daemon_log.txt)
-  for (const src of SOURCES) {
+  for (const src of sources) {
     if (!src.folderName.endsWith('.txt') && !src.folderName.endsWith('.log')) continue;
     for (const f of files) {
       const rel = stripRoot(f.webkitRelativePath || f.name);
@@ -198,7 +124,7 @@ export function discoverSources(files) {
     if (parts.length !== 1) continue; // root-level only
     const name = parts[0];
     if (name.startsWith('.')) continue;
-    const matched = SOURCES.find(s => s.loosePattern && s.loosePattern.test(name));
+    const matched = sources.find(s => s.loosePattern && s.loosePattern.test(name));
     if (matched) {
       fileMap[matched.key].push(f);
       consumed.add(rel);
@@ -229,8 +155,8 @@ export function discoverSources(files) {
 
 const CONTINUATION_INDENT = ' '.repeat(24);
 
-function formatTaggedLine(tag, line) {
-  for (const re of [CATO_TS_RE, DEM_TS_RE]) {
+function formatTaggedLine(tag, line, tsRegexes) {
+  for (const re of tsRegexes) {
     const m = re.exec(line);
     if (m) {
       const pos = m[0].length; // includes trailing space (CATO) / nothing (DEM)
@@ -246,15 +172,20 @@ function formatTaggedLine(tag, line) {
  * @param {File[]} files            All files from a folder picker.
  * @param {string[]} mergeSelected  Source keys included in merged.log
  *                                  (default ['app','ext'] like the Python).
+ * @param {Array} [sources]         Resolved sources (default: getMergeSources())
+ * @param {Object} [clockOffsets]   Source key -> ms added to that source's
+ *                                  timestamps before interleaving (clock skew)
  */
-export async function mergeLogs(files, mergeSelected = ['app', 'ext']) {
-  const { fileMap, passthrough, baseDir } = discoverSources(files);
+export async function mergeLogs(files, mergeSelected = ['app', 'ext'], sources = getMergeSources(), clockOffsets = {}) {
+  const { fileMap, passthrough, baseDir } = discoverSources(files, sources);
+  const sourceByKey = Object.fromEntries(sources.map(s => [s.key, s]));
+  const tsRegexes = [...new Set(sources.map(s => s.tsRegex))];
 
   // Per-source parse + sort
   const sourceEntries = {};   // key -> entries[]
   const perSourceOutput = {}; // outputFilename -> string
 
-  for (const src of SOURCES) {
+  for (const src of sources) {
     const list = fileMap[src.key] || [];
     if (!list.length) continue;
 
@@ -278,10 +209,14 @@ export async function mergeLogs(files, mergeSelected = ['app', 'ext']) {
   // Cross-source merged.log
   const allEntries = [];
   const producedTags = [];
+  const offsetNotes = [];
   for (const key of mergeSelected) {
     if (sourceEntries[key]) {
-      allEntries.push(...sourceEntries[key]);
-      producedTags.push(SOURCE_BY_KEY[key].tag);
+      // Only the merged ordering moves; per-source output keeps original times
+      const offset = clockOffsets[key] || 0;
+      allEntries.push(...(offset ? sourceEntries[key].map(e => ({ ...e, ts: e.ts + offset })) : sourceEntries[key]));
+      producedTags.push(sourceByKey[key].tag);
+      if (offset) offsetNotes.push(`${sourceByKey[key].tag} ${offset > 0 ? '+' : ''}${offset} ms`);
     }
   }
 
@@ -296,11 +231,12 @@ export async function mergeLogs(files, mergeSelected = ['app', 'ext']) {
     let header = '';
     if (infoFile) header += (await infoFile.text()).trim() + '\n';
     header += `Merged sources: ${producedTags.join(', ')}\n`;
+    if (offsetNotes.length) header += `Clock offsets: ${offsetNotes.join(', ')}\n`;
     header += '='.repeat(72) + '\n\n';
 
     let body = '';
     for (const e of allEntries) {
-      body += formatTaggedLine(e.tag, e.lines[0]) + '\n';
+      body += formatTaggedLine(e.tag, e.lines[0], tsRegexes) + '\n';
       for (let i = 1; i < e.lines.length; i++) {
         body += `${CONTINUATION_INDENT}[${e.tag}] ${e.lines[i]}\n`;
       }
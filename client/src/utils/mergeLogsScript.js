@@ -5,78 +5,12 @@
 //         script produces (per-source .log files, merged.log, plus
 //         pass-through copies of every other file in the source folder).
 //
-// Logic mirrors mergeLogs.py 1:1 — keep them in sync.
+// Logic mirrors mergeLogs.py 1:1 — keep them in sync. The source table
+// (built-in plus user-defined sources) lives in mergeSources.js.
 
 import JSZip from 'jszip';
+import { getMergeSources } from './mergeSources';
 
-// ---------------------------------------------------------------------------
-// Timestamp parsing
-// ---------------------------------------------------------------------------
-
-const CATO_TS_RE = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2}):(\d{3})\s/;
-const DEM_TS_RE = /^\[(\d{2})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2}):(\d{2})\.(\d{3})\]/;
-
-function parseCatoTimestamp(line) {
-  const m = CATO_TS_RE.exec(line);
-  if (!m) return null;
-  const [, y, mo, d, h, mi, s, ms] = m;
-  return Date.UTC(+y, +mo - 1, +d, +h, +mi, +s, +ms);
-}
-
-function parseDemTimestamp(line) {
-  const m = DEM_TS_RE.exec(line);
-  if (!m) return null;
-  const [, mo, d, y, h, mi, s, ms] = m;
-  // 2-digit year: assume 2000+
-  return Date.UTC(2000 + +y, +mo - 1, +d, +h, +mi, +s, +ms);
-}
-
-// ---------------------------------------------------------------------------
-// Source configuration — same order/keys as the python script
-// ---------------------------------------------------------------------------
-
-const SOURCES = [
-  {
-    key: 'ext',
-    folderName: 'AppExtensionLogs',
-    tag: 'EXT',
-    outputFilename: 'NetworkExtensionLogs.log',
-    parseTs: parseCatoTimestamp,
-    loosePattern: /^(?:CatoNetworks\.CatoVPN\.)?CatoVPNNEExtenstion.*\.log$/,
-  },
-  {
-    key: 'app',
-    folderName: 'AppLogs',
-    tag: 'APP',
-    outputFilename: 'AppLogs.log',
-    parseTs: parseCatoTimestamp,
-    loosePattern: /^(?:CatoNetworks\.)?CatoVPN .*\.log$/,
-  },
-  {
-    key: 'dnsrelay',
-    folderName: 'DNSExtensionLogs',
-    tag: 'DNS',
-    outputFilename: 'DNSExtensionLogs.log',
-    parseTs: parseCatoTimestamp,
-  },
-  {
-    key: 'dem',
-    folderName: 'DemLogs',
-    tag: 'DEM',
-    outputFilename: 'DemLogs.log',
-    parseTs: parseDemTimestamp,
-  },
-  {
-    key: 'daemon',
-    folderName: 'daemon_log.txt',
-    tag: 'DAEMON',
-    outputFilename: 'daemon_log.txt',
-    parseTs: parseCatoTimestamp,
-  },
-];
-
-const SOURCE_BY_KEY = Object.fromEntries(SOURCES.map((s) => [s.key, s]));
-const ALL_KEYS = SOURCES.map((s) => s.key);
 const CONTINUATION_INDENT = ' '.repeat(24);
 
 // ---------------------------------------------------------------------------
@@ -152,8 +86,8 @@ function findItem(node, name, isDir) {
   return null;
 }
 
-function classifyLooseFile(name) {
-  for (const src of SOURCES) {
+function classifyLooseFile(name, sources) {
+  for (const src of sources) {
     if (src.loosePattern && src.loosePattern.test(name)) return src.key;
   }
   return null;
@@ -161,11 +95,11 @@ function classifyLooseFile(name) {
 
 // Discover sources at the base level. Returns { fileMap, consumed }.
 // fileMap: key -> Array<{file, name}>; consumed: Set of base-level names.
-function discoverSources(base) {
-  const fileMap = Object.fromEntries(SOURCES.map((s) => [s.key, []]));
+function discoverSources(base, sources) {
+  const fileMap = Object.fromEntries(sources.map((s) => [s.key, []]));
   const consumed = new Set();
 
-  for (const src of SOURCES) {
+  for (const src of sources) {
     const folder = findItem(base, src.folderName, true);
     if (folder) {
       consumed.add(folder.viaDir || folder.name);
@@ -187,7 +121,7 @@ function discoverSources(base) {
   const baseFileNames = Array.from(base.files.keys()).sort();
   for (const name of baseFileNames) {
     if (name.startsWith('.') || consumed.has(name)) continue;
-    const key = classifyLooseFile(name);
+    const key = classifyLooseFile(name, sources);
     if (key !== null) {
       fileMap[key].push({ name, file: base.files.get(name) });
       consumed.add(name);
@@ -252,8 +186,8 @@ async function parseSourceFiles(items, src) {
 // Writing
 // ---------------------------------------------------------------------------
 
-function formatTaggedLine(tag, line) {
-  for (const re of [CATO_TS_RE, DEM_TS_RE]) {
+function formatTaggedLine(tag, line, tsRegexes) {
+  for (const re of tsRegexes) {
     const m = re.exec(line);
     if (m) {
       const pos = m[0].length;
@@ -267,8 +201,8 @@ function entryToPlain(entry) {
   return entry.lines.join('\n') + '\n';
 }
 
-function entryToTagged(entry) {
-  const out = [formatTaggedLine(entry.tag, entry.lines[0])];
+function entryToTagged(entry, tsRegexes) {
+  const out = [formatTaggedLine(entry.tag, entry.lines[0], tsRegexes)];
   for (let i = 1; i < entry.lines.length; i++) {
     out.push(`${CONTINUATION_INDENT}[${entry.tag}] ${entry.lines[i]}`);
   }
@@ -316,6 +250,10 @@ function addDirRecursive(zipFolder, node) {
  * @param {object} [opts]
  * @param {string[]} [opts.mergeSelected] keys to include in merged.log
  *        (default: all)
+ * @param {Array} [opts.sources] resolved merge sources
+ *        (default: getMergeSources() — built-in plus enabled custom sources)
+ * @param {Object} [opts.clockOffsets] source key -> ms added to that source's
+ *        timestamps before interleaving into merged.log (clock-skew fix)
  * @param {string} [opts.outputFolderName] name for the top-level folder
  *        inside the produced .zip (default: '<root>_merged' or 'logs_merged')
  * @returns {Promise<{ blob: Blob, fileName: string, log: string[] }>}
@@ -323,17 +261,20 @@ function addDirRecursive(zipFolder, node) {
 export async function mergeLogsToZip(files, opts = {}) {
   if (!files || !files.length) throw new Error('no files supplied');
 
+  const sources = opts.sources || getMergeSources();
+  const sourceByKey = Object.fromEntries(sources.map((s) => [s.key, s]));
+  const tsRegexes = [...new Set(sources.map((s) => s.tsRegex))];
   const mergeSelected = (opts.mergeSelected && opts.mergeSelected.length)
     ? opts.mergeSelected
-    : ALL_KEYS;
+    : sources.map((s) => s.key);
 
   const { base, baseSegments } = buildFsTree(files);
-  const { fileMap, consumed } = discoverSources(base);
+  const { fileMap, consumed } = discoverSources(base, sources);
 
   const log = [];
   const sourceEntries = {};
 
-  for (const src of SOURCES) {
+  for (const src of sources) {
     const items = fileMap[src.key];
     if (!items.length) { log.push(`  [skip] ${src.tag}: no files found`); continue; }
     const entries = await parseSourceFiles(items, src);
@@ -343,6 +284,17 @@ export async function mergeLogsToZip(files, opts = {}) {
     log.push(`  ${src.tag}: ${entries.length.toLocaleString()} entries from ${items.length} file(s) -> ${src.outputFilename}`);
   }
 
+  // Clock-skew correction only moves entries within merged.log; the lines
+  // themselves and the per-source files keep the original timestamps.
+  const clockOffsets = opts.clockOffsets || {};
+  const offsetNotes = [];
+  for (const src of sources) {
+    const offset = clockOffsets[src.key];
+    if (!offset || !sourceEntries[src.key] || !mergeSelected.includes(src.key)) continue;
+    for (const e of sourceEntries[src.key]) e.timestamp += offset;
+    offsetNotes.push(`${src.tag} ${offset > 0 ? '+' : ''}${offset} ms`);
+  }
+
   // Build the output zip.
   const zip = new JSZip();
   const rootName = opts.outputFolderName
@@ -350,7 +302,7 @@ export async function mergeLogsToZip(files, opts = {}) {
   const outRoot = zip.folder(rootName);
 
   // Per-source plain files.
-  for (const src of SOURCES) {
+  for (const src of sources) {
     const entries = sourceEntries[src.key];
     if (!entries) continue;
     const text = entries.map(entryToPlain).join('');
@@ -364,7 +316,7 @@ export async function mergeLogsToZip(files, opts = {}) {
     const entries = sourceEntries[key];
     if (!entries) continue;
     for (const e of entries) merged.push(e);
-    producedTags.push(SOURCE_BY_KEY[key].tag);
+    producedTags.push(sourceByKey[key].tag);
   }
 
   if (merged.length) {
@@ -376,8 +328,9 @@ export async function mergeLogsToZip(files, opts = {}) {
       catch (_) { /* ignore */ }
     }
     header += `Merged sources: ${producedTags.join(', ')}\n`;
+    if (offsetNotes.length) header += `Clock offsets: ${offsetNotes.join(', ')}\n`;
     header += '='.repeat(72) + '\n\n';
-    outRoot.file('merged.log', header + merged.map(entryToTagged).join(''));
+    outRoot.file('merged.log', header + merged.map((e) => entryToTagged(e, tsRegexes)).join(''));
     log.push(`  merged.log: ${merged.length.toLocaleString()} entries (${producedTags.join(' + ')})`);
   } else {
     log.push('  [skip] merged.log: no entries from selected sources');
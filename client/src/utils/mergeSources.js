@@ -0,0 +1,232 @@
+/**
+ * Merge source registry shared by mergeLogs.js and mergeLogsScript.js.
+ *
+ * A merge source describes one kind of log in a diagnostics bundle: the folder
+ * (or single file) it lives in, the per-source output file, the [TAG] used in
+ * merged.log and how to read the timestamp at the start of each entry.
+ *
+ * The built-in sources match the SOURCES table of mergeLogs.py. Teams can add
+ * their own (e.g. Windows service logs); those are persisted in localStorage
+ * and resolved next to the built-ins by getMergeSources.
+ */
+
+import { compileTimestampPattern, parseCustomTimestamp } from './customFormats';
+
+const STORAGE_KEY = 'logViewer_mergeSources';
+
+// Prefix for the keys of user-defined sources so they never collide with the
+// built-in keys ('app', 'ext', ...).
+export const CUSTOM_MERGE_SOURCE_PREFIX = 'custom:';
+
+// ---------------------------------------------------------------------------
+// Timestamp parsers
+// ---------------------------------------------------------------------------
+
+export const CATO_TS_RE = /^(\d{4})-(\d{2})-(\d{2}) (\d{2}):(\d{2}):(\d{2}):(\d{3})\s/;
+export const DEM_TS_RE = /^\[(\d{2})\/(\d{2})\/(\d{2}) (\d{2}):(\d{2}):(\d{2})\.(\d{3})\]/;
+
+/** Parse `YYYY-MM-DD HH:MM:SS:mmm ...` → ms since epoch, or null. */
+export function parseCatoTimestamp(line) {
+  const m = CATO_TS_RE.exec(line);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s, ms] = m;
+  return Date.UTC(+y, +mo - 1, +d, +h, +mi, +s, +ms);
+}
+
+/** Parse `[MM/DD/YY HH:MM:SS.mmm] ...` → ms since epoch, or null. */
+export function parseDemTimestamp(line) {
+  const m = DEM_TS_RE.exec(line);
+  if (!m) return null;
+  const [, mo, d, y, h, mi, s, ms] = m;
+  // 2-digit year: assume 2000+
+  return Date.UTC(2000 + +y, +mo - 1, +d, +h, +mi, +s, +ms);
+}
+
+// Named parsers a source can refer to. `regex` matches the timestamp prefix;
+// formatTaggedLine inserts the [TAG] right after it.
+export const TIMESTAMP_PARSERS = {
+  cato: { label: 'Cato (YYYY-MM-DD HH:mm:ss:SSS)', regex: CATO_TS_RE, parse: parseCatoTimestamp },
+  dem: { label: 'DEM ([MM/DD/YY HH:mm:ss.SSS])', regex: DEM_TS_RE, parse: parseDemTimestamp },
+};
+
+// ---------------------------------------------------------------------------
+// Built-in sources — same order/keys as mergeLogs.py
+// ---------------------------------------------------------------------------
+
+export const BUILT_IN_MERGE_SOURCES = [
+  {
+    key: 'ext',
+    folderName: 'AppExtensionLogs',
+    tag: 'EXT',
+    outputFilename: 'NetworkExtensionLogs.log',
+    parser: 'cato',
+    loosePattern: '^(?:CatoNetworks\\.CatoVPN\\.)?CatoVPNNEExtenstion.*\\.log$',
+  },
+  {
+    key: 'app',
+    folderName: 'AppLogs',
+    tag: 'APP',
+    outputFilename: 'AppLogs.log',
+    parser: 'cato',
+    loosePattern: '^(?:CatoNetworks\\.)?CatoVPN .*\\.log$',
+  },
+  {
+    key: 'dnsrelay',
+    folderName: 'DNSExtensionLogs',
+    tag: 'DNS',
+    outputFilename: 'DNSExtensionLogs.log',
+    parser: 'cato',
+  },
+  {
+    key: 'dem',
+    folderName: 'DemLogs',
+    tag: 'DEM',
+    outputFilename: 'DemLogs.log',
+    parser: 'dem',
+  },
+  {
+    key: 'daemon',
+    folderName: 'daemon_log.txt',
+    tag: 'DAEMON',
+    outputFilename: 'daemon_log.txt',
+    parser: 'cato',
+  },
+];
+
+// ---------------------------------------------------------------------------
+// Resolving definitions
+// ---------------------------------------------------------------------------
+
+// Timestamp parser for a custom pattern such as "YYYY-MM-DD HH:mm:ss.SSS".
+// The timestamp must start the line, optionally wrapped in [brackets].
+const buildPatternParser = (timestampPattern) => {
+  const compiled = compileTimestampPattern(timestampPattern);
+  const body = compiled.regex.source.replace(/^\^/, '').replace(/\$$/, '');
+  const regex = new RegExp(`^\\[?(${body})\\]?`);
+  const parse = (line) => {
+    const m = regex.exec(line);
+    if (!m) return null;
+    const parsed = parseCustomTimestamp(m[1], compiled);
+    if (!parsed) return null;
+    // Compare wall-clock times like the built-in parsers do
+    const [y, mo, d] = parsed.isoDate.split('-').map(Number);
+    const [h, mi, rest] = parsed.time.split(':');
+    const [s, ms] = rest.split('.');
+    return Date.UTC(y, mo - 1, d, +h, +mi, +s, +ms);
+  };
+  return { regex, parse };
+};
+
+/**
+ * Turn a source definition into the shape the merge code uses:
+ * `{ key, label, folderName, tag, outputFilename, parseTs, tsRegex, loosePattern, builtIn }`.
+ * Throws when the timestamp parser or loose pattern is invalid.
+ * @param {Object} def - Built-in or custom source definition
+ * @returns {Object} - Resolved source
+ */
+export const resolveMergeSource = (def) => {
+  let timestamp;
+  if (def.timestampPattern) {
+    timestamp = buildPatternParser(def.timestampPattern);
+  } else {
+    timestamp = TIMESTAMP_PARSERS[def.parser];
+    if (!timestamp) throw new Error(`Unknown timestamp parser "${def.parser}"`);
+  }
+  let loosePattern = null;
+  if (def.loosePattern) {
+    try {
+      loosePattern = new RegExp(def.loosePattern);
+    } catch (e) {
+      throw new Error(`Invalid loose file pattern: ${e.message}`);
+    }
+  }
+  return {
+    key: def.key,
+    label: def.label || def.tag,
+    folderName: def.folderName,
+    tag: def.tag,
+    outputFilename: def.outputFilename,
+    parseTs: timestamp.parse,
+    tsRegex: timestamp.regex,
+    loosePattern,
+    builtIn: !!def.builtIn,
+  };
+};
+
+/**
+ * Check a custom source definition against the other sources.
+ * @param {Object} def - Custom source definition
+ * @param {Array} others - Every other built-in and custom definition
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateMergeSource = (def, others) => {
+  const folderName = (def.folderName || '').trim();
+  const outputFilename = (def.outputFilename || '').trim();
+  const tag = (def.tag || '').trim();
+  if (!folderName) return 'Folder or file name is required';
+  if (folderName.includes('/')) return 'Folder or file name must be a single path segment';
+  if (!outputFilename) return 'Output filename is required';
+  if (outputFilename === 'merged.log') return 'merged.log is reserved for the cross-source output';
+  if (!/^[A-Za-z0-9_-]+$/.test(tag)) return 'Tag must be letters, digits, "-" or "_"';
+  if (!def.timestampPattern && !TIMESTAMP_PARSERS[def.parser]) return 'Pick a timestamp parser or enter a pattern';
+  try {
+    resolveMergeSource({ ...def, key: def.key || 'draft' });
+  } catch (e) {
+    return e.message;
+  }
+  const clash = others.find(o => o.key !== def.key && (
+    o.folderName === folderName || o.outputFilename === outputFilename || o.tag === tag
+  ));
+  if (clash) return `Clashes with the ${clash.label || clash.tag} source (same folder, output file or tag)`;
+  return null;
+};
+
+// ---------------------------------------------------------------------------
+// Persistence
+// ---------------------------------------------------------------------------
+
+/**
+ * Load custom source definitions from localStorage
+ * @returns {Array} - Custom source definitions
+ */
+export const loadCustomMergeSources = () => {
+  try {
+    const saved = localStorage.getItem(STORAGE_KEY);
+    const parsed = saved ? JSON.parse(saved) : [];
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    console.error('Failed to load merge sources:', error);
+    return [];
+  }
+};
+
+/**
+ * Persist custom source definitions
+ * @param {Array} sources - Custom source definitions
+ */
+export const saveCustomMergeSources = (sources) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(sources));
+  } catch (error) {
+    console.error('Failed to save merge sources:', error);
+  }
+};
+
+/**
+ * Built-in plus enabled custom sources, resolved and ready for merging.
+ * Invalid custom definitions are skipped with a warning.
+ * @param {Array} [customSources] - Custom definitions (default: from localStorage)
+ * @returns {Array} - Resolved sources, built-ins first
+ */
+export const getMergeSources = (customSources = loadCustomMergeSources()) => {
+  const sources = BUILT_IN_MERGE_SOURCES.map(def => resolveMergeSource({ ...def, builtIn: true }));
+  customSources.forEach(def => {
+    if (def.enabled === false) return;
+    try {
+      sources.push(resolveMergeSource(def));
+    } catch (error) {
+      console.warn(`Skipping merge source "${def.label || def.tag}":`, error.message);
+    }
+  });
+  return sources;
+};
@@ -0,0 +1,133 @@
+/**
+ * Message templates for the "Group Similar Lines" view.
+ *
+ * Variable parts of a message (UUIDs, IP addresses, hex ids, numbers) are
+ * replaced with placeholders, so "Connected to 10.0.0.1 in 35 ms" and
+ * "Connected to 10.0.0.7 in 120 ms" share the template
+ * "Connected to <IP> in <NUM> ms". A template converts back to a msg:/regex/
+ * query term that matches its instances.
+ */
+
+import { getNormalizedLevel } from './logLevelColors';
+
+// Applied in order: later patterns must not eat parts of earlier placeholders
+const PLACEHOLDERS = [
+  {
+    name: 'UUID',
+    pattern: /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+    source: '[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}',
+  },
+  {
+    name: 'IP',
+    pattern: /\b\d{1,3}(?:\.\d{1,3}){3}(?::\d+)?\b/g,
+    source: '\\d{1,3}(?:\\.\\d{1,3}){3}(?::\\d+)?',
+  },
+  {
+    // 0x-prefixed, or 8+ hex digits mixing digits and letters (ids, hashes)
+    name: 'HEX',
+    pattern: /\b(?:0x[0-9a-f]+|(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{8,})\b/gi,
+    source: '(?:0[xX])?[0-9a-fA-F]+',
+  },
+  {
+    // Not part of a word like Win32, but "15ms" and "pop-12" count
+    name: 'NUM',
+    pattern: /(?<![A-Za-z_\d])\d+(?:\.\d+)?/g,
+    source: '\\d+(?:\\.\\d+)?',
+  },
+];
+
+const PLACEHOLDER_NAMES = PLACEHOLDERS.map(p => p.name).join('|');
+// Capturing, so split() keeps the placeholder names
+const PLACEHOLDER_SPLIT_RE = new RegExp(`<(${PLACEHOLDER_NAMES})>`);
+const STARTS_WITH_PLACEHOLDER_RE = new RegExp(`^<(${PLACEHOLDER_NAMES})>`);
+
+// Longest template turned into a regex; longer ones match on their start
+const MAX_REGEX_TEMPLATE_LENGTH = 160;
+
+/**
+ * Template of a message
+ * @param {string} message
+ * @returns {string}
+ */
+export const templatizeMessage = (message) =>
+  PLACEHOLDERS.reduce((text, { name, pattern }) => text.replace(pattern, `<${name}>`), (message || '').trim());
+
+/**
+ * Group rows by message template. Continuation lines and live gap markers
+ * are skipped.
+ * @param {Array} logs
+ * @returns {Array<{template: string, count: number, levels: Object, firstLog: Object, lastLog: Object, sample: string}>}
+ *   most frequent first; levels is { error: n, warning: n, ... }
+ */
+export const groupLogsByTemplate = (logs) => {
+  const groups = new Map();
+  logs.forEach(log => {
+    if (log.isContinuation || log.isGapMarker) return;
+    const template = templatizeMessage(log.message);
+    let group = groups.get(template);
+    if (!group) {
+      group = { template, count: 0, levels: {}, firstLog: log, lastLog: log, sample: log.message };
+      groups.set(template, group);
+    }
+    group.count++;
+    const level = getNormalizedLevel(log.level);
+    group.levels[level] = (group.levels[level] || 0) + 1;
+    // Rows are usually in time order, but the combined view may hold ties
+    if (log.timestampMs != null && (group.firstLog.timestampMs == null || log.timestampMs < group.firstLog.timestampMs)) group.firstLog = log;
+    if (log.timestampMs != null && (group.lastLog.timestampMs == null || log.timestampMs >= group.lastLog.timestampMs)) group.lastLog = log;
+  });
+  return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+};
+
+const escapeRegexLiteral = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * msg:/regex/ query term matching the messages of a template. Templates
+ * longer than MAX_REGEX_TEMPLATE_LENGTH are matched on their start only.
+ * Whitespace runs (line breaks of multi-line messages too) match any
+ * whitespace, so the term stays on one line.
+ * @param {string} template
+ * @returns {string}
+ */
+export const getTemplateQuery = (template) => {
+  let text = template;
+  let anchoredEnd = true;
+  if (text.length > MAX_REGEX_TEMPLATE_LENGTH) {
+    text = text.slice(0, MAX_REGEX_TEMPLATE_LENGTH);
+    // Don't cut a placeholder in half
+    const open = text.lastIndexOf('<');
+    if (open >= 0 && !STARTS_WITH_PLACEHOLDER_RE.test(text.slice(open))) text = text.slice(0, open);
+    anchoredEnd = false;
+  }
+  const source = text
+    .split(PLACEHOLDER_SPLIT_RE)
+    // split() with a capture group alternates literal text and placeholder names
+    .map((part, i) => (i % 2 ? PLACEHOLDERS.find(p => p.name === part).source : escapeRegexLiteral(part).replace(/\s+/g, '\\s+')))
+    .join('');
+  return `msg:/^\\s*${source}${anchoredEnd ? '\\s*$' : ''}/`;
+};
+
+/**
+ * Filter text with a template excluded: the existing expression AND NOT the
+ * template's query term
+ * @param {string} searchText - Current filter text
+ * @param {string} template
+ * @returns {string}
+ */
+export const addTemplateExclusion = (searchText, template) => {
+  const exclusion = `!${getTemplateQuery(template)}`;
+  const current = (searchText || '').trim();
+  if (!current) return exclusion;
+  if (current.includes(exclusion)) return current;
+  // Parenthesize an OR so the exclusion applies to all of it
+  return current.includes('||') ? `(${current}) && ${exclusion}` : `${current} && ${exclusion}`;
+};
+
+/**
+ * Whether a filter text already excludes a template
+ * @param {string} searchText
+ * @param {string} template
+ * @returns {boolean}
+ */
+export const isTemplateExcluded = (searchText, template) =>
+  (searchText || '').includes(`!${getTemplateQuery(template)}`);
@@ -0,0 +1,400 @@
+/**
+ * Field-qualified query language for the filter and search boxes.
+ *
+ *   level:error              level (matches every spelling in LOG_LEVEL_MATRIX)
+ *   module:Tunnel*           whole-value match, * and ? wildcards
+ *   thread:12  process:Extn  whole-value match
+ *   file:AppLogs  msg:retry  substring match
+ *   msg:/time(d)? ?out/i     regex on the field
+ *   field:"two words"        quoted value, no wildcards
+ *   gap>5s  gap<=200ms       time since the previous row (s, ms or m; default s)
+ *   line>=415                line number
+ *   a && b, a || b, !a, ( )  as in the plain filter syntax
+ *   level:error timeout      a space after a field term is an implicit &&
+ *   #gap=5, #415 :: #600     existing directives, handled by the filter itself
+ *
+ * Anything that is not a known field stays a plain term matched against the
+ * whole row (getSearchableText), so plain expressions keep working. A query is
+ * only parsed with this grammar when it uses a field (isQueryExpression);
+ * parse errors carry the character range to highlight in the input, and
+ * whether a field term was recognized before the failure (afterField). Text
+ * that looks like a query but doesn't parse ("open file: foo") is matched with
+ * the plain filter syntax instead (getQueryAst).
+ */
+
+import { LOG_LEVEL_MATRIX } from '../constants';
+import { getSearchableText } from './filterExpression';
+
+// Fields matched with field:value
+export const TEXT_FIELDS = ['level', 'module', 'thread', 'process', 'file', 'msg'];
+// Fields compared with > >= < <= =
+export const NUMERIC_FIELDS = ['gap', 'line'];
+
+// Fields matched as substrings rather than whole values
+const SUBSTRING_FIELDS = new Set(['file', 'msg']);
+const COMPARISON_OPERATORS = ['>=', '<=', '>', '<', '='];
+const GAP_UNITS = { ms: 1, s: 1000, m: 60000 };
+
+const QUERY_DETECT_RE = new RegExp(
+  `(?:^|[\\s(!&|])(?:(?:${TEXT_FIELDS.join('|')}):|(?:${NUMERIC_FIELDS.join('|')})\\s*[<>=])`
+);
+
+// A field term starting right here (used to end a plain term before it)
+const FIELD_START_RE = new RegExp(
+  `^(?:(?:${TEXT_FIELDS.join('|')}):|(?:${NUMERIC_FIELDS.join('|')})\\s*[<>=])`
+);
+
+/** Whether the text uses the field-qualified grammar (vs. the plain filter syntax). */
+export const isQueryExpression = (text) => !!text && QUERY_DETECT_RE.test(text);
+
+export class QueryParseError extends Error {
+  constructor(message, start, end) {
+    super(message);
+    this.name = 'QueryParseError';
+    this.start = start;
+    this.end = Math.max(end, start + 1);
+    // Set by parseQuery: a field:value or comparison term began before the
+    // failure, so the text was meant as a query
+    this.afterField = false;
+  }
+}
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const globToRegex = (glob, flags) =>
+  new RegExp(`^${glob.split('').map(ch => (ch === '*' ? '.*' : ch === '?' ? '.' : escapeRegex(ch))).join('')}$`, flags);
+
+const normalizeLevel = (value) => {
+  const lower = (value || '').toLowerCase().trim();
+  const group = LOG_LEVEL_MATRIX.find(levels =>
+    levels.some(variant => variant.toLowerCase().trim().replace(/^\[|\]$|:$/g, '') === lower.replace(/^\[|\]$|:$/g, ''))
+  );
+  return group ? group[0] : lower;
+};
+
+/**
+ * Parse a query.
+ * @param {string} text
+ * @param {{mode?: 'text'|'regex', caseSensitive?: boolean}} [options]
+ *   Plain terms follow the box's text/regex mode and case setting; field
+ *   values are case-insensitive unless caseSensitive is set.
+ * @returns {{ast: Object|null, error: QueryParseError|null}}
+ */
+export const parseQuery = (text, { mode = 'text', caseSensitive = false } = {}) => {
+  const flags = caseSensitive ? '' : 'i';
+  let pos = 0;
+  let fieldSeen = false;
+
+  const skipSpaces = () => { while (pos < text.length && /\s/.test(text[pos])) pos++; };
+  const startsWithAt = (token) => text.startsWith(token, pos);
+  const atOperator = () => startsWithAt('&&') || startsWithAt('||') || text[pos] === ')';
+
+  const compileRegex = (source, regexFlags, start, end) => {
+    try {
+      return new RegExp(source, regexFlags);
+    } catch (e) {
+      throw new QueryParseError(`Invalid regex: ${e.message}`, start, end);
+    }
+  };
+
+  // "..." starting at pos; returns the unquoted text
+  const readQuoted = () => {
+    const start = pos;
+    const close = text.indexOf('"', pos + 1);
+    if (close === -1) throw new QueryParseError('Unterminated quote', start, text.length);
+    pos = close + 1;
+    return text.slice(start + 1, close);
+  };
+
+  // /.../flags starting at pos
+  const readRegex = () => {
+    const start = pos;
+    let i = pos + 1;
+    let source = '';
+    while (i < text.length && text[i] !== '/') {
+      if (text[i] === '\\' && i + 1 < text.length) { source += text[i] + text[i + 1]; i += 2; }
+      else source += text[i++];
+    }
+    if (i >= text.length) throw new QueryParseError('Unterminated regex (missing closing /)', start, text.length);
+    i++;
+    let regexFlags = '';
+    while (i < text.length && /[imsu]/.test(text[i])) regexFlags += text[i++];
+    pos = i;
+    if (!source) throw new QueryParseError('Empty regex', start, pos);
+    if (!caseSensitive && !regexFlags.includes('i')) regexFlags += 'i';
+    return compileRegex(source, regexFlags, start, pos);
+  };
+
+  // Bare field value: up to whitespace, ')' or an operator
+  const readBare = () => {
+    const start = pos;
+    while (pos < text.length && !/\s/.test(text[pos]) && !atOperator()) pos++;
+    return text.slice(start, pos);
+  };
+
+  const parseFieldTerm = (field, start) => {
+    const valueStart = pos;
+    // "file: foo" reads as prose; "file:foo" as a field term
+    if (pos < text.length && !/\s/.test(text[pos]) && !atOperator()) fieldSeen = true;
+    let test;
+    let highlight = null; // msg: values are highlighted like plain terms
+    if (text[pos] === '/') {
+      const regex = readRegex();
+      test = (value) => regex.test(value);
+      highlight = regex;
+    } else {
+      const quoted = text[pos] === '"';
+      const value = quoted ? readQuoted() : readBare();
+      if (!value) throw new QueryParseError(`Missing value after ${field}:`, valueStart, valueStart + 1);
+      if (field === 'level' && !/[*?]/.test(value)) {
+        const wanted = normalizeLevel(value);
+        test = (raw) => normalizeLevel(raw) === wanted;
+      } else if (SUBSTRING_FIELDS.has(field)) {
+        const regex = quoted || !/[*?]/.test(value)
+          ? new RegExp(escapeRegex(value), flags)
+          : new RegExp(globToRegex(value, flags).source.slice(1, -1), flags);
+        test = (raw) => regex.test(raw);
+        highlight = regex;
+      } else {
+        const regex = quoted ? new RegExp(`^${escapeRegex(value)}$`, flags) : globToRegex(value, flags);
+        test = (raw) => regex.test(raw.trim());
+      }
+    }
+    return { type: 'field', field, test, regex: field === 'msg' ? highlight : null, start, end: pos };
+  };
+
+  const parseComparison = (field, start) => {
+    const op = COMPARISON_OPERATORS.find(o => startsWithAt(o));
+    pos += op.length;
+    fieldSeen = true;
+    skipSpaces();
+    const valueStart = pos;
+    const m = /^(\d+(?:\.\d+)?)([a-z]*)/i.exec(text.slice(pos));
+    if (!m) throw new QueryParseError(`Expected a number after ${field}${op}`, valueStart, valueStart + 1);
+    pos += m[0].length;
+    let value = parseFloat(m[1]);
+    const unit = m[2].toLowerCase();
+    if (field === 'gap') {
+      if (unit && !GAP_UNITS[unit]) throw new QueryParseError(`Unknown unit "${m[2]}" (use ms, s or m)`, valueStart + m[1].length, pos);
+      value *= GAP_UNITS[unit || 's'];
+    } else if (unit) {
+      throw new QueryParseError(`${field} takes a plain number`, valueStart + m[1].length, pos);
+    }
+    return { type: 'compare', field, op, value, start, end: pos };
+  };
+
+  // Plain term: quoted, or everything up to the next operator (spaces kept,
+  // like the plain filter syntax)
+  const parsePlainTerm = () => {
+    const start = pos;
+    let term;
+    if (text[pos] === '"') {
+      term = readQuoted();
+    } else {
+      // Balanced parentheses belong to the term, e.g. connect(fd); a field
+      // term after a space starts the next operand (implicit &&)
+      let depth = 0;
+      while (pos < text.length && !startsWithAt('&&') && !startsWithAt('||')) {
+        if (/\s/.test(text[pos]) && FIELD_START_RE.test(text.slice(pos).trimStart())) break;
+        if (text[pos] === '(') depth++;
+        else if (text[pos] === ')') {
+          if (depth === 0) break;
+          depth--;
+        }
+        pos++;
+      }
+      term = text.slice(start, pos).trimEnd();
+      pos = start + term.length;
+    }
+    if (!term) throw new QueryParseError('Empty term', start, start + 1);
+    const regex = mode === 'regex'
+      ? compileRegex(term, flags, start, pos)
+      : new RegExp(escapeRegex(term), flags);
+    return { type: 'text', term, regex, start, end: pos };
+  };
+
+  const parseAtom = () => {
+    skipSpaces();
+    const start = pos;
+    if (pos >= text.length || startsWithAt('&&') || startsWithAt('||')) {
+      throw new QueryParseError('Expected a term', start, start + 1);
+    }
+    if (text[pos] === ')') throw new QueryParseError('Unexpected )', start, start + 1);
+    // Existing #directives (#gap=5, row/date ranges) are applied by the filter
+    if (text[pos] === '#') {
+      while (pos < text.length && !startsWithAt('&&') && !startsWithAt('||')) pos++;
+      return { type: 'directive', start, end: pos };
+    }
+    const fieldMatch = /^([a-z]+)(?=:|\s*[<>=])/.exec(text.slice(pos));
+    if (fieldMatch) {
+      const field = fieldMatch[1];
+      if (TEXT_FIELDS.includes(field) && text[pos + field.length] === ':') {
+        pos += field.length + 1;
+        return parseFieldTerm(field, start);
+      }
+      if (NUMERIC_FIELDS.includes(field)) {
+        pos += field.length;
+        skipSpaces();
+        if (text[pos] === ':') throw new QueryParseError(`${field} is compared with > >= < <= =, e.g. ${field === 'gap' ? 'gap>5s' : 'line>=100'}`, start, pos + 1);
+        return parseComparison(field, start);
+      }
+      if (TEXT_FIELDS.includes(field)) {
+        throw new QueryParseError(`${field} is matched with ${field}:value`, start, pos + field.length + 1);
+      }
+    }
+    return parsePlainTerm();
+  };
+
+  const parseUnary = () => {
+    skipSpaces();
+    if (text[pos] === '!') {
+      const start = pos++;
+      const child = parseUnary();
+      return { type: 'not', child, start, end: child.end };
+    }
+    if (text[pos] === '(') {
+      const start = pos++;
+      const inner = parseOr();
+      skipSpaces();
+      if (text[pos] !== ')') throw new QueryParseError('Missing closing )', start, start + 1);
+      pos++;
+      return inner;
+    }
+    return parseAtom();
+  };
+
+  // && binds tighter than ||; an operand followed by another term without an
+  // operator (level:error timeout) is an implicit &&
+  const parseAnd = () => {
+    const children = [parseUnary()];
+    skipSpaces();
+    while (pos < text.length && !startsWithAt('||') && text[pos] !== ')') {
+      if (startsWithAt('&&')) pos += 2;
+      children.push(parseUnary());
+      skipSpaces();
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+  const parseOr = () => {
+    const children = [parseAnd()];
+    skipSpaces();
+    while (startsWithAt('||')) {
+      pos += 2;
+      children.push(parseAnd());
+      skipSpaces();
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  try {
+    if (!text.trim()) return { ast: null, error: null };
+    const ast = parseOr();
+    skipSpaces();
+    if (pos < text.length) {
+      throw new QueryParseError(text[pos] === ')' ? 'Unmatched )' : `Unexpected "${text[pos]}"`, pos, pos + 1);
+    }
+    return { ast, error: null };
+  } catch (e) {
+    if (e instanceof QueryParseError) {
+      e.afterField = fieldSeen;
+      return { ast: null, error: e };
+    }
+    throw e;
+  }
+};
+
+const fieldValues = (field, log, context) => {
+  switch (field) {
+    case 'level': return [log.level];
+    case 'module': return [log.module];
+    case 'thread': return [log.thread];
+    case 'process': return [log.process, log.processName];
+    case 'file': return [log.sourceFile, context.fileName];
+    case 'msg': return [log.message];
+    default: return [];
+  }
+};
+
+const compare = (left, op, right) => {
+  switch (op) {
+    case '>': return left > right;
+    case '>=': return left >= right;
+    case '<': return left < right;
+    case '<=': return left <= right;
+    default: return left === right;
+  }
+};
+
+// true / false, or null for nodes that don't take part (directives)
+const evaluate = (node, log, context) => {
+  switch (node.type) {
+    case 'text':
+      return node.regex.test(context.searchableText ?? (context.searchableText = getSearchableText(log)));
+    case 'field':
+      return fieldValues(node.field, log, context).some(value => value != null && value !== '' && node.test(String(value)));
+    case 'compare': {
+      if (node.field === 'line') return log.lineNumber != null && compare(log.lineNumber, node.op, node.value);
+      if (log.timestampMs == null || context.prevTimestampMs == null) return false;
+      return compare(Math.abs(log.timestampMs - context.prevTimestampMs), node.op, node.value);
+    }
+    case 'not': {
+      const result = evaluate(node.child, log, context);
+      return result === null ? null : !result;
+    }
+    case 'and':
+    case 'or': {
+      let any = false;
+      for (const child of node.children) {
+        const result = evaluate(child, log, context);
+        if (result === null) continue;
+        any = true;
+        if (node.type === 'and' && !result) return false;
+        if (node.type === 'or' && result) return true;
+      }
+      return any ? node.type === 'and' : null;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * The parsed query of a filter or search box, or null when the text should be
+ * matched with the plain filter syntax: it uses no field, or it doesn't parse.
+ * A syntax error thus never widens the match to every row.
+ * @param {string} text
+ * @param {{mode?: 'text'|'regex', caseSensitive?: boolean}} [options]
+ * @returns {Object|null}
+ */
+export const getQueryAst = (text, options) => (isQueryExpression(text) ? parseQuery(text, options).ast : null);
+
+/**
+ * Whether a log row matches a parsed query.
+ * @param {Object|null} ast - parseQuery(...).ast
+ * @param {Object} log
+ * @param {{prevTimestampMs?: number|null, fileName?: string|null}} [context]
+ *   prevTimestampMs: time of the previous row (for gap); fileName: the tab's
+ *   file id, used by file: when rows carry no sourceFile
+ */
+export const matchesQuery = (ast, log, { prevTimestampMs = null, fileName = null } = {}) => {
+  if (!ast) return true;
+  return evaluate(ast, log, { prevTimestampMs, fileName }) !== false;
+};
+
+/**
+ * Regexes of the terms worth highlighting in a row's message: plain terms
+ * and msg: values that aren't negated.
+ * @param {Object|null} ast
+ * @returns {RegExp[]}
+ */
+export const getQueryHighlightRegexes = (ast) => {
+  const regexes = [];
+  const walk = (node, negated) => {
+    if (!node) return;
+    if (node.type === 'not') walk(node.child, !negated);
+    else if (node.children) node.children.forEach(child => walk(child, negated));
+    else if (!negated && node.regex) regexes.push(node.regex);
+  };
+  walk(ast, false);
+  return regexes;
+};
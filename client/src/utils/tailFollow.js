@@ -0,0 +1,46 @@
+/**
+ * Live tail-follow: whether the list keeps the newest row in view, and the
+ * "N new rows" badge shown once it stops.
+ */
+
+/**
+ * Follow state after the list reports reaching or leaving its bottom. Rows
+ * arriving push the tail out of view too; only leaving it without new rows
+ * (scrolling up, jumping to a match or line) stops following.
+ * @param {Object} state
+ * @param {boolean} state.atBottom - The list's bottom is in view
+ * @param {boolean} state.isLiveMode
+ * @param {number} state.rowCount - Rows in the list now
+ * @param {number} state.rowCountAtBottom - Rows when the bottom was last in view
+ * @returns {{following: boolean|null, rowCountAtBottom: number}} following is
+ *   null when it stays as it was
+ */
+export const getAtBottomChange = ({ atBottom, isLiveMode, rowCount, rowCountAtBottom }) => {
+  if (atBottom) return { following: isLiveMode ? true : null, rowCountAtBottom: rowCount };
+  return { following: rowCount <= rowCountAtBottom ? false : null, rowCountAtBottom };
+};
+
+/**
+ * Rows added since following stopped
+ * @param {Object} state
+ * @param {boolean} state.isLiveMode
+ * @param {boolean} state.isFollowing
+ * @param {number} state.rowCount - Rows in the list now
+ * @param {number} state.pausedRowCount - Rows when following stopped (or the filters last changed)
+ * @returns {number}
+ */
+export const getNewRowCount = ({ isLiveMode, isFollowing, rowCount, pausedRowCount }) => (
+  isLiveMode && !isFollowing ? Math.max(0, rowCount - pausedRowCount) : 0
+);
+
+/**
+ * Text of the follow button
+ * @param {boolean} isFollowing
+ * @param {number} newRowCount
+ * @returns {string}
+ */
+export const getFollowLabel = (isFollowing, newRowCount) => {
+  if (isFollowing) return 'Following';
+  if (newRowCount > 0) return `${newRowCount.toLocaleString()} new row${newRowCount === 1 ? '' : 's'}`;
+  return 'Follow';
+};
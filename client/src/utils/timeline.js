@@ -0,0 +1,164 @@
+/**
+ * Time histogram of log rows for the timeline above the log list.
+ *
+ * Rows are counted into equal buckets of a "nice" size (1 s, 5 s, 1 min, ...)
+ * per normalized level and, in the combined view, per source file. Bucket
+ * times are on the timestampMs clock: the logged wall-clock time read as UTC.
+ */
+
+import { DATE_BOTH_REGEX, DATE_START_REGEX, DATE_RANGE_REGEX } from './logParsingUtils';
+import { getNormalizedLevel } from './logLevelColors';
+
+export const TIMELINE_LEVELS = ['error', 'warning', 'info', 'debug', 'verbose', 'other'];
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const BUCKET_SIZES = [
+  1, 10, 100, 250, 500,
+  SECOND, 2 * SECOND, 5 * SECOND, 10 * SECOND, 15 * SECOND, 30 * SECOND,
+  MINUTE, 2 * MINUTE, 5 * MINUTE, 10 * MINUTE, 15 * MINUTE, 30 * MINUTE,
+  HOUR, 2 * HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR, 24 * HOUR,
+];
+
+/**
+ * Smallest nice bucket size that covers a span in at most maxBuckets buckets
+ * @param {number} spanMs
+ * @param {number} maxBuckets
+ * @returns {number}
+ */
+export const chooseBucketSize = (spanMs, maxBuckets) =>
+  BUCKET_SIZES.find(size => spanMs / size < maxBuckets)
+    || Math.ceil(spanMs / maxBuckets / (24 * HOUR)) * 24 * HOUR;
+
+/**
+ * Human-readable bucket size: "500 ms", "5 s", "2 min", "6 h"
+ * @param {number} ms
+ * @returns {string}
+ */
+export const formatBucketSize = (ms) => {
+  if (ms < SECOND) return `${ms} ms`;
+  if (ms < MINUTE) return `${ms / SECOND} s`;
+  if (ms < HOUR) return `${ms / MINUTE} min`;
+  return `${ms / HOUR} h`;
+};
+
+/**
+ * Bucket rows by time.
+ * @param {Array} logs - Rows in view (continuations and gap markers are skipped)
+ * @param {{maxBuckets?: number, laneKey?: (log: Object) => string|null}} [options]
+ *   laneKey: lane of a row (e.g. its source file); lanes are only built when
+ *   rows fall into more than one
+ * @returns {{startMs: number, endMs: number, bucketMs: number, buckets: Array<{startMs: number, total: number, counts: Object}>, maxTotal: number, lanes: Array<{key: string, counts: number[], total: number}>}|null}
+ *   null when no row has a timestamp
+ */
+export const buildTimeline = (logs, { maxBuckets = 120, laneKey = null } = {}) => {
+  let minMs = Infinity;
+  let maxMs = -Infinity;
+  logs.forEach(log => {
+    if (log.isContinuation || log.isGapMarker || log.timestampMs == null) return;
+    if (log.timestampMs < minMs) minMs = log.timestampMs;
+    if (log.timestampMs > maxMs) maxMs = log.timestampMs;
+  });
+  if (minMs === Infinity) return null;
+
+  const bucketMs = chooseBucketSize(Math.max(1, maxMs - minMs + 1), maxBuckets);
+  const startMs = Math.floor(minMs / bucketMs) * bucketMs;
+  const count = Math.floor((maxMs - startMs) / bucketMs) + 1;
+  const buckets = Array.from({ length: count }, (_, i) => ({ startMs: startMs + i * bucketMs, total: 0, counts: {} }));
+  const lanes = new Map();
+
+  logs.forEach(log => {
+    if (log.isContinuation || log.isGapMarker || log.timestampMs == null) return;
+    const index = Math.floor((log.timestampMs - startMs) / bucketMs);
+    const bucket = buckets[index];
+    const level = getNormalizedLevel(log.level);
+    bucket.counts[level] = (bucket.counts[level] || 0) + 1;
+    bucket.total++;
+    const key = laneKey ? laneKey(log) : null;
+    if (key) {
+      let lane = lanes.get(key);
+      if (!lane) {
+        lane = { key, counts: new Array(count).fill(0), total: 0 };
+        lanes.set(key, lane);
+      }
+      lane.counts[index]++;
+      lane.total++;
+    }
+  });
+
+  return {
+    startMs,
+    endMs: startMs + count * bucketMs,
+    bucketMs,
+    buckets,
+    maxTotal: Math.max(...buckets.map(b => b.total)),
+    lanes: lanes.size > 1 ? Array.from(lanes.values()) : [],
+  };
+};
+
+const pad = (n, len = 2) => String(n).padStart(len, '0');
+
+/**
+ * A timestampMs as used by #date range filters: "YYYY-MM-DD HH:MM:SS:mmm"
+ * @param {number} ms
+ * @returns {string}
+ */
+export const formatFilterTimestamp = (ms) => {
+  const d = new Date(ms);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} `
+    + `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}:${pad(d.getUTCMilliseconds(), 3)}`;
+};
+
+// "YYYY-MM-DD[ HH:MM:SS[:.]mmm]" of a filter back to the timestampMs clock
+const parseFilterTimestamp = (text) => {
+  const m = /^(\d{4})-(\d{2})-(\d{2})(?:\s+(\d{2}):(\d{2}):(\d{2})(?:[:.](\d{3}))?)?$/.exec(text.trim());
+  if (!m) return null;
+  const [, y, mo, d, h = 0, mi = 0, s = 0, ms = 0] = m;
+  return Date.UTC(+y, +mo - 1, +d, +h, +mi, +s, +ms);
+};
+
+const dropEmptyOrParts = (text) =>
+  text.replace(/\|\|\s*\|\|/g, '||').replace(/^\s*\|\|/, '').replace(/\|\|\s*$/, '').trim();
+
+/**
+ * Filter text without its #date :: #date range clauses
+ * @param {string} searchText
+ * @returns {string}
+ */
+export const removeDateRangeFromFilter = (searchText) => {
+  let text = searchText || '';
+  [DATE_BOTH_REGEX, DATE_START_REGEX, DATE_RANGE_REGEX].forEach(regex => {
+    text = dropEmptyOrParts(text.replace(regex, ''));
+  });
+  return text;
+};
+
+/**
+ * Filter text with its date range replaced by [fromMs, toMs]
+ * @param {string} searchText
+ * @param {number} fromMs
+ * @param {number} toMs
+ * @returns {string}
+ */
+export const setDateRangeInFilter = (searchText, fromMs, toMs) => {
+  const rest = removeDateRangeFromFilter(searchText);
+  const range = `#${formatFilterTimestamp(fromMs)} :: #${formatFilterTimestamp(toMs)}`;
+  // Range clauses sit alongside the other terms like the context-menu filters
+  return rest ? `${rest} || ${range}` : range;
+};
+
+/**
+ * The date range of a filter on the timestampMs clock
+ * @param {string} searchText
+ * @returns {{fromMs: number|null, toMs: number|null}|null} - null without a range
+ */
+export const getDateRangeFromFilter = (searchText) => {
+  const text = searchText || '';
+  const both = text.match(DATE_BOTH_REGEX);
+  if (both) return { fromMs: parseFilterTimestamp(both[1]), toMs: parseFilterTimestamp(both[2]) };
+  const start = text.match(DATE_START_REGEX);
+  const end = text.match(DATE_RANGE_REGEX);
+  if (!start && !end) return null;
+  return { fromMs: start ? parseFilterTimestamp(start[1]) : null, toMs: end ? parseFilterTimestamp(end[2]) : null };
+};
@@ -0,0 +1,115 @@
+/**
+ * Request / transaction tracing: identifiers taken from one row (session,
+ * request and tunnel ids, UUIDs, long hex ids) and every row of the loaded
+ * tabs that mentions one of them, in time order with per-hop durations.
+ *
+ * Times are aligned with the tabs' clock offsets, like the All Files view.
+ */
+
+import { getProcessTypeFromModule } from './processTypeMapper';
+
+const UUID_RE = /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi;
+// sessionId=abc, request_id: 42, tunnelID="t-9", id=..., Trace-Id: ...
+const NAMED_ID_RE = /\b([A-Za-z][A-Za-z_.-]*?(?:id|Id|ID))\s*[:=]\s*["'[]?([\w.:-]+)/g;
+// 12+ hex digits mixing digits and letters: hashes, connection ids
+const HEX_ID_RE = /\b(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{12,}\b/gi;
+
+// Shorter named values ("id=1") match too many unrelated rows
+const MIN_NAMED_VALUE_LENGTH = 3;
+
+export const MAX_TRACE_STEPS = 2000;
+
+/**
+ * Identifiers in a message, most specific first
+ * @param {string} message
+ * @returns {Array<{value: string, kind: string}>} kind is the id's name
+ *   ("sessionId"), "uuid" or "hex"
+ */
+export const extractTraceIds = (message) => {
+  const text = message || '';
+  const found = new Map();
+  const add = (value, kind) => {
+    const key = value.toLowerCase();
+    if (!found.has(key)) found.set(key, { value, kind });
+  };
+
+  for (const [, name, rawValue] of text.matchAll(NAMED_ID_RE)) {
+    const value = rawValue.replace(/[.:-]+$/, '');
+    if (value.length >= MIN_NAMED_VALUE_LENGTH && !/^(?:null|none|nil|undefined|true|false)$/i.test(value)) add(value, name);
+  }
+  for (const [value] of text.matchAll(UUID_RE)) add(value, 'uuid');
+  for (const [value] of text.matchAll(HEX_ID_RE)) add(value, 'hex');
+  return Array.from(found.values());
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Rows of every tab that mention any of the ids, in time order; a long trace
+ * keeps its first MAX_TRACE_STEPS steps
+ * @param {string[]} ids
+ * @param {Array<{tabId: string, tabName?: string, logs: Array, offsetMs?: number}>} tabs - Loaded tabs
+ * @returns {{steps: Array, truncated: boolean}} steps: { tabId, tabName, log, timeMs,
+ *   ids, process, thread, module, deltaMs, elapsedMs, isHop }; deltaMs is the
+ *   time since the previous step, isHop marks a change of process
+ */
+export const buildTrace = (ids, tabs) => {
+  const values = ids.filter(Boolean);
+  if (!values.length) return { steps: [], truncated: false };
+  // An id never matches inside a longer word or id
+  const pattern = new RegExp(`(?<![\\w-])(?:${values.map(escapeRegex).join('|')})(?![\\w-])`, 'gi');
+
+  let steps = [];
+  tabs.forEach(({ tabId, tabName, logs, offsetMs = 0 }, tabIndex) => {
+    (logs || []).forEach((log, rowIndex) => {
+      if (log.isContinuation || log.isGapMarker) return;
+      const matched = (log.message || '').match(pattern);
+      if (!matched) return;
+      steps.push({
+        tabId,
+        tabName,
+        log,
+        timeMs: log.timestampMs != null ? log.timestampMs + offsetMs : null,
+        ids: Array.from(new Set(matched.map(m => m.toLowerCase()))),
+        process: log.processName || getProcessTypeFromModule(log.module) || log.process || '',
+        thread: log.thread || '',
+        module: log.module || '',
+        tabIndex,
+        rowIndex,
+      });
+    });
+  });
+
+  // Untimed rows keep their place after the timed ones
+  steps.sort((a, b) => {
+    if (a.timeMs != null && b.timeMs != null && a.timeMs !== b.timeMs) return a.timeMs - b.timeMs;
+    if ((a.timeMs == null) !== (b.timeMs == null)) return a.timeMs == null ? 1 : -1;
+    return a.tabIndex - b.tabIndex || a.rowIndex - b.rowIndex;
+  });
+  const truncated = steps.length > MAX_TRACE_STEPS;
+  if (truncated) steps = steps.slice(0, MAX_TRACE_STEPS);
+
+  const firstMs = steps.find(step => step.timeMs != null)?.timeMs ?? null;
+  steps.forEach((step, i) => {
+    const previous = steps[i - 1];
+    step.deltaMs = previous && previous.timeMs != null && step.timeMs != null ? step.timeMs - previous.timeMs : null;
+    step.elapsedMs = firstMs != null && step.timeMs != null ? step.timeMs - firstMs : null;
+    step.isHop = !!previous && previous.process !== step.process;
+  });
+  return { steps, truncated };
+};
+
+/**
+ * Duration as "850 ms", "12.4 s", "3 min 5 s"
+ * @param {number} ms
+ * @returns {string}
+ */
+export const formatTraceDuration = (ms) => {
+  if (ms == null) return '';
+  if (ms < 1000) return `${ms} ms`;
+  // Below 59.95 s the seconds don't round up to "60.0 s"
+  if (ms < 59950) return `${(ms / 1000).toFixed(ms < 10000 ? 2 : 1)} s`;
+  // Round before splitting, so 119.5 s is "2 min 0 s" rather than "1 min 60 s"
+  const totalSeconds = Math.round(ms / 1000);
+  return `${Math.floor(totalSeconds / 60)} min ${totalSeconds % 60} s`;
+};
@@ -0,0 +1,82 @@
+/**
+ * useLiveAlerts — alert rules and their hits for live mode.
+ *
+ * checkLogs() is called with each batch of live rows; every (row, rule) pair
+ * is recorded once, even when the row is re-sent while it still collects
+ * continuation lines. Row ids restart when a tab is reloaded, so resetTab()
+ * forgets what was seen in it.
+ */
+
+import { useState, useRef, useCallback, useMemo } from 'react';
+import { loadAlertRules, saveAlertRules, compileAlertRules, findAlertMatches } from './liveAlerts';
+
+const MAX_HITS = 500;
+
+export default function useLiveAlerts() {
+  const [rules, setRules] = useState(loadAlertRules);
+  const [hits, setHits] = useState([]); // newest first, capped at MAX_HITS
+  const [counts, setCounts] = useState({}); // { [ruleId]: total hits }
+  const seenRef = useRef(new Set());
+  const hitSeqRef = useRef(0);
+
+  const compiled = useMemo(() => compileAlertRules(rules), [rules]);
+  const compiledRef = useRef(compiled);
+  compiledRef.current = compiled;
+
+  const updateRules = useCallback((next) => {
+    setRules(next);
+    saveAlertRules(next);
+  }, []);
+
+  /**
+   * Check a batch of rows from one live tab.
+   * @returns {Array<{rule: object, log: object}>} the new hits
+   */
+  const checkLogs = useCallback((tabId, tabName, logs) => {
+    const matches = findAlertMatches(compiledRef.current, logs).filter(({ rule, log }) => {
+      const key = `${tabId}|${log.id}|${rule.id}`;
+      if (seenRef.current.has(key)) return false;
+      seenRef.current.add(key);
+      return true;
+    });
+    if (!matches.length) return matches;
+
+    const now = Date.now();
+    const newHits = matches.map(({ rule, log }) => ({
+      id: `${tabId}|${log.id}|${rule.id}|${++hitSeqRef.current}`,
+      ruleId: rule.id,
+      ruleName: rule.name,
+      tabId,
+      tabName,
+      logId: log.id,
+      lineNumber: log.lineNumber,
+      timestamp: log.timestamp,
+      level: log.level,
+      message: (log.message || '').split('\n')[0].slice(0, 200),
+      time: now,
+    }));
+    setHits(prev => [...newHits.reverse(), ...prev].slice(0, MAX_HITS));
+    setCounts(prev => {
+      const next = { ...prev };
+      matches.forEach(({ rule }) => { next[rule.id] = (next[rule.id] || 0) + 1; });
+      return next;
+    });
+    return matches;
+  }, []);
+
+  /** Forget the rows seen in a tab whose content was replaced (backfill, rotation). */
+  const resetTab = useCallback((tabId) => {
+    const prefix = `${tabId}|`;
+    seenRef.current.forEach(key => {
+      if (key.startsWith(prefix)) seenRef.current.delete(key);
+    });
+  }, []);
+
+  const clearHits = useCallback(() => {
+    setHits([]);
+    setCounts({});
+    seenRef.current = new Set();
+  }, []);
+
+  return { rules, updateRules, hits, counts, checkLogs, resetTab, clearHits };
+}
@@ -4,69 +4,278 @@
  * Connects to the local WebSocket server (scripts/live-logs-server.js) and
  * delivers parsed log entries to the viewer as they arrive.
  *
- * Protocol (server → client):
- *   { type:'initial', sourceKey, label, content }  — full snapshot on connect
- *   { type:'append',  sourceKey, label, content }  — new bytes since last send
- *   { type:'reset',   sourceKey, label, content }  — full resend after rotation
+ * The server address and the chosen sources are remembered in localStorage;
+ * only the chosen sources are streamed.
+ *
+ * Protocol (server → client), offset/end are byte positions in the source:
+ *   { type:'initial', sourceKey, label, content, offset, end }  — start of a subscription / backfill
+ *   { type:'append',  sourceKey, label, content, offset, end }  — new text since last send
+ *   { type:'reset',   sourceKey, label, content, offset, end }  — full resend after rotation
+ *   { type:'error',   message }
+ *
+ * Commands (client → server): subscribe, unsubscribe, pause, resume, backfill
+ * — see scripts/live-logs-server.js.
  */
 
-import { useState, useRef, useCallback } from 'react';
-import { parseLogContent } from '../LogParser';
+import { useState, useRef, useCallback, useEffect } from 'react';
+import { createLogStreamParser } from '../LogParser';
+
+export const DEFAULT_LIVE_SERVER = 'localhost:4000';
+export const RECONNECT_BASE_MS = 1000;
+export const RECONNECT_MAX_MS = 30000;
+const SERVER_STORAGE_KEY = 'logViewer_liveServer';
+const SOURCES_STORAGE_KEY = 'logViewer_liveSources';
+const BACKFILL_STORAGE_KEY = 'logViewer_liveBackfillLines';
+export const DEFAULT_BACKFILL_LINES = 1000;
+
+/** Saved live server address ("host:port"). */
+export const loadLiveServer = () => {
+  try {
+    return localStorage.getItem(SERVER_STORAGE_KEY) || DEFAULT_LIVE_SERVER;
+  } catch (error) {
+    console.error('Failed to load live server address:', error);
+    return DEFAULT_LIVE_SERVER;
+  }
+};
 
-const WS_URL = 'ws://localhost:4000';
+export const saveLiveServer = (server) => {
+  try {
+    localStorage.setItem(SERVER_STORAGE_KEY, server);
+  } catch (error) {
+    console.error('Failed to save live server address:', error);
+  }
+};
+
+/** Source keys picked last time, or null if the user never picked. */
+export const loadLiveSourceSelection = () => {
+  try {
+    const saved = localStorage.getItem(SOURCES_STORAGE_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch (error) {
+    console.error('Failed to load live source selection:', error);
+    return null;
+  }
+};
+
+export const saveLiveSourceSelection = (keys) => {
+  try {
+    localStorage.setItem(SOURCES_STORAGE_KEY, JSON.stringify(keys));
+  } catch (error) {
+    console.error('Failed to save live source selection:', error);
+  }
+};
+
+/**
+ * Number of existing lines to load when a source is subscribed
+ * (DEFAULT_BACKFILL_LINES until changed; 0 = only new lines).
+ */
+export const loadLiveBackfillLines = () => {
+  try {
+    const lines = parseInt(localStorage.getItem(BACKFILL_STORAGE_KEY), 10);
+    return Number.isNaN(lines) ? DEFAULT_BACKFILL_LINES : Math.max(0, lines);
+  } catch (error) {
+    console.error('Failed to load live backfill setting:', error);
+    return DEFAULT_BACKFILL_LINES;
+  }
+};
+
+export const saveLiveBackfillLines = (lines) => {
+  try {
+    localStorage.setItem(BACKFILL_STORAGE_KEY, String(lines));
+  } catch (error) {
+    console.error('Failed to save live backfill setting:', error);
+  }
+};
+
+/** Port part of a "host:port" address (4000 when omitted). */
+export const getLiveServerPort = (server) => {
+  const match = /:(\d+)$/.exec(server || '');
+  return match ? Number(match[1]) : 4000;
+};
+
+/**
+ * Check the server is up and list the sources it offers.
+ * @returns {Promise<Array<{key:string, label:string, type?:string, path?:string, size?:number}>>}
+ * @throws when the server is unreachable or answers with an error
+ */
+export const fetchLiveSources = async (server) => {
+  const res = await fetch(`http://${server}/sources`, { signal: AbortSignal.timeout(1500) });
+  if (!res.ok) throw new Error(`Live server responded ${res.status}`);
+  return res.json();
+};
+
+/**
+ * Parse one message's content with the source's incremental parser.
+ * The record still collecting continuation lines is shown as the last row
+ * (as a fresh copy each time, so memoized rows re-render); once it grows or
+ * completes, the next update replaces that row (matched by id) instead of
+ * appending.
+ * @param {{parser: object, shownPending: object|null, lastLog: object|null}} state - The source's parser state
+ * @param {string} content - Text of one message
+ * @returns {{logs: any[], replaceLast: boolean}}
+ */
+export const parseIncrement = (state, content) => {
+  const completed = state.parser.push(content);
+  const pending = state.parser.peek();
+  const replaceLast = !!state.shownPending &&
+    (completed[0] === state.shownPending || pending === state.shownPending);
+
+  const logs = completed.slice();
+  if (pending) logs.push({ ...pending });
+  state.shownPending = pending;
+  const last = logs[logs.length - 1];
+  if (last?.timestamp) state.lastLog = last;
+  return { logs, replaceLast };
+};
+
+const formatClock = (ms) => new Date(ms).toLocaleTimeString([], { hour12: false });
+
+/**
+ * Synthetic row marking where a dropped connection may have lost lines.
+ * It borrows the last received timestamp so it sorts in place when tabs are
+ * merged, and is kept by every filter.
+ */
+export const createGapMarker = (sourceKey, state, since, until) => {
+  const seconds = Math.round((until - since) / 1000);
+  const message = `Live connection lost ${formatClock(since)} – ${formatClock(until)} (${seconds}s) — lines may be missing here`;
+  return {
+    id: `gap:${sourceKey}:${until}`,
+    isGapMarker: true,
+    gapStart: since,
+    gapEnd: until,
+    message,
+    raw: `--- ${message} ---`,
+    timestamp: state.lastLog?.timestamp || '',
+    timestampMs: state.lastLog?.timestampMs,
+    date: state.lastLog?.date,
+    displayDate: state.lastLog?.displayDate,
+    level: '',
+    module: '',
+  };
+};
 
 /**
  * @param {object} opts
- * @param {(update: {sourceKey:string, label:string, logs:any[], isInitial:boolean}) => void} opts.onSourceUpdate
- *   Called each time a source's log list changes.
- * @param {() => void} [opts.onConnected]
- * @param {() => void} [opts.onDisconnected]
+ * @param {(update: {sourceKey:string, label:string, logs:any[], isInitial:boolean, replaceLast:boolean}) => void} opts.onSourceUpdate
+ *   Called each time a source's log list changes. For 'initial'/'reset' `logs`
+ *   is the full list; for 'append' it holds only the new rows, and
+ *   `replaceLast` says the row with the id of `logs[0]` was updated in place.
+ * @param {() => void} [opts.onConnected]  A fresh connection opened (not a reconnect).
+ * @param {() => void} [opts.onDisconnected]  The connection dropped; reconnecting starts.
+ * @param {() => void} [opts.onReconnected]  A dropped connection was restored.
  * @param {() => void} [opts.onError]  Called when the WebSocket fails to connect.
  */
-export default function useLiveLogs({ onSourceUpdate, onConnected, onDisconnected, onError } = {}) {
+export default function useLiveLogs({ onSourceUpdate, onConnected, onDisconnected, onReconnected, onError } = {}) {
   const [isConnected, setIsConnected] = useState(false);
+  const [isReconnecting, setIsReconnecting] = useState(false);
+  const [pausedKeys, setPausedKeys] = useState([]);
   const wsRef = useRef(null);
-  // Accumulated raw text per source — re-parsing the whole text on each update
-  // keeps multi-line log-entry stitching correct without needing a streaming parser.
-  const accRef = useRef({}); // { [sourceKey]: string }
+  // Incremental parser state per source, so each message only parses the new
+  // bytes while multi-line stitching carries over between messages. `end` is
+  // the server offset received so far, used to resume after a reconnect.
+  const parsersRef = useRef({}); // { [sourceKey]: { parser, shownPending, end, label, lastLog } }
+  const subscribedRef = useRef(new Set());
+  // Automatic reconnection after a dropped connection
+  const reconnectRef = useRef({ timer: null, attempt: 0, since: null, options: null });
 
   // Keep callback ref stable so connect/disconnect don't change identity
-  const cbRef = useRef({ onSourceUpdate, onConnected, onDisconnected, onError });
-  cbRef.current = { onSourceUpdate, onConnected, onDisconnected, onError };
+  const cbRef = useRef({ onSourceUpdate, onConnected, onDisconnected, onReconnected, onError });
+  cbRef.current = { onSourceUpdate, onConnected, onDisconnected, onReconnected, onError };
 
-  const connect = useCallback(() => {
-    if (wsRef.current) return; // Already open
-    accRef.current = {};
+  const send = useCallback((cmd) => {
+    const ws = wsRef.current;
+    if (ws?.readyState !== WebSocket.OPEN) return false;
+    ws.send(JSON.stringify(cmd));
+    return true;
+  }, []);
+
+  const stopReconnecting = useCallback(() => {
+    clearTimeout(reconnectRef.current.timer);
+    reconnectRef.current = { timer: null, attempt: 0, since: null, options: null };
+    setIsReconnecting(false);
+  }, []);
 
-    const ws = new WebSocket(WS_URL);
+  const open = useCallback((options, isReconnect) => {
+    const { server = DEFAULT_LIVE_SERVER, sourceKeys, backfill } = options;
+    // ?sources= (empty) subscribes to nothing; the subscribe command below does
+    // it. A reconnect always subscribes explicitly so it can pass offsets.
+    const ws = new WebSocket(sourceKeys || isReconnect ? `ws://${server}/?sources=` : `ws://${server}`);
     wsRef.current = ws;
     let didOpen = false;
 
     ws.onopen = () => {
       didOpen = true;
       setIsConnected(true);
-      cbRef.current.onConnected?.();
+      setPausedKeys([]);
+
+      if (isReconnect) {
+        // Mark the hole in every tab before the resumed data arrives
+        const { since } = reconnectRef.current;
+        const now = Date.now();
+        Object.entries(parsersRef.current).forEach(([sourceKey, state]) => {
+          cbRef.current.onSourceUpdate?.({
+            sourceKey,
+            label: state.label,
+            logs: [createGapMarker(sourceKey, state, since, now)],
+            isInitial: false,
+            replaceLast: false,
+          });
+        });
+      }
+
+      // On reconnect, continue each source from the last received offset so
+      // nothing is sent twice; sources never heard from start fresh
+      const keys = sourceKeys || (isReconnect ? [...subscribedRef.current] : null);
+      subscribedRef.current = new Set(keys || []);
+      if (keys) {
+        const offsets = {};
+        if (isReconnect) {
+          keys.forEach(key => {
+            const end = parsersRef.current[key]?.end;
+            if (end !== undefined) offsets[key] = end;
+          });
+        }
+        ws.send(JSON.stringify({ type: 'subscribe', sourceKeys: keys, backfill: isReconnect ? undefined : backfill, offsets }));
+      }
+
+      if (isReconnect) {
+        stopReconnecting();
+        cbRef.current.onReconnected?.();
+      } else {
+        cbRef.current.onConnected?.();
+      }
     };
 
     ws.onmessage = (event) => {
       try {
         const msg = JSON.parse(event.data);
-        const { type, sourceKey, label, content = '' } = msg;
+        const { type, sourceKey, label, content = '', end } = msg;
 
-        if (type === 'initial' || type === 'reset') {
-          accRef.current[sourceKey] = content;
-        } else if (type === 'append') {
-          accRef.current[sourceKey] = (accRef.current[sourceKey] || '') + content;
-        } else {
+        if (type === 'error') {
+          console.error('[useLiveLogs] server error:', msg.message);
           return;
         }
+        if (type !== 'initial' && type !== 'reset' && type !== 'append') return;
+        // The server only sends 'initial' for a subscription; anything else for
+        // an unknown source is a late message after unsubscribe
+        if (type === 'initial') subscribedRef.current.add(sourceKey);
+        else if (!subscribedRef.current.has(sourceKey)) return;
 
-        const logs = parseLogContent(accRef.current[sourceKey]);
+        let state = parsersRef.current[sourceKey];
+        const isInitial = type !== 'append' || !state;
+        if (isInitial) {
+          state = { parser: createLogStreamParser(), shownPending: null, end: 0, label, lastLog: null };
+          parsersRef.current[sourceKey] = state;
+        }
+        if (end !== undefined) state.end = end;
+
+        const { logs, replaceLast } = parseIncrement(state, content);
         cbRef.current.onSourceUpdate?.({
           sourceKey,
           label,
           logs,
-          isInitial: type !== 'append',
+          isInitial,
+          replaceLast,
         });
       } catch (e) {
         console.error('[useLiveLogs] message error:', e);
@@ -74,26 +283,104 @@ export default function useLiveLogs({ onSourceUpdate, onConnected, onDisconnecte
     };
 
     ws.onerror = () => {
+      // Failed reconnect attempts are retried quietly from onclose
+      if (isReconnect) return;
       console.error('[useLiveLogs] Cannot connect — is live-logs-server.js running?');
       cbRef.current.onError?.();
     };
 
     ws.onclose = () => {
-      wsRef.current = null;
+      if (wsRef.current === ws) wsRef.current = null;
       setIsConnected(false);
-      if (!didOpen) {
+      if (ws.closedByUser) return;
+
+      if (didOpen || isReconnect) {
+        // Dropped (or still unreachable): retry with exponential backoff
+        const reconnect = reconnectRef.current;
+        if (didOpen) {
+          reconnect.since = Date.now();
+          reconnect.attempt = 0;
+          reconnect.options = options;
+          setIsReconnecting(true);
+          if (!isReconnect) cbRef.current.onDisconnected?.();
+        }
+        const delay = Math.min(RECONNECT_BASE_MS * 2 ** reconnect.attempt, RECONNECT_MAX_MS);
+        reconnect.attempt++;
+        reconnect.timer = setTimeout(() => open(reconnect.options, true), delay);
+      } else {
         // Connection was refused — onerror may not have fired (browser-dependent)
         cbRef.current.onError?.();
-      } else {
-        cbRef.current.onDisconnected?.();
       }
     };
-  }, []);
+  }, [stopReconnecting]);
+
+  /**
+   * @param {object} [opts]
+   * @param {string} [opts.server]  "host:port" of the live server
+   * @param {string[]} [opts.sourceKeys]  Sources to stream (all the server offers when omitted)
+   * @param {{lines?:number, bytes?:number}} [opts.backfill]  Existing tail to load first
+   */
+  const connect = useCallback((options = {}) => {
+    if (wsRef.current) return; // Already open
+    stopReconnecting();
+    parsersRef.current = {};
+    open(options, false);
+  }, [open, stopReconnecting]);
 
   const disconnect = useCallback(() => {
-    wsRef.current?.close();
+    stopReconnecting();
+    if (wsRef.current) {
+      wsRef.current.closedByUser = true;
+      wsRef.current.close();
+    }
     wsRef.current = null;
+  }, [stopReconnecting]);
+
+  // Don't leave a socket or retry timer behind when the viewer unmounts
+  useEffect(() => () => {
+    clearTimeout(reconnectRef.current.timer);
+    if (wsRef.current) {
+      wsRef.current.closedByUser = true;
+      wsRef.current.close();
+    }
   }, []);
 
-  return { isConnected, connect, disconnect };
+  /** Start streaming more sources on the open connection. */
+  const subscribe = useCallback((sourceKeys, { backfill } = {}) => {
+    sourceKeys.forEach(key => subscribedRef.current.add(key));
+    send({ type: 'subscribe', sourceKeys, backfill });
+  }, [send]);
+
+  /** Stop streaming sources (e.g. when their tab is closed). */
+  const unsubscribe = useCallback((sourceKeys) => {
+    sourceKeys.forEach(key => {
+      subscribedRef.current.delete(key);
+      delete parsersRef.current[key];
+    });
+    setPausedKeys(prev => prev.filter(key => !sourceKeys.includes(key)));
+    send({ type: 'unsubscribe', sourceKeys });
+  }, [send]);
+
+  /** Hold updates for the given sources (all subscribed when omitted); the server keeps them. */
+  const pause = useCallback((sourceKeys) => {
+    const keys = sourceKeys || [...subscribedRef.current];
+    if (send({ type: 'pause', sourceKeys })) {
+      setPausedKeys(prev => [...new Set([...prev, ...keys])]);
+    }
+  }, [send]);
+
+  /** Resume paused sources; everything written meanwhile arrives at once. */
+  const resume = useCallback((sourceKeys) => {
+    const keys = sourceKeys || [...subscribedRef.current];
+    if (send({ type: 'resume', sourceKeys })) {
+      setPausedKeys(prev => prev.filter(key => !keys.includes(key)));
+    }
+  }, [send]);
+
+  /** Reload sources with their last `lines` lines (replaces the tab contents). */
+  const backfill = useCallback((sourceKeys, { lines, bytes } = {}) => {
+    send({ type: 'backfill', sourceKeys, lines, bytes });
+  }, [send]);
+
+  return { isConnected, isReconnecting, connect, disconnect, subscribe, unsubscribe, pause, resume, backfill, pausedKeys };
 }
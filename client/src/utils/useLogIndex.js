@@ -0,0 +1,113 @@
+/**
+ * useLogIndex — token index of the rows on screen (see logIndex.js).
+ *
+ * Each logs array is indexed once, in a worker, and the index is kept for as
+ * long as the array is, so switching back to a tab reuses it. While an index
+ * is being built the hook returns null and callers scan every row. When a live
+ * tab appends rows the last index keeps covering the rows it has; it is
+ * rebuilt once the unindexed tail grows too long. A build for rows that left
+ * the screen (another tab was opened meanwhile) is dropped for the new rows.
+ */
+
+import { useState, useRef, useMemo, useEffect } from 'react';
+import { getSearchableText } from './filterExpression';
+import { buildLogIndex, createIndexView } from './logIndex';
+
+// Rows whose texts are sent to the worker per message
+const BATCH_SIZE = 50000;
+// The unindexed tail of a live tab is tolerated up to this size
+const MIN_TAIL_REBUILD = 5000;
+const TAIL_REBUILD_RATIO = 0.25;
+// Trailing rows a live update may replace in place (continuation lines)
+const MAX_REPLACED_ROWS = 16;
+
+const startWorkerBuild = (logs, onIndex, onError) => {
+  const worker = new Worker(new URL('./logIndex.worker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = (e) => {
+    worker.terminate();
+    if (e.data.type === 'index') onIndex(e.data.index);
+    else onError(new Error(e.data.message));
+  };
+  worker.onerror = (error) => {
+    worker.terminate();
+    onError(error);
+  };
+  for (let start = 0; start < logs.length; start += BATCH_SIZE) {
+    worker.postMessage({ type: 'add', texts: logs.slice(start, start + BATCH_SIZE).map(getSearchableText) });
+  }
+  worker.postMessage({ type: 'finish' });
+  return worker;
+};
+
+// Whether two logs arrays are versions of one tab (rows appended or replaced)
+const sameRows = (a, b) => !!a && !!b && a.length > 0 && b.length > 0 && a[0] === b[0];
+
+// The last built index, still valid for the leading rows of logs it shares
+// with the array it was built from
+const extendIndex = (built, logs) => {
+  if (!built || !sameRows(built.logs, logs)) return null;
+  let count = Math.min(built.index.size, logs.length);
+  const floor = Math.max(1, count - MAX_REPLACED_ROWS);
+  while (count > floor && logs[count - 1] !== built.logs[count - 1]) count--;
+  if (logs[count - 1] !== built.logs[count - 1]) return null;
+  return createIndexView(built.index, logs, count);
+};
+
+/**
+ * @param {Array} logs - Rows on screen
+ * @returns {ReturnType<typeof createIndexView>|null}
+ */
+export default function useLogIndex(logs) {
+  const indexesRef = useRef(new WeakMap()); // logs array -> index
+  const lastBuiltRef = useRef(null); // { logs, index }
+  const buildingRef = useRef(null); // logs array being indexed
+  const failedRef = useRef(null); // logs array whose build failed
+  const workerRef = useRef(null);
+  const [buildCount, setBuildCount] = useState(0);
+
+  const view = useMemo(() => {
+    const index = indexesRef.current.get(logs);
+    return index ? createIndexView(index, logs) : extendIndex(lastBuiltRef.current, logs);
+  }, [logs, buildCount]);
+
+  useEffect(() => {
+    if (!logs.length || failedRef.current === logs) return;
+    if (view && logs.length - view.indexedCount <= Math.max(MIN_TAIL_REBUILD, view.indexedCount * TAIL_REBUILD_RATIO)) return;
+    if (buildingRef.current) {
+      // A live tab's build still covers its leading rows; buildCount brings
+      // this effect back once it is done
+      if (buildingRef.current === logs || sameRows(buildingRef.current, logs)) return;
+      if (workerRef.current) workerRef.current.terminate();
+      workerRef.current = null;
+      buildingRef.current = null;
+    }
+
+    const onIndex = (index) => {
+      buildingRef.current = null;
+      workerRef.current = null;
+      indexesRef.current.set(logs, index);
+      lastBuiltRef.current = { logs, index };
+      setBuildCount(count => count + 1);
+    };
+
+    buildingRef.current = logs;
+    if (typeof Worker === 'undefined') {
+      onIndex(buildLogIndex(logs));
+      return;
+    }
+    workerRef.current = startWorkerBuild(logs, onIndex, (error) => {
+      // Not retried for this array; searches keep scanning every row
+      console.error('Failed to build the search index:', error);
+      buildingRef.current = null;
+      workerRef.current = null;
+      failedRef.current = logs;
+      setBuildCount(count => count + 1);
+    });
+  }, [logs, view, buildCount]);
+
+  useEffect(() => () => {
+    if (workerRef.current) workerRef.current.terminate();
+  }, []);
+
+  return view;
+}
@@ -0,0 +1,280 @@
+/**
+ * Workspace bundles: one file holding an investigation — the open tabs with
+ * the text of their files (or just references to them), per-tab filters and
+ * sticky logs, the pivot time, the column layout, saved filter presets,
+ * highlight rules and clock offsets — to hand to a teammate or reopen later.
+ *
+ * Unlike the IndexedDB session (utils/sessionStorage.js) a bundle never
+ * expires and does not belong to one browser tab. It is gzipped: one line of
+ * JSON, then the files' bytes, which are parsed again when the bundle opens.
+ * Version 1 bundles carried the parsed rows in the JSON instead; they still
+ * open, but large workspaces could not be saved that way.
+ */
+
+export const BUNDLE_FORMAT = 'log-viewer-workspace';
+export const BUNDLE_VERSION = 2;
+export const BUNDLE_EXTENSION = '.logbundle';
+
+// localStorage keys of the column layout (LogViewer, ColumnSettings, LogListView)
+const LAYOUT_KEYS = {
+  visibleColumns: 'logViewerColumns',
+  columnOrder: 'logViewerColumnOrder',
+  columnSizing: 'logViewerColumnSizing',
+  collapsedColumns: 'logViewerCollapsedColumns',
+};
+
+// Saved filter presets (LogViewerFilters)
+const FILTER_PRESETS_KEY = 'logViewer_savedFilters';
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+const NEWLINE = 0x0a;
+
+const getTabFiles = (file) => (Array.isArray(file.fileObj) ? file.fileObj : (file.fileObj ? [file.fileObj] : []));
+
+// Paths of the files behind a tab, so a bundle without contents says what to reopen
+const getTabSources = (file) => getTabFiles(file).map(f => f.webkitRelativePath || f.name);
+
+// A tab's text: its files, or for tabs without them (live tabs, restored
+// sessions) the raw lines of its rows after the header lines, as exported
+const getTabContents = (file, logs, header, createdAt) => {
+  const fileObjs = getTabFiles(file);
+  if (fileObjs.length) {
+    return fileObjs.map(f => ({ name: f.name, path: f.webkitRelativePath || f.name, lastModified: f.lastModified, data: f }));
+  }
+  if (!Array.isArray(logs)) return null;
+  const headerLines = Array.isArray(header?.rawLines) && header.rawLines.length ? [...header.rawLines, ''] : [];
+  const lines = [...headerLines, ...logs.filter(log => !log.isGapMarker).map(log => log.raw ?? log.message ?? '')];
+  return [{
+    name: file.name,
+    path: file.name,
+    lastModified: createdAt.getTime(),
+    data: new Blob(lines.map(line => `${line}\n`), { type: 'text/plain' }),
+  }];
+};
+
+const pick = (byTab, tabIds) => Object.fromEntries(
+  tabIds.filter(id => byTab && byTab[id] !== undefined).map(id => [id, byTab[id]])
+);
+
+/**
+ * Bundle of the current workspace. The files' contents are Blobs, written
+ * out by encodeWorkspaceBundle.
+ * @param {Object} state
+ * @param {Array} state.files - Open tabs ({ id, name, isGroup, groupPrefix, fileObj })
+ * @param {number} state.activeFileIndex
+ * @param {boolean} state.showingCombinedView
+ * @param {Object} state.allFileLogs - { [tabId]: logs }
+ * @param {Object} [state.logFileHeaders]
+ * @param {Object} [state.allFileFilters] - { [tabId]: filters }
+ * @param {Object} [state.allFileStickyLogs] - { [tabId]: sticky logs }
+ * @param {Object|null} [state.pivotLog]
+ * @param {Object} [state.layout] - From readStoredLayout
+ * @param {Array} [state.filterPresets] - From readStoredFilterPresets
+ * @param {Array} [state.highlightRules]
+ * @param {Object} [state.clockOffsets]
+ * @param {boolean} [state.includeLogs] - false: reference the files instead of carrying their contents
+ * @param {Date} [state.createdAt]
+ * @returns {Object}
+ */
+export const buildWorkspaceBundle = ({
+  files,
+  activeFileIndex,
+  showingCombinedView,
+  allFileLogs,
+  logFileHeaders = {},
+  allFileFilters = {},
+  allFileStickyLogs = {},
+  pivotLog = null,
+  layout = {},
+  filterPresets = [],
+  highlightRules = [],
+  clockOffsets = {},
+  includeLogs = true,
+  createdAt = new Date(),
+}) => {
+  const tabIds = files.map(file => file.id);
+  const contents = {};
+  if (includeLogs) {
+    files.forEach(file => {
+      const tabContents = getTabContents(file, allFileLogs[file.id], logFileHeaders[file.id], createdAt);
+      if (tabContents) contents[file.id] = tabContents;
+    });
+  }
+  return {
+    format: BUNDLE_FORMAT,
+    version: BUNDLE_VERSION,
+    createdAt: createdAt.toISOString(),
+    tabs: files.map(file => ({
+      id: file.id,
+      name: file.name,
+      isGroup: !!file.isGroup,
+      groupPrefix: file.groupPrefix || null,
+      sources: file.sources || getTabSources(file),
+    })),
+    activeTabId: files[activeFileIndex]?.id ?? null,
+    showingCombinedView: !!showingCombinedView,
+    contents,
+    rowCount: Object.keys(contents).reduce((sum, id) => sum + (allFileLogs[id]?.length || 0), 0),
+    filters: pick(allFileFilters, tabIds),
+    stickyLogs: pick(allFileStickyLogs, tabIds),
+    pivot: pivotLog ? { id: pivotLog.id, timestamp: pivotLog.timestamp, lineNumber: pivotLog.lineNumber } : null,
+    layout,
+    filterPresets,
+    highlightRules,
+    clockOffsets,
+  };
+};
+
+/**
+ * Why data can't be opened as a workspace bundle, if it can't
+ * @param {Object} data
+ * @returns {string|null}
+ */
+export const validateWorkspaceBundle = (data) => {
+  if (!data || data.format !== BUNDLE_FORMAT || !Array.isArray(data.tabs)) {
+    return 'Not a workspace bundle';
+  }
+  if (data.version > BUNDLE_VERSION) {
+    return `Workspace bundle version ${data.version} is newer than this viewer supports`;
+  }
+  if (data.tabs.some(tab => !tab || typeof tab.id !== 'string')) {
+    return 'Workspace bundle has a tab without an id';
+  }
+  return null;
+};
+
+/**
+ * Tabs of a bundle as LogViewer file entries. A tab with contents gets them
+ * as its files, parsed when it is shown; a version 1 tab has its rows in
+ * bundle.logs. Tabs with neither are references: reopening their files
+ * loads them (see LogViewer handleFileLoad).
+ * @param {Object} bundle - A valid, decoded bundle
+ * @returns {Array}
+ */
+export const getBundleTabs = (bundle) => bundle.tabs.map(tab => {
+  const contents = bundle.contents?.[tab.id];
+  const fileObjs = Array.isArray(contents)
+    ? contents.map(({ name, lastModified, data }) => new File([data], name, { lastModified }))
+    : [];
+  return {
+    id: tab.id,
+    name: tab.name || tab.id,
+    isGroup: !!tab.isGroup,
+    groupPrefix: tab.groupPrefix || null,
+    sources: Array.isArray(tab.sources) ? tab.sources : [],
+    ...(fileObjs.length ? { fileObj: tab.isGroup ? fileObjs : fileObjs[0] } : {}),
+    isReference: !fileObjs.length && !Array.isArray(bundle.logs?.[tab.id]),
+  };
+});
+
+const pipeStream = async (stream, transform) => new Uint8Array(
+  await new Response(stream.pipeThrough(transform)).arrayBuffer()
+);
+
+/**
+ * Bundle as a gzipped file body: the JSON on the first line (each content's
+ * data replaced by its size), then the contents in order
+ * @param {Object} bundle
+ * @returns {Promise<Blob>}
+ */
+export const encodeWorkspaceBundle = async (bundle) => {
+  const blobs = [];
+  const contents = Object.fromEntries(Object.entries(bundle.contents || {}).map(([tabId, tabContents]) => [
+    tabId,
+    tabContents.map(({ data, ...content }) => {
+      blobs.push(data);
+      return { ...content, size: data.size };
+    }),
+  ]));
+  const json = JSON.stringify({ ...bundle, contents });
+  const body = new Blob([json, '\n', ...blobs]).stream();
+  return new Blob([await pipeStream(body, new CompressionStream('gzip'))], { type: 'application/gzip' });
+};
+
+/**
+ * Read a bundle file (gzipped or plain JSON); contents come back as Blobs
+ * @param {Blob} file
+ * @returns {Promise<Object>}
+ */
+export const decodeWorkspaceBundle = async (file) => {
+  let bytes = new Uint8Array(await file.arrayBuffer());
+  if (bytes[0] === GZIP_MAGIC[0] && bytes[1] === GZIP_MAGIC[1]) {
+    bytes = await pipeStream(new Blob([bytes]).stream(), new DecompressionStream('gzip'));
+  }
+  // JSON.stringify never writes a raw newline, so the first one ends the JSON
+  const newline = bytes.indexOf(NEWLINE);
+  const bundle = JSON.parse(new TextDecoder().decode(newline < 0 ? bytes : bytes.subarray(0, newline)));
+  if (!bundle || !bundle.contents) return bundle;
+
+  let offset = newline + 1;
+  Object.values(bundle.contents).forEach(tabContents => {
+    (Array.isArray(tabContents) ? tabContents : []).forEach(content => {
+      const size = Number(content.size) || 0;
+      if (offset + size > bytes.length) throw new Error('Workspace bundle is truncated');
+      content.data = new Blob([bytes.subarray(offset, offset + size)]);
+      offset += size;
+    });
+  });
+  return bundle;
+};
+
+/**
+ * Column layout as stored in localStorage (raw JSON values)
+ * @returns {Object}
+ */
+export const readStoredLayout = () => {
+  const layout = {};
+  try {
+    Object.entries(LAYOUT_KEYS).forEach(([name, key]) => {
+      const saved = localStorage.getItem(key);
+      if (saved) layout[name] = JSON.parse(saved);
+    });
+  } catch (error) {
+    console.error('Failed to read column layout:', error);
+  }
+  return layout;
+};
+
+/**
+ * Store a bundle's column layout; parts it lacks go back to their defaults
+ * @param {Object} layout
+ */
+export const writeStoredLayout = (layout = {}) => {
+  try {
+    Object.entries(LAYOUT_KEYS).forEach(([name, key]) => {
+      if (layout[name] != null) localStorage.setItem(key, JSON.stringify(layout[name]));
+      else localStorage.removeItem(key);
+    });
+  } catch (error) {
+    console.error('Failed to save column layout:', error);
+  }
+};
+
+export const readStoredFilterPresets = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FILTER_PRESETS_KEY) || '[]');
+    return Array.isArray(saved) ? saved : [];
+  } catch (error) {
+    console.error('Failed to read filter presets:', error);
+    return [];
+  }
+};
+
+/**
+ * Add a bundle's filter presets to the saved ones; a bundle preset replaces
+ * a saved preset of the same name
+ * @param {Array} presets
+ * @returns {number} Presets added or replaced
+ */
+export const mergeFilterPresets = (presets) => {
+  const incoming = (Array.isArray(presets) ? presets : []).filter(preset => preset && preset.name);
+  if (!incoming.length) return 0;
+  const names = new Set(incoming.map(preset => preset.name));
+  const merged = [...incoming, ...readStoredFilterPresets().filter(preset => !names.has(preset.name))];
+  try {
+    localStorage.setItem(FILTER_PRESETS_KEY, JSON.stringify(merged));
+  } catch (error) {
+    console.error('Failed to save filter presets:', error);
+  }
+  return incoming.length;
+};
@@ -0,0 +1,232 @@
+// Named workspaces saved in IndexedDB (the session manager). Unlike the
+// per-tab session in sessionStorage.js they are shared by every browser tab
+// and never expire unless given a retention period.
+//
+// Each workspace is a workspace bundle (workspaceBundle.js), stored gzipped
+// in one object store; its listing details live in another, so the list
+// never has to read the bundles.
+
+import { encodeWorkspaceBundle, decodeWorkspaceBundle } from './workspaceBundle';
+
+const DB_NAME = 'logViewerWorkspaces';
+const META_STORE = 'workspaces';
+const DATA_STORE = 'workspaceData';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Retention choices, in days since the workspace was last opened; null keeps it
+export const RETENTION_OPTIONS = [
+  { days: null, label: 'Keep forever' },
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+  { days: 90, label: '90 days' },
+];
+
+const initDB = () => {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => resolve(request.result);
+
+    request.onupgradeneeded = (event) => {
+      const db = event.target.result;
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'id' });
+      if (!db.objectStoreNames.contains(DATA_STORE)) db.createObjectStore(DATA_STORE);
+    };
+  });
+};
+
+const requestResult = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+// Run fn(stores) in one transaction and resolve once it commits
+const withStores = async (mode, fn) => {
+  const db = await initDB();
+  try {
+    const transaction = db.transaction([META_STORE, DATA_STORE], mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+    const result = await fn({ meta: transaction.objectStore(META_STORE), data: transaction.objectStore(DATA_STORE) });
+    await done;
+    return result;
+  } finally {
+    db.close();
+  }
+};
+
+const newWorkspaceId = () => `ws_${Date.now()}_${Math.random().toString(36).slice(2, 9)}`;
+
+/**
+ * Listing details of a bundle: its tabs' names and row count
+ * @param {Object} bundle
+ * @returns {{files: string[], rowCount: number, hasLogs: boolean}}
+ */
+export const summarizeBundle = (bundle) => {
+  // Version 1 bundles hold parsed rows, later ones the files' contents
+  const logs = bundle.logs || {};
+  const contents = bundle.contents || {};
+  return {
+    files: bundle.tabs.map(tab => tab.name || tab.id),
+    rowCount: bundle.rowCount ?? Object.values(logs).reduce((sum, rows) => sum + (Array.isArray(rows) ? rows.length : 0), 0),
+    hasLogs: bundle.tabs.some(tab => Array.isArray(logs[tab.id]) || Array.isArray(contents[tab.id])),
+  };
+};
+
+/**
+ * Whether a workspace's retention period has run out
+ * @param {Object} workspace - Listing entry
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export const isWorkspaceExpired = (workspace, now = Date.now()) => (
+  workspace.retentionDays != null && now - workspace.lastOpenedAt > workspace.retentionDays * DAY_MS
+);
+
+/**
+ * Name for a copy that no other workspace has: "Name (copy)", "Name (copy 2)"...
+ * @param {string} name
+ * @param {string[]} takenNames
+ * @returns {string}
+ */
+export const getCopyName = (name, takenNames) => {
+  const base = name.replace(/ \(copy(?: \d+)?\)$/, '');
+  const taken = new Set(takenNames);
+  for (let n = 1; ; n++) {
+    const candidate = n === 1 ? `${base} (copy)` : `${base} (copy ${n})`;
+    if (!taken.has(candidate)) return candidate;
+  }
+};
+
+/**
+ * Saved workspaces, most recently opened first. Expired ones are deleted.
+ * @returns {Promise<Array>}
+ */
+export const listWorkspaces = async () => {
+  try {
+    const all = await withStores('readonly', ({ meta }) => requestResult(meta.getAll()));
+    const expired = all.filter(workspace => isWorkspaceExpired(workspace));
+    if (expired.length) {
+      await withStores('readwrite', ({ meta, data }) => {
+        expired.forEach(({ id }) => {
+          meta.delete(id);
+          data.delete(id);
+        });
+      });
+    }
+    return all.filter(workspace => !expired.includes(workspace)).sort((a, b) => b.lastOpenedAt - a.lastOpenedAt);
+  } catch (error) {
+    console.error('Error listing workspaces:', error);
+    return [];
+  }
+};
+
+/**
+ * Save a bundle as a named workspace; a workspace of the same name is replaced
+ * @param {string} name
+ * @param {Object} bundle
+ * @param {Object} [options]
+ * @param {number|null} [options.retentionDays]
+ * @returns {Promise<Object>} The listing entry
+ */
+export const saveWorkspace = async (name, bundle, { retentionDays = null } = {}) => {
+  const blob = await encodeWorkspaceBundle(bundle);
+  const now = Date.now();
+  return withStores('readwrite', async ({ meta, data }) => {
+    const existing = (await requestResult(meta.getAll())).find(workspace => workspace.name === name);
+    const workspace = {
+      id: existing ? existing.id : newWorkspaceId(),
+      name,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now,
+      lastOpenedAt: now,
+      retentionDays: existing ? existing.retentionDays : retentionDays,
+      size: blob.size,
+      ...summarizeBundle(bundle),
+    };
+    meta.put(workspace);
+    data.put(blob, workspace.id);
+    return workspace;
+  });
+};
+
+/**
+ * Read a workspace's bundle and mark it opened now
+ * @param {string} id
+ * @returns {Promise<Object>}
+ */
+export const openWorkspace = async (id) => {
+  const blob = await withStores('readwrite', async ({ meta, data }) => {
+    const workspace = await requestResult(meta.get(id));
+    if (!workspace) throw new Error('Workspace not found');
+    meta.put({ ...workspace, lastOpenedAt: Date.now() });
+    return requestResult(data.get(id));
+  });
+  return decodeWorkspaceBundle(blob);
+};
+
+/**
+ * A workspace's stored bundle file, e.g. to export it
+ * @param {string} id
+ * @returns {Promise<Blob>}
+ */
+export const getWorkspaceFile = (id) => withStores('readonly', ({ data }) => requestResult(data.get(id)));
+
+/**
+ * Change listing details of a workspace (name, retentionDays)
+ * @param {string} id
+ * @param {Object} changes
+ * @returns {Promise<void>}
+ */
+export const updateWorkspace = (id, changes) => withStores('readwrite', async ({ meta }) => {
+  const workspace = await requestResult(meta.get(id));
+  if (workspace) meta.put({ ...workspace, ...changes, id });
+});
+
+/**
+ * Copy a workspace under a new name
+ * @param {string} id
+ * @returns {Promise<Object>} The copy's listing entry
+ */
+export const duplicateWorkspace = (id) => withStores('readwrite', async ({ meta, data }) => {
+  const all = await requestResult(meta.getAll());
+  const source = all.find(workspace => workspace.id === id);
+  if (!source) throw new Error('Workspace not found');
+  const blob = await requestResult(data.get(id));
+  const now = Date.now();
+  const copy = {
+    ...source,
+    id: newWorkspaceId(),
+    name: getCopyName(source.name, all.map(workspace => workspace.name)),
+    createdAt: now,
+    updatedAt: now,
+    lastOpenedAt: now,
+  };
+  meta.put(copy);
+  data.put(blob, copy.id);
+  return copy;
+});
+
+export const deleteWorkspace = (id) => withStores('readwrite', ({ meta, data }) => {
+  meta.delete(id);
+  data.delete(id);
+});
+
+/**
+ * Storage used by this site and its quota (all IndexedDB / cache data)
+ * @returns {Promise<{usage: number, quota: number}|null>}
+ */
+export const getStorageEstimate = async () => {
+  try {
+    if (!navigator.storage || !navigator.storage.estimate) return null;
+    const { usage, quota } = await navigator.storage.estimate();
+    return { usage, quota };
+  } catch (error) {
+    console.error('Error estimating storage:', error);
+    return null;
+  }
+};
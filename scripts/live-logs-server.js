@@ -7,7 +7,29 @@
  * NOTE: Some paths under /private/var/root require root access.
  * Run with:  sudo node scripts/live-logs-server.js
  *
- * The client connects to ws://localhost:3001
+ * Sources, port, poll interval and bind address can be changed with a JSON
+ * config file and/or command-line options — run with --help for details.
+ *
+ * The client connects to ws://localhost:4000 (or the configured port).
+ * Without a query it is subscribed to every source; ?sources=key1,key2
+ * subscribes to those only (?sources= to none, then send 'subscribe').
+ *
+ * Server → client (offset/end are byte positions in the source):
+ *   { type:'initial', sourceKey, label, content, offset, end }  — start of a subscription / backfill
+ *   { type:'append',  sourceKey, label, content, offset, end }  — text after the last one sent
+ *   { type:'reset',   sourceKey, label, content, offset, end }  — full resend after rotation
+ *   { type:'error',   message }
+ *
+ * Client → server:
+ *   { type:'subscribe',   sourceKeys, backfill?: {lines|bytes}, offsets?: {[key]: end} }
+ *       offsets resume a source after a reconnect; backfill sends the tail first
+ *   { type:'unsubscribe', sourceKeys }
+ *   { type:'pause',  sourceKeys? }   — hold updates (all sources when omitted)
+ *   { type:'resume', sourceKeys? }   — send everything held since the pause
+ *   { type:'backfill', sourceKeys, lines|bytes }  — resend the tail as 'initial'
+ *
+ * A connection subscribed through ?sources (or all sources) starts with the
+ * last DEFAULT_BACKFILL_LINES lines of each source.
  */
 
 const http = require('http');
@@ -16,15 +38,23 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
-const PORT = 4000;
-const POLL_MS = 1000; // how often to check for new bytes
+const DEFAULT_PORT = 4000;
+const DEFAULT_POLL_MS = 1000; // how often to check for new bytes
+// Local viewers only, as before the address was configurable; remote viewers
+// need --bind 0.0.0.0 (or "bind" in the config file)
+const DEFAULT_BIND = '127.0.0.1';
+const DEFAULT_BACKFILL_LINES = 1000;
+const DEFAULT_GLOB = '*.{log,txt}';
+const DEFAULT_CONFIG_FILE = 'live-logs.config.json';
 
 // ─── Source definitions ───────────────────────────────────────────────────────
 // Each entry becomes one tab in the viewer.
 // type 'dir'  → read all matching files in the directory, sorted naturally.
 // type 'file' → read that single file.
+// These macOS defaults are used when neither a config file nor --dir/--file
+// options provide sources.
 const HOME = os.homedir();
-const SOURCES = [
+const DEFAULT_SOURCES = [
   {
     key: 'app',
     label: 'AppLogs',
@@ -68,6 +98,165 @@ const SOURCES = [
   },
 ];
 
+const USAGE = `Usage: node live-logs-server.js [options]
+
+Options:
+  --config <file>   JSON config file (default: ./${DEFAULT_CONFIG_FILE} if present)
+  --port <n>        Port to listen on (default: ${DEFAULT_PORT})
+  --bind <addr>     Address to bind to (default: ${DEFAULT_BIND}, this machine only);
+                    use 0.0.0.0 to accept viewers on other machines
+  --poll <ms>       Poll interval in milliseconds (default: ${DEFAULT_POLL_MS})
+  --dir <path>      Add a directory source (repeatable)
+  --file <path>     Add a single-file source (repeatable)
+  --glob <pattern>  File name pattern for the preceding --dir (default: ${DEFAULT_GLOB})
+  --label <name>    Tab label for the preceding --dir/--file
+  --help            Show this help
+
+Sources given on the command line replace those from the config file.
+
+Config file example:
+  {
+    "port": 4000,
+    "bind": "127.0.0.1",
+    "pollMs": 1000,
+    "sources": [
+      { "label": "Daemon", "type": "dir", "path": "/var/log/cato", "glob": "*.log" },
+      { "label": "Install", "type": "file", "path": "/tmp/install.txt" }
+    ]
+  }
+`;
+
+// ─── Configuration ────────────────────────────────────────────────────────────
+
+/** Convert a simple glob (*, ?, [...], {a,b}) matched against file names into a RegExp. */
+function globToRegExp(glob) {
+  let re = '';
+  let inGroup = false;
+  for (const ch of glob) {
+    if (ch === '*') re += '[^/]*';
+    else if (ch === '?') re += '[^/]';
+    else if (ch === '{') { re += '(?:'; inGroup = true; }
+    else if (ch === '}' && inGroup) { re += ')'; inGroup = false; }
+    else if (ch === ',' && inGroup) re += '|';
+    else if (ch === '[' || ch === ']') re += ch;
+    else re += ch.replace(/[.+^$()|\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`, 'i');
+}
+
+/** Expand a leading ~ to the home directory. */
+function expandHome(p) {
+  return p === '~' || p.startsWith('~/') ? path.join(HOME, p.slice(1)) : p;
+}
+
+/** Parse process.argv into { options, sources }; exits on --help or bad input. */
+function parseArgs(argv) {
+  const options = {};
+  const sources = [];
+  const needValue = (flag, value) => {
+    if (value === undefined || value.startsWith('--')) {
+      console.error(`[live-logs] ${flag} needs a value\n\n${USAGE}`);
+      process.exit(1);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const flag = argv[i];
+    switch (flag) {
+      case '--help':
+      case '-h':
+        console.log(USAGE);
+        process.exit(0);
+        break;
+      case '--config': options.config = needValue(flag, argv[++i]); break;
+      case '--port': options.port = needValue(flag, argv[++i]); break;
+      case '--bind': options.bind = needValue(flag, argv[++i]); break;
+      case '--poll': options.pollMs = needValue(flag, argv[++i]); break;
+      case '--dir':
+      case '--file':
+        sources.push({ type: flag.slice(2), path: needValue(flag, argv[++i]) });
+        break;
+      case '--glob':
+      case '--label': {
+        const value = needValue(flag, argv[++i]);
+        const last = sources[sources.length - 1];
+        if (!last) {
+          console.error(`[live-logs] ${flag} must follow a --dir or --file option`);
+          process.exit(1);
+        }
+        last[flag.slice(2)] = value;
+        break;
+      }
+      default:
+        console.error(`[live-logs] Unknown option: ${flag}\n\n${USAGE}`);
+        process.exit(1);
+    }
+  }
+  return { options, sources };
+}
+
+/** Read the JSON config file, or {} when none is given and the default doesn't exist. */
+function readConfigFile(configPath) {
+  const file = configPath || path.resolve(DEFAULT_CONFIG_FILE);
+  if (!configPath && !fs.existsSync(file)) return {};
+  try {
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    console.log(`[live-logs] Using config ${file}`);
+    return config;
+  } catch (err) {
+    console.error(`[live-logs] Cannot read config ${file}: ${err.message}`);
+    process.exit(1);
+  }
+}
+
+/** Validate and fill in defaults for source definitions (key, label, pattern). */
+function normalizeSources(list) {
+  const usedKeys = new Set();
+  return list.map((src, i) => {
+    if (!src || (src.type !== 'dir' && src.type !== 'file') || !src.path) {
+      console.error(`[live-logs] Source #${i + 1} needs "type" ("dir" or "file") and "path"`);
+      process.exit(1);
+    }
+    const srcPath = expandHome(src.path);
+    const label = src.label || path.basename(srcPath) || `Source ${i + 1}`;
+    let key = src.key || label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || `src${i + 1}`;
+    while (usedKeys.has(key)) key = `${key}-${i + 1}`;
+    usedKeys.add(key);
+    return {
+      key,
+      label,
+      type: src.type,
+      path: srcPath,
+      // Built-in defaults carry a RegExp; config/CLI sources carry a glob string
+      pattern: src.pattern instanceof RegExp
+        ? src.pattern
+        : (src.type === 'dir' ? globToRegExp(src.glob || DEFAULT_GLOB) : undefined),
+    };
+  });
+}
+
+function parsePositiveInt(value, name) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n <= 0) {
+    console.error(`[live-logs] Invalid ${name}: ${value}`);
+    process.exit(1);
+  }
+  return n;
+}
+
+const cli = parseArgs(process.argv.slice(2));
+const fileConfig = readConfigFile(cli.options.config);
+
+const PORT = parsePositiveInt(cli.options.port ?? fileConfig.port ?? DEFAULT_PORT, 'port');
+const POLL_MS = parsePositiveInt(cli.options.pollMs ?? fileConfig.pollMs ?? DEFAULT_POLL_MS, 'poll interval');
+const BIND = cli.options.bind || fileConfig.bind || DEFAULT_BIND;
+const SOURCES = normalizeSources(
+  cli.sources.length ? cli.sources
+    : Array.isArray(fileConfig.sources) && fileConfig.sources.length ? fileConfig.sources
+      : DEFAULT_SOURCES
+);
+
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
 /** Natural sort so log.1 < log.2 < log.10 */
@@ -75,6 +264,9 @@ function naturalSort(a, b) {
   return a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
 }
 
+const NEWLINE = 0x0a;
+const EMPTY = Buffer.alloc(0);
+
 /** Read all matching files in a directory, concatenated in natural sort order. */
 function readDir(dirPath, pattern) {
   try {
@@ -82,26 +274,26 @@ function readDir(dirPath, pattern) {
       .filter(n => !pattern || pattern.test(n))
       .sort(naturalSort);
 
-    let content = '';
+    const parts = [];
     for (const name of names) {
       const full = path.join(dirPath, name);
       try {
         const stat = fs.statSync(full);
         if (!stat.isFile()) continue;
-        const text = fs.readFileSync(full, 'utf8');
-        content += text;
-        if (text.length > 0 && !text.endsWith('\n')) content += '\n';
+        const data = fs.readFileSync(full);
+        parts.push(data);
+        if (data.length > 0 && data[data.length - 1] !== NEWLINE) parts.push(Buffer.from('\n'));
       } catch { /* skip unreadable files */ }
     }
-    return content;
+    return Buffer.concat(parts);
   } catch {
-    return '';
+    return EMPTY;
   }
 }
 
-/** Read a single file, or return '' on error. */
+/** Read a single file, or return an empty buffer on error. */
 function readFile(filePath) {
-  try { return fs.readFileSync(filePath, 'utf8'); } catch { return ''; }
+  try { return fs.readFileSync(filePath); } catch { return EMPTY; }
 }
 
 function readSource(src) {
@@ -111,8 +303,8 @@ function readSource(src) {
 }
 
 // ─── State ────────────────────────────────────────────────────────────────────
-// We track the last known content length per source so we can diff cheaply.
-const state = {}; // { [key]: string } — always the full current content
+// Sources are kept as raw bytes so offsets are byte positions in the files.
+const state = {}; // { [key]: Buffer } — always the full current content
 
 function init() {
   for (const src of SOURCES) {
@@ -135,7 +327,13 @@ const server = http.createServer((req, res) => {
 
   if (req.url === '/sources') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify(SOURCES.map(s => ({ key: s.key, label: s.label }))));
+    res.end(JSON.stringify(SOURCES.map(s => ({
+      key: s.key,
+      label: s.label,
+      type: s.type,
+      path: s.path,
+      size: state[s.key].length,
+    }))));
     return;
   }
 
@@ -150,25 +348,169 @@ const server = http.createServer((req, res) => {
 
 const wss = new WebSocket.Server({ server });
 
-wss.on('connection', (ws) => {
-  console.log('[live-logs] Client connected');
+/**
+ * Length of the content without a UTF-8 character cut off at its end (a
+ * writer caught mid-flush); that part is sent with the next append.
+ */
+function completeLength(content) {
+  let i = content.length - 1;
+  while (i >= 0 && i > content.length - 4 && (content[i] & 0xc0) === 0x80) i--;
+  if (i < 0) return content.length;
+  const lead = content[i];
+  const size = lead >= 0xf0 ? 4 : lead >= 0xe0 ? 3 : lead >= 0xc0 ? 2 : 1;
+  return content.length - i < size ? i : content.length;
+}
 
-  // Record where each source stands RIGHT NOW for this client.
-  // We only stream bytes written after this connection moment.
-  const offsets = {}; // { [sourceKey]: number }
-  for (const src of SOURCES) {
-    offsets[src.key] = state[src.key].length;
-    // Send an empty initial message so the viewer creates the tab
-    ws.send(JSON.stringify({
-      type: 'initial',
-      sourceKey: src.key,
-      label: src.label,
-      content: '',
-    }));
+/**
+ * Byte position where the last `lines` lines (or roughly the last `bytes`
+ * bytes, rounded to a line start) begin. Nothing requested → the end.
+ */
+function tailOffset(content, backfill = {}) {
+  const lines = Number(backfill.lines) || 0;
+  const bytes = Number(backfill.bytes) || 0;
+  const end = completeLength(content);
+  if (lines > 0) {
+    // Ignore the trailing newline so it doesn't count as an empty line
+    let pos = end > 0 && content[end - 1] === NEWLINE ? end - 1 : end;
+    for (let i = 0; i < lines; i++) {
+      // Buffer#lastIndexOf counts a negative start from the end
+      if (pos <= 0) return 0;
+      pos = content.lastIndexOf(NEWLINE, pos - 1);
+      if (pos < 0) return 0;
+    }
+    return pos + 1;
+  }
+  if (bytes > 0) {
+    if (bytes >= end) return 0;
+    const nl = content.indexOf(NEWLINE, end - bytes);
+    return nl < 0 || nl >= end ? end : nl + 1;
+  }
+  return end;
+}
+
+/** Send content[start, end) of a source; offsets are bytes, the text is decoded. */
+function sendMessage(ws, src, type, content, start, end) {
+  if (ws.readyState !== WebSocket.OPEN) return;
+  ws.send(JSON.stringify({
+    type,
+    sourceKey: src.key,
+    label: src.label,
+    content: content.toString('utf8', start, end),
+    offset: start,
+    end,
+  }));
+}
+
+/** Send what this client hasn't seen of a source yet (append, or reset after rotation). */
+function sendPending(ws, src) {
+  const sub = ws.subs[src.key];
+  const content = state[src.key];
+  const end = completeLength(content);
+  if (sub.rotated || sub.offset > content.length) {
+    sendMessage(ws, src, 'reset', content, 0, end);
+  } else if (end > sub.offset) {
+    sendMessage(ws, src, 'append', content, sub.offset, end);
+  } else {
+    return;
+  }
+  sub.offset = end;
+  sub.rotated = false;
+}
+
+/**
+ * Start streaming a source to a client. With a resume offset, only text
+ * written since then is sent; otherwise an 'initial' message carries the
+ * requested backfill (empty by default — only new text is streamed).
+ */
+function subscribe(ws, src, { backfill, offset } = {}) {
+  const content = state[src.key];
+  if (Number.isInteger(offset) && offset >= 0) {
+    ws.subs[src.key] = { offset, paused: false, rotated: false };
+    sendPending(ws, src);
+    return;
+  }
+  const start = tailOffset(content, backfill);
+  const end = completeLength(content);
+  ws.subs[src.key] = { offset: end, paused: false, rotated: false };
+  sendMessage(ws, src, 'initial', content, start, end);
+}
+
+/** Sources named by a command, or every subscribed one when keys are omitted. */
+function commandSources(ws, sourceKeys, { subscribedOnly = true } = {}) {
+  if (!Array.isArray(sourceKeys)) {
+    return SOURCES.filter(src => ws.subs[src.key]);
+  }
+  const unknown = sourceKeys.filter(key => !SOURCES.some(src => src.key === key));
+  if (unknown.length) {
+    ws.send(JSON.stringify({ type: 'error', message: `Unknown source: ${unknown.join(', ')}` }));
+  }
+  return SOURCES.filter(src => sourceKeys.includes(src.key) && (!subscribedOnly || ws.subs[src.key]));
+}
+
+function handleCommand(ws, cmd) {
+  switch (cmd.type) {
+    case 'subscribe':
+      for (const src of commandSources(ws, cmd.sourceKeys || [], { subscribedOnly: false })) {
+        subscribe(ws, src, { backfill: cmd.backfill, offset: cmd.offsets?.[src.key] });
+      }
+      break;
+    case 'unsubscribe':
+      for (const src of commandSources(ws, cmd.sourceKeys || [])) delete ws.subs[src.key];
+      break;
+    case 'pause':
+      for (const src of commandSources(ws, cmd.sourceKeys)) ws.subs[src.key].paused = true;
+      break;
+    case 'resume':
+      for (const src of commandSources(ws, cmd.sourceKeys)) {
+        ws.subs[src.key].paused = false;
+        sendPending(ws, src);
+      }
+      break;
+    case 'backfill':
+      for (const src of commandSources(ws, cmd.sourceKeys || [])) {
+        const content = state[src.key];
+        const start = tailOffset(content, cmd);
+        const end = completeLength(content);
+        ws.subs[src.key].offset = end;
+        ws.subs[src.key].rotated = false;
+        sendMessage(ws, src, 'initial', content, start, end);
+      }
+      break;
+    default:
+      ws.send(JSON.stringify({ type: 'error', message: `Unknown command: ${cmd.type}` }));
   }
+}
 
-  // Attach offsets to the socket so the polling loop can use them
-  ws.clientOffsets = offsets;
+/** Source keys requested via ?sources=a,b on the connection URL (all when absent). */
+function requestedSources(req) {
+  const url = new URL(req.url || '/', 'http://localhost');
+  const param = url.searchParams.get('sources');
+  if (param === null) return SOURCES;
+  const keys = new Set(param.split(',').map(k => k.trim()).filter(Boolean));
+  return SOURCES.filter(src => keys.has(src.key));
+}
+
+wss.on('connection', (ws, req) => {
+  const sources = requestedSources(req);
+  console.log(`[live-logs] Client connected (${sources.map(s => s.label).join(', ') || 'no sources yet'})`);
+
+  // Per-source subscription state for this client: how far it has been sent
+  // and whether it is paused. Sources named on the URL start with their tail;
+  // 'subscribe' streams only new text unless it asks for a backfill or
+  // resume offset.
+  ws.subs = {}; // { [sourceKey]: { offset, paused, rotated } }
+  for (const src of sources) subscribe(ws, src, { backfill: { lines: DEFAULT_BACKFILL_LINES } });
+
+  ws.on('message', (data) => {
+    let cmd;
+    try {
+      cmd = JSON.parse(data.toString());
+    } catch {
+      ws.send(JSON.stringify({ type: 'error', message: 'Commands must be JSON' }));
+      return;
+    }
+    handleCommand(ws, cmd);
+  });
 
   ws.on('error', err => console.error('[live-logs] WS error:', err.message));
   ws.on('close', () => console.log('[live-logs] Client disconnected'));
@@ -182,29 +524,19 @@ setInterval(() => {
     const prev = state[src.key];
     const curr = readSource(src);
 
-    if (curr === prev) continue; // Nothing changed
+    if (curr.equals(prev)) continue; // Nothing changed
 
-    const isAppend = curr.length > prev.length && curr.startsWith(prev);
+    const isAppend = curr.length > prev.length && curr.subarray(0, prev.length).equals(prev);
     state[src.key] = curr;
 
     wss.clients.forEach(client => {
-      if (client.readyState !== WebSocket.OPEN) return;
-
-      const clientOffset = client.clientOffsets[src.key] ?? 0;
-
-      let msg;
-      if (isAppend && curr.length > clientOffset) {
-        // Send only the bytes this client hasn't seen yet
-        const newContent = curr.slice(clientOffset);
-        msg = JSON.stringify({ type: 'append', sourceKey: src.key, label: src.label, content: newContent });
-        client.clientOffsets[src.key] = curr.length;
-      } else if (!isAppend) {
-        // File rotated/truncated — reset client offset and send everything from 0
-        msg = JSON.stringify({ type: 'reset', sourceKey: src.key, label: src.label, content: curr });
-        client.clientOffsets[src.key] = curr.length;
-      }
+      const sub = client.subs?.[src.key];
+      if (!sub) return; // Not subscribed
 
-      if (msg) client.send(msg);
+      // File rotated/truncated — the next send is a full reset
+      if (!isAppend) sub.rotated = true;
+      // Paused clients catch up on 'resume'
+      if (!sub.paused) sendPending(client, src);
     });
   }
 }, POLL_MS);
@@ -213,15 +545,17 @@ setInterval(() => {
 console.log('[live-logs] Initialising sources...');
 init();
 
-server.listen(PORT, '127.0.0.1', () => {
-  console.log(`\n[live-logs] Server ready at ws://localhost:${PORT}`);
+server.listen(PORT, BIND, () => {
+  const host = BIND === '0.0.0.0' || BIND === '::' ? os.hostname() : BIND;
+  console.log(`\n[live-logs] Server ready at ws://${host}:${PORT} (polling every ${POLL_MS} ms)`);
   console.log('[live-logs] Press Ctrl-C to stop.\n');
 });
 
 server.on('error', (err) => {
   if (err.code === 'EADDRINUSE') {
     // Check if it's our own server already running on that port
-    http.get(`http://127.0.0.1:${PORT}/health`, (res) => {
+    const probeHost = BIND === '0.0.0.0' || BIND === '::' ? '127.0.0.1' : BIND;
+    http.get(`http://${probeHost}:${PORT}/health`, (res) => {
       let body = '';
       res.on('data', chunk => { body += chunk; });
       res.on('end', () => {